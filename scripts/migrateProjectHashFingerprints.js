@@ -0,0 +1,109 @@
+/**
+ * Script de migración para la búsqueda de similitud entre comisiones y años
+ *
+ * - Recalcula hashes y huellas de los ProjectHash sin huellas a partir del entrega.txt guardado
+ *   en la submission vigente del alumno (Submission.content_text)
+ * - Completa file_hash_list en todos los ProjectHash (se genera al guardar)
+ * - Crea los índices sobre file_hash_list y fingerprints.hashes
+ *
+ * Los proyectos sin entrega.txt guardado conservan sus hashes anteriores y solo se comparan por archivos idénticos
+ *
+ * Ejecutar con: npm run migrate:fingerprints (después de migrate:attempts, usa la submission vigente)
+ */
+
+import dotenv from 'dotenv';
+import { connectDB } from '../src/config/database.js';
+import ProjectHash from '../src/models/ProjectHash.js';
+import Submission from '../src/models/Submission.js';
+import Student from '../src/models/Student.js';
+import BatchConsolidatorService from '../src/services/batchConsolidatorService.js';
+
+// Cargar variables de entorno
+dotenv.config();
+
+/**
+ * Entregas vigentes de una rúbrica con contenido, indexadas por nombre normalizado
+ * @param {String} rubricId
+ * @returns {Promise<Map<String, Document>>}
+ */
+const loadSubmissionsByName = async (rubricId) => {
+  const submissions = await Submission.find({ rubric_id: rubricId, is_current: { $ne: false }, deleted: false })
+    .select('+content_text student_name');
+
+  return new Map(
+    submissions
+      .filter((submission) => submission.content_text)
+      .map((submission) => [Student.normalizeName(submission.student_name), submission])
+  );
+};
+
+const migrateProjectHashFingerprints = async () => {
+  try {
+    console.log('🔄 Iniciando migración de huellas de ProjectHash...\n');
+
+    // Conectar a la base de datos
+    await connectDB();
+
+    const total = await ProjectHash.countDocuments({});
+    console.log(`📊 ProjectHash encontrados: ${total}\n`);
+
+    let recalculated = 0;
+    let withoutContent = 0;
+    let currentRubric = null;
+    let submissionsByName = new Map();
+
+    // Cursor: los documentos con huellas pueden ser grandes
+    for await (const project of ProjectHash.find({}).sort({ rubric_id: 1 }).cursor()) {
+      if (project.rubric_id !== currentRubric) {
+        currentRubric = project.rubric_id;
+        submissionsByName = await loadSubmissionsByName(currentRubric);
+      }
+
+      const hasFingerprints = (project.fingerprints || []).some((file) => file.hashes?.length > 0);
+
+      if (!hasFingerprints) {
+        const submission = Student.nameKeysFor(project.student_name)
+          .map((key) => submissionsByName.get(key))
+          .find(Boolean);
+        const analysis = submission
+          ? BatchConsolidatorService.analyzeConsolidatedContent(submission.content_text)
+          : null;
+
+        if (analysis) {
+          project.project_hash = analysis.project_hash;
+          project.file_hashes = analysis.file_hashes;
+          project.fingerprints = analysis.fingerprints;
+          project.stats.total_lines = analysis.total_lines;
+          project.stats.java_files = analysis.languages.java || 0;
+          project.stats.source_files = Object.keys(analysis.file_hashes).length;
+          project.stats.languages = analysis.languages;
+          project.markModified('file_hashes');
+          project.markModified('stats.languages');
+          recalculated += 1;
+        } else {
+          withoutContent += 1;
+        }
+      }
+
+      // Guardar completa file_hash_list
+      await project.save();
+    }
+
+    // Crear los índices nuevos
+    await ProjectHash.createIndexes();
+
+    console.log('✅ Migración completada exitosamente!\n');
+    console.log(`📝 Detalles:`);
+    console.log(`   - Proyectos con huellas recalculadas: ${recalculated}`);
+    console.log(`   - Proyectos sin entrega.txt guardado: ${withoutContent}`);
+    console.log(`   - Índices de búsqueda creados: Sí\n`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error durante la migración:', error);
+    process.exit(1);
+  }
+};
+
+// Ejecutar migración
+migrateProjectHashFingerprints();
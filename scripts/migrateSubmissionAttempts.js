@@ -0,0 +1,93 @@
+/**
+ * Script de migración para el historial de intentos (reentregas) de submissions
+ *
+ * - Elimina el índice único anterior { rubric_id, student_name } (Mongo no lo borra solo)
+ * - Numera los intentos existentes por alumno y rúbrica (incluye los eliminados con "Forzar sobrescritura")
+ * - Marca como vigente solo el último intento no eliminado
+ *
+ * Ejecutar con: npm run migrate:attempts (antes de migrate:fingerprints)
+ */
+
+import dotenv from 'dotenv';
+import { connectDB } from '../src/config/database.js';
+import Submission from '../src/models/Submission.js';
+
+// Cargar variables de entorno
+dotenv.config();
+
+const OLD_INDEX_NAME = 'rubric_id_1_student_name_1';
+
+const migrateSubmissionAttempts = async () => {
+  try {
+    console.log('🔄 Iniciando migración de intentos de submissions...\n');
+
+    // Conectar a la base de datos
+    await connectDB();
+
+    // 1. Eliminar el índice único anterior
+    const indexes = await Submission.collection.indexes();
+    const oldIndex = indexes.find((index) => index.name === OLD_INDEX_NAME);
+
+    if (oldIndex) {
+      await Submission.collection.dropIndex(OLD_INDEX_NAME);
+      console.log(`🗑️  Índice eliminado: ${OLD_INDEX_NAME}\n`);
+    } else {
+      console.log(`✅ El índice ${OLD_INDEX_NAME} no existe. Nada que eliminar.\n`);
+    }
+
+    // 2. Numerar intentos por alumno y rúbrica (orden de subida)
+    const submissions = await Submission.find({ deleted: { $in: [true, false] } })
+      .select('rubric_id student_name attempt is_current deleted uploaded_at submission_id')
+      .sort({ uploaded_at: 1 });
+
+    const groups = new Map();
+    for (const submission of submissions) {
+      const key = `${submission.rubric_id}|${submission.student_name}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(submission);
+    }
+
+    console.log(`📊 Submissions encontradas: ${submissions.length}`);
+    console.log(`📊 Alumnos por rúbrica: ${groups.size}\n`);
+
+    let updated = 0;
+    for (const attempts of groups.values()) {
+      const latestActive = [...attempts].reverse().find((s) => !s.deleted);
+
+      for (let i = 0; i < attempts.length; i += 1) {
+        const submission = attempts[i];
+        const next = attempts[i + 1];
+        const isCurrent = latestActive ? submission._id.equals(latestActive._id) : false;
+
+        const result = await Submission.updateOne(
+          { _id: submission._id },
+          {
+            $set: {
+              attempt: i + 1,
+              is_current: isCurrent,
+              previous_submission_id: i > 0 ? attempts[i - 1].submission_id : null,
+              superseded_by: isCurrent || !next ? null : next.submission_id,
+            },
+          }
+        );
+        updated += result.modifiedCount;
+      }
+    }
+
+    // 3. Crear el índice nuevo { rubric_id, student_name, attempt }
+    await Submission.createIndexes();
+
+    console.log('✅ Migración completada exitosamente!\n');
+    console.log(`📝 Detalles:`);
+    console.log(`   - Submissions actualizadas: ${updated}`);
+    console.log(`   - Índice por intento creado: Sí\n`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error durante la migración:', error);
+    process.exit(1);
+  }
+};
+
+// Ejecutar migración
+migrateSubmissionAttempts();
@@ -0,0 +1,55 @@
+/**
+ * Script de prueba para el parseo de carpetas de entregas de Moodle
+ * Verifica el nombre del alumno y la fecha de entrega que se obtienen del nombre de la carpeta
+ * No requiere conexión a MongoDB
+ */
+import BatchConsolidatorService from '../src/services/batchConsolidatorService.js';
+
+const cases = [
+  {
+    folder: 'Juan Perez_20240510_231530_123_assignsubmission_file_',
+    name: 'Juan Perez',
+    submittedAt: new Date(2024, 4, 10, 23, 15, 30),
+  },
+  {
+    folder: '2024-05-10 23-15_Juan Perez_123_assignsubmission_file_',
+    name: 'Juan Perez',
+    submittedAt: new Date(2024, 4, 10, 23, 15, 0),
+  },
+  {
+    // El ID de participante de 10 dígitos no es un timestamp Unix
+    folder: 'Juan Perez_1234567890_assignsubmission_file_',
+    name: 'Juan Perez',
+    submittedAt: null,
+  },
+];
+
+function testStudentFolderNames() {
+  let failures = 0;
+
+  for (const { folder, name, submittedAt } of cases) {
+    const parsedName = BatchConsolidatorService.sanitizeStudentName(folder);
+    const parsedDate = BatchConsolidatorService.parseSubmissionTimestamp(folder);
+    const nameOk = parsedName === name;
+    const dateOk = (parsedDate?.getTime() ?? null) === (submittedAt?.getTime() ?? null);
+
+    if (nameOk && dateOk) {
+      console.log(`✅ ${folder}`);
+    } else {
+      failures += 1;
+      console.error(`❌ ${folder}`);
+      if (!nameOk) console.error(`   - nombre: "${parsedName}" (esperado "${name}")`);
+      if (!dateOk) console.error(`   - fecha: ${parsedDate?.toISOString() ?? null} (esperada ${submittedAt?.toISOString() ?? null})`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} caso(s) fallidos`);
+    process.exit(1);
+  }
+
+  console.log('\n✅ Todos los casos pasaron correctamente!');
+}
+
+// Ejecutar tests
+testStudentFolderNames();
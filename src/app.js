@@ -7,6 +7,7 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import multer from 'multer';
 import { connectDB } from './config/database.js';
+import GradingQueueService from './services/gradingQueueService.js';
 
 // Importar rutas
 import authRoutes from './routes/authRoutes.js';
@@ -18,6 +19,7 @@ import careerRoutes from './routes/careerRoutes.js';
 import courseRoutes from './routes/courseRoutes.js';
 import commissionRoutes from './routes/commissionRoutes.js';
 import rubricRoutes from './routes/rubricRoutes.js';
+import rubricTemplateRoutes from './routes/rubricTemplateRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import consolidatorRoutes from './routes/consolidatorRoutes.js';
 import submissionRoutes from './routes/submissionRoutes.js';
@@ -34,7 +36,13 @@ app.use(cors({
   credentials: true,
 }));
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Guardar el cuerpo crudo para verificar firmas HMAC de callbacks (n8n)
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Logging de requests (desarrollo)
@@ -56,6 +64,7 @@ app.use('/api/careers', careerRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/commissions', commissionRoutes);
 app.use('/api/rubrics', rubricRoutes);
+app.use('/api/rubric-templates', rubricTemplateRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/submissions', submissionRoutes);
 
@@ -84,8 +93,10 @@ app.get('/', (req, res) => {
       courses: '/api/courses',
       commissions: '/api/commissions',
       rubrics: '/api/rubrics',
+      rubricTemplates: '/api/rubric-templates',
       users: '/api/users',
       submissions: '/api/submissions',
+      grading: '/api/grading/jobs',
       health: '/health',
     },
   });
@@ -158,6 +169,11 @@ const startServer = async () => {
     // Aumentar timeout del servidor a 30 minutos (para batch uploads)
     server.timeout = 1800000; // 30 minutos
     console.log('⏱️  Timeout del servidor: 30 minutos');
+
+    // Iniciar worker de la cola de corrección (desactivable con GRADING_WORKER_ENABLED=false)
+    if (process.env.GRADING_WORKER_ENABLED !== 'false') {
+      GradingQueueService.start();
+    }
   } catch (error) {
     console.error('❌ Error al iniciar servidor:', error);
     process.exit(1);
@@ -167,11 +183,13 @@ const startServer = async () => {
 // Manejar cierre graceful
 process.on('SIGINT', async () => {
   console.log('\n🛑 Cerrando servidor...');
+  GradingQueueService.stop();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Cerrando servidor...');
+  GradingQueueService.stop();
   process.exit(0);
 });
 
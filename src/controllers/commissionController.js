@@ -2,7 +2,7 @@
  * Controlador de Comisiones
  * Maneja todas las operaciones CRUD de comisiones
  */
-import Commission from '../models/Commission.js';
+import Commission, { RECUPERATORIO_RULES } from '../models/Commission.js';
 import User from '../models/User.js';
 import * as driveService from '../services/driveService.js';
 
@@ -255,6 +255,7 @@ export const updateCommission = async (req, res) => {
       professor_name,
       professor_email,
       year,
+      gradebook,
     } = req.body;
 
     // Buscar la comisión
@@ -281,6 +282,14 @@ export const updateCommission = async (req, res) => {
     if (professor_name !== undefined) commission.professor_name = professor_name;
     if (professor_email !== undefined) commission.professor_email = professor_email;
     if (year) commission.year = year;
+    if (gradebook?.recuperatorio_rule !== undefined) {
+      if (!Object.values(RECUPERATORIO_RULES).includes(gradebook.recuperatorio_rule)) {
+        return res.status(400).json({
+          message: `Regla de recuperatorio inválida. Valores permitidos: ${Object.values(RECUPERATORIO_RULES).join(', ')}`,
+        });
+      }
+      commission.gradebook.recuperatorio_rule = gradebook.recuperatorio_rule;
+    }
 
     await commission.save();
 
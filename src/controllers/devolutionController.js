@@ -1,26 +1,42 @@
 /**
  * Devolution Controller
  * Controlador para generación de PDFs de devolución individual y batch
+ * Las devoluciones se generan desde las correcciones guardadas en MongoDB; con source=sheet se leen
+ * de la planilla de Drive vía n8n (opcional)
  */
+import mongoose from 'mongoose';
 import DevolutionPdfService from '../services/devolutionPdfService.js';
 import Submission from '../models/Submission.js';
 import Commission from '../models/Commission.js';
-import Rubric from '../models/Rubric.js';
-import NodeDevolutionService from '../services/nodeDevolutionService.js';
+import Rubric, { ATTEMPT_POLICIES } from '../models/Rubric.js';
+import Student from '../models/Student.js';
+import { fetchSheetDevolutions } from '../services/nodeDevolutionService.js';
+import RubricVersion from '../models/RubricVersion.js';
+import { scoreCorrection } from '../services/scoringService.js';
+import {
+  parseCorrectionsFile,
+  planCorrectionImport,
+  rowToCorrection,
+  hasScoredCriteria,
+} from '../services/correctionImportService.js';
+
+// Fuentes de las devoluciones
+const DEVOLUTION_SOURCES = {
+  MONGO: 'mongo',
+  SHEET: 'sheet',
+};
 
-const getRubricWithSpreadsheet = async (rubricId) => {
-  const rubric = await Rubric.findOne({ rubric_id: rubricId });
-  if (!rubric) {
-    const error = new Error('Rúbrica no encontrada');
-    error.statusCode = 404;
-    throw error;
-  }
+/**
+ * Verifica que la rúbrica tenga planilla de Drive (solo para source=sheet)
+ * @param {Document} rubric
+ * @throws {Error} statusCode 400 si no tiene spreadsheet_file_id
+ */
+const ensureSpreadsheet = (rubric) => {
   if (!rubric.spreadsheet_file_id) {
     const error = new Error('La rúbrica no tiene spreadsheet_file_id configurado');
     error.statusCode = 400;
     throw error;
   }
-  return rubric;
 };
 
 const resolveSheetId = (rubric) => {
@@ -34,17 +50,88 @@ const resolveSheetId = (rubric) => {
 };
 
 /**
- * GET /api/submissions/:submissionId/devolution-pdf
- * Descarga PDF de devolución individual
+ * Obtiene la fuente pedida (query o body) y valida que sea conocida
+ * @param {Object} req
+ * @returns {String}
+ */
+const resolveSource = (req) => {
+  const source = req.query.source || req.body?.source || DEVOLUTION_SOURCES.MONGO;
+  if (!Object.values(DEVOLUTION_SOURCES).includes(source)) {
+    const error = new Error(`Fuente inválida: ${source}. Valores permitidos: ${Object.values(DEVOLUTION_SOURCES).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return source;
+};
+
+/**
+ * Valida el acceso del usuario a la comisión
+ * Responde 403 y devuelve false si no tiene acceso
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} target - { commission_id, university_id }
+ * @returns {Promise<Boolean>}
+ */
+const checkDevolutionAccess = async (req, res, target) => {
+  if (req.user.role === 'professor') {
+    const commission = await Commission.findOne({
+      commission_id: target.commission_id,
+      professors: req.user.userId,
+      deleted: false,
+    });
+    if (commission) return true;
+  } else if (req.user.role === 'university-admin') {
+    if (target.university_id === req.user.university_id) return true;
+  } else if (req.user.role === 'super-admin') {
+    return true;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'No tiene acceso a esta comisión',
+  });
+  return false;
+};
+
+/**
+ * Busca la rúbrica de la ruta y verifica que pertenezca a la comisión
+ * @param {String} commissionId
+ * @param {String} rubricId
+ * @returns {Promise<Document>}
+ * @throws {Error} statusCode 404 si no existe en la comisión
+ */
+const getCommissionRubric = async (commissionId, rubricId) => {
+  const rubric = await Rubric.findOne({ rubric_id: rubricId, deleted: false });
+  if (!rubric || rubric.commission_id !== commissionId) {
+    const error = new Error('Rúbrica no encontrada en la comisión indicada');
+    error.statusCode = 404;
+    throw error;
+  }
+  return rubric;
+};
+
+/**
+ * Código HTTP de un error (los controlados traen statusCode)
+ * @param {Error} error
+ * @returns {Number}
+ */
+const errorStatus = (error) =>
+  Number.isInteger(error.statusCode) && error.statusCode >= 400 && error.statusCode < 600 ? error.statusCode : 500;
+
+/**
+ * GET /api/submissions/:id/devolution-pdf
+ * Descarga PDF de devolución individual (id de MongoDB o submission_id)
  */
 export const downloadIndividualDevolutionPdf = async (req, res) => {
   try {
-    const { submissionId } = req.params;
+    const { id } = req.params;
 
-    console.log(`📄 Generando PDF individual para submission: ${submissionId}`);
+    console.log(`📄 Generando PDF individual para submission: ${id}`);
 
     // Obtener submission
-    const submission = await Submission.findOne({ submission_id: submissionId, deleted: false });
+    const submission = mongoose.isValidObjectId(id)
+      ? await Submission.findOne({ _id: id, deleted: false })
+      : await Submission.findOne({ submission_id: String(id).toLowerCase(), deleted: false });
 
     if (!submission) {
       return res.status(404).json({
@@ -53,6 +140,8 @@ export const downloadIndividualDevolutionPdf = async (req, res) => {
       });
     }
 
+    if (!(await checkDevolutionAccess(req, res, submission))) return;
+
     // Verificar que tenga corrección
     if (!submission.correction || submission.status !== 'corrected') {
       return res.status(400).json({
@@ -61,26 +150,13 @@ export const downloadIndividualDevolutionPdf = async (req, res) => {
       });
     }
 
-    // Obtener nombres de comisión y rúbrica
-    let commissionName = submission.commission_id;
-    let rubricName = submission.rubric_id;
-
-    try {
-      const commission = await Commission.findOne({ commission_id: submission.commission_id });
-      if (commission) commissionName = commission.name || commission.commission_name;
-
-      const rubric = await Rubric.findOne({ rubric_id: submission.rubric_id });
-      if (rubric) rubricName = rubric.name || rubric.rubric_name;
-    } catch (err) {
-      console.warn('No se pudieron obtener nombres de comisión/rúbrica:', err.message);
-    }
+    const { commissionName, rubricName } = await DevolutionPdfService.resolveNames(
+      submission.commission_id,
+      submission.rubric_id
+    );
 
     // Generar PDF
-    const pdfBuffer = await DevolutionPdfService.generateDevolutionPdf(
-      submission,
-      commissionName,
-      rubricName
-    );
+    const pdfBuffer = await DevolutionPdfService.generateDevolutionPdf(submission, commissionName, rubricName);
 
     // Configurar headers para descarga
     const timestamp = Date.now();
@@ -96,7 +172,7 @@ export const downloadIndividualDevolutionPdf = async (req, res) => {
     console.log(`✅ PDF generado: ${fileName} (${(pdfBuffer.length / 1024).toFixed(2)} KB)`);
   } catch (error) {
     console.error('❌ Error generando PDF individual:', error);
-    res.status(500).json({
+    res.status(errorStatus(error)).json({
       success: false,
       message: error.message || 'Error al generar el PDF',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined,
@@ -105,40 +181,36 @@ export const downloadIndividualDevolutionPdf = async (req, res) => {
 };
 
 /**
- * POST /api/commissions/:commissionId/rubrics/:rubricId/generate-devolution-pdfs
+ * POST /api/commissions/:commissionId/rubrics/:rubricId/generate-devolution-pdfs?source=mongo|sheet
  * Genera y descarga un ZIP con todos los PDFs de devolución
  */
 export const downloadBatchDevolutionPdfs = async (req, res) => {
   try {
     const { commissionId, rubricId } = req.params;
-
-    // Validar parámetros
-    if (!commissionId || !rubricId) {
-      return res.status(400).json({
-        success: false,
-        message: 'commissionId y rubricId son requeridos',
-      });
-    }
-
-    console.log(`📦 Generando batch de PDFs: ${commissionId} / ${rubricId}`);
-
-    const rubric = await getRubricWithSpreadsheet(rubricId);
-    if (rubric.commission_id !== commissionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'La rúbrica no pertenece a la comisión indicada',
-      });
+    const source = resolveSource(req);
+
+    console.log(`📦 Generando batch de PDFs (${source}): ${commissionId} / ${rubricId}`);
+
+    const rubric = await getCommissionRubric(commissionId, rubricId);
+    if (!(await checkDevolutionAccess(req, res, rubric))) return;
+
+    let buffer;
+    if (source === DEVOLUTION_SOURCES.SHEET) {
+      ensureSpreadsheet(rubric);
+      const names = await DevolutionPdfService.resolveNames(commissionId, rubricId);
+      const devolutions = await fetchSheetDevolutions(
+        {
+          spreadsheetId: rubric.spreadsheet_file_id,
+          sheetId: resolveSheetId(rubric),
+          driveFolderId: rubric.drive_folder_id,
+        },
+        names
+      );
+      buffer = await DevolutionPdfService.zipDevolutions(devolutions);
+    } else {
+      buffer = await DevolutionPdfService.generateBatchDevolutionPdfs(commissionId, rubricId);
     }
 
-    // Generar ZIP con todos los PDFs usando Python + n8n
-    const { buffer } = await NodeDevolutionService.generateBatchPdfs(
-      commissionId,
-      rubricId,
-      rubric.spreadsheet_file_id,
-      resolveSheetId(rubric),
-      rubric.drive_folder_id
-    );
-
     // Configurar headers para descarga
     const timestamp = Date.now();
     const fileName = `devoluciones_${commissionId}_${rubricId}_${timestamp}.zip`;
@@ -155,11 +227,7 @@ export const downloadBatchDevolutionPdfs = async (req, res) => {
     );
   } catch (error) {
     console.error('❌ Error generando batch de PDFs:', error);
-    const statusCode =
-      Number.isInteger(error.statusCode) && error.statusCode >= 400 && error.statusCode < 600
-        ? error.statusCode
-        : 500;
-    res.status(statusCode).json({
+    res.status(errorStatus(error)).json({
       success: false,
       message: error.message || 'Error al generar el ZIP de PDFs',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined,
@@ -168,12 +236,13 @@ export const downloadBatchDevolutionPdfs = async (req, res) => {
 };
 
 /**
- * GET /api/commissions/:commissionId/rubrics/:rubricId/students/:studentName/devolution-pdf
- * Genera y descarga PDF de devolución individual (usando n8n + Python)
+ * GET /api/commissions/:commissionId/rubrics/:rubricId/students/:studentName/devolution-pdf?source=mongo|sheet
+ * Genera y descarga PDF de devolución individual por nombre del alumno
  */
 export const downloadStudentDevolutionPdf = async (req, res) => {
   try {
     const { commissionId, rubricId, studentName } = req.params;
+    const source = resolveSource(req);
 
     if (!studentName) {
       return res.status(400).json({
@@ -182,25 +251,45 @@ export const downloadStudentDevolutionPdf = async (req, res) => {
       });
     }
 
-    console.log(`📄 Generando PDF individual via n8n para: ${studentName}`);
-
-    const rubric = await getRubricWithSpreadsheet(rubricId);
-    if (rubric.commission_id !== commissionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'La rúbrica no pertenece a la comisión indicada',
-      });
+    console.log(`📄 Generando PDF individual (${source}) para: ${studentName}`);
+
+    const rubric = await getCommissionRubric(commissionId, rubricId);
+    if (!(await checkDevolutionAccess(req, res, rubric))) return;
+
+    let buffer;
+    if (source === DEVOLUTION_SOURCES.SHEET) {
+      ensureSpreadsheet(rubric);
+      const names = await DevolutionPdfService.resolveNames(commissionId, rubricId);
+      const [devolution] = await fetchSheetDevolutions(
+        {
+          spreadsheetId: rubric.spreadsheet_file_id,
+          sheetId: resolveSheetId(rubric),
+          driveFolderId: rubric.drive_folder_id,
+          studentName,
+        },
+        names
+      );
+      buffer = await DevolutionPdfService.renderPdf(devolution);
+    } else {
+      // student_name se guarda normalizado (con guiones); el intento es el que cuenta según attempt_policy
+      const attempts = await Submission.find({
+        rubric_id: rubricId,
+        student_name: { $in: Student.nameKeysFor(studentName) },
+        deleted: false,
+      }).sort({ attempt: 1 });
+      const submission = Submission.selectCountingAttempt(attempts, rubric.attempt_policy || ATTEMPT_POLICIES.LATEST);
+
+      if (!submission || submission.status !== 'corrected') {
+        return res.status(404).json({
+          success: false,
+          message: 'No se encontró una corrección para el alumno indicado',
+        });
+      }
+
+      const { commissionName, rubricName } = await DevolutionPdfService.resolveNames(commissionId, rubricId);
+      buffer = await DevolutionPdfService.generateDevolutionPdf(submission, commissionName, rubricName);
     }
 
-    const { buffer } = await NodeDevolutionService.generateIndividualPdf(
-      commissionId,
-      rubricId,
-      studentName,
-      rubric.spreadsheet_file_id,
-      resolveSheetId(rubric),
-      rubric.drive_folder_id
-    );
-
     const timestamp = Date.now();
     const fileName = `${studentName.replace(/\s+/g, '_')}_devolucion_${timestamp}.pdf`;
 
@@ -211,12 +300,8 @@ export const downloadStudentDevolutionPdf = async (req, res) => {
 
     console.log(`✅ PDF individual generado: ${fileName}`);
   } catch (error) {
-    console.error('❌ Error generando PDF individual via n8n:', error);
-    const statusCode =
-      Number.isInteger(error.statusCode) && error.statusCode >= 400 && error.statusCode < 600
-        ? error.statusCode
-        : 500;
-    res.status(statusCode).json({
+    console.error('❌ Error generando PDF individual:', error);
+    res.status(errorStatus(error)).json({
       success: false,
       message: error.message || 'Error al generar el PDF',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined,
@@ -226,33 +311,136 @@ export const downloadStudentDevolutionPdf = async (req, res) => {
 
 /**
  * POST /api/commissions/:commissionId/rubrics/:rubricId/update-corrections-from-excel
- * Actualiza las correcciones desde un archivo Excel
- * (Funcionalidad opcional para permitir subir un Excel con correcciones y actualizar la BD)
+ * Actualiza las correcciones de la rúbrica desde una planilla XLSX/CSV
+ * Body (multipart/form-data): file (.xlsx | .csv), preview? (true: solo devuelve los cambios sin aplicarlos)
+ * Las filas se relacionan con la entrega vigente de cada alumno (submission_id, legajo o nombre)
  */
 export const updateCorrectionsFromExcel = async (req, res) => {
   try {
     const { commissionId, rubricId } = req.params;
+    const preview = req.body.preview === true || req.body.preview === 'true';
 
     // Validar que se haya subido un archivo
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'Debe proporcionar un archivo Excel',
+        message: 'Debe proporcionar un archivo Excel o CSV (campo "file")',
+      });
+    }
+
+    const rubric = await Rubric.findOne({ rubric_id: rubricId, deleted: false });
+    if (!rubric || rubric.commission_id !== commissionId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada en la comisión indicada',
+      });
+    }
+
+    // Validar acceso
+    if (req.user.role === 'professor') {
+      const commission = await Commission.findOne({
+        commission_id: commissionId,
+        professors: req.user.userId,
+        deleted: false,
+      });
+
+      if (!commission) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta comisión',
+        });
+      }
+    } else if (req.user.role === 'university-admin' && rubric.university_id !== req.user.university_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene acceso a esta comisión',
       });
     }
 
     console.log(`📊 Procesando Excel para actualizar correcciones: ${commissionId} / ${rubricId}`);
 
-    // TODO: Implementar parser de Excel usando 'xlsx' o 'exceljs'
-    // Por ahora retornamos un mensaje de que la funcionalidad está en desarrollo
+    const { rows, errors } = await parseCorrectionsFile(req.file.buffer, req.file.originalname, rubric);
+    const submissions = await Submission.find({
+      rubric_id: rubricId,
+      is_current: { $ne: false },
+      deleted: false,
+    }).populate('student', 'student_id full_name aliases');
+    const { matched, unmatched, duplicated } = planCorrectionImport(rows, submissions);
+    const changed = matched.filter((item) => item.changes.length > 0);
+
+    const summary = {
+      rows: rows.length,
+      matched: matched.length,
+      changed: changed.length,
+      unchanged: matched.length - changed.length,
+      unmatched,
+      duplicated,
+      errors,
+    };
+
+    if (preview) {
+      return res.status(200).json({
+        success: true,
+        message: `Vista previa: ${changed.length} correcciones con cambios, ${unmatched.length} filas sin entrega`,
+        data: {
+          ...summary,
+          changes: matched.map(({ row, submission, method, changes }) => ({
+            row: row.row,
+            submission_id: submission.submission_id,
+            student_name: submission.student_name,
+            match_method: method,
+            changes,
+          })),
+        },
+      });
+    }
+
+    const rubricVersion = await RubricVersion.ensureCurrentVersion(rubric);
+    const applied = [];
+
+    for (const { row, submission } of changed) {
+      try {
+        const correction = rowToCorrection(row, submission.correction, { filename: req.file.originalname });
+        // Con solo marcadores ✅/❌/⚠️ no hay puntajes por criterio: la nota es la de la planilla
+        // (con el descuento por entrega tardía, si corresponde)
+        const computed = hasScoredCriteria(row)
+          ? scoreCorrection(correction, rubric, { submission })
+          : scoreCorrection({ grade: correction.grade, criteria: [] }, rubric, { submission });
+
+        await submission.addCorrection({
+          ...correction,
+          corrected_by: req.user.userId,
+          rubric_version: rubricVersion?.version ?? null,
+          rubric_version_id: rubricVersion?._id || null,
+          computed,
+        });
+
+        applied.push({ row: row.row, submission_id: submission.submission_id, grade: submission.getEffectiveGrade() });
+      } catch (err) {
+        summary.errors.push({ row: row.row, message: err.message });
+      }
+    }
 
-    return res.status(501).json({
-      success: false,
-      message: 'Funcionalidad de importación desde Excel en desarrollo',
-      note: 'Por ahora, las correcciones deben actualizarse mediante el endpoint de actualización manual',
+    console.log(`✅ Correcciones importadas en ${rubricId}: ${applied.length} actualizadas, ${unmatched.length} sin entrega`);
+
+    res.status(200).json({
+      success: true,
+      message: `Correcciones importadas: ${applied.length} actualizadas`,
+      data: {
+        ...summary,
+        applied,
+      },
     });
   } catch (error) {
     console.error('❌ Error procesando Excel:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: error.message || 'Error al procesar el archivo Excel',
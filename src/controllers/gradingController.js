@@ -1,11 +1,43 @@
 /**
  * Grading Controller
  * Maneja la corrección de exámenes (proxy al webhook de n8n con API key del usuario)
+ * y la cola persistente de corrección de submissions
  */
 import User from '../models/User.js';
+import Submission from '../models/Submission.js';
+import Commission from '../models/Commission.js';
+import Rubric from '../models/Rubric.js';
+import GradingJob, { GRADING_JOB_STATUSES } from '../models/GradingJob.js';
+import GradingQueueService from '../services/gradingQueueService.js';
+import { resolveGradingProvider } from '../services/gradingProviders/index.js';
 import FormData from 'form-data';
 import axios from 'axios';
 
+/**
+ * Verifica si el usuario puede operar sobre recursos de una comisión/universidad
+ * @param {Object} user - req.user
+ * @param {String} commissionId
+ * @param {String} universityId
+ * @returns {Promise<Boolean>}
+ */
+const hasCommissionAccess = async (user, commissionId, universityId) => {
+  if (user.role === 'super-admin') {
+    return true;
+  }
+  if (user.role === 'university-admin') {
+    return universityId === user.university_id;
+  }
+  if (user.role === 'professor') {
+    const commission = await Commission.findOne({
+      commission_id: commissionId,
+      professors: user.userId,
+      deleted: false,
+    });
+    return !!commission;
+  }
+  return false;
+};
+
 /**
  * POST /api/grade
  * Corregir un examen individual (proxy con API key del usuario)
@@ -134,6 +166,421 @@ export const gradeSubmission = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/submissions/:id/grade
+ * Encola la corrección automática de una submission (respuesta inmediata 202)
+ */
+export const enqueueSubmissionGrading = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const submission = await Submission.findById(id);
+
+    if (!submission || submission.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission no encontrada',
+      });
+    }
+
+    if (!(await hasCommissionAccess(req.user, submission.commission_id, submission.university_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene acceso a esta submission',
+      });
+    }
+
+    const { job, created } = await GradingQueueService.enqueueSubmission(submission, req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: created
+        ? 'Corrección encolada exitosamente'
+        : 'La submission ya tiene una corrección en curso',
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error al encolar corrección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al encolar corrección',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET /api/grading/jobs?commission_id=...&rubric_id=...&status=...
+ * Lista los trabajos de corrección visibles para el usuario
+ */
+export const getGradingJobs = async (req, res) => {
+  try {
+    const { commission_id, rubric_id, status } = req.query;
+    const filters = {};
+
+    if (req.user.role === 'super-admin') {
+      // Super-admin ve todo
+    } else if (req.user.role === 'university-admin') {
+      filters.university_id = req.user.university_id;
+    } else if (req.user.role === 'professor') {
+      const professorCommissions = await Commission.find({
+        professors: req.user.userId,
+        deleted: false,
+      }).select('commission_id');
+
+      filters.commission_id = { $in: professorCommissions.map((c) => c.commission_id) };
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+      });
+    }
+
+    if (commission_id) {
+      if (filters.commission_id && !filters.commission_id.$in.includes(commission_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta comisión',
+        });
+      }
+      filters.commission_id = commission_id;
+    }
+    if (rubric_id) filters.rubric_id = rubric_id;
+    if (status) {
+      if (!Object.values(GRADING_JOB_STATUSES).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status debe ser uno de: ${Object.values(GRADING_JOB_STATUSES).join(', ')}`,
+        });
+      }
+      filters.status = status;
+    }
+
+    const jobs = await GradingJob.find(filters).sort({ createdAt: -1 }).limit(500);
+
+    const summary = Object.values(GRADING_JOB_STATUSES).reduce((acc, s) => {
+      acc[s] = jobs.filter((job) => job.status === s).length;
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      summary,
+      data: jobs,
+    });
+  } catch (error) {
+    console.error('Error al obtener trabajos de corrección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener trabajos de corrección',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET /api/grading/jobs/:jobId
+ * Obtiene el estado de un trabajo de corrección
+ */
+export const getGradingJobById = async (req, res) => {
+  try {
+    const job = await GradingJob.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trabajo de corrección no encontrado',
+      });
+    }
+
+    if (!(await hasCommissionAccess(req.user, job.commission_id, job.university_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene acceso a este trabajo de corrección',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    console.error('Error al obtener trabajo de corrección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener trabajo de corrección',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * POST /api/grading/jobs/:jobId/retry
+ * Reencola un trabajo de corrección fallido
+ */
+export const retryGradingJob = async (req, res) => {
+  try {
+    const job = await GradingJob.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trabajo de corrección no encontrado',
+      });
+    }
+
+    if (!(await hasCommissionAccess(req.user, job.commission_id, job.university_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene acceso a este trabajo de corrección',
+      });
+    }
+
+    if (job.status !== GRADING_JOB_STATUSES.FAILED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Solo se pueden reintentar trabajos fallidos',
+      });
+    }
+
+    const submission = await Submission.findById(job.submission);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission no encontrada',
+      });
+    }
+
+    const { job: newJob } = await GradingQueueService.enqueueSubmission(submission, req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Corrección reencolada exitosamente',
+      data: newJob,
+    });
+  } catch (error) {
+    console.error('Error al reintentar corrección:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al reintentar corrección',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * POST /api/commissions/:commissionId/rubrics/:rubricId/grade
+ * Corrige en bloque todas las submissions "uploaded" o "failed" de una rúbrica
+ * Cada submission se corrige con la API key de Gemini del profesor que la subió
+ * Por defecto las correcciones se encolan para el worker y se responde 202 con los IDs de los trabajos;
+ * con background: false se corrigen dentro del request solo si son pocas (GRADING_BULK_SYNC_MAX)
+ * Body: { concurrency?, dry_run?, background? }
+ */
+export const gradePendingSubmissions = async (req, res) => {
+  try {
+    const { commissionId, rubricId } = req.params;
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    const requestedSync = req.body.background === false || req.body.background === 'false';
+    const maxSyncBatch = parseInt(process.env.GRADING_BULK_SYNC_MAX, 10) || 5;
+    const maxConcurrency = parseInt(process.env.GRADING_BULK_MAX_CONCURRENCY, 10) || 10;
+    const concurrency = Math.min(Math.max(parseInt(req.body.concurrency, 10) || 3, 1), maxConcurrency);
+
+    const rubric = await Rubric.findOne({ rubric_id: rubricId, deleted: false });
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    if (rubric.commission_id !== commissionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'La rúbrica no pertenece a la comisión indicada',
+      });
+    }
+
+    if (!(await hasCommissionAccess(req.user, commissionId, rubric.university_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene acceso a esta comisión',
+      });
+    }
+
+    const submissions = await Submission.find({
+      commission_id: commissionId,
+      rubric_id: rubricId,
+      status: { $in: ['uploaded', 'failed'] },
+      // Solo el último intento de cada alumno (los reemplazados se corrigen de forma individual)
+      is_current: { $ne: false },
+      deleted: false,
+    }).sort({ student_name: 1 });
+
+    // Verificar credenciales de cada profesor que subió entregas (una sola vez por profesor)
+    const provider = await resolveGradingProvider(rubric.university_id);
+    const keyErrors = {};
+    const uploaderIds = [...new Set(submissions.map((s) => s.uploaded_by.toString()))];
+    for (const uploaderId of uploaderIds) {
+      try {
+        await provider.ensureCredentials(uploaderId);
+      } catch (error) {
+        keyErrors[uploaderId] = error.message;
+      }
+    }
+
+    const gradable = submissions.filter((s) => !keyErrors[s.uploaded_by.toString()]);
+    const skipped = submissions
+      .filter((s) => keyErrors[s.uploaded_by.toString()])
+      .map((s) => ({
+        submission_id: s.submission_id,
+        student_name: s.student_name,
+        error: keyErrors[s.uploaded_by.toString()],
+      }));
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: `Se corregirían ${gradable.length} entregas (${skipped.length} omitidas)`,
+        data: {
+          dry_run: true,
+          provider: provider.name,
+          total: submissions.length,
+          to_grade: gradable.map((s) => ({
+            submission_id: s.submission_id,
+            student_name: s.student_name,
+            status: s.status,
+            uploaded_by: s.uploaded_by,
+          })),
+          skipped,
+        },
+      });
+    }
+
+    console.log(`📝 Corrección en bloque: ${commissionId} / ${rubricId} (${gradable.length} entregas, concurrencia ${concurrency})`);
+
+    // Encolar todas las entregas (la API key usada es la del profesor que subió cada una)
+    const jobs = [];
+    for (const submission of gradable) {
+      const { job } = await GradingQueueService.enqueueSubmission(submission, submission.uploaded_by);
+      jobs.push(job);
+    }
+
+    // Un lote grande excede el timeout de cualquier proxy (cada corrección puede tardar minutos): se encola
+    if (!requestedSync || jobs.length > maxSyncBatch) {
+      return res.status(202).json({
+        success: true,
+        message: requestedSync
+          ? `${jobs.length} correcciones encoladas (más de ${maxSyncBatch} no se corrigen dentro del request)`
+          : `${jobs.length} correcciones encoladas`,
+        data: {
+          queued: jobs.length,
+          skipped,
+          jobs: jobs.map((job) => ({ job_id: job._id, submission_id: job.submission_id })),
+        },
+      });
+    }
+
+    const finishedJobs = await GradingQueueService.runJobsNow(jobs, concurrency);
+
+    const results = finishedJobs.map((job) => ({
+      job_id: job._id,
+      submission_id: job.submission_id,
+      status: job.status,
+      grade: job.result?.grade ?? null,
+      error: job.last_error,
+    }));
+
+    const succeeded = results.filter((r) => r.status === GRADING_JOB_STATUSES.COMPLETED).length;
+    const failed = results.filter((r) => r.status === GRADING_JOB_STATUSES.FAILED).length;
+    const awaitingCallback = results.filter((r) => r.status === GRADING_JOB_STATUSES.AWAITING_CALLBACK).length;
+    const retrying = results.length - succeeded - failed - awaitingCallback;
+
+    console.log(`📊 Corrección en bloque: ${succeeded} exitosas, ${failed} fallidas, ${retrying} en reintento`);
+
+    res.status(200).json({
+      success: true,
+      message: `Corrección en bloque: ${succeeded} exitosas, ${failed} fallidas, ${retrying} en reintento`,
+      data: {
+        total: submissions.length,
+        succeeded,
+        failed,
+        retrying,
+        awaiting_callback: awaitingCallback,
+        skipped,
+        results,
+      },
+    });
+  } catch (error) {
+    console.error('Error en corrección en bloque:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error en corrección en bloque',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * POST /api/grading/callback
+ * Recibe el resultado de una corrección asíncrona enviada por n8n
+ * Autenticado por secreto compartido o firma HMAC (middleware verifyN8nCallback)
+ * Body: { submission_id, grading_job_id, grade, criteria[], strengths_list[], recommendations_list[], general_feedback, ... }
+ *   o { submission_id, grading_job_id, status: 'failed', error } si la corrección falló
+ * Responde 409 si grading_job_id no es el trabajo activo de la submission (callback tardío o repetido)
+ */
+export const receiveCorrectionCallback = async (req, res) => {
+  try {
+    const submissionId = req.body?.submission_id;
+
+    if (!submissionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'El campo submission_id es requerido',
+      });
+    }
+
+    const submission = await Submission.findOne({ submission_id: submissionId, deleted: false });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission no encontrada',
+      });
+    }
+
+    const { job } = await GradingQueueService.applyCallbackResult(submission, req.body);
+
+    res.status(200).json({
+      success: true,
+      message:
+        submission.status === 'corrected'
+          ? 'Corrección guardada exitosamente'
+          : 'Fallo de corrección registrado',
+      data: {
+        submission_id: submission.submission_id,
+        status: submission.status,
+        grade: submission.correction?.grade ?? null,
+        job_id: job._id,
+      },
+    });
+  } catch (error) {
+    console.error('Error al procesar callback de corrección:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error al procesar callback de corrección',
+      error: error.message,
+    });
+  }
+};
+
 export default {
   gradeSubmission,
+  enqueueSubmissionGrading,
+  gradePendingSubmissions,
+  receiveCorrectionCallback,
+  getGradingJobs,
+  getGradingJobById,
+  retryGradingJob,
 };
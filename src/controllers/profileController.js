@@ -1,9 +1,10 @@
 /**
  * Profile Controller
- * Gestiona el perfil del usuario autenticado y su API key de Gemini
+ * Gestiona el perfil del usuario autenticado, su API key de Gemini y su proveedor LLM
  */
 import User from '../models/User.js';
 import { validateGeminiApiKey } from '../services/geminiValidation.js';
+import { getLlmProvider, listLlmProviders, validateLlmCredentials } from '../services/llmProviders/index.js';
 
 /**
  * GET /api/profile
@@ -42,6 +43,12 @@ export const getProfile = async (req, res) => {
       gemini_api_key_configured_at: user.gemini_api_key_configured_at,
       gemini_api_key_last_validated: user.gemini_api_key_last_validated,
       gemini_api_key_is_valid: user.gemini_api_key_is_valid,
+      llm_provider: user.llm_provider,
+      llm_model: user.llm_model,
+      llm_base_url: user.llm_base_url,
+      llm_api_key_last_4: user.llm_api_key_last_4,
+      llm_configured_at: user.llm_configured_at,
+      llm_is_valid: user.hasValidLlmProvider(),
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
     };
@@ -254,9 +261,172 @@ export const deleteGeminiApiKey = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/profile/llm-providers
+ * Listar proveedores LLM disponibles y sus requisitos
+ */
+export const getLlmProviders = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listLlmProviders(),
+    });
+  } catch (error) {
+    console.error('Error al listar proveedores LLM:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al listar proveedores LLM',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * PUT /api/profile/llm-provider
+ * Configurar el proveedor LLM del usuario (gemini, openai-compatible u ollama)
+ * Body: { provider, api_key?, base_url?, model? }
+ */
+export const setLlmProvider = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { provider: providerName, api_key, base_url, model } = req.body;
+
+    if (!providerName) {
+      return res.status(400).json({
+        success: false,
+        message: 'El proveedor es requerido',
+      });
+    }
+
+    let provider;
+    try {
+      provider = getLlmProvider(providerName);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const user = await User.findById(userId).select('+gemini_api_key_encrypted +llm_api_key_encrypted');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado',
+      });
+    }
+
+    if (user.deleted) {
+      return res.status(403).json({
+        success: false,
+        message: 'Usuario eliminado',
+      });
+    }
+
+    // Para Gemini se puede reutilizar la API key ya guardada
+    const apiKey = api_key || (provider.name === 'gemini' ? user.getGeminiApiKey() : null);
+
+    console.log(`🔍 Validando proveedor LLM ${provider.name} para usuario: ${user.username}`);
+    const validation = await validateLlmCredentials({
+      provider: provider.name,
+      apiKey,
+      baseUrl: base_url,
+      model,
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error || 'Credenciales inválidas',
+        models: validation.models,
+      });
+    }
+
+    await user.setLlmProvider({
+      provider: provider.name,
+      apiKey: api_key || null,
+      baseUrl: base_url,
+      model,
+    });
+
+    console.log(`✅ Proveedor LLM ${provider.name} configurado para usuario: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: `Proveedor ${provider.label} configurado exitosamente`,
+      data: {
+        llm_provider: user.llm_provider,
+        llm_model: user.llm_model || provider.getDefaultModel(),
+        llm_base_url: user.llm_base_url,
+        llm_api_key_last_4: provider.name === 'gemini' ? user.getLast4Digits() : user.llm_api_key_last_4,
+        llm_configured_at: user.llm_configured_at,
+        llm_is_valid: user.hasValidLlmProvider(),
+        models: validation.models,
+      },
+    });
+  } catch (error) {
+    console.error('Error al configurar proveedor LLM:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al configurar proveedor LLM',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * DELETE /api/profile/llm-provider
+ * Volver al proveedor por defecto (Gemini con la API key del perfil)
+ */
+export const deleteLlmProvider = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const user = await User.findById(userId).select('+gemini_api_key_encrypted +llm_api_key_encrypted');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado',
+      });
+    }
+
+    if (user.deleted) {
+      return res.status(403).json({
+        success: false,
+        message: 'Usuario eliminado',
+      });
+    }
+
+    await user.clearLlmProvider();
+
+    console.log(`🗑️ Proveedor LLM restablecido a Gemini para usuario: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Proveedor LLM restablecido a Gemini',
+      data: {
+        llm_provider: user.llm_provider,
+        llm_is_valid: user.hasValidLlmProvider(),
+      },
+    });
+  } catch (error) {
+    console.error('Error al restablecer proveedor LLM:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al restablecer proveedor LLM',
+      error: error.message,
+    });
+  }
+};
+
 export default {
   getProfile,
   updateProfile,
   setGeminiApiKey,
   deleteGeminiApiKey,
+  getLlmProviders,
+  setLlmProvider,
+  deleteLlmProvider,
 };
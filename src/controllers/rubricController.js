@@ -1,13 +1,44 @@
 /**
  * Controlador de Rúbricas
  */
-import Rubric, { RUBRIC_TYPES } from '../models/Rubric.js';
+import Rubric, { RUBRIC_TYPES, ATTEMPT_POLICIES } from '../models/Rubric.js';
+import RubricVersion, { RUBRIC_VERSION_CHANGE_TYPES } from '../models/RubricVersion.js';
 import Commission from '../models/Commission.js';
 import Course from '../models/Course.js';
+import RubricTemplate from '../models/RubricTemplate.js';
 import { generateRubricFromPDF } from '../services/n8nService.js';
+import { validateRubricJson } from '../utils/rubricSchema.js';
+import { diffJson } from '../utils/jsonDiff.js';
+import { RUBRIC_FORMATS, detectRubricFormat, parseRubricFile, exportRubric } from '../services/rubricFormatService.js';
+import { validateScoringConfig, scoreCorrection } from '../services/scoringService.js';
+import { validateDeadlineConfig, stampLateness } from '../services/deadlineService.js';
+import Submission, { LATE_STATUSES } from '../models/Submission.js';
 import fs from 'fs/promises';
 import path from 'path';
 
+/**
+ * rubric_json de una plantilla adaptado a una rúbrica concreta (conserva su rubric_id)
+ * @param {Document} template - RubricTemplate
+ * @param {String} rubricId - rubric_id de la instancia
+ * @returns {Object}
+ */
+const templateJsonFor = (template, rubricId) => ({ ...template.rubric_json, rubric_id: rubricId });
+
+/**
+ * Estado de sincronización de una rúbrica con su plantilla
+ * @param {Document} rubric - Rubric vinculada a una plantilla
+ * @param {Document|null} template - RubricTemplate (null si fue eliminada)
+ * @returns {Object} { template_id, synced_version, latest_version, update_available, template_deleted }
+ */
+const buildTemplateUpdateInfo = (rubric, template) => ({
+  template_id: rubric.template_id,
+  template_name: template?.name ?? null,
+  synced_version: rubric.template_version,
+  latest_version: template?.version ?? null,
+  update_available: Boolean(template?.published) && (rubric.template_version || 0) < template.version,
+  template_deleted: !template,
+});
+
 /**
  * Listar todas las rúbricas activas - GET /api/rubrics
  * @route GET /api/rubrics?commission_id=...&course_id=...&rubric_type=...&year=...&career_id=...&faculty_id=...&university_id=...
@@ -134,9 +165,17 @@ export const getRubricById = async (req, res) => {
       });
     }
 
+    // Aviso de "plantilla actualizada" para rúbricas vinculadas a una plantilla
+    let template_update = null;
+    if (rubric.template_id) {
+      const template = await RubricTemplate.findOne({ template_id: rubric.template_id, deleted: false });
+      template_update = buildTemplateUpdateInfo(rubric, template);
+    }
+
     res.status(200).json({
       success: true,
       data: rubric,
+      template_update,
     });
   } catch (error) {
     console.error('Error al obtener rúbrica:', error);
@@ -166,6 +205,9 @@ export const createRubric = async (req, res) => {
       rubric_number,
       year,
       rubric_json,
+      scoring,
+      deadline,
+      attempt_policy,
     } = req.body;
 
     const userRole = req.user.role;
@@ -247,6 +289,47 @@ export const createRubric = async (req, res) => {
       });
     }
 
+    // Validar estructura del rubric_json
+    const validation = validateRubricJson(rubric_json);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El JSON de la rúbrica no es válido',
+        errors: validation.errors,
+      });
+    }
+
+    // Validar configuración de puntaje (opcional)
+    if (scoring !== undefined) {
+      const scoringErrors = validateScoringConfig(scoring);
+      if (scoringErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'La configuración de puntaje no es válida',
+          errors: scoringErrors,
+        });
+      }
+    }
+
+    // Validar fecha límite y descuento por entrega tardía (opcional)
+    if (deadline !== undefined) {
+      const deadlineErrors = validateDeadlineConfig(deadline);
+      if (deadlineErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'La configuración de fecha límite no es válida',
+          errors: deadlineErrors,
+        });
+      }
+    }
+
+    if (attempt_policy !== undefined && !Object.values(ATTEMPT_POLICIES).includes(attempt_policy)) {
+      return res.status(400).json({
+        success: false,
+        message: `La política de intentos debe ser una de: ${Object.values(ATTEMPT_POLICIES).join(', ')}`,
+      });
+    }
+
     // Verificar que la comisión existe
     const commission = await Commission.findOne({ commission_id, deleted: false });
     if (!commission) {
@@ -296,11 +379,20 @@ export const createRubric = async (req, res) => {
       rubric_number,
       year,
       rubric_json,
+      scoring,
+      deadline,
+      attempt_policy,
       source: 'json',
     });
 
     await rubric.save();
 
+    // Registrar versión inicial
+    await RubricVersion.recordVersion(rubric, {
+      changeType: RUBRIC_VERSION_CHANGE_TYPES.CREATE,
+      userId: req.user.userId,
+    });
+
     // Crear carpeta de submission en Google Drive y guardar el folder_id
     // Usamos el rubric_id como submit_id para crear la carpeta
     const { createSubmissionFolder } = await import('../services/driveService.js');
@@ -464,6 +556,18 @@ export const createRubricFromPDF = async (req, res) => {
     console.log('📄 Generando rúbrica desde PDF con n8n...');
     const rubric_json = await generateRubricFromPDF(pdfPath, userId);
 
+    // Validar la rúbrica generada por n8n antes de guardarla
+    const validation = validateRubricJson(rubric_json);
+    if (!validation.valid) {
+      console.warn('⚠️ La rúbrica generada desde el PDF no es válida:', validation.errors);
+      return res.status(422).json({
+        success: false,
+        message: 'La rúbrica generada desde el PDF no es válida',
+        errors: validation.errors,
+        data: { rubric_json },
+      });
+    }
+
     // Generar ID único
     const rubric_id = Rubric.generateRubricId(commission_id, rubric_type, name, rubric_number);
 
@@ -486,6 +590,12 @@ export const createRubricFromPDF = async (req, res) => {
 
     await rubric.save();
 
+    // Registrar versión inicial
+    await RubricVersion.recordVersion(rubric, {
+      changeType: RUBRIC_VERSION_CHANGE_TYPES.CREATE,
+      userId: req.user.userId,
+    });
+
     // Crear carpeta de submission en Google Drive y guardar el folder_id
     // Usamos el rubric_id como submit_id para crear la carpeta
     const { createSubmissionFolder } = await import('../services/driveService.js');
@@ -570,16 +680,81 @@ export const createRubricFromPDF = async (req, res) => {
 export const updateRubric = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, rubric_json, course_id, career_id, faculty_id, university_id, year } = req.body;
+    const {
+      name,
+      rubric_json,
+      course_id,
+      career_id,
+      faculty_id,
+      university_id,
+      year,
+      scoring,
+      deadline,
+      attempt_policy,
+    } = req.body;
 
     // Validar datos
-    if (!name && !rubric_json && !course_id && !career_id && !faculty_id && !university_id && !year) {
+    if (
+      !name &&
+      !rubric_json &&
+      !course_id &&
+      !career_id &&
+      !faculty_id &&
+      !university_id &&
+      !year &&
+      !scoring &&
+      !deadline &&
+      !attempt_policy
+    ) {
       return res.status(400).json({
         success: false,
         message: 'Al menos un campo es requerido para actualizar',
       });
     }
 
+    // Validar estructura del rubric_json
+    if (rubric_json) {
+      const validation = validateRubricJson(rubric_json);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'El JSON de la rúbrica no es válido',
+          errors: validation.errors,
+        });
+      }
+    }
+
+    // Validar configuración de puntaje
+    if (scoring) {
+      const scoringErrors = validateScoringConfig(scoring);
+      if (scoringErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'La configuración de puntaje no es válida',
+          errors: scoringErrors,
+        });
+      }
+    }
+
+    // Validar fecha límite
+    if (deadline) {
+      const deadlineErrors = validateDeadlineConfig(deadline);
+      if (deadlineErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'La configuración de fecha límite no es válida',
+          errors: deadlineErrors,
+        });
+      }
+    }
+
+    if (attempt_policy && !Object.values(ATTEMPT_POLICIES).includes(attempt_policy)) {
+      return res.status(400).json({
+        success: false,
+        message: `La política de intentos debe ser una de: ${Object.values(ATTEMPT_POLICIES).join(', ')}`,
+      });
+    }
+
     // Buscar rúbrica
     const rubric = await Rubric.findById(id);
 
@@ -590,6 +765,9 @@ export const updateRubric = async (req, res) => {
       });
     }
 
+    // Asegurar que el estado previo quede versionado (rúbricas anteriores al versionado)
+    await RubricVersion.ensureCurrentVersion(rubric);
+
     // Actualizar campos
     if (name) rubric.name = name;
     if (rubric_json) rubric.rubric_json = rubric_json;
@@ -598,13 +776,38 @@ export const updateRubric = async (req, res) => {
     if (faculty_id) rubric.faculty_id = faculty_id;
     if (university_id) rubric.university_id = university_id;
     if (year) rubric.year = year;
+    if (scoring) rubric.set('scoring', { ...(rubric.scoring?.toObject?.() || {}), ...scoring });
+    if (deadline) {
+      const currentDeadline = rubric.deadline?.toObject?.() || {};
+      rubric.set('deadline', {
+        ...currentDeadline,
+        ...deadline,
+        late_penalty: { ...(currentDeadline.late_penalty || {}), ...(deadline.late_penalty || {}) },
+      });
+    }
+    if (attempt_policy) rubric.attempt_policy = attempt_policy;
+
+    // Cambios que afectan las notas calculadas: escala/redondeo, pesos de criterios o fecha límite
+    const affectsScores = ['scoring', 'rubric_json', 'deadline'].some((field) => rubric.isModified(field));
 
     await rubric.save();
 
+    // Volver a marcar las entregas y recalcular sus notas para que correction.computed no quede desactualizado
+    const rescore = affectsScores ? await rescoreSubmissions(rubric) : null;
+
+    // Registrar nueva versión (solo si cambió el nombre o el rubric_json)
+    const version = await RubricVersion.recordVersion(rubric, {
+      changeType: RUBRIC_VERSION_CHANGE_TYPES.UPDATE,
+      userId: req.user.userId,
+      comment: req.body.version_comment,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Rúbrica actualizada exitosamente',
       data: rubric,
+      version: version.version,
+      rescore: rescore || undefined,
     });
   } catch (error) {
     console.error('Error al actualizar rúbrica:', error);
@@ -801,3 +1004,1033 @@ export const fixRubricDriveFolder = async (req, res) => {
     });
   }
 };
+
+/**
+ * Validar un rubric_json sin guardarlo - POST /api/rubrics/validate
+ * Body: { rubric_json }
+ * @route POST /api/rubrics/validate
+ * @access Private (requiere autenticación)
+ */
+export const validateRubric = async (req, res) => {
+  try {
+    const { rubric_json } = req.body;
+
+    if (rubric_json === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'rubric_json es requerido',
+      });
+    }
+
+    const validation = validateRubricJson(rubric_json);
+
+    res.status(200).json({
+      success: true,
+      message: validation.valid ? 'La rúbrica es válida' : 'La rúbrica tiene errores',
+      data: validation,
+    });
+  } catch (error) {
+    console.error('Error al validar rúbrica:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al validar rúbrica',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Indica si el usuario tiene acceso a una rúbrica (historial de versiones, exportación, etc.)
+ * (mismas reglas que para modificar rúbricas de la comisión)
+ * @param {Object} user - req.user
+ * @param {Document} rubric
+ * @returns {Promise<Boolean>}
+ */
+const canAccessRubric = async (user, rubric) => {
+  const commission = await Commission.findOne({
+    commission_id: rubric.commission_id,
+    course_id: rubric.course_id,
+    deleted: false,
+  });
+  return Boolean(commission) && canCreateRubricInCommission(user, commission);
+};
+
+/**
+ * Listar versiones de una rúbrica - GET /api/rubrics/:id/versions
+ * @route GET /api/rubrics/:id/versions
+ * @access Private (docentes y administradores con acceso a la comisión)
+ */
+export const getRubricVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rubric = await Rubric.findById(id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    if (!(await canAccessRubric(req.user, rubric))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver el historial de rúbricas de esta comisión',
+      });
+    }
+
+    // Rúbricas anteriores al versionado: crear la versión base
+    await RubricVersion.ensureCurrentVersion(rubric);
+
+    const versions = await RubricVersion.find({ rubric_id: rubric.rubric_id })
+      .select('-rubric_json')
+      .populate('created_by', 'name username')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      current_version: rubric.current_version,
+      data: versions.map((v) => ({
+        _id: v._id,
+        version: v.version,
+        name: v.name,
+        change_type: v.change_type,
+        restored_from_version: v.restored_from_version,
+        comment: v.comment,
+        created_by: v.created_by,
+        createdAt: v.createdAt,
+        changes_count: v.diff.length,
+        diff: v.diff,
+      })),
+    });
+  } catch (error) {
+    console.error('Error al obtener versiones de rúbrica:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener versiones de rúbrica',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Obtener una versión de una rúbrica - GET /api/rubrics/:id/versions/:version
+ * @route GET /api/rubrics/:id/versions/:version
+ * @access Private (docentes y administradores con acceso a la comisión)
+ */
+export const getRubricVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    const rubric = await Rubric.findById(id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    if (!(await canAccessRubric(req.user, rubric))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver el historial de rúbricas de esta comisión',
+      });
+    }
+
+    const rubricVersion = await RubricVersion.findOne({
+      rubric_id: rubric.rubric_id,
+      version: parseInt(version, 10),
+    }).populate('created_by', 'name username');
+
+    if (!rubricVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `La versión ${version} no existe para esta rúbrica`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rubricVersion,
+    });
+  } catch (error) {
+    console.error('Error al obtener versión de rúbrica:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener versión de rúbrica',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restaurar una versión anterior de una rúbrica - POST /api/rubrics/:id/versions/:version/restore
+ * Crea una nueva versión con el contenido de la versión restaurada (el historial no se reescribe)
+ * @route POST /api/rubrics/:id/versions/:version/restore
+ * @access Private (solo admin)
+ */
+export const restoreRubricVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    const rubric = await Rubric.findById(id);
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    if (!(await canAccessRubric(req.user, rubric))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para modificar rúbricas de esta comisión',
+      });
+    }
+
+    const rubricVersion = await RubricVersion.findOne({
+      rubric_id: rubric.rubric_id,
+      version: parseInt(version, 10),
+    });
+
+    if (!rubricVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `La versión ${version} no existe para esta rúbrica`,
+      });
+    }
+
+    // Asegurar que el estado actual quede versionado antes de reemplazarlo
+    await RubricVersion.ensureCurrentVersion(rubric);
+
+    rubric.name = rubricVersion.name;
+    rubric.rubric_json = rubricVersion.rubric_json;
+    await rubric.save();
+
+    const newVersion = await RubricVersion.recordVersion(rubric, {
+      changeType: RUBRIC_VERSION_CHANGE_TYPES.RESTORE,
+      userId: req.user.userId,
+      restoredFromVersion: rubricVersion.version,
+      comment: req.body?.comment || `Restaurada desde la versión ${rubricVersion.version}`,
+    });
+
+    console.log(`♻️ Rúbrica ${rubric.rubric_id} restaurada a la versión ${rubricVersion.version} (nueva versión ${newVersion.version})`);
+
+    res.status(200).json({
+      success: true,
+      message: `Rúbrica restaurada desde la versión ${rubricVersion.version}`,
+      data: rubric,
+      version: newVersion.version,
+    });
+  } catch (error) {
+    console.error('Error al restaurar versión de rúbrica:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al restaurar versión de rúbrica',
+      error: error.message,
+    });
+  }
+};
+
+// Alcances predefinidos para clonar una rúbrica
+const CLONE_SCOPES = {
+  COURSE: 'course', // Todas las comisiones del mismo curso y año
+  NEXT_YEAR: 'next-year', // Las comisiones del mismo curso en el año siguiente
+};
+
+/**
+ * Indica si el usuario puede crear rúbricas en una comisión (mismas reglas que createRubric)
+ * @param {Object} user - req.user
+ * @param {Document} commission - Comisión destino
+ * @returns {Boolean}
+ */
+const canCreateRubricInCommission = (user, commission) => {
+  switch (user.role) {
+    case 'super-admin':
+      return true;
+    case 'university-admin':
+      return commission.university_id === user.university_id;
+    case 'faculty-admin':
+      return commission.university_id === user.university_id && commission.faculty_id === user.faculty_id;
+    case 'professor-admin':
+      return (user.course_ids || []).includes(commission.course_id);
+    case 'professor':
+      return commission.professors.some((p) => p.toString() === user.userId?.toString());
+    default:
+      return false;
+  }
+};
+
+/**
+ * Crear la carpeta de Drive de una rúbrica y guardar folder_id y spreadsheet
+ * No lanza errores: una falla de Drive no invalida la rúbrica
+ * @param {Document} rubric
+ * @returns {Promise<Boolean>} true si se creó la carpeta
+ */
+const createRubricDriveFolder = async (rubric) => {
+  const { createSubmissionFolder } = await import('../services/driveService.js');
+  try {
+    const driveResponse = await createSubmissionFolder(
+      rubric.rubric_id,
+      rubric.commission_id,
+      rubric.course_id,
+      rubric.career_id,
+      rubric.faculty_id,
+      rubric.university_id
+    );
+
+    if (!driveResponse.success || !driveResponse.folder_id) {
+      console.warn(`⚠️ No se pudo crear carpeta en Drive para ${rubric.rubric_id}. Respuesta:`, driveResponse);
+      return false;
+    }
+
+    rubric.drive_folder_id = driveResponse.folder_id;
+    if (driveResponse.spreadsheet_id) {
+      rubric.spreadsheet_file_id = driveResponse.spreadsheet_id;
+      rubric.spreadsheet_file_url = driveResponse.spreadsheet_url;
+    }
+    await rubric.save();
+    return true;
+  } catch (err) {
+    console.error(`⚠️ Error al crear carpeta de Drive para ${rubric.rubric_id}:`, err);
+    return false;
+  }
+};
+
+/**
+ * Clonar rúbrica a otras comisiones - POST /api/rubrics/:id/clone
+ * Body: { commission_ids?: [String], scope?: 'course' | 'next-year', name?: String }
+ * - commission_ids: comisiones destino explícitas
+ * - scope 'course': todas las comisiones del mismo curso y año (excepto la de origen)
+ * - scope 'next-year': las comisiones del mismo curso en el año siguiente
+ * Cada destino se informa por separado: created | conflict | forbidden | not-found | error
+ * Se copian la escala (scoring), la fecha límite y la política de intentos; en otro año la fecha de
+ * entrega (due_date) queda vacía para no marcar como tardías todas las entregas
+ * @route POST /api/rubrics/:id/clone
+ * @access Private (solo admin)
+ */
+export const cloneRubric = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { commission_ids, scope, name } = req.body;
+
+    const hasExplicitTargets = Array.isArray(commission_ids) && commission_ids.length > 0;
+
+    if (!hasExplicitTargets && !scope) {
+      return res.status(400).json({
+        success: false,
+        message: `Debe indicar commission_ids o scope (${Object.values(CLONE_SCOPES).join(', ')})`,
+      });
+    }
+
+    if (scope && !Object.values(CLONE_SCOPES).includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope debe ser uno de: ${Object.values(CLONE_SCOPES).join(', ')}`,
+      });
+    }
+
+    const source = await Rubric.findOne({ _id: id, deleted: false });
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    // Resolver comisiones destino
+    const targetIds = new Set(hasExplicitTargets ? commission_ids.map((c) => String(c).trim().toLowerCase()) : []);
+
+    if (scope === CLONE_SCOPES.COURSE || scope === CLONE_SCOPES.NEXT_YEAR) {
+      const year = scope === CLONE_SCOPES.NEXT_YEAR ? source.year + 1 : source.year;
+      // El course_id lleva el año como prefijo: el año siguiente es otro curso
+      const scopedCourseId = Course.courseIdForYear(source.course_id, year);
+      const scoped = await Commission.findActive({ course_id: scopedCourseId, year });
+      scoped.forEach((c) => targetIds.add(c.commission_id));
+    }
+
+    // Curso de las comisiones destino (en el año siguiente puede repetirse el commission_id de origen)
+    const targetCourseId =
+      scope === CLONE_SCOPES.NEXT_YEAR ? Course.courseIdForYear(source.course_id, source.year + 1) : source.course_id;
+
+    // Nunca clonar sobre la comisión de origen en el mismo curso
+    if (targetCourseId === source.course_id) {
+      targetIds.delete(source.commission_id);
+    }
+
+    if (targetIds.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se encontraron comisiones destino para clonar la rúbrica',
+      });
+    }
+
+    const commissions = await Commission.find({
+      commission_id: { $in: [...targetIds] },
+      deleted: false,
+    });
+    // commission_id es único por curso: ante ambigüedad se prioriza el curso destino
+    const commissionsById = new Map();
+    commissions.forEach((c) => {
+      if (!commissionsById.has(c.commission_id) || c.course_id === targetCourseId) {
+        commissionsById.set(c.commission_id, c);
+      }
+    });
+
+    const rubricName = name || source.name;
+    const results = [];
+
+    for (const commissionId of targetIds) {
+      const commission = commissionsById.get(commissionId);
+
+      if (!commission) {
+        results.push({ commission_id: commissionId, status: 'not-found', message: 'La comisión no existe' });
+        continue;
+      }
+
+      if (!canCreateRubricInCommission(req.user, commission)) {
+        results.push({ commission_id: commissionId, status: 'forbidden', message: 'No tiene permisos para crear rúbricas en esta comisión' });
+        continue;
+      }
+
+      // El índice único (comisión + tipo + número) incluye las rúbricas eliminadas
+      const existing = await Rubric.findOne({
+        commission_id: commissionId,
+        rubric_type: source.rubric_type,
+        rubric_number: source.rubric_number,
+      });
+
+      if (existing) {
+        results.push({
+          commission_id: commissionId,
+          status: 'conflict',
+          message: existing.deleted
+            ? `Existe una rúbrica eliminada de tipo ${source.rubric_type} con número ${source.rubric_number} en esta comisión`
+            : `Ya existe una rúbrica de tipo ${source.rubric_type} con número ${source.rubric_number} en esta comisión`,
+          existing_rubric_id: existing.rubric_id,
+        });
+        continue;
+      }
+
+      try {
+        const rubric_id = Rubric.generateRubricId(commissionId, source.rubric_type, rubricName, source.rubric_number);
+
+        const rubric = new Rubric({
+          rubric_id,
+          name: rubricName,
+          commission_id: commissionId,
+          course_id: commission.course_id,
+          career_id: commission.career_id,
+          faculty_id: commission.faculty_id,
+          university_id: commission.university_id,
+          rubric_type: source.rubric_type,
+          rubric_number: source.rubric_number,
+          year: commission.year,
+          rubric_json: { ...source.rubric_json, rubric_id },
+          source: source.source,
+          original_file_url: source.original_file_url,
+          cloned_from: source.rubric_id,
+          template_id: source.template_id,
+          template_version: source.template_version,
+          template_synced_at: source.template_synced_at,
+          scoring: source.scoring?.toObject?.() || source.scoring,
+          deadline: {
+            ...(source.deadline?.toObject?.() || source.deadline || {}),
+            ...(commission.year !== source.year ? { due_date: null } : {}),
+          },
+          attempt_policy: source.attempt_policy,
+        });
+
+        await rubric.save();
+
+        await RubricVersion.recordVersion(rubric, {
+          changeType: RUBRIC_VERSION_CHANGE_TYPES.CREATE,
+          userId: req.user.userId,
+          comment: `Clonada desde ${source.rubric_id} (versión ${source.current_version})`,
+        });
+
+        const driveFolderCreated = await createRubricDriveFolder(rubric);
+
+        results.push({
+          commission_id: commissionId,
+          status: 'created',
+          rubric_id,
+          _id: rubric._id,
+          year: rubric.year,
+          drive_folder_created: driveFolderCreated,
+        });
+      } catch (err) {
+        if (err.code === 11000) {
+          results.push({ commission_id: commissionId, status: 'conflict', message: 'Ya existe una rúbrica con esa combinación de comisión, tipo y número' });
+        } else {
+          console.error(`❌ Error al clonar rúbrica en comisión ${commissionId}:`, err);
+          results.push({ commission_id: commissionId, status: 'error', message: err.message });
+        }
+      }
+    }
+
+    const created = results.filter((r) => r.status === 'created').length;
+
+    console.log(`🧬 Rúbrica ${source.rubric_id} clonada en ${created}/${results.length} comisiones`);
+
+    res.status(created > 0 ? 201 : 200).json({
+      success: true,
+      message: `Rúbrica clonada en ${created} de ${results.length} comisiones`,
+      data: {
+        source_rubric_id: source.rubric_id,
+        results,
+      },
+      count: created,
+    });
+  } catch (error) {
+    console.error('Error al clonar rúbrica:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al clonar rúbrica',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Crear rúbrica desde una plantilla - POST /api/rubrics/from-template
+ * Body: { template_id, commission_id, rubric_number?, name? }
+ * La rúbrica queda vinculada a la plantilla para recibir avisos de actualización
+ * @route POST /api/rubrics/from-template
+ * @access Private (profesores de la comisión y administradores)
+ */
+export const createRubricFromTemplate = async (req, res) => {
+  try {
+    const { template_id, commission_id, rubric_number = 1, name } = req.body;
+
+    if (!template_id || !commission_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Faltan campos requeridos: template_id, commission_id',
+      });
+    }
+
+    const template = await RubricTemplate.findOne({ template_id, deleted: false, published: true });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plantilla no encontrada o no publicada',
+      });
+    }
+
+    const commission = await Commission.findOne({ commission_id, deleted: false });
+    if (!commission) {
+      return res.status(400).json({
+        success: false,
+        message: 'La comisión especificada no existe',
+      });
+    }
+
+    if (!template.appliesTo(commission)) {
+      return res.status(400).json({
+        success: false,
+        message: 'La plantilla no corresponde al curso, carrera o universidad de la comisión',
+      });
+    }
+
+    if (!canCreateRubricInCommission(req.user, commission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo puede crear rúbricas para sus comisiones asignadas',
+      });
+    }
+
+    const existingRubric = await Rubric.findOne({
+      commission_id,
+      rubric_type: template.rubric_type,
+      rubric_number,
+      deleted: false,
+    });
+
+    if (existingRubric) {
+      return res.status(409).json({
+        success: false,
+        message: `Ya existe una rúbrica de tipo ${template.rubric_type} con número ${rubric_number} en esta comisión`,
+      });
+    }
+
+    const rubricName = name || template.name;
+    const rubric_id = Rubric.generateRubricId(commission_id, template.rubric_type, rubricName, rubric_number);
+
+    const rubric = new Rubric({
+      rubric_id,
+      name: rubricName,
+      commission_id,
+      course_id: commission.course_id,
+      career_id: commission.career_id,
+      faculty_id: commission.faculty_id,
+      university_id: commission.university_id,
+      rubric_type: template.rubric_type,
+      rubric_number,
+      year: commission.year,
+      rubric_json: templateJsonFor(template, rubric_id),
+      source: 'template',
+      template_id: template.template_id,
+      template_version: template.version,
+      template_synced_at: new Date(),
+    });
+
+    await rubric.save();
+
+    await RubricVersion.recordVersion(rubric, {
+      changeType: RUBRIC_VERSION_CHANGE_TYPES.CREATE,
+      userId: req.user.userId,
+      comment: `Creada desde la plantilla ${template.template_id} (versión ${template.version})`,
+    });
+
+    await createRubricDriveFolder(rubric);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rúbrica creada desde plantilla exitosamente',
+      data: rubric,
+    });
+  } catch (error) {
+    console.error('Error al crear rúbrica desde plantilla:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: messages,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe una rúbrica con esa combinación de comisión, tipo y número',
+        error: 'Clave duplicada',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear rúbrica desde plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Listar rúbricas con actualizaciones de plantilla pendientes - GET /api/rubrics/template-updates
+ * Aviso "plantilla actualizada, ¿traer cambios?" para las comisiones del usuario
+ * @route GET /api/rubrics/template-updates?commission_id=...&course_id=...
+ * @access Private (requiere autenticación)
+ */
+export const getRubricTemplateUpdates = async (req, res) => {
+  try {
+    const { commission_id, course_id } = req.query;
+
+    const query = { template_id: { $ne: null }, deleted: false };
+    if (commission_id) query.commission_id = commission_id;
+    if (course_id) query.course_id = course_id;
+
+    // Los profesores solo reciben avisos de sus comisiones
+    if (req.user.role === 'professor') {
+      const commissions = await Commission.find({ professors: req.user.userId, deleted: false }).select('commission_id');
+      const ownIds = commissions.map((c) => c.commission_id);
+      query.commission_id = commission_id
+        ? (ownIds.includes(commission_id) ? commission_id : { $in: [] })
+        : { $in: ownIds };
+    } else if (req.user.role !== 'super-admin') {
+      query.university_id = req.user.university_id;
+    }
+
+    const rubrics = await Rubric.find(query).select('rubric_id name commission_id course_id year template_id template_version');
+    const templateIds = [...new Set(rubrics.map((r) => r.template_id))];
+    const templates = await RubricTemplate.find({ template_id: { $in: templateIds }, deleted: false });
+    const templatesById = new Map(templates.map((t) => [t.template_id, t]));
+
+    const updates = rubrics
+      .map((rubric) => ({
+        _id: rubric._id,
+        rubric_id: rubric.rubric_id,
+        name: rubric.name,
+        commission_id: rubric.commission_id,
+        ...buildTemplateUpdateInfo(rubric, templatesById.get(rubric.template_id) || null),
+      }))
+      .filter((info) => info.update_available);
+
+    res.status(200).json({
+      success: true,
+      count: updates.length,
+      data: updates,
+    });
+  } catch (error) {
+    console.error('Error al obtener actualizaciones de plantillas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener actualizaciones de plantillas',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Estado de la rúbrica respecto de su plantilla - GET /api/rubrics/:id/template-status
+ * Incluye el diff entre la rúbrica actual y la última versión de la plantilla
+ * @route GET /api/rubrics/:id/template-status
+ * @access Private (docentes y administradores con acceso a la comisión)
+ */
+export const getRubricTemplateStatus = async (req, res) => {
+  try {
+    const rubric = await Rubric.findOne({ _id: req.params.id, deleted: false });
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    if (!(await canAccessRubric(req.user, rubric))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver rúbricas de esta comisión',
+      });
+    }
+
+    if (!rubric.template_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'La rúbrica no está vinculada a una plantilla',
+      });
+    }
+
+    const template = await RubricTemplate.findOne({ template_id: rubric.template_id, deleted: false });
+
+    const diff = template
+      ? diffJson(
+          { name: rubric.name, rubric_json: rubric.rubric_json },
+          { name: template.name, rubric_json: templateJsonFor(template, rubric.rubric_id) }
+        )
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...buildTemplateUpdateInfo(rubric, template),
+        template_synced_at: rubric.template_synced_at,
+        diff,
+      },
+    });
+  } catch (error) {
+    console.error('Error al obtener estado de plantilla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener estado de plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Traer los cambios de la plantilla a la rúbrica - POST /api/rubrics/:id/template-sync
+ * Body: { dismiss?: Boolean, keep_name?: Boolean }
+ * - dismiss: descartar el aviso sin modificar la rúbrica
+ * El estado anterior queda en el historial de versiones y puede restaurarse
+ * @route POST /api/rubrics/:id/template-sync
+ * @access Private (profesores de la comisión y administradores)
+ */
+export const syncRubricWithTemplate = async (req, res) => {
+  try {
+    const { dismiss = false, keep_name = true } = req.body || {};
+
+    const rubric = await Rubric.findOne({ _id: req.params.id, deleted: false });
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    if (!rubric.template_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'La rúbrica no está vinculada a una plantilla',
+      });
+    }
+
+    const commission = await Commission.findOne({ commission_id: rubric.commission_id, deleted: false });
+    if (!commission || !canCreateRubricInCommission(req.user, commission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para modificar rúbricas de esta comisión',
+      });
+    }
+
+    const template = await RubricTemplate.findOne({ template_id: rubric.template_id, deleted: false });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'La plantilla vinculada ya no existe',
+      });
+    }
+
+    if (dismiss) {
+      rubric.template_version = template.version;
+      await rubric.save();
+
+      return res.status(200).json({
+        success: true,
+        message: `Aviso descartado: la rúbrica se mantiene sin cambios (plantilla versión ${template.version})`,
+        data: rubric,
+      });
+    }
+
+    // Asegurar que el estado previo quede versionado antes de reemplazarlo
+    await RubricVersion.ensureCurrentVersion(rubric);
+
+    if (!keep_name) rubric.name = template.name;
+    rubric.rubric_json = templateJsonFor(template, rubric.rubric_id);
+    rubric.template_version = template.version;
+    rubric.template_synced_at = new Date();
+    await rubric.save();
+
+    const version = await RubricVersion.recordVersion(rubric, {
+      changeType: RUBRIC_VERSION_CHANGE_TYPES.UPDATE,
+      userId: req.user.userId,
+      comment: `Sincronizada con la plantilla ${template.template_id} (versión ${template.version})`,
+    });
+
+    console.log(`🔄 Rúbrica ${rubric.rubric_id} sincronizada con plantilla ${template.template_id} v${template.version}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Rúbrica sincronizada con la versión ${template.version} de la plantilla`,
+      data: rubric,
+      version: version.version,
+    });
+  } catch (error) {
+    console.error('Error al sincronizar rúbrica con plantilla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al sincronizar rúbrica con plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Importar rúbrica desde archivo - POST /api/rubrics/import
+ * Archivo (campo "file"): .md, .csv, .xlsx o .json
+ * Body: mismos campos que POST /api/rubrics (sin rubric_json) + preview=true para solo convertir y validar
+ * @route POST /api/rubrics/import
+ * @access Private (solo admin)
+ */
+export const importRubric = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se proporcionó archivo (campo "file")',
+      });
+    }
+
+    const format = detectRubricFormat(req.file.originalname);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Formato no soportado. Formatos válidos: ${Object.values(RUBRIC_FORMATS).join(', ')}`,
+      });
+    }
+
+    const fallbackTitle = req.body.name || path.parse(req.file.originalname).name;
+    const rubricJson = await parseRubricFile(req.file.buffer, format, { title: fallbackTitle });
+
+    console.log(`📥 Rúbrica importada desde ${format}: ${req.file.originalname}`);
+
+    if (req.body.preview === true || req.body.preview === 'true') {
+      return res.status(200).json({
+        success: true,
+        message: 'Vista previa de la rúbrica importada',
+        data: {
+          format,
+          rubric_json: rubricJson,
+          validation: validateRubricJson(rubricJson),
+        },
+      });
+    }
+
+    // multipart/form-data envía los números como texto
+    req.body.rubric_json = rubricJson;
+    req.body.name = req.body.name || rubricJson.title || fallbackTitle;
+    if (req.body.rubric_number) req.body.rubric_number = parseInt(req.body.rubric_number, 10);
+    if (req.body.year) req.body.year = parseInt(req.body.year, 10);
+
+    return await createRubric(req, res);
+  } catch (error) {
+    console.error('Error al importar rúbrica:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al importar rúbrica',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Exportar rúbrica - GET /api/rubrics/:id/export?format=md|csv|xlsx|json
+ * @route GET /api/rubrics/:id/export
+ * @access Private (docentes y administradores con acceso a la comisión)
+ */
+export const exportRubricFile = async (req, res) => {
+  try {
+    const format = (req.query.format || RUBRIC_FORMATS.JSON).toLowerCase();
+
+    if (!Object.values(RUBRIC_FORMATS).includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format debe ser uno de: ${Object.values(RUBRIC_FORMATS).join(', ')}`,
+      });
+    }
+
+    const rubric = await Rubric.findOne({ _id: req.params.id, deleted: false });
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    if (!(await canAccessRubric(req.user, rubric))) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para exportar rúbricas de esta comisión',
+      });
+    }
+
+    const { content, contentType, extension } = await exportRubric(rubric, format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${rubric.rubric_id}.${extension}"`);
+    res.status(200).send(content);
+  } catch (error) {
+    console.error('Error al exportar rúbrica:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al exportar rúbrica',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Vuelve a marcar las entregas de una rúbrica como a tiempo o tardías y recalcula las notas corregidas
+ * Cada corrección se puntúa con los criterios de la versión de la rúbrica con la que fue corregida
+ * (rubric_version_id); la escala y la fecha límite son las vigentes
+ * @param {Document} rubric
+ * @returns {Promise<{rescored: Number, disagreements: Number, late: Number}>}
+ */
+const rescoreSubmissions = async (rubric) => {
+  const submissions = await Submission.find({ rubric_id: rubric.rubric_id, deleted: false });
+
+  const versionIds = [
+    ...new Set(
+      submissions
+        .map((submission) => submission.correction?.rubric_version_id)
+        .filter(Boolean)
+        .map(String)
+    ),
+  ];
+  const versions = versionIds.length
+    ? await RubricVersion.find({ _id: { $in: versionIds } }).select('rubric_json')
+    : [];
+  const rubricJsonByVersion = new Map(versions.map((version) => [String(version._id), version.rubric_json]));
+
+  /**
+   * Rúbrica con la que se puntúa una corrección
+   * @param {Object} correction
+   * @returns {Object}
+   */
+  const rubricForCorrection = (correction) => {
+    const versionJson = rubricJsonByVersion.get(String(correction?.rubric_version_id));
+    if (!versionJson) return rubric;
+    return { rubric_json: versionJson, scoring: rubric.scoring, deadline: rubric.deadline };
+  };
+
+  let rescored = 0;
+  let disagreements = 0;
+  let late = 0;
+
+  for (const submission of submissions) {
+    stampLateness(submission, rubric);
+    if (submission.late_status !== LATE_STATUSES.ON_TIME) late += 1;
+
+    if (submission.status === 'corrected') {
+      const correction = submission.correction.toObject();
+      const computed = scoreCorrection(correction, rubricForCorrection(correction), { submission });
+      submission.set('correction.computed', computed);
+
+      rescored += 1;
+      if (computed?.disagreement) disagreements += 1;
+    }
+
+    await submission.save();
+  }
+
+  return { rescored, disagreements, late };
+};
+
+/**
+ * Recalcular las notas de una rúbrica - POST /api/rubrics/:id/rescore
+ * Vuelve a aplicar el motor de puntaje a todas las correcciones (ej: después de cambiar pesos, escala o fecha límite)
+ * No modifica la nota informada por el proveedor (correction.grade)
+ * @route POST /api/rubrics/:id/rescore
+ * @access Private (solo admin)
+ */
+export const rescoreRubricSubmissions = async (req, res) => {
+  try {
+    const rubric = await Rubric.findOne({ _id: req.params.id, deleted: false });
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada',
+      });
+    }
+
+    const { rescored, disagreements, late } = await rescoreSubmissions(rubric);
+
+    console.log(`🧮 Notas recalculadas para ${rubric.rubric_id}: ${rescored} correcciones (${disagreements} con diferencias)`);
+
+    res.status(200).json({
+      success: true,
+      message: `Se recalcularon ${rescored} correcciones`,
+      data: {
+        rubric_id: rubric.rubric_id,
+        rescored,
+        disagreements,
+        late,
+      },
+    });
+  } catch (error) {
+    console.error('Error al recalcular notas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al recalcular notas',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,543 @@
+/**
+ * Controlador de Plantillas de Rúbrica
+ * Los professor-admin (y administradores) publican plantillas a nivel curso, carrera o universidad;
+ * los profesores las instancian desde POST /api/rubrics/from-template
+ */
+import RubricTemplate, { TEMPLATE_SCOPES } from '../models/RubricTemplate.js';
+import Rubric, { RUBRIC_TYPES } from '../models/Rubric.js';
+import Course from '../models/Course.js';
+import Career from '../models/Career.js';
+import { validateRubricJson } from '../utils/rubricSchema.js';
+import { diffJson } from '../utils/jsonDiff.js';
+
+/**
+ * Indica si el usuario puede administrar plantillas en un alcance
+ * @param {Object} user - req.user
+ * @param {Object} target - { scope, university_id, faculty_id, course_id }
+ * @returns {Boolean}
+ */
+const canManageTemplate = (user, target) => {
+  switch (user.role) {
+    case 'super-admin':
+      return true;
+    case 'university-admin':
+      return target.university_id === user.university_id;
+    case 'faculty-admin':
+      return (
+        target.scope !== TEMPLATE_SCOPES.UNIVERSITY &&
+        target.university_id === user.university_id &&
+        target.faculty_id === user.faculty_id
+      );
+    case 'professor-admin':
+      return target.scope === TEMPLATE_SCOPES.COURSE && (user.course_ids || []).includes(target.course_id);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Filtro de las plantillas que puede ver el usuario
+ * - super-admin: todas
+ * - university-admin, faculty-admin, professor-admin: las de su universidad
+ * - professor: las publicadas de su universidad
+ * @param {Object} user - req.user
+ * @returns {Object|null} null si el rol no puede ver plantillas
+ */
+const templateVisibilityFilter = (user) => {
+  if (user.role === 'super-admin') return {};
+  if (['university-admin', 'faculty-admin', 'professor-admin'].includes(user.role)) {
+    return { university_id: user.university_id };
+  }
+  if (user.role === 'professor') {
+    return { university_id: user.university_id, published: true };
+  }
+  return null;
+};
+
+/**
+ * Completar los IDs de la jerarquía (universidad, facultad, carrera) a partir del curso o la carrera
+ * @param {Object} body - { scope, university_id, faculty_id, career_id, course_id }
+ * @returns {Promise<{hierarchy: Object|null, error: String|null}>}
+ */
+const resolveTemplateHierarchy = async ({ scope, university_id, faculty_id, career_id, course_id }) => {
+  if (scope === TEMPLATE_SCOPES.COURSE) {
+    const query = { course_id, deleted: false };
+    if (career_id) query.career_id = career_id;
+    const course = await Course.findOne(query);
+    if (!course) {
+      return { hierarchy: null, error: 'El curso especificado no existe' };
+    }
+    return {
+      hierarchy: {
+        university_id: course.university_id,
+        faculty_id: course.faculty_id,
+        career_id: course.career_id,
+        course_id: course.course_id,
+      },
+      error: null,
+    };
+  }
+
+  if (scope === TEMPLATE_SCOPES.CAREER) {
+    const query = { career_id, deleted: false };
+    if (faculty_id) query.faculty_id = faculty_id;
+    const career = await Career.findOne(query);
+    if (!career) {
+      return { hierarchy: null, error: 'La carrera especificada no existe' };
+    }
+    return {
+      hierarchy: {
+        university_id: career.university_id,
+        faculty_id: career.faculty_id,
+        career_id: career.career_id,
+        course_id: null,
+      },
+      error: null,
+    };
+  }
+
+  return {
+    hierarchy: { university_id, faculty_id: null, career_id: null, course_id: null },
+    error: null,
+  };
+};
+
+/**
+ * Listar plantillas - GET /api/rubric-templates
+ * @route GET /api/rubric-templates?scope=...&university_id=...&career_id=...&course_id=...&rubric_type=...&published=...
+ * @access Private (requiere autenticación)
+ * @note Los profesores solo ven plantillas publicadas de su universidad
+ */
+export const getRubricTemplates = async (req, res) => {
+  try {
+    const { scope, university_id, career_id, course_id, rubric_type, published } = req.query;
+
+    const visibility = templateVisibilityFilter(req.user);
+    if (!visibility) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver plantillas',
+      });
+    }
+
+    const filters = {};
+    if (scope) filters.scope = scope;
+    if (career_id) filters.career_id = career_id;
+    if (course_id) filters.course_id = course_id;
+    if (rubric_type) filters.rubric_type = rubric_type;
+    if (published !== undefined) filters.published = published === 'true';
+    if (university_id) filters.university_id = university_id;
+
+    // El alcance del rol tiene prioridad sobre los filtros pedidos
+    Object.assign(filters, visibility);
+
+    const templates = await RubricTemplate.findActive(filters);
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    console.error('Error al obtener plantillas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener plantillas',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Obtener una plantilla por ID - GET /api/rubric-templates/:id
+ * @route GET /api/rubric-templates/:id
+ * @access Private (requiere autenticación)
+ * @note Los profesores solo ven plantillas publicadas de su universidad
+ */
+export const getRubricTemplateById = async (req, res) => {
+  try {
+    const visibility = templateVisibilityFilter(req.user);
+    if (!visibility) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver plantillas',
+      });
+    }
+
+    // Fuera del alcance del usuario la plantilla se informa como inexistente
+    const template = await RubricTemplate.findOne({ _id: req.params.id, deleted: false, ...visibility });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plantilla no encontrada',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    console.error('Error al obtener plantilla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Crear plantilla - POST /api/rubric-templates
+ * Body: { name, description?, scope, university_id?, faculty_id?, career_id?, course_id?, rubric_type, rubric_json, published? }
+ * @route POST /api/rubric-templates
+ * @access Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+export const createRubricTemplate = async (req, res) => {
+  try {
+    const { name, description, scope, rubric_type, rubric_json, published } = req.body;
+
+    if (!name || !scope || !rubric_type || !rubric_json) {
+      return res.status(400).json({
+        success: false,
+        message: 'Faltan campos requeridos: name, scope, rubric_type, rubric_json',
+      });
+    }
+
+    if (!Object.values(TEMPLATE_SCOPES).includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope debe ser uno de: ${Object.values(TEMPLATE_SCOPES).join(', ')}`,
+      });
+    }
+
+    if (!Object.values(RUBRIC_TYPES).includes(rubric_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `rubric_type debe ser uno de: ${Object.values(RUBRIC_TYPES).join(', ')}`,
+      });
+    }
+
+    const university_id = req.body.university_id || req.user.university_id;
+    const { hierarchy, error: hierarchyError } = await resolveTemplateHierarchy({ ...req.body, university_id });
+
+    if (hierarchyError) {
+      return res.status(400).json({
+        success: false,
+        message: hierarchyError,
+      });
+    }
+
+    if (!hierarchy.university_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'university_id es requerido',
+      });
+    }
+
+    if (!canManageTemplate(req.user, { scope, ...hierarchy })) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para crear plantillas en este alcance',
+      });
+    }
+
+    const scopeId = hierarchy.course_id || hierarchy.career_id || hierarchy.university_id;
+    const template_id = RubricTemplate.generateTemplateId(scope, scopeId, rubric_type, name);
+    const templateJson = { ...rubric_json, rubric_id: template_id };
+
+    const validation = validateRubricJson(templateJson);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'El JSON de la plantilla no es válido',
+        errors: validation.errors,
+      });
+    }
+
+    const template = new RubricTemplate({
+      template_id,
+      name,
+      description,
+      scope,
+      ...hierarchy,
+      rubric_type,
+      rubric_json: templateJson,
+      published: Boolean(published),
+      published_at: published ? new Date() : null,
+      created_by: req.user.userId,
+      updated_by: req.user.userId,
+    });
+
+    await template.save();
+
+    console.log(`📚 Plantilla creada: ${template_id} (${scope})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plantilla creada exitosamente',
+      data: template,
+    });
+  } catch (error) {
+    console.error('Error al crear plantilla:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Actualizar plantilla - PUT /api/rubric-templates/:id
+ * Body: { name?, description?, rubric_json?, published? }
+ * Si cambia el nombre o el rubric_json se incrementa la versión y las instancias reciben el aviso de actualización
+ * @route PUT /api/rubric-templates/:id
+ * @access Private (professor-admin, faculty-admin, university-admin, super-admin)
+ * @note No se permite cambiar el alcance ni el tipo de rúbrica
+ */
+export const updateRubricTemplate = async (req, res) => {
+  try {
+    const { name, description, rubric_json, published } = req.body;
+
+    const template = await RubricTemplate.findOne({ _id: req.params.id, deleted: false });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plantilla no encontrada',
+      });
+    }
+
+    if (!canManageTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para modificar esta plantilla',
+      });
+    }
+
+    const nextName = name || template.name;
+    const nextJson = rubric_json ? { ...rubric_json, rubric_id: template.template_id } : template.rubric_json;
+
+    if (rubric_json) {
+      const validation = validateRubricJson(nextJson);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'El JSON de la plantilla no es válido',
+          errors: validation.errors,
+        });
+      }
+    }
+
+    const changes = diffJson(
+      { name: template.name, rubric_json: template.rubric_json },
+      { name: nextName, rubric_json: nextJson }
+    );
+
+    if (changes.length > 0) {
+      template.name = nextName;
+      template.rubric_json = nextJson;
+      template.version += 1;
+    }
+
+    if (description !== undefined) template.description = description;
+
+    if (published !== undefined) {
+      template.published = Boolean(published);
+      if (template.published && !template.published_at) {
+        template.published_at = new Date();
+      }
+    }
+
+    template.updated_by = req.user.userId;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0
+        ? `Plantilla actualizada a la versión ${template.version}`
+        : 'Plantilla actualizada exitosamente',
+      data: template,
+      changes,
+    });
+  } catch (error) {
+    console.error('Error al actualizar plantilla:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: messages,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Publicar plantilla - POST /api/rubric-templates/:id/publish
+ * Una vez publicada, los profesores de las comisiones alcanzadas pueden instanciarla
+ * @route POST /api/rubric-templates/:id/publish
+ * @access Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+export const publishRubricTemplate = async (req, res) => {
+  try {
+    const template = await RubricTemplate.findOne({ _id: req.params.id, deleted: false });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plantilla no encontrada',
+      });
+    }
+
+    if (!canManageTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para publicar esta plantilla',
+      });
+    }
+
+    template.published = true;
+    template.published_at = new Date();
+    template.updated_by = req.user.userId;
+    await template.save();
+
+    console.log(`📢 Plantilla publicada: ${template.template_id} (versión ${template.version})`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Plantilla publicada exitosamente',
+      data: template,
+    });
+  } catch (error) {
+    console.error('Error al publicar plantilla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al publicar plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Listar rúbricas creadas desde la plantilla - GET /api/rubric-templates/:id/instances
+ * Indica qué comisiones están desactualizadas respecto de la última versión
+ * @route GET /api/rubric-templates/:id/instances
+ * @access Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+export const getRubricTemplateInstances = async (req, res) => {
+  try {
+    const visibility = templateVisibilityFilter(req.user);
+    if (!visibility) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para ver plantillas',
+      });
+    }
+
+    // Fuera del alcance del usuario la plantilla se informa como inexistente
+    const template = await RubricTemplate.findOne({ _id: req.params.id, deleted: false, ...visibility });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plantilla no encontrada',
+      });
+    }
+
+    const rubrics = await Rubric.find({ template_id: template.template_id, deleted: false })
+      .select('rubric_id name commission_id course_id year template_version template_synced_at')
+      .sort({ commission_id: 1 });
+
+    const data = rubrics.map((rubric) => ({
+      ...rubric.toObject(),
+      update_available: (rubric.template_version || 0) < template.version,
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data: {
+        template_id: template.template_id,
+        version: template.version,
+        instances: data,
+      },
+    });
+  } catch (error) {
+    console.error('Error al obtener instancias de plantilla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener instancias de plantilla',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Eliminar plantilla (baja lógica) - DELETE /api/rubric-templates/:id
+ * Las rúbricas ya instanciadas se conservan
+ * @route DELETE /api/rubric-templates/:id
+ * @access Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+export const deleteRubricTemplate = async (req, res) => {
+  try {
+    const template = await RubricTemplate.findOne({ _id: req.params.id, deleted: false });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plantilla no encontrada',
+      });
+    }
+
+    if (!canManageTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tiene permisos para eliminar esta plantilla',
+      });
+    }
+
+    await template.softDelete();
+
+    res.status(200).json({
+      success: true,
+      message: 'Plantilla eliminada exitosamente',
+    });
+  } catch (error) {
+    console.error('Error al eliminar plantilla:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar plantilla',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getRubricTemplates,
+  getRubricTemplateById,
+  createRubricTemplate,
+  updateRubricTemplate,
+  publishRubricTemplate,
+  getRubricTemplateInstances,
+  deleteRubricTemplate,
+};
@@ -1,14 +1,62 @@
 /**
  * Similarity Controller
- * Controlador para análisis de similitud y generación de reportes
+ * Controlador para análisis de similitud, generación de reportes y código base de la cátedra
  */
 import Commission from '../models/Commission.js';
 import Rubric from '../models/Rubric.js';
+import Student from '../models/Student.js';
+import SimilarityBaseline from '../models/SimilarityBaseline.js';
 import NodeSimilarityReportService from '../services/nodeSimilarityReportService.js';
+import BatchConsolidatorService from '../services/batchConsolidatorService.js';
+import SimilarityPairService from '../services/similarityPairService.js';
 
 /**
- * GET /api/commissions/:commissionId/rubrics/:rubricId/similarity
+ * Busca la rúbrica de la ruta y verifica que el usuario pueda gestionar su comisión
+ * - super-admin: todas
+ * - university-admin: las de su universidad
+ * - professor: las comisiones asignadas
+ * Responde 404/403 y devuelve null si no corresponde continuar
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Document|null>}
+ */
+const loadBaselineRubric = async (req, res) => {
+  const { commissionId, rubricId } = req.params;
+  const rubric = await Rubric.findOne({ rubric_id: rubricId, deleted: false });
+
+  if (!rubric || rubric.commission_id !== commissionId) {
+    res.status(404).json({
+      success: false,
+      message: 'Rúbrica no encontrada en la comisión indicada',
+    });
+    return null;
+  }
+
+  const { role, userId, university_id } = req.user;
+  let allowed = role === 'super-admin';
+  if (role === 'university-admin') {
+    allowed = rubric.university_id === university_id;
+  } else if (role === 'professor') {
+    allowed = Boolean(
+      await Commission.findOne({ commission_id: commissionId, professors: userId, deleted: false })
+    );
+  }
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: 'No tiene acceso a esta comisión',
+    });
+    return null;
+  }
+
+  return rubric;
+};
+
+/**
+ * GET /api/commissions/:commissionId/rubrics/:rubricId/similarity?scope=commission|course|history
  * Obtiene el análisis de similitud en formato JSON
+ * scope course/history agrega las coincidencias con otras comisiones del curso o con años anteriores
  */
 export const getSimilarityAnalysis = async (req, res) => {
   try {
@@ -25,7 +73,9 @@ export const getSimilarityAnalysis = async (req, res) => {
     console.log(`📊 Analizando similitud: ${commissionId} / ${rubricId}`);
 
     // Ejecutar generador en Node (basado en generate_pdf_report.py)
-    const report = await NodeSimilarityReportService.generateReport(commissionId, rubricId);
+    const report = await NodeSimilarityReportService.generateReport(commissionId, rubricId, {
+      scope: req.query.scope,
+    });
 
     // Obtener nombres de comisión y rúbrica (opcional, para mejor contexto)
     let commissionName = commissionId;
@@ -55,13 +105,18 @@ export const getSimilarityAnalysis = async (req, res) => {
         name: rubricName,
       },
       total_projects: report.total_proyectos_analizados,
+      baseline_applied: report.codigo_base_excluido,
       identical_groups: report.proyectos_identicos,
       partial_copies: report.copias_parciales,
       most_copied_files: report.archivos_mas_copiados,
+      scope: report.alcance,
+      external_rubrics_searched: report.rubricas_externas_consultadas,
+      external_matches: report.coincidencias_externas,
       summary: {
         total_identical_groups: report.total_grupos_identicos,
         total_partial_copies: report.total_copias_parciales,
         total_most_copied_files: report.archivos_mas_copiados?.length || 0,
+        total_external_matches: report.total_coincidencias_externas,
       },
       report_raw: report,
     });
@@ -69,7 +124,7 @@ export const getSimilarityAnalysis = async (req, res) => {
     console.log('✅ Análisis de similitud completado');
   } catch (error) {
     console.error('❌ Error en análisis de similitud:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Error al analizar similitud',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined,
@@ -78,7 +133,7 @@ export const getSimilarityAnalysis = async (req, res) => {
 };
 
 /**
- * GET /api/commissions/:commissionId/rubrics/:rubricId/similarity/pdf
+ * GET /api/commissions/:commissionId/rubrics/:rubricId/similarity/pdf?scope=commission|course|history
  * Genera y descarga el reporte de similitud en PDF
  */
 export const downloadSimilarityReportPdf = async (req, res) => {
@@ -110,7 +165,9 @@ export const downloadSimilarityReportPdf = async (req, res) => {
     }
 
     // Generar PDF mediante implementación nativa Node (basado en generate_pdf_report.py)
-    const { buffer } = await NodeSimilarityReportService.generateReportPdf(commissionId, rubricId);
+    const { buffer } = await NodeSimilarityReportService.generateReportPdf(commissionId, rubricId, {
+      scope: req.query.scope,
+    });
 
     // Configurar headers para descarga
     const timestamp = Date.now();
@@ -126,7 +183,7 @@ export const downloadSimilarityReportPdf = async (req, res) => {
     console.log(`✅ PDF generado: ${fileName} (${(buffer.length / 1024).toFixed(2)} KB)`);
   } catch (error) {
     console.error('❌ Error generando PDF de similitud:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Error al generar el PDF',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined,
@@ -134,7 +191,196 @@ export const downloadSimilarityReportPdf = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/commissions/:commissionId/rubrics/:rubricId/similarity/pairs/:a/:b?format=json|html|pdf
+ * Compara lado a lado las entregas de dos alumnos (nombre del análisis de similitud o submission_id)
+ * html y pdf son versiones imprimibles para presentar como evidencia
+ */
+export const getSimilarityPairDiff = async (req, res) => {
+  try {
+    const format = SimilarityPairService.resolveFormat(req.query.format);
+
+    const rubric = await loadBaselineRubric(req, res);
+    if (!rubric) return;
+
+    const { a, b } = req.params;
+    console.log(`🔍 Comparando entregas: ${a} ↔ ${b} (${rubric.rubric_id})`);
+
+    const diff = await SimilarityPairService.generatePairDiff(rubric, a, b);
+    const fileName = `comparacion_${rubric.rubric_id}_${Student.normalizeName(a)}_${Student.normalizeName(b)}`;
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}.html"`);
+      return res.send(SimilarityPairService.renderPairHtml(diff));
+    }
+
+    if (format === 'pdf') {
+      const buffer = await SimilarityPairService.generatePairPdf(diff);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+      res.setHeader('Content-Length', buffer.length);
+      return res.send(buffer);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: diff,
+    });
+  } catch (error) {
+    console.error('❌ Error al comparar entregas:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error al comparar las entregas',
+      error: error.statusCode ? undefined : error.message,
+    });
+  }
+};
+
+/**
+ * POST /api/commissions/:commissionId/rubrics/:rubricId/similarity/baseline
+ * Carga (o reemplaza) el código base de la cátedra para la rúbrica
+ * Body (multipart/form-data): file (.zip), mode?, customExtensions?, includeTests?
+ */
+export const uploadSimilarityBaseline = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debes subir un archivo ZIP con el código base (campo "file")',
+      });
+    }
+
+    const rubric = await loadBaselineRubric(req, res);
+    if (!rubric) return;
+
+    const options = {
+      mode: req.body.mode || '5',
+      includeTests: req.body.includeTests !== 'false',
+      customExtensions: req.body.customExtensions
+        ? req.body.customExtensions.split(',').map((ext) => ext.trim())
+        : null,
+    };
+
+    console.log(`📦 Procesando código base: ${rubric.commission_id} / ${rubric.rubric_id}`);
+
+    const analysis = await BatchConsolidatorService.processStarterCode(req.file.buffer, options);
+
+    const baseline = await SimilarityBaseline.replaceForRubric({
+      rubric_id: rubric.rubric_id,
+      commission_id: rubric.commission_id,
+      university_id: rubric.university_id,
+      file_name: req.file.originalname,
+      project_hash: analysis.project_hash,
+      file_hashes: analysis.file_hashes,
+      fingerprints: analysis.fingerprints,
+      stats: {
+        total_files: analysis.stats?.totalFiles || 0,
+        source_files: Object.keys(analysis.file_hashes).length,
+        languages: analysis.languages,
+      },
+      metadata: {
+        mode: analysis.stats?.mode || 'Proyecto completo',
+        extensions: analysis.stats?.extensions || [],
+        include_tests: options.includeTests,
+      },
+      uploaded_by: req.user.userId,
+    });
+
+    console.log(`✅ Código base guardado: ${Object.keys(analysis.file_hashes).length} archivos`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Código base guardado: sus archivos y fragmentos se ignoran en el análisis de similitud',
+      data: baseline.toSummary(),
+    });
+  } catch (error) {
+    console.error('❌ Error procesando código base:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al procesar el código base',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * GET /api/commissions/:commissionId/rubrics/:rubricId/similarity/baseline
+ * Obtiene el resumen del código base cargado para la rúbrica
+ */
+export const getSimilarityBaseline = async (req, res) => {
+  try {
+    const rubric = await loadBaselineRubric(req, res);
+    if (!rubric) return;
+
+    const baseline = await SimilarityBaseline.findForRubric(rubric.rubric_id);
+
+    if (!baseline) {
+      return res.status(404).json({
+        success: false,
+        message: 'La rúbrica no tiene código base cargado',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: baseline.toSummary(),
+    });
+  } catch (error) {
+    console.error('❌ Error al obtener código base:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el código base',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * DELETE /api/commissions/:commissionId/rubrics/:rubricId/similarity/baseline
+ * Elimina el código base de la rúbrica (el análisis vuelve a considerar todas las coincidencias)
+ */
+export const deleteSimilarityBaseline = async (req, res) => {
+  try {
+    const rubric = await loadBaselineRubric(req, res);
+    if (!rubric) return;
+
+    const { deletedCount } = await SimilarityBaseline.deleteOne({ rubric_id: rubric.rubric_id });
+
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'La rúbrica no tiene código base cargado',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Código base eliminado',
+    });
+  } catch (error) {
+    console.error('❌ Error al eliminar código base:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar el código base',
+      error: error.message,
+    });
+  }
+};
+
 export default {
   getSimilarityAnalysis,
   downloadSimilarityReportPdf,
+  getSimilarityPairDiff,
+  uploadSimilarityBaseline,
+  getSimilarityBaseline,
+  deleteSimilarityBaseline,
 };
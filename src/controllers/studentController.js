@@ -0,0 +1,382 @@
+/**
+ * Controlador de Alumnos (padrón por comisión)
+ * Gestiona la inscripción de alumnos, la importación de listas de clase, el reporte de entregas faltantes
+ * y la planilla de notas de la comisión
+ */
+import Commission from '../models/Commission.js';
+import Rubric from '../models/Rubric.js';
+import Enrollment from '../models/Enrollment.js';
+import {
+  parseRosterCsv,
+  upsertStudent,
+  importRoster,
+  linkCommissionSubmissions,
+  getMissingSubmissionsReport,
+} from '../services/studentRosterService.js';
+import { buildGradebook, exportGradebook } from '../services/gradebookService.js';
+
+/**
+ * Verifica si el usuario puede gestionar el padrón de una comisión
+ * - super-admin: todas
+ * - university-admin: las de su universidad
+ * - professor: las comisiones asignadas
+ * @param {Object} user - req.user
+ * @param {Document} commission
+ * @returns {Boolean}
+ */
+const canManageRoster = (user, commission) => {
+  if (user.role === 'super-admin') return true;
+  if (user.role === 'university-admin') return commission.university_id === user.university_id;
+  if (user.role === 'professor') {
+    return commission.professors.some((id) => id.toString() === user.userId.toString());
+  }
+  return false;
+};
+
+/**
+ * Busca la comisión de la ruta y valida el acceso
+ * Responde 404/403 y devuelve null si no corresponde continuar
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Document|null>}
+ */
+const loadCommission = async (req, res) => {
+  const commission = await Commission.findById(req.params.id);
+
+  if (!commission) {
+    res.status(404).json({
+      success: false,
+      message: 'Comisión no encontrada',
+    });
+    return null;
+  }
+
+  if (!canManageRoster(req.user, commission)) {
+    res.status(403).json({
+      success: false,
+      message: 'No tiene acceso a esta comisión',
+    });
+    return null;
+  }
+
+  return commission;
+};
+
+/**
+ * Obtener el padrón de una comisión
+ * GET /api/commissions/:id/students?include_dropped=true
+ */
+export const getCommissionStudents = async (req, res) => {
+  try {
+    const commission = await loadCommission(req, res);
+    if (!commission) return;
+
+    const enrollments = await Enrollment.findByCommission(commission, {
+      includeDropped: req.query.include_dropped === 'true',
+    });
+
+    const data = enrollments
+      .filter((enrollment) => enrollment.student)
+      .map((enrollment) => ({
+        ...enrollment.student.toObject(),
+        enrollment: {
+          _id: enrollment._id,
+          status: enrollment.status,
+          source: enrollment.source,
+          enrolled_at: enrollment.enrolled_at,
+          dropped_at: enrollment.dropped_at,
+        },
+      }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      count: data.length,
+    });
+  } catch (error) {
+    console.error('Error al obtener padrón de la comisión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener padrón de la comisión',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Inscribir un alumno en la comisión (lo crea si el legajo no existe en la universidad)
+ * POST /api/commissions/:id/students
+ * Body: { student_id, full_name?, first_name?, last_name?, email?, aliases? }
+ */
+export const addCommissionStudent = async (req, res) => {
+  try {
+    const { student_id, full_name, first_name, last_name, email, aliases } = req.body;
+
+    if (!student_id || !(full_name || (first_name && last_name))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Faltan campos requeridos: student_id y full_name (o first_name y last_name)',
+      });
+    }
+
+    const commission = await loadCommission(req, res);
+    if (!commission) return;
+
+    const { student, created } = await upsertStudent(
+      {
+        student_id: String(student_id).trim(),
+        full_name,
+        first_name,
+        last_name,
+        email,
+        aliases: Array.isArray(aliases) ? aliases : [],
+      },
+      commission.university_id
+    );
+
+    const { enrollment, created: enrolled, reactivated } = await Enrollment.enroll(student, commission, {
+      source: 'manual',
+      userId: req.user.userId,
+    });
+
+    const linked = await linkCommissionSubmissions(commission);
+
+    console.log(`👤 Alumno ${student.student_id} inscripto en ${commission.commission_id}`);
+
+    res.status(enrolled || reactivated ? 201 : 200).json({
+      success: true,
+      message: enrolled || reactivated ? 'Alumno inscripto exitosamente' : 'El alumno ya estaba inscripto',
+      data: {
+        student,
+        enrollment,
+        student_created: created,
+        submissions_linked: linked,
+      },
+    });
+  } catch (error) {
+    console.error('Error al inscribir alumno:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map((err) => err.message),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al inscribir alumno',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Importar lista de clase desde CSV
+ * POST /api/commissions/:id/students/import
+ * Body (multipart/form-data): file (.csv), preview?, drop_missing?
+ * También acepta JSON { csv: "<contenido>" , preview?, drop_missing? }
+ */
+export const importCommissionStudents = async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf-8') : req.body.csv;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se proporcionó archivo CSV (campo "file") ni contenido (campo "csv")',
+      });
+    }
+
+    const commission = await loadCommission(req, res);
+    if (!commission) return;
+
+    const { rows, errors } = parseRosterCsv(text);
+
+    if (req.body.preview === true || req.body.preview === 'true') {
+      return res.status(200).json({
+        success: true,
+        message: `Vista previa: ${rows.length} alumnos válidos, ${errors.length} filas con errores`,
+        data: { rows, errors },
+        count: rows.length,
+      });
+    }
+
+    const summary = await importRoster(commission, rows, {
+      userId: req.user.userId,
+      dropMissing: req.body.drop_missing === true || req.body.drop_missing === 'true',
+    });
+    const linked = await linkCommissionSubmissions(commission);
+
+    console.log(
+      `📥 Padrón importado en ${commission.commission_id}: ${summary.enrolled} inscriptos, ${summary.created} alumnos nuevos, ${linked} entregas vinculadas`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Padrón importado: ${rows.length} alumnos procesados`,
+      data: {
+        ...summary,
+        errors: [...errors, ...summary.errors],
+        submissions_linked: linked,
+      },
+    });
+  } catch (error) {
+    console.error('Error al importar padrón:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al importar padrón',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Dar de baja a un alumno de la comisión (la inscripción queda como "dropped")
+ * DELETE /api/commissions/:id/students/:studentId
+ */
+export const removeCommissionStudent = async (req, res) => {
+  try {
+    const commission = await loadCommission(req, res);
+    if (!commission) return;
+
+    const enrollment = await Enrollment.findOne({
+      commission_id: commission.commission_id,
+      course_id: commission.course_id,
+      student_id: req.params.studentId,
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'El alumno no está inscripto en esta comisión',
+      });
+    }
+
+    await enrollment.drop();
+
+    res.status(200).json({
+      success: true,
+      message: 'Alumno dado de baja de la comisión',
+      data: enrollment,
+    });
+  } catch (error) {
+    console.error('Error al dar de baja alumno:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al dar de baja alumno',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reporte de alumnos inscriptos que no entregaron
+ * GET /api/commissions/:id/students/missing?rubric_id=...
+ * Sin rubric_id se incluyen todas las rúbricas de la comisión
+ */
+export const getMissingSubmissions = async (req, res) => {
+  try {
+    const commission = await loadCommission(req, res);
+    if (!commission) return;
+
+    const query = {
+      commission_id: commission.commission_id,
+      course_id: commission.course_id,
+      deleted: false,
+    };
+    if (req.query.rubric_id) {
+      query.rubric_id = req.query.rubric_id;
+    }
+
+    const rubrics = await Rubric.find(query).sort({ rubric_type: 1, rubric_number: 1 });
+
+    if (req.query.rubric_id && rubrics.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rúbrica no encontrada en esta comisión',
+      });
+    }
+
+    const report = await getMissingSubmissionsReport(commission, rubrics);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      count: report.length,
+    });
+  } catch (error) {
+    console.error('Error al generar reporte de entregas faltantes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar reporte de entregas faltantes',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Planilla de notas de la comisión (alumnos × rúbricas)
+ * GET /api/commissions/:id/gradebook?format=xlsx|csv|json&recuperatorio_rule=replace|max|none&rubric_id=...
+ * En CSV, rubric_id exporta el detalle por criterio de esa rúbrica en lugar de la hoja principal
+ */
+export const getCommissionGradebook = async (req, res) => {
+  try {
+    const { format = 'xlsx', recuperatorio_rule, rubric_id } = req.query;
+
+    const commission = await loadCommission(req, res);
+    if (!commission) return;
+
+    const gradebook = await buildGradebook(commission, { recuperatorioRule: recuperatorio_rule });
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: gradebook,
+        count: gradebook.rows.length,
+      });
+    }
+
+    const { content, contentType, extension } = await exportGradebook(gradebook, format, { rubricId: rubric_id });
+    const fileName = rubric_id ? `${commission.commission_id}-${rubric_id}` : `${commission.commission_id}-notas`;
+
+    console.log(`📊 Planilla de notas generada para ${commission.commission_id} (${extension})`);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+    res.status(200).send(content);
+  } catch (error) {
+    console.error('Error al generar planilla de notas:', error);
+
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar planilla de notas',
+      error: error.message,
+    });
+  }
+};
+
+export default {
+  getCommissionStudents,
+  addCommissionStudent,
+  importCommissionStudents,
+  removeCommissionStudent,
+  getMissingSubmissions,
+  getCommissionGradebook,
+};
@@ -2,23 +2,125 @@
  * Controlador de Submissions (Entregas de Alumnos)
  * Gestiona la subida, listado, actualización y eliminación de entregas
  */
-import Submission from '../models/Submission.js';
+import Submission, { LATE_STATUSES, STUDENT_MATCH_STATUSES } from '../models/Submission.js';
 import Commission from '../models/Commission.js';
-import Rubric from '../models/Rubric.js';
+import Rubric, { ATTEMPT_POLICIES } from '../models/Rubric.js';
+import RubricVersion from '../models/RubricVersion.js';
+import Student from '../models/Student.js';
+import ProjectHash from '../models/ProjectHash.js';
+import Enrollment, { ENROLLMENT_STATUSES } from '../models/Enrollment.js';
 import { uploadFileToDrive } from '../services/driveService.js';
 import ConsolidatorService from '../services/consolidatorService.js';
+import { scoreCorrection } from '../services/scoringService.js';
+import { stampLateness } from '../services/deadlineService.js';
+import { resolveStudent, getEnrolledStudents } from '../services/studentRosterService.js';
+import { matchStudent } from '../services/studentMatchingService.js';
+import BatchConsolidatorService from '../services/batchConsolidatorService.js';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 
+// Campos por los que se puede ordenar el listado (parámetro sort)
+const SUBMISSION_SORT_FIELDS = {
+  grade: 'effective_grade',
+  uploaded_at: 'uploaded_at',
+  submitted_at: 'submitted_at',
+  status: 'status',
+  student_name: 'student_name',
+  attempt: 'attempt',
+};
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Escapa un texto para usarlo dentro de una expresión regular
+ * @param {String} value
+ * @returns {String}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Arma el filtro de búsqueda libre por nombre del alumno, legajo o ID de la entrega
+ * Busca tanto el nombre normalizado como el formato anterior (acentos reemplazados por guiones)
+ * @param {String} search
+ * @returns {Object} Condición $or de MongoDB
+ */
+const buildSubmissionSearch = (search) => {
+  const term = escapeRegex(search.trim());
+  const nameTerms = Student.nameKeysFor(search).map((key) => ({
+    student_name: { $regex: escapeRegex(key), $options: 'i' },
+  }));
+
+  return {
+    $or: [
+      ...nameTerms,
+      { student_id: { $regex: term, $options: 'i' } },
+      { submission_id: { $regex: term, $options: 'i' } },
+    ],
+  };
+};
+
+/**
+ * Parsea una fecha del query (ISO o YYYY-MM-DD)
+ * @param {String} value
+ * @param {Boolean} endOfDay - Si la fecha no trae hora, tomar el final del día (para "hasta")
+ * @returns {Date|null} null si el valor no es una fecha válida
+ */
+const parseQueryDate = (value, endOfDay = false) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
 /**
- * Obtener todas las submissions con filtros multi-tenant
- * GET /api/submissions?commission_id=...&rubric_id=...&status=...
+ * Obtener las submissions con filtros multi-tenant, búsqueda, orden y paginación
+ * GET /api/submissions?commission_id=...&rubric_id=...&status=...&score_disagreement=true|false&include_history=true|false
+ *     &late=true|false&late_status=on-time|late|beyond-window
+ *     &course_id=...&career_id=...&faculty_id=...&search=...
+ *     &date_from=YYYY-MM-DD&date_to=YYYY-MM-DD&grade_min=...&grade_max=...
+ *     &sort=uploaded_at|submitted_at|grade|status|student_name|attempt&order=asc|desc&page=1&limit=50
  */
 export const getAllSubmissions = async (req, res) => {
   try {
-    const { commission_id, rubric_id, status } = req.query;
-    const filters = {};
+    const {
+      commission_id,
+      rubric_id,
+      course_id,
+      career_id,
+      faculty_id,
+      status,
+      score_disagreement,
+      include_history,
+      late,
+      late_status,
+      search,
+      date_from,
+      date_to,
+      grade_min,
+      grade_max,
+      sort = 'uploaded_at',
+      order = 'desc',
+    } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const filters = { deleted: false };
+
+    // Validar parámetros de paginación y orden
+    if (page < 1 || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Paginación inválida: page debe ser >= 1 y limit entre 1 y ${MAX_PAGE_SIZE}`,
+      });
+    }
+    if (!SUBMISSION_SORT_FIELDS[sort] || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        message: `Orden inválido. sort: ${Object.keys(SUBMISSION_SORT_FIELDS).join(', ')}; order: asc, desc`,
+      });
+    }
 
     // Aplicar filtros multi-tenant según rol
     if (req.user.role === 'super-admin') {
@@ -39,6 +141,10 @@ export const getAllSubmissions = async (req, res) => {
         return res.status(200).json({
           success: true,
           data: [],
+          count: 0,
+          total: 0,
+          pagination: { page, limit, pages: 0 },
+          status_counts: {},
           message: 'No tiene comisiones asignadas',
         });
       }
@@ -54,21 +160,102 @@ export const getAllSubmissions = async (req, res) => {
 
     // Aplicar filtros adicionales del query
     if (commission_id) {
+      if (filters.commission_id && !filters.commission_id.$in.includes(commission_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta comisión',
+        });
+      }
       filters.commission_id = commission_id;
     }
     if (rubric_id) {
       filters.rubric_id = rubric_id;
     }
-    if (status) {
-      filters.status = status;
+    if (course_id) {
+      filters.course_id = course_id;
+    }
+    if (career_id) {
+      filters.career_id = career_id;
+    }
+    if (faculty_id) {
+      filters.faculty_id = faculty_id;
+    }
+    if (score_disagreement !== undefined) {
+      // Correcciones cuya nota informada no coincide con la calculada desde los criterios
+      filters['correction.computed.disagreement'] = score_disagreement === 'true' ? true : { $ne: true };
+    }
+    if (late_status) {
+      filters.late_status = late_status;
+    } else if (late !== undefined) {
+      // Tardías incluye las entregadas fuera de la ventana de tolerancia (sin late_status = anteriores, a tiempo)
+      filters.late_status =
+        late === 'true'
+          ? { $in: [LATE_STATUSES.LATE, LATE_STATUSES.BEYOND_WINDOW] }
+          : { $in: [LATE_STATUSES.ON_TIME, null] };
+    }
+    if (include_history !== 'true') {
+      // Por defecto solo el último intento de cada alumno (los reemplazados quedan en el historial)
+      filters.is_current = { $ne: false };
+    }
+    // ?search=a&search=b llega como arreglo
+    if (search !== undefined && typeof search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'search debe indicarse una sola vez',
+      });
+    }
+    if (search && search.trim()) {
+      Object.assign(filters, buildSubmissionSearch(search));
+    }
+
+    // Rango de fechas de subida
+    if (date_from || date_to) {
+      const from = date_from ? parseQueryDate(date_from) : null;
+      const to = date_to ? parseQueryDate(date_to, true) : null;
+
+      if ((date_from && !from) || (date_to && !to)) {
+        return res.status(400).json({
+          success: false,
+          message: 'date_from y date_to deben ser fechas válidas (YYYY-MM-DD o ISO 8601)',
+        });
+      }
+
+      filters.uploaded_at = {};
+      if (from) filters.uploaded_at.$gte = from;
+      if (to) filters.uploaded_at.$lte = to;
+    }
+
+    // Rango de notas (sobre la nota vigente)
+    const grade = {};
+    if (grade_min !== undefined) grade.min = Number(grade_min);
+    if (grade_max !== undefined) grade.max = Number(grade_max);
+    if (Object.values(grade).some((value) => Number.isNaN(value))) {
+      return res.status(400).json({
+        success: false,
+        message: 'grade_min y grade_max deben ser numéricos',
+      });
     }
 
-    const submissions = await Submission.findActive(filters);
+    const { submissions, total, statusCounts } = await Submission.paginate(filters, {
+      status,
+      grade,
+      sort: { [SUBMISSION_SORT_FIELDS[sort]]: order === 'asc' ? 1 : -1 },
+      page,
+      limit,
+    });
 
     res.status(200).json({
       success: true,
       data: submissions,
       count: submissions.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+      // Cantidad por estado con el resto de los filtros aplicados (ignora el filtro status)
+      status_counts: statusCounts,
     });
   } catch (error) {
     console.error('Error al obtener submissions:', error);
@@ -145,6 +332,102 @@ export const getSubmissionById = async (req, res) => {
   }
 };
 
+/**
+ * Obtener el historial de intentos (reentregas) del alumno de una submission
+ * GET /api/submissions/:id/history
+ * Indica qué intento cuenta para la nota según la política de la rúbrica (attempt_policy)
+ */
+export const getSubmissionHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const submission = await Submission.findById(id);
+
+    if (!submission || submission.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission no encontrada',
+      });
+    }
+
+    // Validar acceso multi-tenant
+    if (req.user.role === 'university-admin') {
+      if (submission.university_id !== req.user.university_id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acceso denegado a esta submission',
+        });
+      }
+    } else if (req.user.role === 'professor') {
+      const commission = await Commission.findOne({
+        commission_id: submission.commission_id,
+        professors: req.user.userId,
+        deleted: false,
+      });
+
+      if (!commission) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acceso denegado a esta submission',
+        });
+      }
+    } else if (req.user.role !== 'super-admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+      });
+    }
+
+    const rubric = await Rubric.findOne({ rubric_id: submission.rubric_id });
+    const policy = rubric?.attempt_policy || ATTEMPT_POLICIES.LATEST;
+
+    const attempts = await Submission.findAttempts(submission.rubric_id, submission.student_name);
+    const counting = Submission.selectCountingAttempt(attempts, policy);
+
+    const history = attempts.map((attempt) => ({
+      _id: attempt._id,
+      submission_id: attempt.submission_id,
+      attempt: attempt.attempt || 1,
+      is_current: attempt.is_current !== false,
+      counts: counting ? attempt._id.equals(counting._id) : false,
+      status: attempt.status,
+      uploaded_at: attempt.uploaded_at,
+      uploaded_by: attempt.uploaded_by,
+      submitted_at: attempt.submitted_at || attempt.uploaded_at,
+      late_status: attempt.late_status,
+      minutes_late: attempt.minutes_late,
+      superseded_at: attempt.superseded_at,
+      file_name: attempt.file_name,
+      file_size: attempt.file_size,
+      drive_file_id: attempt.drive_file_id,
+      drive_file_url: attempt.drive_file_url,
+      consolidation_stats: attempt.consolidation_stats,
+      grade: attempt.getEffectiveGrade(),
+      correction: attempt.correction,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rubric_id: submission.rubric_id,
+        student_name: submission.student_name,
+        attempt_policy: policy,
+        counting_attempt: counting ? counting.attempt || 1 : null,
+        counting_submission_id: counting?.submission_id || null,
+        attempts: history,
+      },
+      count: history.length,
+    });
+  } catch (error) {
+    console.error('Error al obtener historial de la submission:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener historial de la submission',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Crear nueva submission (subir entrega de alumno)
  * POST /api/submissions
@@ -316,24 +599,19 @@ export const createSubmission = async (req, res) => {
       }
     }
 
-    // Validar que no exista submission duplicada (mismo rubric_id + student_name)
+    // Si ya existe una entrega del alumno (mismo rubric_id + student_name), registrar una reentrega
     const cleanStudentName = student_name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
-    const existingSubmission = await Submission.findOne({
-      rubric_id,
-      student_name: cleanStudentName,
-      deleted: false,
-    });
+    const existingSubmission = await Submission.findCurrentAttempt(rubric_id, cleanStudentName);
 
+    if (existingSubmission && !(forceOverwrite === 'true' || forceOverwrite === true)) {
+      throw new Error(
+        `Ya existe una entrega para el alumno "${student_name}" en esta rúbrica. Active "Forzar sobrescritura" para registrar un nuevo intento.`
+      );
+    }
+
+    const attempt = await Submission.getNextAttempt(rubric_id, cleanStudentName);
     if (existingSubmission) {
-      // Si forceOverwrite está activo, hacer soft delete de la submission anterior
-      if (forceOverwrite === 'true' || forceOverwrite === true) {
-        console.log(`⚠️ Sobrescribiendo submission existente para ${cleanStudentName}`);
-        await existingSubmission.softDelete();
-      } else {
-        throw new Error(
-          `Ya existe una entrega para el alumno "${student_name}" en esta rúbrica. Active "Forzar sobrescritura" para reemplazarla.`
-        );
-      }
+      console.log(`🔁 Reentrega de ${cleanStudentName}: intento ${attempt}`);
     }
 
     // Leer preview del archivo (primeros 500 caracteres)
@@ -383,17 +661,46 @@ export const createSubmission = async (req, res) => {
       file_name: driveFileName,
       file_size: finalFileStats.size,
       file_content_preview: fileContentPreview,
+      content_text: fileContent,
       drive_file_id: driveResponse.drive_file_id,
       drive_file_url: driveResponse.drive_file_url,
       rubric_drive_folder_id: driveFolderId,
       student_folder_id: studentFolderResponse.folder_id,
+      consolidation_stats: consolidationStats,
+      attempt,
+      previous_submission_id: existingSubmission?.submission_id || null,
       uploaded_by: req.user.userId,
       status: 'uploaded',
+      submitted_at: new Date(),
+      submitted_at_source: 'upload',
+    });
+
+    // Marcar entrega a tiempo o tardía según la fecha límite de la rúbrica
+    stampLateness(newSubmission, rubric);
+
+    // Vincular con el alumno del padrón (por legajo o por nombre)
+    const student = await resolveStudent({
+      commission_id: rubric.commission_id,
+      course_id: rubric.course_id,
+      university_id: rubric.university_id,
+      student_id,
+      student_name: cleanStudentName,
     });
+    if (student) {
+      newSubmission.student = student._id;
+      newSubmission.student_id = newSubmission.student_id || student.student_id;
+    }
 
-    await newSubmission.save();
+    // Otra reentrega simultánea puede tomar el mismo número de intento: se recalcula al guardar
+    await newSubmission.saveAsNextAttempt();
+    const savedAttempt = newSubmission.attempt;
 
-    console.log(`✅ Submission creada: ${submission_id}`);
+    // El intento anterior se conserva en el historial (ver GET /api/submissions/:id/history)
+    if (existingSubmission) {
+      await existingSubmission.supersede(submission_id);
+    }
+
+    console.log(`✅ Submission creada: ${submission_id} (intento ${savedAttempt})`);
 
     // Preparar respuesta
     const responseMessage = isZip
@@ -481,9 +788,15 @@ export const updateSubmission = async (req, res) => {
 
     // Actualizar corrección
     if (correction) {
+      const rubric = await Rubric.findOne({ rubric_id: submission.rubric_id });
+      const rubricVersion = rubric ? await RubricVersion.ensureCurrentVersion(rubric) : null;
+
       await submission.addCorrection({
         ...correction,
         corrected_by: req.user.userId,
+        rubric_version: rubricVersion?.version ?? null,
+        rubric_version_id: rubricVersion?._id || null,
+        computed: scoreCorrection(correction, rubric, { submission }),
       });
     }
 
@@ -506,6 +819,333 @@ export const updateSubmission = async (req, res) => {
   }
 };
 
+/**
+ * Ajustar manualmente el puntaje de un criterio
+ * PATCH /api/submissions/:id/criteria/:criterionId
+ * Body: { score, reason, status?, feedback? }
+ * Conserva el puntaje original del proveedor, registra quién, cuándo y por qué, y recalcula la nota
+ */
+export const overrideCriterionScore = async (req, res) => {
+  try {
+    const { id, criterionId } = req.params;
+    const { score, reason, status, feedback } = req.body;
+
+    if (score === undefined || score === null || score === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'score es requerido',
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason es requerido: indique el motivo del ajuste',
+      });
+    }
+
+    if (status && !['ok', 'warning', 'error'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status debe ser uno de: ok, warning, error',
+      });
+    }
+
+    const submission = await Submission.findById(id);
+
+    if (!submission || submission.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission no encontrada',
+      });
+    }
+
+    // Validar acceso
+    if (req.user.role === 'professor') {
+      const commission = await Commission.findOne({
+        commission_id: submission.commission_id,
+        professors: req.user.userId,
+        deleted: false,
+      });
+
+      if (!commission) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta submission',
+        });
+      }
+    } else if (req.user.role === 'university-admin') {
+      if (submission.university_id !== req.user.university_id) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta submission',
+        });
+      }
+    }
+
+    if (submission.status !== 'corrected' || !submission.correction?.criteria?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'La submission no tiene una corrección con criterios para ajustar',
+      });
+    }
+
+    let entry;
+    try {
+      entry = submission.overrideCriterion(criterionId, {
+        score,
+        reason: String(reason).trim(),
+        status,
+        feedback,
+        userId: req.user.userId,
+      });
+    } catch (err) {
+      if (err.statusCode) {
+        return res.status(err.statusCode).json({
+          success: false,
+          message: err.message,
+        });
+      }
+      throw err;
+    }
+
+    // Recalcular la nota con el ajuste
+    const rubric = await Rubric.findOne({ rubric_id: submission.rubric_id });
+    submission.set('correction.computed', scoreCorrection(submission.correction.toObject(), rubric, { submission }));
+    await submission.save();
+
+    console.log(
+      `✏️ Ajuste docente en ${submission.submission_id}: criterio ${entry.criterion_id} ${entry.previous_score} → ${entry.new_score}`
+    );
+
+    const updatedSubmission = await Submission.findById(id)
+      .populate('uploaded_by', 'name username')
+      .populate('correction.corrected_by', 'name username')
+      .populate('correction.overrides.overridden_by', 'name username');
+
+    res.status(200).json({
+      success: true,
+      message: 'Puntaje del criterio ajustado exitosamente',
+      data: updatedSubmission,
+      override: entry,
+    });
+  } catch (error) {
+    console.error('Error al ajustar criterio:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al ajustar criterio',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Listar entregas cuyo alumno no se pudo identificar con certeza (lotes de Moodle)
+ * GET /api/submissions/student-matches?commission_id=...&rubric_id=...&status=ambiguous|unmatched
+ */
+export const getPendingStudentMatches = async (req, res) => {
+  try {
+    const { commission_id, rubric_id, status } = req.query;
+
+    if (status !== undefined && !Object.values(STUDENT_MATCH_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status debe ser uno de: ${Object.values(STUDENT_MATCH_STATUSES).join(', ')}`,
+      });
+    }
+
+    const query = {
+      'student_match.status': status || { $in: [STUDENT_MATCH_STATUSES.AMBIGUOUS, STUDENT_MATCH_STATUSES.UNMATCHED] },
+      is_current: { $ne: false },
+      deleted: false,
+    };
+
+    // Filtros multi-tenant según rol
+    if (req.user.role === 'university-admin') {
+      query.university_id = req.user.university_id;
+    } else if (req.user.role === 'professor') {
+      const professorCommissions = await Commission.find({
+        professors: req.user.userId,
+        deleted: false,
+      }).select('commission_id');
+      query.commission_id = { $in: professorCommissions.map((c) => c.commission_id) };
+    } else if (req.user.role !== 'super-admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+      });
+    }
+
+    if (commission_id) {
+      if (query.commission_id && !query.commission_id.$in.includes(commission_id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta comisión',
+        });
+      }
+      query.commission_id = commission_id;
+    }
+    if (rubric_id) {
+      query.rubric_id = rubric_id;
+    }
+
+    const submissions = await Submission.find(query)
+      .select('submission_id commission_id rubric_id student_name student_match uploaded_at status')
+      .sort({ rubric_id: 1, student_name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: submissions,
+      count: submissions.length,
+    });
+  } catch (error) {
+    console.error('Error al obtener coincidencias pendientes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener coincidencias pendientes',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirmar (o descartar) el alumno de una entrega
+ * POST /api/submissions/:id/student-match
+ * Body: { student_id } para vincular al alumno (legajo) o { dismiss: true } para dejarla sin alumno
+ * Al confirmar se recuerdan el nombre de la carpeta y el ID de Moodle para los próximos lotes
+ */
+export const confirmStudentMatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { student_id, dismiss } = req.body;
+
+    if (!student_id && !dismiss) {
+      return res.status(400).json({
+        success: false,
+        message: 'Indique student_id (legajo) o dismiss: true',
+      });
+    }
+
+    const submission = await Submission.findById(id);
+
+    if (!submission || submission.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission no encontrada',
+      });
+    }
+
+    // Validar acceso
+    if (req.user.role === 'professor') {
+      const commission = await Commission.findOne({
+        commission_id: submission.commission_id,
+        professors: req.user.userId,
+        deleted: false,
+      });
+
+      if (!commission) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta submission',
+        });
+      }
+    } else if (req.user.role === 'university-admin') {
+      if (submission.university_id !== req.user.university_id) {
+        return res.status(403).json({
+          success: false,
+          message: 'No tiene acceso a esta submission',
+        });
+      }
+    }
+
+    if (dismiss) {
+      submission.student = null;
+      submission.set('student_match.status', STUDENT_MATCH_STATUSES.DISMISSED);
+      submission.set('student_match.reviewed_by', req.user.userId);
+      submission.set('student_match.reviewed_at', new Date());
+      await submission.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Entrega marcada sin alumno del padrón',
+        data: submission,
+      });
+    }
+
+    const student = await Student.findOne({
+      university_id: submission.university_id,
+      student_id: String(student_id).trim(),
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alumno no encontrado',
+      });
+    }
+
+    const enrollment = await Enrollment.findOne({
+      commission_id: submission.commission_id,
+      course_id: submission.course_id,
+      student: student._id,
+      status: ENROLLMENT_STATUSES.ACTIVE,
+    });
+
+    if (!enrollment) {
+      return res.status(400).json({
+        success: false,
+        message: 'El alumno no está inscripto en la comisión de la entrega',
+      });
+    }
+
+    // Evitar dos entregas vigentes del mismo alumno en la rúbrica
+    const duplicate = await Submission.findOne({
+      _id: { $ne: submission._id },
+      rubric_id: submission.rubric_id,
+      student: student._id,
+      is_current: { $ne: false },
+      deleted: false,
+    });
+
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: `El alumno ya tiene otra entrega vigente en esta rúbrica (${duplicate.submission_id})`,
+      });
+    }
+
+    submission.student = student._id;
+    submission.student_id = student.student_id;
+    submission.set('student_match.status', STUDENT_MATCH_STATUSES.CONFIRMED);
+    submission.set('student_match.reviewed_by', req.user.userId);
+    submission.set('student_match.reviewed_at', new Date());
+    await submission.save();
+
+    // Recordar la carpeta para que el próximo lote la vincule automáticamente
+    const folderName = submission.student_match?.folder_name;
+    student.rememberMatch({
+      alias: folderName ? BatchConsolidatorService.sanitizeStudentName(folderName) : null,
+      moodleId: submission.student_match?.moodle_participant_id,
+    });
+    await student.save();
+
+    console.log(`🔗 Entrega ${submission.submission_id} vinculada al alumno ${student.student_id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Alumno confirmado',
+      data: submission,
+    });
+  } catch (error) {
+    console.error('Error al confirmar alumno de la entrega:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al confirmar alumno de la entrega',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Eliminar submission (soft delete)
  * DELETE /api/submissions/:id
@@ -548,6 +1188,24 @@ export const deleteSubmission = async (req, res) => {
 
     await submission.softDelete();
 
+    // Si se eliminó el intento vigente, el intento anterior más reciente vuelve a ser el vigente
+    if (submission.is_current !== false) {
+      const [previous] = await Submission.find({
+        rubric_id: submission.rubric_id,
+        student_name: submission.student_name,
+        deleted: false,
+      })
+        .sort({ attempt: -1 })
+        .limit(1);
+
+      if (previous) {
+        previous.is_current = true;
+        previous.superseded_by = null;
+        previous.superseded_at = null;
+        await previous.save();
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Submission eliminada exitosamente',
@@ -668,11 +1326,6 @@ export const createBatchSubmissions = async (req, res) => {
 
     console.log(`📦 Procesando batch de entregas para ${commission_id} / ${rubric_id}...`);
 
-    // Importar BatchConsolidatorService
-    const { default: BatchConsolidatorService } = await import(
-      '../services/batchConsolidatorService.js'
-    );
-
     // Consolidar todos los proyectos
     const options = {
       mode: mode || '1',
@@ -695,9 +1348,16 @@ export const createBatchSubmissions = async (req, res) => {
       `✅ Batch consolidado: ${batchResult.successful} exitosos, ${batchResult.failed} fallidos`
     );
 
+    // Padrón de la comisión para identificar a cada alumno por el nombre de su carpeta
+    const rosterStudents = await getEnrolledStudents({
+      commission_id: rubric.commission_id,
+      course_id: rubric.course_id,
+    });
+
     // Procesar cada resultado
     const successResults = [];
     const errorResults = [];
+    const reviewResults = [];
 
     for (const result of batchResult.results) {
       try {
@@ -710,26 +1370,52 @@ export const createBatchSubmissions = async (req, res) => {
           continue;
         }
 
-        const cleanStudentName = result.student_name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+        // Identificar al alumno en el padrón (ID de Moodle, nombre exacto o similitud)
+        const match =
+          rosterStudents.length > 0
+            ? matchStudent(
+                { name: result.student_name, moodle_participant_id: result.moodle_participant_id },
+                rosterStudents
+              )
+            : null;
+        const matchedStudent = match?.student || null;
+
+        // Identificado con certeza por nombre: recordar su ID de Moodle para los próximos lotes
+        if (
+          matchedStudent &&
+          match.method !== 'moodle-id' &&
+          result.moodle_participant_id &&
+          !(matchedStudent.moodle_ids || []).includes(String(result.moodle_participant_id))
+        ) {
+          await matchedStudent.rememberMatch({ moodleId: result.moodle_participant_id }).save();
+        }
 
-        // Validar duplicado
-        const existingSubmission = await Submission.findOne({
-          rubric_id,
-          student_name: cleanStudentName,
-          deleted: false,
-        });
+        // Si el alumno fue identificado, buscar su entrega anterior aunque la carpeta tenga otro nombre
+        const previousByStudent = matchedStudent
+          ? await Submission.findOne({
+              rubric_id,
+              student: matchedStudent._id,
+              is_current: { $ne: false },
+              deleted: false,
+            })
+          : null;
 
-        if (existingSubmission) {
-          if (forceOverwrite === 'true' || forceOverwrite === true) {
-            console.log(`⚠️ Sobrescribiendo submission existente para ${cleanStudentName}`);
-            await existingSubmission.softDelete();
-          } else {
-            errorResults.push({
-              studentName: result.student_name,
-              error: 'Ya existe una entrega. Active "Forzar sobrescritura".',
-            });
-            continue;
-          }
+        const cleanStudentName =
+          previousByStudent?.student_name ||
+          (matchedStudent
+            ? Student.normalizeName(matchedStudent.full_name)
+            : result.student_name.toLowerCase().replace(/[^a-z0-9-]/g, '-'));
+
+        // Si ya existe una entrega del alumno, registrar una reentrega
+        const existingSubmission =
+          previousByStudent || (await Submission.findCurrentAttempt(rubric_id, cleanStudentName));
+
+        if (existingSubmission && !(forceOverwrite === 'true' || forceOverwrite === true)) {
+          errorResults.push({
+            studentName: result.student_name,
+            error: 'Ya existe una entrega. Active "Forzar sobrescritura" para registrar un nuevo intento.',
+          });
+          continue;
         }
 
         // Ruta del archivo consolidado
@@ -776,6 +1462,7 @@ export const createBatchSubmissions = async (req, res) => {
 
         // Crear Submission
         const submission_id = Submission.generateSubmissionId(commission_id, cleanStudentName);
+        const attempt = await Submission.getNextAttempt(rubric_id, cleanStudentName);
 
         const newSubmission = new Submission({
           submission_id,
@@ -786,26 +1473,74 @@ export const createBatchSubmissions = async (req, res) => {
           faculty_id: rubric.faculty_id,
           university_id: rubric.university_id,
           student_name: cleanStudentName,
-          student_id: null,
+          student_id: matchedStudent?.student_id || null,
+          student: matchedStudent?._id || null,
+          student_match: match
+            ? {
+                status: match.status,
+                method: match.method,
+                score: match.score,
+                folder_name: result.folder_name || result.student_name,
+                moodle_participant_id: result.moodle_participant_id || null,
+                candidates: match.candidates,
+              }
+            : undefined,
           file_name: driveFileName,
           file_size: fileStats.size,
           file_content_preview: fileContentPreview,
+          content_text: fileContent,
           drive_file_id: driveResponse.drive_file_id,
           drive_file_url: driveResponse.drive_file_url,
           rubric_drive_folder_id: driveFolderId,
           student_folder_id: studentFolderResponse.folder_id,
+          consolidation_stats: result.stats || null,
+          attempt,
+          previous_submission_id: existingSubmission?.submission_id || null,
           uploaded_by: req.user.userId,
           status: 'uploaded',
+          // En lotes de Moodle la fecha de entrega sale del nombre de la carpeta
+          submitted_at: result.submitted_at || new Date(),
+          submitted_at_source: result.submitted_at ? 'moodle' : 'upload',
+          project_hash_id: result.project_hash_id || null,
         });
 
-        await newSubmission.save();
+        stampLateness(newSubmission, rubric);
+
+        // Otra reentrega simultánea puede tomar el mismo número de intento: se recalcula al guardar
+        await newSubmission.saveAsNextAttempt();
+        const savedAttempt = newSubmission.attempt;
+
+        // El ProjectHash del lote se guardó con el nombre de la carpeta: alinearlo con la Submission
+        if (result.project_hash_id) {
+          await ProjectHash.linkToSubmission(result.project_hash_id, newSubmission);
+        }
+
+        if (existingSubmission) {
+          await existingSubmission.supersede(submission_id);
+        }
+
         successResults.push({
           studentName: result.student_name,
           submissionId: submission_id,
+          attempt: savedAttempt,
+          late_status: newSubmission.late_status,
+          student_id: matchedStudent?.student_id || null,
+          match_status: match?.status || null,
           stats: result.stats,
         });
 
-        console.log(`✅ Submission creada para ${cleanStudentName}`);
+        // Coincidencias dudosas o sin alumno: quedan para confirmar (POST /api/submissions/:id/student-match)
+        if (match && !matchedStudent) {
+          reviewResults.push({
+            _id: newSubmission._id,
+            submissionId: submission_id,
+            folder_name: result.folder_name || result.student_name,
+            status: match.status,
+            candidates: match.candidates,
+          });
+        }
+
+        console.log(`✅ Submission creada para ${cleanStudentName} (intento ${savedAttempt})`);
       } catch (err) {
         console.error(`❌ Error procesando ${result.student_name}:`, err);
         errorResults.push({
@@ -836,8 +1571,11 @@ export const createBatchSubmissions = async (req, res) => {
       data: {
         successCount: successResults.length,
         errorCount: errorResults.length,
+        reviewCount: reviewResults.length,
         submissions: successResults,
         errors: errorResults,
+        // Entregas sin alumno identificado con certeza (confirmar con POST /api/submissions/:id/student-match)
+        review: reviewResults,
         similarity: similarityAnalysis,
       },
     });
@@ -67,7 +67,7 @@ export const getUniversityById = async (req, res) => {
  */
 export const createUniversity = async (req, res) => {
   try {
-    const { university_id, name } = req.body;
+    const { university_id, name, grading_provider } = req.body;
 
     // Validar datos
     if (!university_id || !name) {
@@ -100,6 +100,7 @@ export const createUniversity = async (req, res) => {
     const university = new University({
       university_id,
       name,
+      grading_provider: grading_provider || null,
     });
 
     await university.save();
@@ -142,10 +143,10 @@ export const createUniversity = async (req, res) => {
 export const updateUniversity = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name } = req.body;
+    const { name, grading_provider } = req.body;
 
     // Validar datos
-    if (!name) {
+    if (!name && grading_provider === undefined) {
       return res.status(400).json({
         success: false,
         message: 'name es requerido',
@@ -162,7 +163,12 @@ export const updateUniversity = async (req, res) => {
       });
     }
 
-    university.name = name;
+    if (name) {
+      university.name = name;
+    }
+    if (grading_provider !== undefined) {
+      university.grading_provider = grading_provider || null;
+    }
     await university.save();
 
     res.status(200).json({
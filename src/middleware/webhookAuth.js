@@ -0,0 +1,68 @@
+/**
+ * Middleware de autenticación de webhooks entrantes (callbacks de n8n)
+ * Acepta un secreto compartido o una firma HMAC-SHA256 del cuerpo del request
+ */
+import crypto from 'crypto';
+
+/**
+ * Compara dos strings en tiempo constante
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Verificar que el callback provenga de n8n
+ *
+ * Modos soportados (usando N8N_CALLBACK_SECRET):
+ * - Header "X-Signature: sha256=<hex>" con HMAC-SHA256 del cuerpo crudo
+ * - Header "X-Webhook-Secret: <secreto>" con el secreto compartido
+ *
+ * Requiere que express.json guarde el cuerpo crudo en req.rawBody
+ */
+export const verifyN8nCallback = (req, res, next) => {
+  const secret = process.env.N8N_CALLBACK_SECRET;
+
+  if (!secret) {
+    console.error('❌ N8N_CALLBACK_SECRET no está configurada en .env');
+    return res.status(503).json({
+      success: false,
+      message: 'Callback de n8n no configurado',
+    });
+  }
+
+  const signatureHeader = req.headers['x-signature'];
+  const sharedSecret = req.headers['x-webhook-secret'];
+
+  if (signatureHeader) {
+    const signature = String(signatureHeader).replace(/^sha256=/, '');
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    if (safeEqual(signature, expected)) {
+      return next();
+    }
+  } else if (sharedSecret && safeEqual(sharedSecret, secret)) {
+    return next();
+  }
+
+  console.warn(`⚠️ Callback de n8n rechazado (firma o secreto inválido) desde ${req.ip}`);
+  return res.status(401).json({
+    success: false,
+    message: 'Firma o secreto de webhook inválido',
+  });
+};
+
+export default {
+  verifyN8nCallback,
+};
@@ -5,6 +5,16 @@
  */
 import mongoose from 'mongoose';
 
+// Cómo se combina la nota de un recuperatorio con la del parcial que recupera (planilla de notas)
+const RECUPERATORIO_RULES = {
+  // La nota del recuperatorio reemplaza a la del parcial cuando el alumno lo rindió
+  REPLACE: 'replace',
+  // Cuenta la mayor de las dos
+  MAX: 'max',
+  // No se combinan (solo se informa la nota del parcial)
+  NONE: 'none',
+};
+
 const commissionSchema = new mongoose.Schema(
   {
     commission_id: {
@@ -51,6 +61,14 @@ const commissionSchema = new mongoose.Schema(
       max: [2100, 'El año debe ser anterior a 2100'],
       index: true,
     },
+    // Configuración de la planilla de notas (GET /api/commissions/:id/gradebook)
+    gradebook: {
+      recuperatorio_rule: {
+        type: String,
+        enum: Object.values(RECUPERATORIO_RULES),
+        default: RECUPERATORIO_RULES.REPLACE,
+      },
+    },
     deleted: {
       type: Boolean,
       default: false,
@@ -171,4 +189,6 @@ commissionSchema.pre(/^find/, function (next) {
 
 const Commission = mongoose.model('Commission', commissionSchema);
 
+export { RECUPERATORIO_RULES };
+
 export default Commission;
@@ -92,6 +92,30 @@ courseSchema.statics.findByYear = function (year) {
   return this.find({ year, deleted: false }).sort({ name: 1 });
 };
 
+/**
+ * Método estático para obtener el course_id del mismo curso en otro año
+ * El course_id lleva el año como prefijo (2025-programacion-ii → 2026-programacion-ii)
+ * @param {String} courseId
+ * @param {Number} year
+ * @returns {String}
+ */
+courseSchema.statics.courseIdForYear = function (courseId, year) {
+  return String(courseId || '').replace(/^[0-9]{4}-/, `${year}-`);
+};
+
+/**
+ * Método estático para obtener un patrón que coincide con el mismo curso en cualquier año
+ * (el course_id sin su prefijo YYYY-)
+ * @param {String} courseId
+ * @returns {RegExp}
+ */
+courseSchema.statics.courseIdAnyYearPattern = function (courseId) {
+  const suffix = String(courseId || '')
+    .replace(/^[0-9]{4}-/, '')
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^[0-9]{4}-${suffix}$`);
+};
+
 /**
  * Método de instancia para soft delete
  * @returns {Promise<Document>}
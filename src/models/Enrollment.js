@@ -0,0 +1,145 @@
+/**
+ * Modelo de Inscripción
+ * Relaciona un alumno (Student) con una comisión
+ */
+import mongoose from 'mongoose';
+
+// Estados de la inscripción
+const ENROLLMENT_STATUSES = {
+  ACTIVE: 'active',
+  DROPPED: 'dropped',
+};
+
+const enrollmentSchema = new mongoose.Schema(
+  {
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: [true, 'El alumno es requerido'],
+      index: true,
+    },
+    // Legajo del alumno (copiado de Student para reportes)
+    student_id: {
+      type: String,
+      required: [true, 'El legajo del alumno es requerido'],
+      trim: true,
+    },
+    commission_id: {
+      type: String,
+      required: [true, 'El ID de la comisión es requerido'],
+      index: true,
+    },
+    course_id: {
+      type: String,
+      required: [true, 'El ID del curso es requerido'],
+    },
+    university_id: {
+      type: String,
+      required: [true, 'El ID de la universidad es requerido'],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(ENROLLMENT_STATUSES),
+      default: ENROLLMENT_STATUSES.ACTIVE,
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: ['csv', 'manual'],
+      default: 'manual',
+    },
+    enrolled_at: {
+      type: Date,
+      default: Date.now,
+    },
+    dropped_at: {
+      type: Date,
+      default: null,
+    },
+    enrolled_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Un alumno se inscribe una sola vez por comisión
+enrollmentSchema.index({ course_id: 1, commission_id: 1, student: 1 }, { unique: true });
+
+/**
+ * Método estático para obtener las inscripciones de una comisión con los datos del alumno
+ * @param {Object} commission - Comisión (commission_id y course_id)
+ * @param {Object} options - { includeDropped }
+ * @returns {Promise<Array>}
+ */
+enrollmentSchema.statics.findByCommission = function (commission, options = {}) {
+  const query = {
+    commission_id: commission.commission_id,
+    course_id: commission.course_id,
+  };
+
+  if (!options.includeDropped) {
+    query.status = ENROLLMENT_STATUSES.ACTIVE;
+  }
+
+  return this.find(query).populate('student').sort({ student_id: 1 });
+};
+
+/**
+ * Método estático para inscribir (o reincorporar) un alumno en una comisión
+ * @param {Document} student
+ * @param {Object} commission - Comisión (commission_id, course_id, university_id)
+ * @param {Object} options - { source, userId }
+ * @returns {Promise<{enrollment: Document, created: Boolean, reactivated: Boolean}>}
+ */
+enrollmentSchema.statics.enroll = async function (student, commission, options = {}) {
+  const existing = await this.findOne({
+    commission_id: commission.commission_id,
+    course_id: commission.course_id,
+    student: student._id,
+  });
+
+  if (existing) {
+    const reactivated = existing.status !== ENROLLMENT_STATUSES.ACTIVE;
+    if (reactivated) {
+      existing.status = ENROLLMENT_STATUSES.ACTIVE;
+      existing.dropped_at = null;
+    }
+    existing.student_id = student.student_id;
+    await existing.save();
+    return { enrollment: existing, created: false, reactivated };
+  }
+
+  const enrollment = await this.create({
+    student: student._id,
+    student_id: student.student_id,
+    commission_id: commission.commission_id,
+    course_id: commission.course_id,
+    university_id: commission.university_id,
+    source: options.source || 'manual',
+    enrolled_by: options.userId || null,
+  });
+
+  return { enrollment, created: true, reactivated: false };
+};
+
+/**
+ * Método de instancia para dar de baja la inscripción
+ * @returns {Promise<Document>}
+ */
+enrollmentSchema.methods.drop = function () {
+  this.status = ENROLLMENT_STATUSES.DROPPED;
+  this.dropped_at = new Date();
+  return this.save();
+};
+
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+
+export { ENROLLMENT_STATUSES };
+
+export default Enrollment;
@@ -0,0 +1,345 @@
+/**
+ * Modelo de GradingJob (Trabajo de Corrección)
+ * Cola persistente de correcciones de submissions procesada por el worker de corrección
+ */
+import mongoose from 'mongoose';
+
+// Estados posibles de un trabajo de corrección
+const GRADING_JOB_STATUSES = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  AWAITING_CALLBACK: 'awaiting-callback',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Estados en los que el trabajo todavía puede producir una corrección
+const ACTIVE_STATUSES = [
+  GRADING_JOB_STATUSES.QUEUED,
+  GRADING_JOB_STATUSES.PROCESSING,
+  GRADING_JOB_STATUSES.AWAITING_CALLBACK,
+];
+
+const gradingJobSchema = new mongoose.Schema(
+  {
+    // Submission a corregir
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Submission',
+      required: [true, 'La submission es requerida'],
+      index: true,
+    },
+    submission_id: {
+      type: String,
+      required: [true, 'El ID de la submission es requerido'],
+      index: true,
+    },
+
+    // Jerarquía (para filtros multi-tenant)
+    commission_id: {
+      type: String,
+      required: [true, 'El ID de la comisión es requerido'],
+    },
+    rubric_id: {
+      type: String,
+      required: [true, 'El ID de la rúbrica es requerido'],
+      index: true,
+    },
+    university_id: {
+      type: String,
+      required: [true, 'El ID de la universidad es requerido'],
+      index: true,
+    },
+
+    // Usuario que solicitó la corrección (se usa su API key de Gemini)
+    requested_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'El usuario que solicitó la corrección es requerido'],
+    },
+
+    // Versión de la rúbrica enviada al proveedor (se estampa en la corrección)
+    rubric_version: {
+      type: Number,
+      default: null,
+    },
+    rubric_version_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RubricVersion',
+      default: null,
+    },
+
+    // Estado del trabajo
+    status: {
+      type: String,
+      enum: Object.values(GRADING_JOB_STATUSES),
+      default: GRADING_JOB_STATUSES.QUEUED,
+      index: true,
+    },
+
+    // Reintentos
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    max_attempts: {
+      type: Number,
+      default: 3,
+      min: [1, 'Debe permitirse al menos 1 intento'],
+    },
+    next_run_at: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Bloqueo del worker
+    locked_at: {
+      type: Date,
+      default: null,
+    },
+    locked_by: {
+      type: String,
+      default: null,
+    },
+
+    // Resultado y errores
+    last_error: {
+      type: String,
+      default: null,
+    },
+    error_history: [
+      {
+        attempt: Number,
+        message: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Momento en que n8n aceptó la corrección asíncrona (se espera su callback)
+    callback_requested_at: {
+      type: Date,
+      default: null,
+    },
+
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índices compuestos para el worker y consultas de seguimiento
+gradingJobSchema.index({ status: 1, next_run_at: 1 });
+gradingJobSchema.index({ status: 1, locked_at: 1 });
+gradingJobSchema.index({ commission_id: 1, rubric_id: 1, status: 1 });
+gradingJobSchema.index({ status: 1, callback_requested_at: 1 });
+
+/**
+ * Método estático para encolar la corrección de una submission
+ * Si ya existe un trabajo pendiente para la submission, lo reutiliza
+ * @param {Document} submission - Documento Submission
+ * @param {String|ObjectId} requestedBy - ID del usuario que solicita la corrección
+ * @param {Object} options - { maxAttempts }
+ * @returns {Promise<{job: Document, created: Boolean}>}
+ */
+gradingJobSchema.statics.enqueue = async function (submission, requestedBy, options = {}) {
+  const existing = await this.findOne({
+    submission: submission._id,
+    status: { $in: ACTIVE_STATUSES },
+  });
+
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  const job = await this.create({
+    submission: submission._id,
+    submission_id: submission.submission_id,
+    commission_id: submission.commission_id,
+    rubric_id: submission.rubric_id,
+    university_id: submission.university_id,
+    requested_by: requestedBy,
+    max_attempts: options.maxAttempts || 3,
+    next_run_at: new Date(),
+  });
+
+  return { job, created: true };
+};
+
+/**
+ * Método estático para tomar (bloquear) el próximo trabajo listo para ejecutarse
+ * La operación es atómica, por lo que varios workers no toman el mismo trabajo
+ * @param {String} workerId - Identificador del worker
+ * @returns {Promise<Document|null>}
+ */
+gradingJobSchema.statics.claimNext = function (workerId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: GRADING_JOB_STATUSES.QUEUED,
+      next_run_at: { $lte: now },
+    },
+    {
+      $set: {
+        status: GRADING_JOB_STATUSES.PROCESSING,
+        locked_at: now,
+        locked_by: workerId,
+      },
+      $inc: { attempts: 1 },
+    },
+    {
+      sort: { next_run_at: 1, createdAt: 1 },
+      new: true,
+    }
+  );
+};
+
+/**
+ * Método estático para tomar (bloquear) un trabajo específico si sigue en cola
+ * Permite ejecutar trabajos inmediatamente sin esperar al ciclo del worker
+ * @param {String|ObjectId} jobId - ID del trabajo
+ * @param {String} workerId - Identificador del ejecutor
+ * @returns {Promise<Document|null>} null si otro worker ya lo tomó
+ */
+gradingJobSchema.statics.claimById = function (jobId, workerId) {
+  return this.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: GRADING_JOB_STATUSES.QUEUED,
+    },
+    {
+      $set: {
+        status: GRADING_JOB_STATUSES.PROCESSING,
+        locked_at: new Date(),
+        locked_by: workerId,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Método estático para obtener los trabajos bloqueados por un worker caído
+ * @param {Number} lockTimeoutMs - Tiempo máximo que un trabajo puede estar en processing
+ * @returns {Promise<Array<Document>>}
+ */
+gradingJobSchema.statics.findStaleLocks = function (lockTimeoutMs) {
+  return this.find({
+    status: GRADING_JOB_STATUSES.PROCESSING,
+    locked_at: { $lt: new Date(Date.now() - lockTimeoutMs) },
+  });
+};
+
+/**
+ * Método estático para obtener el trabajo activo de una submission (si existe)
+ * @param {String|ObjectId} submissionObjectId - _id de la submission
+ * @returns {Promise<Document|null>}
+ */
+gradingJobSchema.statics.findActiveForSubmission = function (submissionObjectId) {
+  return this.findOne({
+    submission: submissionObjectId,
+    status: { $in: ACTIVE_STATUSES },
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Método estático para obtener los trabajos cuyo callback de n8n no llegó a tiempo
+ * @param {Number} callbackTimeoutMs - Tiempo máximo de espera del callback
+ * @returns {Promise<Array<Document>>}
+ */
+gradingJobSchema.statics.findExpiredCallbacks = function (callbackTimeoutMs) {
+  return this.find({
+    status: GRADING_JOB_STATUSES.AWAITING_CALLBACK,
+    callback_requested_at: { $lt: new Date(Date.now() - callbackTimeoutMs) },
+  });
+};
+
+/**
+ * Método de instancia para marcar que n8n aceptó la corrección y se espera su callback
+ * @returns {Promise<Document>}
+ */
+gradingJobSchema.methods.markAwaitingCallback = async function () {
+  this.status = GRADING_JOB_STATUSES.AWAITING_CALLBACK;
+  this.callback_requested_at = new Date();
+  this.locked_at = null;
+  this.locked_by = null;
+  return await this.save();
+};
+
+/**
+ * Método de instancia para marcar el trabajo como completado
+ * @param {Object} result - Resultado devuelto por el proveedor de corrección
+ * @returns {Promise<Document>}
+ */
+gradingJobSchema.methods.markCompleted = async function (result) {
+  this.status = GRADING_JOB_STATUSES.COMPLETED;
+  this.result = result || null;
+  this.last_error = null;
+  this.locked_at = null;
+  this.locked_by = null;
+  this.finished_at = new Date();
+  return await this.save();
+};
+
+/**
+ * Método de instancia para registrar un intento fallido
+ * Reprograma el trabajo con backoff o lo marca como fallido si agotó los intentos
+ * @param {String} errorMessage - Mensaje de error
+ * @param {Number} retryDelayMs - Demora hasta el próximo intento
+ * @returns {Promise<Document>}
+ */
+gradingJobSchema.methods.markAttemptFailed = async function (errorMessage, retryDelayMs) {
+  this.last_error = errorMessage;
+  this.error_history.push({ attempt: this.attempts, message: errorMessage, at: new Date() });
+  this.locked_at = null;
+  this.locked_by = null;
+  this.callback_requested_at = null;
+
+  if (this.attempts >= this.max_attempts) {
+    this.status = GRADING_JOB_STATUSES.FAILED;
+    this.finished_at = new Date();
+  } else {
+    this.status = GRADING_JOB_STATUSES.QUEUED;
+    this.next_run_at = new Date(Date.now() + retryDelayMs);
+  }
+
+  return await this.save();
+};
+
+/**
+ * Método de instancia para verificar si el trabajo ya no se volverá a ejecutar
+ * @returns {Boolean}
+ */
+gradingJobSchema.methods.isFinished = function () {
+  return [
+    GRADING_JOB_STATUSES.COMPLETED,
+    GRADING_JOB_STATUSES.FAILED,
+    GRADING_JOB_STATUSES.CANCELLED,
+  ].includes(this.status);
+};
+
+/**
+ * Exportar constantes de estados para uso en servicios y controladores
+ */
+export { GRADING_JOB_STATUSES, ACTIVE_STATUSES };
+
+const GradingJob = mongoose.model('GradingJob', gradingJobSchema);
+
+export default GradingJob;
@@ -1,9 +1,42 @@
 /**
  * Modelo de ProjectHash
  * Almacena hashes SHA256 de proyectos para detección de similitud
+ * Los hashes se calculan sobre el código fuente normalizado por lenguaje (SimilarityDetectorService)
+ * y las huellas de fragmentos por winnowing de tokens (fingerprintService)
  */
 import mongoose from 'mongoose';
 
+// Huellas de winnowing de un archivo (fingerprintService); arrays paralelos para ocupar menos espacio
+const fileFingerprintSchema = new mongoose.Schema(
+  {
+    file: {
+      type: String,
+      required: [true, 'El nombre del archivo es requerido'],
+    },
+    language: {
+      type: String,
+      default: 'text',
+    },
+    token_count: {
+      type: Number,
+      default: 0,
+    },
+    hashes: {
+      type: [Number],
+      default: [],
+    },
+    start_lines: {
+      type: [Number],
+      default: [],
+    },
+    end_lines: {
+      type: [Number],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
 const projectHashSchema = new mongoose.Schema(
   {
     // Referencias
@@ -51,6 +84,23 @@ const projectHashSchema = new mongoose.Schema(
       required: true,
       default: {},
     },
+    // Hashes de file_hashes como lista indexada (búsqueda entre comisiones y años); se completa al validar
+    file_hash_list: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // Huellas por archivo para detectar fragmentos copiados (vacío en proyectos procesados antes de su incorporación)
+    fingerprints: {
+      type: [fileFingerprintSchema],
+      default: [],
+    },
+    // Contenido completo del entrega.txt consolidado (comparación lado a lado de un par de alumnos)
+    content_text: {
+      type: String,
+      default: null,
+      select: false,
+    },
 
     // Estadísticas
     stats: {
@@ -66,10 +116,20 @@ const projectHashSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Archivos de código fuente comparados (cualquier lenguaje)
+      source_files: {
+        type: Number,
+        default: 0,
+      },
       other_files: {
         type: Number,
         default: 0,
       },
+      // Cantidad de archivos comparados por lenguaje { java: 12, python: 3 }
+      languages: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
     },
 
     // Metadata
@@ -104,6 +164,13 @@ const projectHashSchema = new mongoose.Schema(
   },
   {
     timestamps: { createdAt: 'processed_at', updatedAt: 'updated_at' },
+    toJSON: {
+      // No exponer el contenido completo de la entrega en las respuestas de la API
+      transform: (doc, ret) => {
+        delete ret.content_text;
+        return ret;
+      },
+    },
   }
 );
 
@@ -112,6 +179,8 @@ projectHashSchema.index({ commission_id: 1, rubric_id: 1 });
 projectHashSchema.index({ project_hash: 1 });
 projectHashSchema.index({ student_name: 1, commission_id: 1 });
 projectHashSchema.index({ commission_id: 1, rubric_id: 1, student_name: 1 }, { unique: true });
+// Búsqueda de proyectos de otras comisiones o años que comparten fragmentos
+projectHashSchema.index({ 'fingerprints.hashes': 1 });
 
 /**
  * Método estático para encontrar proyectos por comisión y rúbrica
@@ -149,6 +218,35 @@ projectHashSchema.statics.findByStudent = function (studentName, commissionId =
   return this.find(query).sort({ processed_at: -1 });
 };
 
+/**
+ * Método estático para obtener un proyecto con el contenido consolidado del entrega.txt
+ * @param {ObjectId|String} projectHashId
+ * @returns {Promise<Document|null>}
+ */
+projectHashSchema.statics.findWithContent = function (projectHashId) {
+  return this.findById(projectHashId).select('+content_text');
+};
+
+/**
+ * Método estático para buscar, dentro de un conjunto de rúbricas, los proyectos que comparten
+ * al menos un archivo idéntico o una huella (usa los índices de file_hash_list y fingerprints.hashes)
+ * Devuelve objetos planos (lean) para recorrer colecciones históricas grandes
+ * @param {Array<String>} rubricIds
+ * @param {Object} hashes - { fileHashes: [String], fingerprints: [Number] }
+ * @returns {Promise<Array<Object>>}
+ */
+projectHashSchema.statics.findSharingHashes = function (rubricIds, { fileHashes = [], fingerprints = [] } = {}) {
+  const conditions = [];
+  if (fileHashes.length > 0) conditions.push({ file_hash_list: { $in: fileHashes } });
+  if (fingerprints.length > 0) conditions.push({ 'fingerprints.hashes': { $in: fingerprints } });
+
+  if (rubricIds.length === 0 || conditions.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return this.find({ rubric_id: { $in: rubricIds }, $or: conditions }).lean();
+};
+
 /**
  * Método estático para buscar o crear un proyecto hash
  * @param {Object} projectData - Datos del proyecto
@@ -172,6 +270,36 @@ projectHashSchema.statics.findOrCreate = async function (projectData) {
   return await this.create(projectData);
 };
 
+/**
+ * Método estático para vincular un proyecto con la Submission creada para el alumno
+ * Usa el mismo student_name que la Submission (el del padrón si se identificó al alumno) y guarda su submission_id;
+ * si ya había un proyecto del alumno con ese nombre (entrega anterior), se reemplaza por este
+ * @param {ObjectId|String} projectHashId
+ * @param {Document} submission - Submission creada para el proyecto
+ * @returns {Promise<Document|null>} null si el proyecto no existe
+ */
+projectHashSchema.statics.linkToSubmission = async function (projectHashId, submission) {
+  const project = await this.findById(projectHashId);
+  if (!project) return null;
+
+  const studentName = submission.student_name.toLowerCase().trim();
+
+  if (project.student_name !== studentName) {
+    await this.deleteOne({
+      _id: { $ne: project._id },
+      commission_id: project.commission_id,
+      rubric_id: project.rubric_id,
+      student_name: studentName,
+    });
+  }
+
+  project.student_name = studentName;
+  project.submission_id = submission.submission_id;
+  project.student_id = submission.student_id || project.student_id;
+  project.updated_at = new Date();
+  return await project.save();
+};
+
 /**
  * Método estático para obtener estadísticas por comisión y rúbrica
  * @param {String} commissionId
@@ -222,7 +350,9 @@ projectHashSchema.methods.updateStats = async function (stats) {
     total_files: stats.totalFiles || 0,
     total_lines: stats.totalLines || 0,
     java_files: stats.javaFiles || 0,
+    source_files: stats.sourceFiles || 0,
     other_files: stats.otherFiles || 0,
+    languages: stats.languages || {},
   };
   this.updated_at = new Date();
   return await this.save();
@@ -236,6 +366,13 @@ projectHashSchema.methods.getFileHashesAsObject = function () {
   return this.file_hashes || {};
 };
 
+// Mantener la lista indexada de hashes de archivo sincronizada con file_hashes
+projectHashSchema.pre('validate', function (next) {
+  this.file_hash_list = [...new Set(Object.values(this.file_hashes || {}).filter(Boolean))];
+  next();
+});
+
 const ProjectHash = mongoose.model('ProjectHash', projectHashSchema);
 
+export { fileFingerprintSchema };
 export default ProjectHash;
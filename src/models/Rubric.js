@@ -14,6 +14,31 @@ const RUBRIC_TYPES = {
   GLOBAL: 'global'
 };
 
+// Escalas de nota soportadas por el motor de puntaje (ver scoringService)
+const GRADE_SCALES = {
+  TEN: '0-10',
+  HUNDRED: '0-100',
+  LETTER: 'letter',
+};
+
+// Modos de redondeo de la nota calculada
+const ROUNDING_MODES = ['half-up', 'floor', 'ceil', 'none'];
+
+// Modos de descuento por entrega tardía (ver deadlineService)
+const LATE_PENALTY_MODES = {
+  NONE: 'none',
+  FIXED: 'fixed',
+  PER_DAY: 'per-day',
+  PER_HOUR: 'per-hour',
+};
+
+// Política para elegir qué intento de un alumno cuenta para la nota (reentregas)
+const ATTEMPT_POLICIES = {
+  LATEST: 'latest',
+  BEST: 'best',
+  FIRST: 'first',
+};
+
 const rubricSchema = new mongoose.Schema(
   {
     rubric_id: {
@@ -81,12 +106,125 @@ const rubricSchema = new mongoose.Schema(
         message: 'El JSON de la rúbrica debe tener al menos rubric_id',
       },
     },
+    // Configuración del cálculo de nota a partir de los criterios (ver scoringService)
+    scoring: {
+      scale: {
+        type: String,
+        enum: Object.values(GRADE_SCALES),
+        default: GRADE_SCALES.TEN,
+      },
+      rounding_mode: {
+        type: String,
+        enum: ROUNDING_MODES,
+        default: 'half-up',
+      },
+      // Paso de redondeo (0.01, 0.1, 0.5, 1...)
+      rounding_step: {
+        type: Number,
+        default: 0.01,
+        min: [0, 'El paso de redondeo no puede ser negativo'],
+      },
+      // Porcentaje del puntaje máximo necesario para aprobar
+      pass_threshold: {
+        type: Number,
+        default: 60,
+        min: [0, 'El umbral de aprobación debe estar entre 0 y 100'],
+        max: [100, 'El umbral de aprobación debe estar entre 0 y 100'],
+      },
+      // Diferencia tolerada entre la nota del proveedor y la calculada (% de la escala)
+      disagreement_tolerance: {
+        type: Number,
+        default: 5,
+        min: [0, 'La tolerancia debe estar entre 0 y 100'],
+        max: [100, 'La tolerancia debe estar entre 0 y 100'],
+      },
+      // Tabla de notas con letra (solo para scale = letter); vacía = tabla por defecto
+      letter_grades: [
+        {
+          _id: false,
+          letter: String,
+          min_percentage: Number,
+        },
+      ],
+    },
+    // Fecha de entrega y descuento por entrega tardía (ver deadlineService)
+    deadline: {
+      due_date: {
+        type: Date,
+        default: null,
+      },
+      // Horas posteriores al vencimiento en las que se aceptan entregas tardías (null = sin límite)
+      late_window_hours: {
+        type: Number,
+        default: null,
+        min: [0, 'La ventana de tolerancia no puede ser negativa'],
+      },
+      late_penalty: {
+        mode: {
+          type: String,
+          enum: Object.values(LATE_PENALTY_MODES),
+          default: LATE_PENALTY_MODES.NONE,
+        },
+        // Porcentaje de la nota que se descuenta (una vez, por día o por hora de atraso)
+        value: {
+          type: Number,
+          default: 0,
+          min: [0, 'El descuento debe estar entre 0 y 100'],
+          max: [100, 'El descuento debe estar entre 0 y 100'],
+        },
+        // Descuento máximo acumulado (%)
+        max: {
+          type: Number,
+          default: 100,
+          min: [0, 'El descuento máximo debe estar entre 0 y 100'],
+          max: [100, 'El descuento máximo debe estar entre 0 y 100'],
+        },
+      },
+      // Descuento (%) para entregas posteriores a la ventana de tolerancia
+      beyond_window_penalty: {
+        type: Number,
+        default: 100,
+        min: [0, 'El descuento debe estar entre 0 y 100'],
+        max: [100, 'El descuento debe estar entre 0 y 100'],
+      },
+    },
+    // Intento que cuenta cuando un alumno reentrega (ver Submission.selectCountingAttempt)
+    attempt_policy: {
+      type: String,
+      enum: Object.values(ATTEMPT_POLICIES),
+      default: ATTEMPT_POLICIES.LATEST,
+    },
+    // Número de la versión vigente en RubricVersion (0 = rúbrica anterior al versionado)
+    current_version: {
+      type: Number,
+      default: 0,
+    },
     source: {
       type: String,
-      enum: ['pdf', 'json', 'manual'],
+      enum: ['pdf', 'json', 'manual', 'template'],
       required: [true, 'La fuente de la rúbrica es requerida'],
       default: 'manual',
     },
+    // rubric_id de la rúbrica desde la que se clonó (null si se creó desde cero)
+    cloned_from: {
+      type: String,
+      default: null,
+    },
+    // Plantilla desde la que se instanció (null si no está vinculada a una plantilla)
+    template_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Versión de la plantilla con la que se sincronizó por última vez
+    template_version: {
+      type: Number,
+      default: null,
+    },
+    template_synced_at: {
+      type: Date,
+      default: null,
+    },
     original_file_url: {
       type: String,
       trim: true,
@@ -204,7 +342,7 @@ rubricSchema.statics.generateRubricId = function (commissionId, rubricType, name
 /**
  * Exportar constante de tipos para uso en controladores
  */
-export { RUBRIC_TYPES };
+export { RUBRIC_TYPES, GRADE_SCALES, ROUNDING_MODES, LATE_PENALTY_MODES, ATTEMPT_POLICIES };
 
 /**
  * Método de instancia para soft delete
@@ -0,0 +1,204 @@
+/**
+ * Modelo de RubricTemplate (Plantilla de Rúbrica)
+ * Rúbrica oficial compartida a nivel curso, carrera o universidad
+ * Los profesores la instancian en la Rubric de su comisión y reciben aviso cuando la plantilla cambia
+ */
+import mongoose from 'mongoose';
+import { RUBRIC_TYPES } from './Rubric.js';
+
+// Alcances posibles de una plantilla
+const TEMPLATE_SCOPES = {
+  COURSE: 'course',
+  CAREER: 'career',
+  UNIVERSITY: 'university',
+};
+
+const rubricTemplateSchema = new mongoose.Schema(
+  {
+    template_id: {
+      type: String,
+      required: [true, 'El ID de la plantilla es requerido'],
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'El nombre de la plantilla es requerido'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    scope: {
+      type: String,
+      enum: Object.values(TEMPLATE_SCOPES),
+      required: [true, 'El alcance de la plantilla es requerido'],
+    },
+    university_id: {
+      type: String,
+      required: [true, 'El ID de la universidad es requerido'],
+      index: true,
+    },
+    faculty_id: {
+      type: String,
+      default: null,
+    },
+    career_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    course_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    rubric_type: {
+      type: String,
+      enum: Object.values(RUBRIC_TYPES),
+      required: [true, 'El tipo de rúbrica es requerido'],
+    },
+    rubric_json: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'El JSON de la plantilla es requerido'],
+    },
+    // Se incrementa cada vez que cambia el nombre o el rubric_json
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    published: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    published_at: {
+      type: Date,
+      default: null,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    updated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    deleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Índices compuestos para consultas eficientes
+rubricTemplateSchema.index({ scope: 1, course_id: 1, deleted: 1 });
+rubricTemplateSchema.index({ scope: 1, career_id: 1, deleted: 1 });
+rubricTemplateSchema.index({ scope: 1, university_id: 1, deleted: 1 });
+
+/**
+ * Validar que el ID del nivel correspondiente al alcance esté presente
+ */
+rubricTemplateSchema.pre('validate', function (next) {
+  if (this.scope === TEMPLATE_SCOPES.COURSE && !this.course_id) {
+    this.invalidate('course_id', 'El ID del curso es requerido para plantillas de curso');
+  }
+  if ((this.scope === TEMPLATE_SCOPES.COURSE || this.scope === TEMPLATE_SCOPES.CAREER) && !this.career_id) {
+    this.invalidate('career_id', 'El ID de la carrera es requerido para plantillas de curso o carrera');
+  }
+  next();
+});
+
+/**
+ * Método estático para obtener plantillas activas
+ * @param {Object} filters - Filtros opcionales { scope, university_id, faculty_id, career_id, course_id, rubric_type, published }
+ * @returns {Promise<Array>}
+ */
+rubricTemplateSchema.statics.findActive = function (filters = {}) {
+  const query = { deleted: false };
+  ['scope', 'university_id', 'faculty_id', 'career_id', 'course_id', 'rubric_type', 'published'].forEach((key) => {
+    if (filters[key] !== undefined) {
+      query[key] = filters[key];
+    }
+  });
+  return this.find(query).sort({ scope: 1, name: 1 });
+};
+
+/**
+ * Método estático para obtener las plantillas publicadas que aplican a una comisión
+ * (plantillas de su curso, de su carrera o de su universidad)
+ * @param {Document} commission - Comisión
+ * @returns {Promise<Array>}
+ */
+rubricTemplateSchema.statics.findApplicableTo = function (commission) {
+  return this.find({
+    deleted: false,
+    published: true,
+    $or: [
+      { scope: TEMPLATE_SCOPES.COURSE, course_id: commission.course_id, career_id: commission.career_id },
+      { scope: TEMPLATE_SCOPES.CAREER, career_id: commission.career_id, university_id: commission.university_id },
+      { scope: TEMPLATE_SCOPES.UNIVERSITY, university_id: commission.university_id },
+    ],
+  }).sort({ scope: 1, name: 1 });
+};
+
+/**
+ * Método estático para generar template_id
+ * @param {String} scope - Alcance de la plantilla
+ * @param {String} scopeId - course_id, career_id o university_id según el alcance
+ * @param {String} rubricType - Tipo de rúbrica
+ * @param {String} name - Nombre de la plantilla
+ * @returns {String}
+ */
+rubricTemplateSchema.statics.generateTemplateId = function (scope, scopeId, rubricType, name) {
+  const random = Math.random().toString(36).substring(2, 6);
+  const normalizedName = name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Eliminar acentos
+    .replace(/[^a-z0-9]+/g, '-') // Reemplazar caracteres especiales y espacios por guiones
+    .replace(/^-+|-+$/g, ''); // Eliminar guiones al inicio y final
+  return `tpl-${scope}-${scopeId}-${rubricType}-${normalizedName}-${Date.now()}-${random}`;
+};
+
+/**
+ * Método de instancia para verificar si la plantilla aplica a una comisión
+ * @param {Document} commission - Comisión
+ * @returns {Boolean}
+ */
+rubricTemplateSchema.methods.appliesTo = function (commission) {
+  if (this.scope === TEMPLATE_SCOPES.COURSE) {
+    return this.course_id === commission.course_id && this.career_id === commission.career_id;
+  }
+  if (this.scope === TEMPLATE_SCOPES.CAREER) {
+    return this.career_id === commission.career_id && this.university_id === commission.university_id;
+  }
+  return this.university_id === commission.university_id;
+};
+
+/**
+ * Método de instancia para soft delete
+ * @returns {Promise<Document>}
+ */
+rubricTemplateSchema.methods.softDelete = function () {
+  this.deleted = true;
+  return this.save();
+};
+
+/**
+ * Exportar constante de alcances para uso en controladores
+ */
+export { TEMPLATE_SCOPES };
+
+const RubricTemplate = mongoose.model('RubricTemplate', rubricTemplateSchema);
+
+export default RubricTemplate;
@@ -0,0 +1,169 @@
+/**
+ * Modelo de RubricVersion (Versión de Rúbrica)
+ * Snapshot inmutable de rubric_json cada vez que se crea, edita o restaura una rúbrica
+ * Las correcciones guardan la versión con la que fueron hechas
+ */
+import mongoose from 'mongoose';
+import { diffJson } from '../utils/jsonDiff.js';
+
+// Tipos de cambio que generan una versión
+const RUBRIC_VERSION_CHANGE_TYPES = {
+  BASELINE: 'baseline', // Estado de una rúbrica creada antes del versionado
+  CREATE: 'create',
+  UPDATE: 'update',
+  RESTORE: 'restore',
+};
+
+const rubricVersionSchema = new mongoose.Schema(
+  {
+    rubric: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rubric',
+      required: [true, 'La rúbrica es requerida'],
+      index: true,
+    },
+    rubric_id: {
+      type: String,
+      required: [true, 'El ID de la rúbrica es requerido'],
+    },
+    version: {
+      type: Number,
+      required: [true, 'El número de versión es requerido'],
+      min: [1, 'La versión debe ser al menos 1'],
+    },
+    name: {
+      type: String,
+      required: [true, 'El nombre de la rúbrica es requerido'],
+      trim: true,
+    },
+    rubric_json: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'El JSON de la rúbrica es requerido'],
+    },
+    change_type: {
+      type: String,
+      enum: Object.values(RUBRIC_VERSION_CHANGE_TYPES),
+      required: [true, 'El tipo de cambio es requerido'],
+    },
+    // Versión desde la que se restauró (solo para change_type = restore)
+    restored_from_version: {
+      type: Number,
+      default: null,
+    },
+    // Diferencias contra la versión anterior
+    diff: [
+      {
+        _id: false,
+        path: String,
+        op: {
+          type: String,
+          enum: ['added', 'removed', 'changed'],
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    comment: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    created_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Reintentos al registrar una versión que otro proceso registró al mismo tiempo
+const MAX_VERSION_RETRIES = 5;
+
+// Una sola versión N por rúbrica
+rubricVersionSchema.index({ rubric_id: 1, version: 1 }, { unique: true });
+rubricVersionSchema.index({ rubric: 1, version: -1 });
+
+/**
+ * Método estático para obtener la última versión de una rúbrica
+ * @param {String} rubricId - rubric_id
+ * @returns {Promise<Document|null>}
+ */
+rubricVersionSchema.statics.findLatest = function (rubricId) {
+  return this.findOne({ rubric_id: rubricId }).sort({ version: -1 });
+};
+
+/**
+ * Método estático para registrar una nueva versión de la rúbrica
+ * Si el contenido no cambió respecto de la última versión, no crea una nueva
+ * Si otro proceso registró la misma versión al mismo tiempo (índice único), vuelve a leer la última y reintenta
+ * @param {Document} rubric - Documento Rubric (ya guardado)
+ * @param {Object} options - { changeType, userId, restoredFromVersion, comment }
+ * @returns {Promise<Document>} Versión creada (o la última si no hubo cambios)
+ */
+rubricVersionSchema.statics.recordVersion = async function (rubric, options = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await this.findLatest(rubric.rubric_id);
+    const changeType = options.changeType || (latest ? RUBRIC_VERSION_CHANGE_TYPES.UPDATE : RUBRIC_VERSION_CHANGE_TYPES.CREATE);
+
+    const diff = latest
+      ? diffJson({ name: latest.name, rubric_json: latest.rubric_json }, { name: rubric.name, rubric_json: rubric.rubric_json })
+      : [];
+
+    if (latest && diff.length === 0 && changeType !== RUBRIC_VERSION_CHANGE_TYPES.RESTORE) {
+      return latest;
+    }
+
+    let version;
+    try {
+      version = await this.create({
+        rubric: rubric._id,
+        rubric_id: rubric.rubric_id,
+        version: latest ? latest.version + 1 : 1,
+        name: rubric.name,
+        rubric_json: rubric.rubric_json,
+        change_type: changeType,
+        restored_from_version: options.restoredFromVersion ?? null,
+        diff,
+        comment: options.comment || null,
+        created_by: options.userId || null,
+      });
+    } catch (error) {
+      // Versión tomada por otro proceso: la próxima vuelta devuelve esa versión si tiene el mismo contenido
+      if (error.code === 11000 && attempt < MAX_VERSION_RETRIES) continue;
+      throw error;
+    }
+
+    // Actualizar el puntero a la versión vigente sin disparar otra versión
+    await mongoose.model('Rubric').updateOne({ _id: rubric._id }, { $set: { current_version: version.version } });
+    rubric.current_version = version.version;
+
+    return version;
+  }
+};
+
+/**
+ * Método estático para obtener la versión que corresponde al estado actual de la rúbrica
+ * Si la rúbrica es anterior al versionado crea la versión base, y si fue modificada
+ * por fuera del versionado registra una nueva versión
+ * @param {Document} rubric - Documento Rubric
+ * @returns {Promise<Document>}
+ */
+rubricVersionSchema.statics.ensureCurrentVersion = async function (rubric) {
+  const latest = await this.findLatest(rubric.rubric_id);
+
+  return await this.recordVersion(rubric, {
+    changeType: latest ? RUBRIC_VERSION_CHANGE_TYPES.UPDATE : RUBRIC_VERSION_CHANGE_TYPES.BASELINE,
+  });
+};
+
+/**
+ * Exportar constante de tipos de cambio para uso en controladores
+ */
+export { RUBRIC_VERSION_CHANGE_TYPES };
+
+const RubricVersion = mongoose.model('RubricVersion', rubricVersionSchema);
+
+export default RubricVersion;
@@ -0,0 +1,144 @@
+/**
+ * Modelo de Código Base de Similitud
+ * Código inicial entregado por la cátedra para una rúbrica (plantilla del TP)
+ * Sus hashes y huellas se ignoran al analizar la similitud entre entregas
+ */
+import mongoose from 'mongoose';
+import { fileFingerprintSchema } from './ProjectHash.js';
+
+const similarityBaselineSchema = new mongoose.Schema(
+  {
+    // Una base por rúbrica
+    rubric_id: {
+      type: String,
+      required: [true, 'El ID de la rúbrica es requerido'],
+      unique: true,
+    },
+    commission_id: {
+      type: String,
+      required: [true, 'El ID de la comisión es requerido'],
+      index: true,
+    },
+    university_id: {
+      type: String,
+      default: null,
+    },
+    file_name: {
+      type: String,
+      default: null,
+    },
+
+    // Hashes y huellas (mismo cálculo que ProjectHash)
+    project_hash: {
+      type: String,
+      required: [true, 'El hash del proyecto es requerido'],
+    },
+    file_hashes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    fingerprints: {
+      type: [fileFingerprintSchema],
+      default: [],
+    },
+
+    stats: {
+      total_files: {
+        type: Number,
+        default: 0,
+      },
+      source_files: {
+        type: Number,
+        default: 0,
+      },
+      languages: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+    },
+    metadata: {
+      mode: {
+        type: String,
+        default: 'Proyecto completo',
+      },
+      extensions: {
+        type: [String],
+        default: [],
+      },
+      include_tests: {
+        type: Boolean,
+        default: true,
+      },
+    },
+
+    uploaded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Método estático para obtener la base de una rúbrica
+ * @param {String} rubricId
+ * @returns {Promise<Document|null>}
+ */
+similarityBaselineSchema.statics.findForRubric = function (rubricId) {
+  return this.findOne({ rubric_id: rubricId });
+};
+
+/**
+ * Método estático para reemplazar la base de una rúbrica
+ * @param {Object} data - Datos de la base (rubric_id requerido)
+ * @returns {Promise<Document>}
+ */
+similarityBaselineSchema.statics.replaceForRubric = async function (data) {
+  const existing = await this.findForRubric(data.rubric_id);
+
+  if (existing) {
+    Object.assign(existing, data);
+    existing.markModified('file_hashes');
+    existing.markModified('stats.languages');
+    return await existing.save();
+  }
+
+  return await this.create(data);
+};
+
+/**
+ * Método de instancia para obtener lo que se ignora en el análisis de similitud
+ * @returns {{project_hash: String, file_hashes: Set<String>, fingerprints: Set<Number>}}
+ */
+similarityBaselineSchema.methods.getIgnoredHashes = function () {
+  return {
+    project_hash: this.project_hash,
+    file_hashes: new Set(Object.values(this.file_hashes || {})),
+    fingerprints: new Set((this.fingerprints || []).flatMap((file) => file.hashes || [])),
+  };
+};
+
+/**
+ * Método de instancia para obtener el resumen sin hashes (para respuestas de la API)
+ * @returns {Object}
+ */
+similarityBaselineSchema.methods.toSummary = function () {
+  return {
+    rubric_id: this.rubric_id,
+    commission_id: this.commission_id,
+    file_name: this.file_name,
+    files: Object.keys(this.file_hashes || {}),
+    fingerprints: (this.fingerprints || []).reduce((sum, file) => sum + (file.hashes?.length || 0), 0),
+    stats: this.stats,
+    metadata: this.metadata,
+    uploaded_by: this.uploaded_by,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const SimilarityBaseline = mongoose.model('SimilarityBaseline', similarityBaselineSchema);
+
+export default SimilarityBaseline;
@@ -0,0 +1,179 @@
+/**
+ * Modelo de Alumno
+ * Alumno de una universidad identificado por su legajo (student_id)
+ * Las inscripciones a comisiones están en Enrollment
+ */
+import mongoose from 'mongoose';
+
+const studentSchema = new mongoose.Schema(
+  {
+    // Legajo del alumno (único por universidad)
+    student_id: {
+      type: String,
+      required: [true, 'El legajo del alumno es requerido'],
+      trim: true,
+    },
+    university_id: {
+      type: String,
+      required: [true, 'El ID de la universidad es requerido'],
+      index: true,
+    },
+    first_name: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    last_name: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    full_name: {
+      type: String,
+      required: [true, 'El nombre completo del alumno es requerido'],
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+      match: [/^\S+@\S+\.\S+$/, 'El email no es válido'],
+    },
+    // Otros nombres con los que aparece el alumno (ej: carpeta de Moodle, nombre sin segundo nombre)
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    // IDs de participante de Moodle confirmados para el alumno (carpetas Nombre_123456_assignsubmission_file)
+    moodle_ids: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // Claves normalizadas del nombre y los alias (para vincular entregas por student_name)
+    name_keys: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    deleted: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Un legajo por universidad
+studentSchema.index({ university_id: 1, student_id: 1 }, { unique: true });
+
+/**
+ * Método estático para normalizar un nombre y compararlo con Submission.student_name
+ * (minúsculas, sin acentos y con un guion en lugar de espacios y símbolos)
+ * @param {String} name
+ * @returns {String}
+ */
+studentSchema.statics.normalizeName = function (name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+/**
+ * Método estático para buscar alumnos activos con filtros
+ * @param {Object} filters - Filtros opcionales { university_id, student_id }
+ * @returns {Promise<Array>}
+ */
+studentSchema.statics.findActive = function (filters = {}) {
+  const query = { deleted: false };
+
+  if (filters.university_id) {
+    query.university_id = filters.university_id;
+  }
+  if (filters.student_id) {
+    query.student_id = filters.student_id;
+  }
+
+  return this.find(query).sort({ last_name: 1, full_name: 1 });
+};
+
+/**
+ * Método estático para obtener las claves con las que se compara un nombre
+ * Incluye la versión sin acentos y la que generaban las entregas anteriores (acentos reemplazados por guiones)
+ * @param {String} name
+ * @returns {Array<String>}
+ */
+studentSchema.statics.nameKeysFor = function (name) {
+  const legacy = String(name || '').toLowerCase().replace(/[^a-z0-9-]/g, '-');
+  return [...new Set([this.normalizeName(name), this.normalizeName(legacy)].filter(Boolean))];
+};
+
+/**
+ * Método de instancia para obtener las claves de nombre del alumno
+ * Incluye "nombre apellido", "apellido nombre", el nombre completo y los alias
+ * @returns {Array<String>}
+ */
+studentSchema.methods.getNameKeys = function () {
+  const Student = this.constructor;
+  const names = [this.full_name, ...(this.aliases || [])];
+
+  if (this.first_name && this.last_name) {
+    names.push(`${this.first_name} ${this.last_name}`, `${this.last_name} ${this.first_name}`);
+  }
+
+  return [...new Set(names.flatMap((name) => Student.nameKeysFor(name)))];
+};
+
+/**
+ * Método de instancia para recordar el nombre de carpeta y el ID de Moodle confirmados por un docente
+ * No guarda el documento
+ * @param {Object} data - { alias, moodleId }
+ * @returns {Document}
+ */
+studentSchema.methods.rememberMatch = function ({ alias, moodleId } = {}) {
+  if (alias && !this.getNameKeys().includes(this.constructor.normalizeName(alias))) {
+    this.aliases = [...(this.aliases || []), alias];
+  }
+  if (moodleId && !(this.moodle_ids || []).includes(String(moodleId))) {
+    this.moodle_ids = [...(this.moodle_ids || []), String(moodleId)];
+  }
+  return this;
+};
+
+/**
+ * Método de instancia para soft delete
+ * @returns {Promise<Document>}
+ */
+studentSchema.methods.softDelete = function () {
+  this.deleted = true;
+  return this.save();
+};
+
+// Completar el nombre completo y las claves de nombre antes de validar
+studentSchema.pre('validate', function (next) {
+  if (!this.full_name && (this.first_name || this.last_name)) {
+    this.full_name = [this.first_name, this.last_name].filter(Boolean).join(' ');
+  }
+  this.name_keys = this.getNameKeys();
+  next();
+});
+
+// Evitar que documentos eliminados aparezcan en consultas por defecto
+studentSchema.pre(/^find/, function (next) {
+  if (!this.getQuery().hasOwnProperty('deleted')) {
+    this.where({ deleted: false });
+  }
+  next();
+});
+
+const Student = mongoose.model('Student', studentSchema);
+
+export default Student;
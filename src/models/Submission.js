@@ -4,6 +4,98 @@
  */
 import mongoose from 'mongoose';
 
+// Estado de la entrega respecto de la fecha límite de la rúbrica (ver deadlineService)
+const LATE_STATUSES = {
+  ON_TIME: 'on-time',
+  LATE: 'late',
+  // Tardía y fuera de la ventana de tolerancia
+  BEYOND_WINDOW: 'beyond-window',
+};
+
+// Estados de la identificación del alumno en lotes de Moodle (ver studentMatchingService)
+const STUDENT_MATCH_STATUSES = {
+  MATCHED: 'matched',
+  AMBIGUOUS: 'ambiguous',
+  UNMATCHED: 'unmatched',
+  CONFIRMED: 'confirmed',
+  DISMISSED: 'dismissed',
+};
+
+// Reintentos al guardar una reentrega cuyo número de intento tomó otra reentrega simultánea
+const MAX_ATTEMPT_RETRIES = 5;
+
+// Resultado del motor de puntaje
+const computedScoreSchema = new mongoose.Schema(
+  {
+    grade: {
+      type: Number,
+      default: null,
+    },
+    letter: {
+      type: String,
+      default: null,
+    },
+    percentage: {
+      type: Number,
+      default: null,
+    },
+    passed: {
+      type: Boolean,
+      default: null,
+    },
+    scale: {
+      type: String,
+      default: null,
+    },
+    // weighted (pesos de la rúbrica) | points (suma de puntajes)
+    method: {
+      type: String,
+      default: null,
+    },
+    raw_grade: {
+      type: Number,
+      default: null,
+    },
+    // raw_grade - grade
+    difference: {
+      type: Number,
+      default: null,
+    },
+    // true si la nota del proveedor difiere de la calculada más allá de la tolerancia
+    disagreement: {
+      type: Boolean,
+      default: false,
+    },
+    // true si algún criterio fue ajustado por un docente
+    has_overrides: {
+      type: Boolean,
+      default: false,
+    },
+    breakdown: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    warnings: {
+      type: [String],
+      default: [],
+    },
+    // Descuento por entrega tardía aplicado (%) y nota antes del descuento
+    late_penalty: {
+      type: Number,
+      default: 0,
+    },
+    grade_before_penalty: {
+      type: Number,
+      default: null,
+    },
+    computed_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const submissionSchema = new mongoose.Schema(
   {
     submission_id: {
@@ -55,6 +147,82 @@ const submissionSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    // Alumno del padrón vinculado a la entrega (null si no se pudo identificar)
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      default: null,
+      index: true,
+    },
+    // Identificación del alumno a partir del nombre de la carpeta (solo lotes)
+    student_match: {
+      status: {
+        type: String,
+        enum: Object.values(STUDENT_MATCH_STATUSES),
+        default: null,
+      },
+      method: {
+        type: String,
+        default: null,
+      },
+      score: {
+        type: Number,
+        default: null,
+      },
+      folder_name: {
+        type: String,
+        default: null,
+      },
+      moodle_participant_id: {
+        type: String,
+        default: null,
+      },
+      // Alumnos posibles cuando la coincidencia es ambigua
+      candidates: [
+        {
+          _id: false,
+          student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+          student_id: String,
+          full_name: String,
+          score: Number,
+        },
+      ],
+      reviewed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      reviewed_at: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Intentos (reentregas): cada reentrega es un documento nuevo con su archivo y su corrección
+    attempt: {
+      type: Number,
+      default: 1,
+      min: [1, 'El número de intento debe ser mayor o igual a 1'],
+    },
+    // true solo para el último intento vigente del alumno en la rúbrica
+    is_current: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // submission_id del intento anterior / siguiente (null si no hay)
+    previous_submission_id: {
+      type: String,
+      default: null,
+    },
+    superseded_by: {
+      type: String,
+      default: null,
+    },
+    superseded_at: {
+      type: Date,
+      default: null,
+    },
 
     // Archivo
     file_name: {
@@ -71,6 +239,40 @@ const submissionSchema = new mongoose.Schema(
       default: null,
       maxlength: 500,
     },
+    // Contenido completo del entrega.txt consolidado (para proveedores de corrección nativos)
+    content_text: {
+      type: String,
+      default: null,
+      select: false,
+    },
+
+    // Fecha de entrega: la de subida o, en lotes de Moodle, la que figura en el nombre de la carpeta
+    submitted_at: {
+      type: Date,
+      default: null,
+    },
+    submitted_at_source: {
+      type: String,
+      enum: ['upload', 'moodle'],
+      default: 'upload',
+    },
+    // Entrega a tiempo o tardía según Rubric.deadline (se recalcula si cambia la fecha límite)
+    late_status: {
+      type: String,
+      enum: Object.values(LATE_STATUSES),
+      default: LATE_STATUSES.ON_TIME,
+      index: true,
+    },
+    minutes_late: {
+      type: Number,
+      default: 0,
+    },
+
+    // Estadísticas de la consolidación del ZIP (null si se subió un .txt)
+    consolidation_stats: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
 
     // Google Drive (SIMPLIFICADO)
     drive_file_id: {
@@ -110,6 +312,11 @@ const submissionSchema = new mongoose.Schema(
       default: 'uploaded',
       index: true,
     },
+    // Último error de la corrección automática (cola de corrección)
+    grading_error: {
+      type: String,
+      default: null,
+    },
 
     // Corrección (opcional)
     correction: {
@@ -122,6 +329,16 @@ const submissionSchema = new mongoose.Schema(
         ref: 'User',
         default: null,
       },
+      // Versión de la rúbrica con la que se corrigió (ver RubricVersion)
+      rubric_version: {
+        type: Number,
+        default: null,
+      },
+      rubric_version_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RubricVersion',
+        default: null,
+      },
       grade: {
         type: Number,
         default: null,
@@ -170,6 +387,71 @@ const submissionSchema = new mongoose.Schema(
             type: String,
             default: null,
           },
+          // Ajuste docente: puntaje original del proveedor (null si no fue ajustado)
+          original_score: {
+            type: Number,
+            default: null,
+          },
+          overridden: {
+            type: Boolean,
+            default: false,
+          },
+          override_reason: {
+            type: String,
+            default: null,
+          },
+        },
+      ],
+      // Historial de ajustes docentes por criterio (se conserva aunque se vuelva a corregir)
+      overrides: [
+        {
+          criterion_id: {
+            type: String,
+            required: [true, 'El ID del criterio es requerido'],
+          },
+          criterion_name: {
+            type: String,
+            default: null,
+          },
+          original_score: {
+            type: Number,
+            default: null,
+          },
+          previous_score: {
+            type: Number,
+            default: null,
+          },
+          new_score: {
+            type: Number,
+            required: [true, 'El nuevo puntaje es requerido'],
+          },
+          previous_status: {
+            type: String,
+            default: null,
+          },
+          new_status: {
+            type: String,
+            default: null,
+          },
+          reason: {
+            type: String,
+            required: [true, 'El motivo del ajuste es requerido'],
+            trim: true,
+          },
+          overridden_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          overridden_at: {
+            type: Date,
+            default: Date.now,
+          },
+          // Fecha de la corrección sobre la que se hizo el ajuste
+          correction_corrected_at: {
+            type: Date,
+            default: null,
+          },
         },
       ],
       strengths_list: {
@@ -184,6 +466,12 @@ const submissionSchema = new mongoose.Schema(
         type: String,
         default: null,
       },
+      // Nota recalculada desde los criterios y la ponderación de la rúbrica (ver scoringService)
+      // grade conserva la nota cruda informada por el proveedor
+      computed: {
+        type: computedScoreSchema,
+        default: null,
+      },
     },
 
     // Referencia al hash del proyecto (para detección de similitud)
@@ -202,15 +490,26 @@ const submissionSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    toJSON: {
+      // No exponer el contenido completo de la entrega en las respuestas de la API
+      transform: (doc, ret) => {
+        delete ret.content_text;
+        return ret;
+      },
+    },
   }
 );
 
 // Índices compuestos para consultas eficientes
 submissionSchema.index({ commission_id: 1, rubric_id: 1, deleted: 1 });
-submissionSchema.index({ rubric_id: 1, student_name: 1 }, { unique: true });
+// Un documento por intento (ver scripts/migrateSubmissionAttempts.js para el índice anterior)
+submissionSchema.index({ rubric_id: 1, student_name: 1, attempt: 1 }, { unique: true });
+
 submissionSchema.index({ university_id: 1, deleted: 1 });
 submissionSchema.index({ uploaded_by: 1, deleted: 1 });
 submissionSchema.index({ status: 1, deleted: 1 });
+// Listado paginado por universidad ordenado por fecha
+submissionSchema.index({ university_id: 1, deleted: 1, uploaded_at: -1 });
 
 /**
  * Método estático para generar submission_id único
@@ -224,9 +523,93 @@ submissionSchema.statics.generateSubmissionId = function (commissionId, studentN
   return `${commissionId}-${cleanName}-${timestamp}`;
 };
 
+/**
+ * Método estático para obtener el contenido completo del entrega.txt guardado
+ * @param {String|ObjectId} submissionObjectId - _id de la submission
+ * @returns {Promise<String|null>} null si la entrega no tiene contenido guardado
+ */
+submissionSchema.statics.getContentText = async function (submissionObjectId) {
+  const submission = await this.findById(submissionObjectId).select('+content_text');
+  return submission?.content_text || null;
+};
+
+/**
+ * Método estático para obtener el número del próximo intento de un alumno
+ * Cuenta también los intentos eliminados para no reutilizar números
+ * @param {String} rubricId
+ * @param {String} studentName - Nombre normalizado del alumno
+ * @returns {Promise<Number>}
+ */
+submissionSchema.statics.getNextAttempt = async function (rubricId, studentName) {
+  const last = await this.findOne({
+    rubric_id: rubricId,
+    student_name: studentName,
+    deleted: { $in: [true, false] },
+  })
+    .sort({ attempt: -1 })
+    .select('attempt');
+
+  return (last?.attempt || 0) + 1;
+};
+
+/**
+ * Método estático para obtener el intento vigente de un alumno en una rúbrica
+ * Los documentos anteriores al modelo de intentos no tienen is_current (se consideran vigentes)
+ * @param {String} rubricId
+ * @param {String} studentName - Nombre normalizado del alumno
+ * @returns {Promise<Document|null>}
+ */
+submissionSchema.statics.findCurrentAttempt = function (rubricId, studentName) {
+  return this.findOne({
+    rubric_id: rubricId,
+    student_name: studentName,
+    is_current: { $ne: false },
+    deleted: false,
+  });
+};
+
+/**
+ * Método estático para listar todos los intentos de un alumno en una rúbrica
+ * @param {String} rubricId
+ * @param {String} studentName - Nombre normalizado del alumno
+ * @returns {Promise<Array>} Intentos ordenados del primero al último
+ */
+submissionSchema.statics.findAttempts = function (rubricId, studentName) {
+  return this.find({ rubric_id: rubricId, student_name: studentName, deleted: false })
+    .populate('uploaded_by', 'name username')
+    .populate('correction.corrected_by', 'name username')
+    .sort({ attempt: 1 });
+};
+
+/**
+ * Método estático para elegir el intento que cuenta para la nota según la política de la rúbrica
+ * - latest: el último intento
+ * - first: el primer intento
+ * - best: el de mayor nota vigente (ante empate, el más reciente); si ninguno está corregido, el último
+ * @param {Array} attempts - Intentos de un mismo alumno y rúbrica
+ * @param {String} policy - 'latest' | 'best' | 'first'
+ * @returns {Document|null}
+ */
+submissionSchema.statics.selectCountingAttempt = function (attempts, policy = 'latest') {
+  if (!attempts || attempts.length === 0) return null;
+
+  const sorted = [...attempts].sort((a, b) => (a.attempt || 1) - (b.attempt || 1));
+
+  if (policy === 'first') return sorted[0];
+
+  if (policy === 'best') {
+    const graded = sorted.filter((s) => s.getEffectiveGrade() !== null);
+    if (graded.length > 0) {
+      return graded.reduce((best, s) => (s.getEffectiveGrade() >= best.getEffectiveGrade() ? s : best));
+    }
+  }
+
+  return sorted[sorted.length - 1];
+};
+
 /**
  * Método estático para encontrar submissions activas con filtros
- * @param {Object} filters - Filtros opcionales { commission_id, rubric_id, university_id, status }
+ * @param {Object} filters - Filtros opcionales { commission_id, rubric_id, university_id, status, late_status, is_current }
  * @returns {Promise<Array>}
  */
 submissionSchema.statics.findActive = function (filters = {}) {
@@ -247,6 +630,15 @@ submissionSchema.statics.findActive = function (filters = {}) {
   if (filters.uploaded_by) {
     query.uploaded_by = filters.uploaded_by;
   }
+  if (filters.late_status) {
+    query.late_status = filters.late_status;
+  }
+  if (filters.is_current !== undefined) {
+    query.is_current = filters.is_current;
+  }
+  if (filters['correction.computed.disagreement'] !== undefined) {
+    query['correction.computed.disagreement'] = filters['correction.computed.disagreement'];
+  }
 
   return this.find(query)
     .populate('uploaded_by', 'name username')
@@ -254,6 +646,61 @@ submissionSchema.statics.findActive = function (filters = {}) {
     .sort({ uploaded_at: -1 });
 };
 
+/**
+ * Método estático para listar submissions paginadas con totales y conteo por estado
+ * El conteo por estado (status_counts) ignora el filtro de estado para poder mostrar todas las pestañas
+ * @param {Object} query - Filtro de MongoDB (sin deleted ni status)
+ * @param {Object} options - { status, grade: { min, max }, sort: { campo: 1|-1 }, page, limit }
+ * @returns {Promise<{submissions: Array<Document>, total: Number, statusCounts: Object}>}
+ */
+submissionSchema.statics.paginate = async function (query = {}, options = {}) {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const gradeMatch = {};
+
+  if (options.grade?.min !== undefined) gradeMatch.$gte = options.grade.min;
+  if (options.grade?.max !== undefined) gradeMatch.$lte = options.grade.max;
+
+  const pipeline = [
+    { $match: { ...query, deleted: false } },
+    { $project: { content_text: 0 } },
+    // Nota vigente: la calculada desde los criterios o, si no existe, la informada (ver getEffectiveGrade)
+    { $addFields: { effective_grade: { $ifNull: ['$correction.computed.grade', '$correction.grade'] } } },
+  ];
+  if (Object.keys(gradeMatch).length > 0) {
+    pipeline.push({ $match: { effective_grade: gradeMatch } });
+  }
+
+  const statusMatch = options.status ? [{ $match: { status: options.status } }] : [];
+
+  pipeline.push({
+    $facet: {
+      data: [
+        ...statusMatch,
+        { $sort: { ...(options.sort || { uploaded_at: -1 }), _id: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+      ],
+      total: [...statusMatch, { $count: 'count' }],
+      status_counts: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+    },
+  });
+
+  const [result] = await this.aggregate(pipeline);
+  const submissions = result.data.map((doc) => this.hydrate(doc));
+
+  await this.populate(submissions, [
+    { path: 'uploaded_by', select: 'name username' },
+    { path: 'correction.corrected_by', select: 'name username' },
+  ]);
+
+  return {
+    submissions,
+    total: result.total[0]?.count || 0,
+    statusCounts: Object.fromEntries(result.status_counts.map(({ _id, count }) => [_id, count])),
+  };
+};
+
 /**
  * Método de instancia para soft delete
  * @returns {Promise<Document>}
@@ -263,6 +710,37 @@ submissionSchema.methods.softDelete = async function () {
   return await this.save();
 };
 
+/**
+ * Método de instancia para guardar una entrega nueva con el próximo número de intento
+ * Si otra reentrega simultánea del mismo alumno tomó ese número (índice único), recalcula y reintenta
+ * @returns {Promise<Document>}
+ */
+submissionSchema.methods.saveAsNextAttempt = async function () {
+  const Submission = this.constructor;
+
+  for (let retry = 1; ; retry += 1) {
+    this.attempt = await Submission.getNextAttempt(this.rubric_id, this.student_name);
+    try {
+      return await this.save();
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.attempt && retry < MAX_ATTEMPT_RETRIES) continue;
+      throw error;
+    }
+  }
+};
+
+/**
+ * Método de instancia para marcar el intento como reemplazado por una reentrega
+ * @param {String} nextSubmissionId - submission_id del nuevo intento
+ * @returns {Promise<Document>}
+ */
+submissionSchema.methods.supersede = async function (nextSubmissionId) {
+  this.is_current = false;
+  this.superseded_by = nextSubmissionId;
+  this.superseded_at = new Date();
+  return await this.save();
+};
+
 /**
  * Método de instancia para restaurar
  * @returns {Promise<Document>}
@@ -297,14 +775,109 @@ submissionSchema.methods.addCorrection = async function (correctionData) {
   this.correction = {
     corrected_at: new Date(),
     corrected_by: correctionData.corrected_by,
+    rubric_version: correctionData.rubric_version ?? null,
+    rubric_version_id: correctionData.rubric_version_id || null,
     grade: correctionData.grade,
     summary: correctionData.summary,
     strengths: correctionData.strengths,
     recommendations: correctionData.recommendations,
     result_json: correctionData.result_json || null,
+    criteria: correctionData.criteria || [],
+    strengths_list: correctionData.strengths_list || [],
+    recommendations_list: correctionData.recommendations_list || [],
+    general_feedback: correctionData.general_feedback || null,
+    computed: correctionData.computed || null,
+    // El historial de ajustes docentes no se borra al volver a corregir
+    overrides: this.correction?.overrides || [],
   };
 
   this.status = 'corrected';
+  this.grading_error = null;
+  return await this.save();
+};
+
+/**
+ * Método de instancia para ajustar manualmente el puntaje de un criterio
+ * Conserva el puntaje original del proveedor y registra el ajuste en correction.overrides
+ * No guarda el documento (el llamador debe recalcular la nota y guardar)
+ * @param {String} criterionId - ID del criterio en correction.criteria
+ * @param {Object} override - { score, reason, status?, feedback?, userId }
+ * @returns {Object} Registro agregado al historial
+ * @throws {Error} statusCode 404 si el criterio no existe, 400 si el puntaje es inválido
+ */
+submissionSchema.methods.overrideCriterion = function (criterionId, override) {
+  const criterion = (this.correction?.criteria || []).find((c) => String(c.id) === String(criterionId));
+
+  if (!criterion) {
+    const error = new Error(`El criterio ${criterionId} no existe en la corrección`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const score = Number(override.score);
+  if (!Number.isFinite(score) || score < 0) {
+    const error = new Error('El puntaje debe ser un número mayor o igual a 0');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (criterion.max_score !== null && criterion.max_score !== undefined && score > criterion.max_score) {
+    const error = new Error(`El puntaje no puede superar el máximo del criterio (${criterion.max_score})`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const entry = {
+    criterion_id: criterion.id,
+    criterion_name: criterion.name,
+    original_score: criterion.overridden ? criterion.original_score : criterion.score,
+    previous_score: criterion.score,
+    new_score: score,
+    previous_status: criterion.status,
+    new_status: override.status || criterion.status,
+    reason: override.reason,
+    overridden_by: override.userId || null,
+    overridden_at: new Date(),
+    correction_corrected_at: this.correction.corrected_at,
+  };
+
+  criterion.score = score;
+  criterion.overridden = score !== entry.original_score;
+  criterion.original_score = criterion.overridden ? entry.original_score : null;
+  criterion.override_reason = criterion.overridden ? override.reason : null;
+  if (override.status) criterion.status = override.status;
+  if (override.feedback !== undefined) criterion.feedback = override.feedback;
+
+  this.correction.overrides.push(entry);
+  return entry;
+};
+
+/**
+ * Método de instancia para obtener la nota vigente
+ * Usa la nota calculada por el motor de puntaje y, si no existe, la informada por el proveedor
+ * @returns {Number|null}
+ */
+submissionSchema.methods.getEffectiveGrade = function () {
+  return this.correction?.computed?.grade ?? this.correction?.grade ?? null;
+};
+
+/**
+ * Método de instancia para marcar la submission como pendiente de corrección
+ * @returns {Promise<Document>}
+ */
+submissionSchema.methods.markPendingCorrection = async function () {
+  this.status = 'pending-correction';
+  this.grading_error = null;
+  return await this.save();
+};
+
+/**
+ * Método de instancia para marcar la corrección como fallida
+ * @param {String} errorMessage - Motivo del fallo
+ * @returns {Promise<Document>}
+ */
+submissionSchema.methods.markCorrectionFailed = async function (errorMessage) {
+  this.status = 'failed';
+  this.grading_error = errorMessage || 'Error desconocido durante la corrección';
   return await this.save();
 };
 
@@ -318,4 +891,6 @@ submissionSchema.pre(/^find/, function (next) {
 
 const Submission = mongoose.model('Submission', submissionSchema);
 
+export { LATE_STATUSES, STUDENT_MATCH_STATUSES };
+
 export default Submission;
@@ -3,6 +3,27 @@
  */
 import mongoose from 'mongoose';
 
+// Proveedores de corrección disponibles (ver services/gradingProviders)
+const GRADING_PROVIDERS = ['n8n', 'gemini', 'llm'];
+
+// Proveedor de pruebas: genera notas ficticias, por eso queda fuera de GRADING_PROVIDERS
+const FAKE_GRADING_PROVIDER = 'fake';
+
+/**
+ * Indica si el proveedor fake está habilitado
+ * Requiere GRADING_FAKE_ENABLED=true y nunca se habilita con NODE_ENV=production
+ * @returns {Boolean}
+ */
+const isFakeGradingEnabled = () =>
+  process.env.NODE_ENV !== 'production' && process.env.GRADING_FAKE_ENABLED === 'true';
+
+/**
+ * Proveedores de corrección que se pueden usar en este entorno
+ * @returns {Array<String>}
+ */
+const getAvailableGradingProviders = () =>
+  isFakeGradingEnabled() ? [...GRADING_PROVIDERS, FAKE_GRADING_PROVIDER] : GRADING_PROVIDERS;
+
 const universitySchema = new mongoose.Schema(
   {
     university_id: {
@@ -18,6 +39,15 @@ const universitySchema = new mongoose.Schema(
       required: [true, 'El nombre de la universidad es requerido'],
       trim: true,
     },
+    // Proveedor de corrección de la universidad (null = usar GRADING_PROVIDER del .env)
+    grading_provider: {
+      type: String,
+      validate: {
+        validator: (value) => value === null || getAvailableGradingProviders().includes(value),
+        message: () => `El proveedor de corrección debe ser uno de: ${getAvailableGradingProviders().join(', ')}`,
+      },
+      default: null,
+    },
     deleted: {
       type: Boolean,
       default: false,
@@ -67,6 +97,11 @@ universitySchema.pre(/^find/, function (next) {
   next();
 });
 
+/**
+ * Exportar constante de proveedores para uso en servicios y controladores
+ */
+export { GRADING_PROVIDERS, FAKE_GRADING_PROVIDER, getAvailableGradingProviders };
+
 const University = mongoose.model('University', universitySchema);
 
 export default University;
@@ -5,6 +5,9 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import { encrypt, decrypt } from '../utils/encryption.js';
 
+// Proveedores LLM soportados para la corrección directa (ver services/llmProviders)
+const LLM_PROVIDERS = ['gemini', 'openai-compatible', 'ollama'];
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -77,6 +80,47 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Proveedor LLM elegido por el usuario (gemini usa los campos gemini_api_key_*)
+    llm_provider: {
+      type: String,
+      enum: {
+        values: LLM_PROVIDERS,
+        message: `El proveedor LLM debe ser uno de: ${LLM_PROVIDERS.join(', ')}`,
+      },
+      default: 'gemini',
+    },
+    llm_model: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    llm_base_url: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    // API key de proveedores distintos de Gemini (opcional en servidores propios)
+    llm_api_key_encrypted: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    llm_api_key_last_4: {
+      type: String,
+      default: null,
+    },
+    llm_configured_at: {
+      type: Date,
+      default: null,
+    },
+    llm_last_validated: {
+      type: Date,
+      default: null,
+    },
+    llm_is_valid: {
+      type: Boolean,
+      default: false,
+    },
     deleted: {
       type: Boolean,
       default: false,
@@ -319,6 +363,110 @@ userSchema.methods.updateGeminiApiKeyValidation = async function (isValid) {
   await this.save();
 };
 
+/**
+ * Método de instancia para configurar el proveedor LLM del usuario
+ * Las credenciales ya deben estar validadas (ver services/llmProviders)
+ * @param {Object} settings - { provider, apiKey, baseUrl, model }
+ * @returns {Promise<void>}
+ */
+userSchema.methods.setLlmProvider = async function ({ provider, apiKey, baseUrl, model }) {
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Proveedor LLM inválido: ${provider}`);
+  }
+
+  if (provider === 'gemini') {
+    // Gemini conserva su almacenamiento propio (también lo usan los workflows de n8n)
+    if (apiKey) {
+      this.gemini_api_key_encrypted = encrypt(apiKey);
+      this.gemini_api_key_last_4 = apiKey.slice(-4);
+      this.gemini_api_key_configured_at = new Date();
+      this.gemini_api_key_last_validated = new Date();
+      this.gemini_api_key_is_valid = true;
+    } else if (!this.gemini_api_key_encrypted) {
+      throw new Error('Se requiere una API key de Gemini');
+    }
+
+    this.llm_api_key_encrypted = null;
+    this.llm_api_key_last_4 = null;
+    this.llm_base_url = null;
+  } else {
+    this.llm_api_key_encrypted = apiKey ? encrypt(apiKey) : null;
+    this.llm_api_key_last_4 = apiKey ? apiKey.slice(-4) : null;
+    this.llm_base_url = baseUrl || null;
+  }
+
+  this.llm_provider = provider;
+  this.llm_model = model || null;
+  this.llm_configured_at = new Date();
+  this.llm_last_validated = new Date();
+  this.llm_is_valid = true;
+
+  await this.save();
+};
+
+/**
+ * Método de instancia para obtener las credenciales del proveedor LLM desencriptadas
+ * Requiere haber seleccionado +gemini_api_key_encrypted y +llm_api_key_encrypted
+ * @returns {{provider: String, apiKey: String|null, baseUrl: String|null, model: String|null}}
+ */
+userSchema.methods.getLlmCredentials = function () {
+  const provider = this.llm_provider || 'gemini';
+
+  if (provider === 'gemini') {
+    return {
+      provider,
+      apiKey: this.getGeminiApiKey(),
+      baseUrl: null,
+      model: this.llm_model || null,
+    };
+  }
+
+  let apiKey = null;
+  if (this.llm_api_key_encrypted) {
+    try {
+      apiKey = decrypt(this.llm_api_key_encrypted);
+    } catch (error) {
+      console.error('Error al desencriptar API key del proveedor LLM:', error);
+    }
+  }
+
+  return {
+    provider,
+    apiKey,
+    baseUrl: this.llm_base_url || null,
+    model: this.llm_model || null,
+  };
+};
+
+/**
+ * Método de instancia para verificar si el proveedor LLM está configurado y válido
+ * @returns {Boolean}
+ */
+userSchema.methods.hasValidLlmProvider = function () {
+  if (!this.llm_provider || this.llm_provider === 'gemini') {
+    return this.hasValidGeminiApiKey();
+  }
+  return !!this.llm_is_valid;
+};
+
+/**
+ * Método de instancia para volver al proveedor por defecto (Gemini)
+ * No elimina la API key de Gemini
+ * @returns {Promise<void>}
+ */
+userSchema.methods.clearLlmProvider = async function () {
+  this.llm_provider = 'gemini';
+  this.llm_model = null;
+  this.llm_base_url = null;
+  this.llm_api_key_encrypted = null;
+  this.llm_api_key_last_4 = null;
+  this.llm_configured_at = null;
+  this.llm_last_validated = null;
+  this.llm_is_valid = false;
+
+  await this.save();
+};
+
 /**
  * Método estático para encontrar usuarios por universidad
  * @param {String} university_id
@@ -363,6 +511,11 @@ userSchema.statics.findProfessorAdminsByCourse = function (course_id) {
   });
 };
 
+/**
+ * Exportar constante de proveedores LLM para uso en servicios y controladores
+ */
+export { LLM_PROVIDERS };
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -2,6 +2,7 @@
  * Rutas de Comisiones
  */
 import express from 'express';
+import multer from 'multer';
 import {
   getCommissions,
   getCommissionById,
@@ -21,14 +22,76 @@ import { requireRoles } from '../middleware/multiTenant.js';
 import {
   getSimilarityAnalysis,
   downloadSimilarityReportPdf,
+  getSimilarityPairDiff,
+  uploadSimilarityBaseline,
+  getSimilarityBaseline,
+  deleteSimilarityBaseline,
 } from '../controllers/similarityController.js';
 import {
   downloadBatchDevolutionPdfs,
   downloadStudentDevolutionPdf,
+  updateCorrectionsFromExcel,
 } from '../controllers/devolutionController.js';
+import { gradePendingSubmissions } from '../controllers/gradingController.js';
+import {
+  getCommissionStudents,
+  addCommissionStudent,
+  importCommissionStudents,
+  removeCommissionStudent,
+  getMissingSubmissions,
+  getCommissionGradebook,
+} from '../controllers/studentController.js';
 
 const router = express.Router();
 
+// Configurar multer para importar listas de clase (CSV) en memoria
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB máximo
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos .csv'));
+    }
+  },
+});
+
+// Configurar multer para importar planillas de correcciones (xlsx, csv) en memoria
+const correctionsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB máximo
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|csv)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos .xlsx o .csv'));
+    }
+  },
+});
+
+// Configurar multer para el código base de similitud (ZIP) en memoria
+const baselineUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB máximo
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.zip')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos .zip'));
+    }
+  },
+});
+
+// Roles que gestionan el padrón (el acceso a la comisión se verifica en el controlador)
+const requireRosterAccess = requireRoles('professor', 'university-admin', 'super-admin');
+
 /**
  * @route   GET /api/commissions/all
  * @desc    Obtener todas las comisiones (incluyendo eliminadas)
@@ -82,6 +145,7 @@ router.post('/', authenticate, requireAdmin, createCommission);
  * @route   PUT /api/commissions/:id
  * @desc    Actualizar comisión
  * @access  Private (solo admin)
+ * @body    { name?, course_id?, career_id?, faculty_id?, university_id?, year?, gradebook?: { recuperatorio_rule } }
  */
 router.put('/:id', authenticate, requireAdmin, updateCommission);
 
@@ -124,10 +188,64 @@ router.delete(
   removeProfessor
 );
 
+/**
+ * @route   GET /api/commissions/:id/students
+ * @desc    Obtener el padrón de alumnos de la comisión
+ * @access  Private (professor, university-admin, super-admin)
+ * @query   include_dropped
+ */
+router.get('/:id/students', authenticate, requireRosterAccess, getCommissionStudents);
+
+/**
+ * @route   GET /api/commissions/:id/students/missing
+ * @desc    Reporte de alumnos inscriptos que no entregaron (por rúbrica)
+ * @access  Private (professor, university-admin, super-admin)
+ * @query   rubric_id
+ */
+router.get('/:id/students/missing', authenticate, requireRosterAccess, getMissingSubmissions);
+
+/**
+ * @route   GET /api/commissions/:id/gradebook
+ * @desc    Planilla de notas de la comisión (alumnos × rúbricas, con hojas por criterio en XLSX)
+ * @access  Private (professor, university-admin, super-admin)
+ * @query   format (xlsx | csv | json), recuperatorio_rule (replace | max | none), rubric_id (solo CSV)
+ */
+router.get('/:id/gradebook', authenticate, requireRosterAccess, getCommissionGradebook);
+
+/**
+ * @route   POST /api/commissions/:id/students
+ * @desc    Inscribir un alumno en la comisión
+ * @access  Private (professor, university-admin, super-admin)
+ * @body    { student_id, full_name?, first_name?, last_name?, email?, aliases? }
+ */
+router.post('/:id/students', authenticate, requireRosterAccess, addCommissionStudent);
+
+/**
+ * @route   POST /api/commissions/:id/students/import
+ * @desc    Importar lista de clase desde CSV (legajo, apellido, nombre, email, alias)
+ * @access  Private (professor, university-admin, super-admin)
+ * @body    multipart/form-data: file (.csv), preview?, drop_missing?
+ */
+router.post(
+  '/:id/students/import',
+  authenticate,
+  requireRosterAccess,
+  rosterUpload.single('file'),
+  importCommissionStudents
+);
+
+/**
+ * @route   DELETE /api/commissions/:id/students/:studentId
+ * @desc    Dar de baja a un alumno de la comisión (por legajo)
+ * @access  Private (professor, university-admin, super-admin)
+ */
+router.delete('/:id/students/:studentId', authenticate, requireRosterAccess, removeCommissionStudent);
+
 /**
  * @route   GET /api/commissions/:commissionId/rubrics/:rubricId/similarity
  * @desc    Obtener análisis de similitud en JSON
  * @access  Private (professor)
+ * @query   scope (commission | course | history, default: commission)
  */
 router.get(
   '/:commissionId/rubrics/:rubricId/similarity',
@@ -139,6 +257,7 @@ router.get(
  * @route   GET /api/commissions/:commissionId/rubrics/:rubricId/similarity/pdf
  * @desc    Descargar reporte de similitud en PDF
  * @access  Private (professor)
+ * @query   scope (commission | course | history, default: commission)
  */
 router.get(
   '/:commissionId/rubrics/:rubricId/similarity/pdf',
@@ -146,10 +265,62 @@ router.get(
   downloadSimilarityReportPdf
 );
 
+/**
+ * @route   GET /api/commissions/:commissionId/rubrics/:rubricId/similarity/pairs/:a/:b
+ * @desc    Comparar lado a lado las entregas de dos alumnos (archivos y fragmentos coincidentes)
+ * @access  Private (professor, university-admin, super-admin)
+ * @query   format (json | html | pdf, default: json)
+ */
+router.get(
+  '/:commissionId/rubrics/:rubricId/similarity/pairs/:a/:b',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  getSimilarityPairDiff
+);
+
+/**
+ * @route   POST /api/commissions/:commissionId/rubrics/:rubricId/similarity/baseline
+ * @desc    Cargar el código base de la cátedra (se ignora en el análisis de similitud)
+ * @access  Private (professor, university-admin, super-admin)
+ * @body    multipart/form-data: file (.zip), mode?, customExtensions?, includeTests?
+ */
+router.post(
+  '/:commissionId/rubrics/:rubricId/similarity/baseline',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  baselineUpload.single('file'),
+  uploadSimilarityBaseline
+);
+
+/**
+ * @route   GET /api/commissions/:commissionId/rubrics/:rubricId/similarity/baseline
+ * @desc    Ver el código base cargado (archivos, huellas y lenguajes)
+ * @access  Private (professor, university-admin, super-admin)
+ */
+router.get(
+  '/:commissionId/rubrics/:rubricId/similarity/baseline',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  getSimilarityBaseline
+);
+
+/**
+ * @route   DELETE /api/commissions/:commissionId/rubrics/:rubricId/similarity/baseline
+ * @desc    Eliminar el código base de la rúbrica
+ * @access  Private (professor, university-admin, super-admin)
+ */
+router.delete(
+  '/:commissionId/rubrics/:rubricId/similarity/baseline',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  deleteSimilarityBaseline
+);
+
 /**
  * @route   GET /api/commissions/:commissionId/rubrics/:rubricId/students/:studentName/devolution-pdf
- * @desc    Descargar PDF individual de devolución usando planilla de Drive
+ * @desc    Descargar PDF individual de devolución (desde MongoDB o desde la planilla de Drive)
  * @access  Private (professor, university-admin, super-admin)
+ * @query   source (mongo | sheet, default: mongo)
  */
 router.get(
   '/:commissionId/rubrics/:rubricId/students/:studentName/devolution-pdf',
@@ -158,10 +329,25 @@ router.get(
   downloadStudentDevolutionPdf
 );
 
+/**
+ * @route   POST /api/commissions/:commissionId/rubrics/:rubricId/update-corrections-from-excel
+ * @desc    Importar correcciones desde una planilla (con vista previa de cambios)
+ * @access  Private (professor, university-admin, super-admin)
+ * @body    multipart/form-data: file (.xlsx | .csv), preview?
+ */
+router.post(
+  '/:commissionId/rubrics/:rubricId/update-corrections-from-excel',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  correctionsUpload.single('file'),
+  updateCorrectionsFromExcel
+);
+
 /**
  * @route   POST /api/commissions/:commissionId/rubrics/:rubricId/generate-devolution-pdfs
  * @desc    Generar y descargar ZIP con PDFs de devolución para todos los estudiantes
  * @access  Private (professor, university-admin, super-admin)
+ * @query   source (mongo | sheet, default: mongo)
  */
 router.post(
   '/:commissionId/rubrics/:rubricId/generate-devolution-pdfs',
@@ -170,4 +356,18 @@ router.post(
   downloadBatchDevolutionPdfs
 );
 
+/**
+ * @route   POST /api/commissions/:commissionId/rubrics/:rubricId/grade
+ * @desc    Corregir en bloque las entregas pendientes (uploaded/failed) de la rúbrica
+ *          (se encolan y responde 202; background: false corrige en el request lotes de hasta GRADING_BULK_SYNC_MAX)
+ * @access  Private (professor, university-admin, super-admin)
+ * @body    { concurrency?, dry_run?, background? }
+ */
+router.post(
+  '/:commissionId/rubrics/:rubricId/grade',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  gradePendingSubmissions
+);
+
 export default router;
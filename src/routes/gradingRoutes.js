@@ -1,10 +1,18 @@
 /**
  * Grading Routes
- * Rutas para corrección de exámenes
+ * Rutas para corrección de exámenes y seguimiento de la cola de corrección
  */
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
-import { gradeSubmission } from '../controllers/gradingController.js';
+import { requireRoles } from '../middleware/multiTenant.js';
+import { verifyN8nCallback } from '../middleware/webhookAuth.js';
+import {
+  gradeSubmission,
+  getGradingJobs,
+  getGradingJobById,
+  retryGradingJob,
+  receiveCorrectionCallback,
+} from '../controllers/gradingController.js';
 
 const router = express.Router();
 
@@ -14,4 +22,48 @@ const router = express.Router();
  */
 router.post('/grade', authenticate, gradeSubmission);
 
+/**
+ * @route   GET /api/grading/jobs
+ * @desc    Listar trabajos de la cola de corrección
+ * @access  Private (professor, university-admin, super-admin)
+ * @query   commission_id, rubric_id, status
+ */
+router.get(
+  '/grading/jobs',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  getGradingJobs
+);
+
+/**
+ * @route   GET /api/grading/jobs/:jobId
+ * @desc    Obtener estado de un trabajo de corrección
+ * @access  Private (professor, university-admin, super-admin)
+ */
+router.get(
+  '/grading/jobs/:jobId',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  getGradingJobById
+);
+
+/**
+ * @route   POST /api/grading/jobs/:jobId/retry
+ * @desc    Reencolar un trabajo de corrección fallido
+ * @access  Private (professor, university-admin, super-admin)
+ */
+router.post(
+  '/grading/jobs/:jobId/retry',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  retryGradingJob
+);
+
+/**
+ * @route   POST /api/grading/callback
+ * @desc    Callback de n8n con el resultado de una corrección asíncrona
+ * @access  Webhook (secreto compartido X-Webhook-Secret o firma HMAC X-Signature)
+ */
+router.post('/grading/callback', verifyN8nCallback, receiveCorrectionCallback);
+
 export default router;
@@ -1,6 +1,6 @@
 /**
  * Profile Routes
- * Rutas para gestionar el perfil del usuario y su API key de Gemini
+ * Rutas para gestionar el perfil del usuario, su API key de Gemini y su proveedor LLM
  */
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
@@ -10,6 +10,9 @@ import {
   updateProfile,
   setGeminiApiKey,
   deleteGeminiApiKey,
+  getLlmProviders,
+  setLlmProvider,
+  deleteLlmProvider,
 } from '../controllers/profileController.js';
 
 const router = express.Router();
@@ -31,4 +34,14 @@ router.put('/profile/gemini-api-key', authenticate, apiKeyRateLimit, setGeminiAp
 // DELETE /api/profile/gemini-api-key - Eliminar API key de Gemini
 router.delete('/profile/gemini-api-key', authenticate, deleteGeminiApiKey);
 
+// GET /api/profile/llm-providers - Listar proveedores LLM disponibles
+router.get('/profile/llm-providers', authenticate, getLlmProviders);
+
+// PUT /api/profile/llm-provider - Configurar proveedor LLM (gemini, openai-compatible, ollama)
+// Rate limit: máximo 5 intentos por hora
+router.put('/profile/llm-provider', authenticate, apiKeyRateLimit, setLlmProvider);
+
+// DELETE /api/profile/llm-provider - Volver a Gemini como proveedor LLM
+router.delete('/profile/llm-provider', authenticate, deleteLlmProvider);
+
 export default router;
@@ -14,9 +14,22 @@ import {
   deleteRubric,
   updateRubricSpreadsheet,
   fixRubricDriveFolder,
+  validateRubric,
+  cloneRubric,
+  createRubricFromTemplate,
+  getRubricTemplateUpdates,
+  getRubricTemplateStatus,
+  syncRubricWithTemplate,
+  importRubric,
+  exportRubricFile,
+  rescoreRubricSubmissions,
+  getRubricVersions,
+  getRubricVersion,
+  restoreRubricVersion,
 } from '../controllers/rubricController.js';
 import { authenticate, requireAdmin } from '../middleware/auth.js';
 import { requireRoles } from '../middleware/multiTenant.js';
+import { detectRubricFormat } from '../services/rubricFormatService.js';
 
 const router = express.Router();
 
@@ -52,6 +65,21 @@ const upload = multer({
   },
 });
 
+// Configurar multer para importar rúbricas (md, csv, xlsx, json) en memoria
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB máximo
+  },
+  fileFilter: (req, file, cb) => {
+    if (detectRubricFormat(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos .md, .csv, .xlsx o .json'));
+    }
+  },
+});
+
 /**
  * @route   GET /api/rubrics
  * @desc    Obtener todas las rúbricas activas (con filtros opcionales: commission_id, course_id, rubric_type, year, career_id, faculty_id, university_id)
@@ -59,6 +87,13 @@ const upload = multer({
  */
 router.get('/', authenticate, getRubrics);
 
+/**
+ * @route   GET /api/rubrics/template-updates
+ * @desc    Listar rúbricas vinculadas a plantillas que tienen una versión nueva disponible
+ * @access  Private (requiere autenticación)
+ */
+router.get('/template-updates', authenticate, getRubricTemplateUpdates);
+
 /**
  * @route   GET /api/rubrics/:id
  * @desc    Obtener una rúbrica por ID
@@ -80,6 +115,32 @@ router.post('/', authenticate, requireAdmin, createRubric);
  */
 router.post('/from-pdf', authenticate, requireAdmin, upload.single('pdf'), createRubricFromPDF);
 
+/**
+ * @route   POST /api/rubrics/import
+ * @desc    Crear rúbrica desde un archivo Markdown, CSV, XLSX o JSON (preview=true para solo convertir y validar)
+ * @access  Private (solo admin)
+ */
+router.post('/import', authenticate, requireAdmin, importUpload.single('file'), importRubric);
+
+/**
+ * @route   POST /api/rubrics/from-template
+ * @desc    Crear rúbrica de una comisión a partir de una plantilla publicada
+ * @access  Private (profesores de la comisión y administradores)
+ */
+router.post(
+  '/from-template',
+  authenticate,
+  requireRoles('professor', 'professor-admin', 'faculty-admin', 'university-admin', 'super-admin'),
+  createRubricFromTemplate
+);
+
+/**
+ * @route   POST /api/rubrics/validate
+ * @desc    Validar un rubric_json contra el esquema (errores por path) sin guardarlo
+ * @access  Private (requiere autenticación)
+ */
+router.post('/validate', authenticate, validateRubric);
+
 /**
  * @route   PUT /api/rubrics/:id
  * @desc    Actualizar rúbrica
@@ -113,4 +174,60 @@ router.delete('/:id', authenticate, requireAdmin, deleteRubric);
  */
 router.post('/:id/fix-drive-folder', authenticate, fixRubricDriveFolder);
 
+/**
+ * @route   POST /api/rubrics/:id/clone
+ * @desc    Clonar rúbrica a otras comisiones (lista explícita, todo el curso o el año siguiente)
+ * @access  Private (solo admin)
+ */
+router.post('/:id/clone', authenticate, requireAdmin, cloneRubric);
+
+/**
+ * @route   GET /api/rubrics/:id/export
+ * @desc    Exportar rúbrica (?format=md|csv|xlsx|json)
+ * @access  Private (docentes y administradores con acceso a la comisión)
+ */
+router.get('/:id/export', authenticate, exportRubricFile);
+
+/**
+ * @route   GET /api/rubrics/:id/template-status
+ * @desc    Ver si la plantilla vinculada tiene cambios pendientes (con diff)
+ * @access  Private (docentes y administradores con acceso a la comisión)
+ */
+router.get('/:id/template-status', authenticate, getRubricTemplateStatus);
+
+/**
+ * @route   POST /api/rubrics/:id/template-sync
+ * @desc    Traer los cambios de la plantilla (o descartar el aviso con dismiss)
+ * @access  Private (profesores de la comisión y administradores)
+ */
+router.post('/:id/template-sync', authenticate, syncRubricWithTemplate);
+
+/**
+ * @route   POST /api/rubrics/:id/rescore
+ * @desc    Recalcular la nota de todas las correcciones con la configuración de puntaje vigente
+ * @access  Private (solo admin)
+ */
+router.post('/:id/rescore', authenticate, requireAdmin, rescoreRubricSubmissions);
+
+/**
+ * @route   GET /api/rubrics/:id/versions
+ * @desc    Listar el historial de versiones de una rúbrica (con diff contra la versión anterior)
+ * @access  Private (requiere autenticación)
+ */
+router.get('/:id/versions', authenticate, getRubricVersions);
+
+/**
+ * @route   GET /api/rubrics/:id/versions/:version
+ * @desc    Obtener una versión específica de una rúbrica (incluye rubric_json)
+ * @access  Private (requiere autenticación)
+ */
+router.get('/:id/versions/:version', authenticate, getRubricVersion);
+
+/**
+ * @route   POST /api/rubrics/:id/versions/:version/restore
+ * @desc    Restaurar una versión anterior (genera una nueva versión)
+ * @access  Private (solo admin)
+ */
+router.post('/:id/versions/:version/restore', authenticate, requireAdmin, restoreRubricVersion);
+
 export default router;
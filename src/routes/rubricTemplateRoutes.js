@@ -0,0 +1,71 @@
+/**
+ * Rutas de Plantillas de Rúbrica
+ */
+import express from 'express';
+import {
+  getRubricTemplates,
+  getRubricTemplateById,
+  createRubricTemplate,
+  updateRubricTemplate,
+  publishRubricTemplate,
+  getRubricTemplateInstances,
+  deleteRubricTemplate,
+} from '../controllers/rubricTemplateController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requireRoles } from '../middleware/multiTenant.js';
+
+const router = express.Router();
+
+// Roles que pueden publicar y mantener plantillas (el alcance se verifica en el controlador)
+const requireTemplateManager = requireRoles('professor-admin', 'faculty-admin', 'university-admin', 'super-admin');
+
+/**
+ * @route   GET /api/rubric-templates
+ * @desc    Listar plantillas (filtros opcionales: scope, university_id, career_id, course_id, rubric_type, published)
+ * @access  Private (requiere autenticación)
+ */
+router.get('/', authenticate, getRubricTemplates);
+
+/**
+ * @route   GET /api/rubric-templates/:id
+ * @desc    Obtener una plantilla por ID
+ * @access  Private (requiere autenticación)
+ */
+router.get('/:id', authenticate, getRubricTemplateById);
+
+/**
+ * @route   POST /api/rubric-templates
+ * @desc    Crear plantilla de rúbrica a nivel curso, carrera o universidad
+ * @access  Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+router.post('/', authenticate, requireTemplateManager, createRubricTemplate);
+
+/**
+ * @route   PUT /api/rubric-templates/:id
+ * @desc    Actualizar plantilla (nueva versión si cambia el contenido)
+ * @access  Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+router.put('/:id', authenticate, requireTemplateManager, updateRubricTemplate);
+
+/**
+ * @route   POST /api/rubric-templates/:id/publish
+ * @desc    Publicar plantilla para que los profesores puedan instanciarla
+ * @access  Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+router.post('/:id/publish', authenticate, requireTemplateManager, publishRubricTemplate);
+
+/**
+ * @route   GET /api/rubric-templates/:id/instances
+ * @desc    Listar rúbricas creadas desde la plantilla y si están desactualizadas
+ * @access  Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+router.get('/:id/instances', authenticate, requireTemplateManager, getRubricTemplateInstances);
+
+/**
+ * @route   DELETE /api/rubric-templates/:id
+ * @desc    Eliminar plantilla (baja lógica)
+ * @access  Private (professor-admin, faculty-admin, university-admin, super-admin)
+ */
+router.delete('/:id', authenticate, requireTemplateManager, deleteRubricTemplate);
+
+export default router;
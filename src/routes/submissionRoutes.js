@@ -8,12 +8,17 @@ import fs from 'fs';
 import {
   getAllSubmissions,
   getSubmissionById,
+  getSubmissionHistory,
   createSubmission,
   updateSubmission,
   deleteSubmission,
   createBatchSubmissions,
+  overrideCriterionScore,
+  getPendingStudentMatches,
+  confirmStudentMatch,
 } from '../controllers/submissionController.js';
 import { downloadIndividualDevolutionPdf } from '../controllers/devolutionController.js';
+import { enqueueSubmissionGrading } from '../controllers/gradingController.js';
 import { authenticate } from '../middleware/auth.js';
 import { requireRoles, checkProfessorAccess } from '../middleware/multiTenant.js';
 
@@ -56,9 +61,10 @@ const upload = multer({
 
 /**
  * @route   GET /api/submissions
- * @desc    Obtener todas las submissions (con filtros multi-tenant)
+ * @desc    Listar submissions paginadas (con filtros multi-tenant, búsqueda y conteo por estado)
  * @access  Private (professor, university-admin, super-admin)
- * @query   commission_id, rubric_id, status
+ * @query   commission_id, rubric_id, course_id, career_id, faculty_id, status, score_disagreement, include_history,
+ *          late, late_status, search, date_from, date_to, grade_min, grade_max, sort, order, page, limit
  */
 router.get(
   '/',
@@ -67,6 +73,19 @@ router.get(
   getAllSubmissions
 );
 
+/**
+ * @route   GET /api/submissions/student-matches
+ * @desc    Entregas de lotes cuyo alumno no se identificó con certeza (para revisión)
+ * @access  Private (professor, university-admin, super-admin)
+ * @query   commission_id, rubric_id, status (ambiguous | unmatched)
+ */
+router.get(
+  '/student-matches',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  getPendingStudentMatches
+);
+
 /**
  * @route   GET /api/submissions/:id
  * @desc    Obtener una submission por ID
@@ -79,6 +98,18 @@ router.get(
   getSubmissionById
 );
 
+/**
+ * @route   GET /api/submissions/:id/history
+ * @desc    Historial de intentos (reentregas) del alumno y cuál cuenta para la nota
+ * @access  Private (professor, university-admin, super-admin)
+ */
+router.get(
+  '/:id/history',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  getSubmissionHistory
+);
+
 /**
  * @route   POST /api/submissions
  * @desc    Crear nueva submission (subir entrega de alumno)
@@ -122,6 +153,44 @@ router.put(
   updateSubmission
 );
 
+/**
+ * @route   PATCH /api/submissions/:id/criteria/:criterionId
+ * @desc    Ajustar el puntaje de un criterio (conserva el valor original y registra el motivo)
+ * @access  Private (professor, university-admin, super-admin)
+ * @body    { score, reason, status?, feedback? }
+ */
+router.patch(
+  '/:id/criteria/:criterionId',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  overrideCriterionScore
+);
+
+/**
+ * @route   POST /api/submissions/:id/student-match
+ * @desc    Confirmar el alumno del padrón de una entrega (o descartarlo)
+ * @access  Private (professor, university-admin, super-admin)
+ * @body    { student_id } | { dismiss: true }
+ */
+router.post(
+  '/:id/student-match',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  confirmStudentMatch
+);
+
+/**
+ * @route   POST /api/submissions/:id/grade
+ * @desc    Encolar corrección automática de la submission (responde 202 sin esperar a n8n)
+ * @access  Private (professor, university-admin, super-admin)
+ */
+router.post(
+  '/:id/grade',
+  authenticate,
+  requireRoles('professor', 'university-admin', 'super-admin'),
+  enqueueSubmissionGrading
+);
+
 /**
  * @route   DELETE /api/submissions/:id
  * @desc    Eliminar submission (soft delete)
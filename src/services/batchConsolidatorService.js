@@ -9,16 +9,24 @@ import AdmZip from 'adm-zip';
 import ConsolidatorService from './consolidatorService.js';
 import SimilarityDetectorService from './similarityDetectorService.js';
 import ProjectHash from '../models/ProjectHash.js';
+import SimilarityBaseline from '../models/SimilarityBaseline.js';
 
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
 const mkdir = promisify(fs.mkdir);
 const writeFile = promisify(fs.writeFile);
 
+/**
+ * Quita separadores (_ espacios -) en ambos extremos de un nombre
+ * @param {String} name
+ * @returns {String}
+ */
+const trimSeparators = (name) => name.replace(/^[_\s-]+|[_\s-]+$/g, '');
+
 class BatchConsolidatorService {
   /**
    * Sanitiza el nombre del alumno
-   * Remueve sufijos como _123456_assignsubmission_file o _assignsubmission_file
+   * Remueve sufijos como _123456_assignsubmission_file o _assignsubmission_file y la fecha de entrega
    * @param {String} rawName - Nombre de la carpeta
    * @returns {String} - Nombre sanitizado
    */
@@ -28,11 +36,13 @@ class BatchConsolidatorService {
     }
 
     // Reemplazar saltos de línea y tabs por espacios
-    let name = rawName.replace(/[\r\n\t]+/g, ' ');
+    let name = this.stripMoodleSuffix(rawName.replace(/[\r\n\t]+/g, ' '));
 
-    // Remover sufijos tipo _123456_assignsubmission_file o _assignsubmission_file
-    name = name.replace(/_\d+_assignsubmission_file$/i, '');
-    name = name.replace(/_assignsubmission_file$/i, '');
+    // Remover la fecha de entrega si la carpeta la incluye (ver parseSubmissionTimestamp)
+    const timestamp = this.findTimestampInName(name);
+    if (timestamp) {
+      name = trimSeparators(name.slice(0, timestamp.index) + name.slice(timestamp.index + timestamp.text.length));
+    }
 
     // Reemplazar múltiples espacios por uno y limpiar espacios alrededor
     name = name.replace(/\s+/g, ' ').trim();
@@ -40,6 +50,91 @@ class BatchConsolidatorService {
     return name || rawName.trim();
   }
 
+  /**
+   * Quita el sufijo que Moodle agrega a la carpeta (_123456_assignsubmission_file_ o _assignsubmission_file_)
+   * Se quita antes de buscar la fecha para no confundir el ID de participante con un timestamp
+   * @param {String} name - Nombre de la carpeta
+   * @returns {String}
+   */
+  static stripMoodleSuffix(name) {
+    let stripped = trimSeparators(String(name || ''));
+    stripped = trimSeparators(stripped.replace(/_\d+_assignsubmission_\w*$/i, ''));
+    stripped = trimSeparators(stripped.replace(/_assignsubmission_\w*$/i, ''));
+    return stripped;
+  }
+
+  /**
+   * Obtiene el ID de participante de Moodle del nombre de la carpeta (Nombre_123456_assignsubmission_file)
+   * @param {String} rawName - Nombre de la carpeta
+   * @returns {String|null}
+   */
+  static parseMoodleParticipantId(rawName) {
+    const match = String(rawName || '').match(/_(\d+)_assignsubmission_/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Busca una fecha de entrega en el nombre de una carpeta de Moodle
+   * Formatos aceptados (se toma la última coincidencia):
+   * - 2024-05-10 23-15(-30), 2024-05-10T23:15(:30), 2024-05-10_23.15
+   * - 20240510_231530 / 20240510-2315
+   * - Timestamp Unix en segundos (10 dígitos) o milisegundos (13 dígitos)
+   * Las fechas sin zona horaria se interpretan en la hora local del servidor
+   * @param {String} name - Nombre de la carpeta
+   * @returns {{index: Number, text: String, date: Date}|null}
+   */
+  static findTimestampInName(name) {
+    if (!name) return null;
+
+    const patterns = [
+      {
+        regex: /(?:^|[_\s-])((\d{4})-(\d{2})-(\d{2})[T_\s](\d{2})[-:.](\d{2})(?:[-:.](\d{2}))?)(?=$|[_\s-])/g,
+        toDate: (m) => new Date(+m[2], +m[3] - 1, +m[4], +m[5], +m[6], +(m[7] || 0)),
+      },
+      {
+        regex: /(?:^|[_\s-])((\d{4})(\d{2})(\d{2})[_-](\d{2})(\d{2})(\d{2})?)(?=$|[_\s-])/g,
+        toDate: (m) => new Date(+m[2], +m[3] - 1, +m[4], +m[5], +m[6], +(m[7] || 0)),
+      },
+      {
+        regex: /(?:^|[_\s-])(\d{13}|\d{10})(?=$|[_\s-])/g,
+        toDate: (m) => new Date(m[1].length === 13 ? +m[1] : +m[1] * 1000),
+      },
+    ];
+
+    // Rango razonable para descartar IDs numéricos de Moodle
+    const minTime = Date.UTC(2000, 0, 1);
+    const maxTime = Date.UTC(2100, 0, 1);
+
+    for (const { regex, toDate } of patterns) {
+      const matches = [...name.matchAll(regex)];
+
+      for (let i = matches.length - 1; i >= 0; i -= 1) {
+        const match = matches[i];
+        const date = toDate(match);
+        const time = date.getTime();
+
+        if (!Number.isNaN(time) && time >= minTime && time < maxTime) {
+          return {
+            index: match.index + match[0].indexOf(match[1]),
+            text: match[1],
+            date,
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Obtiene la fecha de entrega que figura en el nombre de la carpeta del alumno
+   * @param {String} rawName - Nombre de la carpeta
+   * @returns {Date|null} null si el nombre no incluye una fecha
+   */
+  static parseSubmissionTimestamp(rawName) {
+    return this.findTimestampInName(this.stripMoodleSuffix(rawName))?.date || null;
+  }
+
   /**
    * Encuentra archivos ZIP en una carpeta
    * @param {String} dirPath - Ruta de la carpeta
@@ -130,26 +225,22 @@ class BatchConsolidatorService {
         throw new Error('Error en consolidación: ' + consolidationResult.message);
       }
 
-      // 4. Extraer archivos .java (o del lenguaje principal) y calcular hashes
-      const javaFiles = this.extractJavaFilesFromContent(consolidationResult.content);
+      // 4. Extraer los archivos de código fuente y calcular hashes y huellas
+      const analysis = this.analyzeConsolidatedContent(consolidationResult.content);
 
-      if (Object.keys(javaFiles).length === 0) {
+      if (!analysis) {
         return {
           student_name: studentName,
           status: 'warning',
-          warning: 'No se encontraron archivos .java para análisis de similitud',
+          warning: 'No se encontraron archivos de código fuente para análisis de similitud',
           stats: consolidationResult.stats,
           content: consolidationResult.content,
         };
       }
 
-      // 5. Calcular hashes
-      const fileHashes = SimilarityDetectorService.calculateFileHashes(javaFiles);
-      const projectHash = SimilarityDetectorService.calculateProjectHash(javaFiles);
-
-      console.log(`   🔑 Hash del proyecto: ${projectHash.substring(0, 8)}...`);
+      console.log(`   🔑 Hash del proyecto: ${analysis.project_hash.substring(0, 8)}...`);
 
-      // 6. Limpiar carpeta temporal
+      // 5. Limpiar carpeta temporal
       fs.rmSync(studentTempDir, { recursive: true, force: true });
 
       return {
@@ -157,8 +248,7 @@ class BatchConsolidatorService {
         status: 'success',
         stats: consolidationResult.stats,
         content: consolidationResult.content,
-        project_hash: projectHash,
-        file_hashes: fileHashes,
+        ...analysis,
       };
     } catch (error) {
       console.error(`   ❌ Error procesando ${studentName}:`, error.message);
@@ -171,25 +261,102 @@ class BatchConsolidatorService {
   }
 
   /**
-   * Extrae contenido de archivos .java del markdown consolidado
+   * Calcula hashes, huellas y estadísticas de los archivos de código fuente de un proyecto consolidado
+   * @param {String} consolidatedContent - Contenido consolidado en markdown
+   * @returns {Object|null} - { project_hash, file_hashes, fingerprints, languages, total_lines } o null si no hay código fuente
+   */
+  static analyzeConsolidatedContent(consolidatedContent) {
+    const consolidatedFiles = this.extractSourceFilesFromContent(consolidatedContent);
+    const sourceFiles = SimilarityDetectorService.prepareSourceFiles(consolidatedFiles);
+
+    if (Object.keys(sourceFiles).length === 0) {
+      return null;
+    }
+
+    return {
+      project_hash: SimilarityDetectorService.calculateProjectHash(sourceFiles),
+      file_hashes: SimilarityDetectorService.calculateFileHashes(sourceFiles),
+      fingerprints: SimilarityDetectorService.calculateFingerprints(consolidatedFiles),
+      languages: SimilarityDetectorService.countFilesByLanguage(sourceFiles),
+      total_lines: Object.values(consolidatedFiles).reduce((sum, content) => sum + content.split('\n').length, 0),
+    };
+  }
+
+  /**
+   * Consolida el código base (plantilla) de una rúbrica y calcula sus hashes y huellas
+   * @param {Buffer|String} zipSource - ZIP del código base (buffer o ruta)
+   * @param {Object} options - Opciones de consolidación { mode, customExtensions, includeTests }
+   * @returns {Promise<Object>} - { project_hash, file_hashes, fingerprints, languages, total_lines, stats }
+   * @throws {Error} statusCode 400 si el ZIP no es válido o no tiene código fuente
+   */
+  static async processStarterCode(zipSource, options = {}) {
+    const tempDir = path.join(process.cwd(), 'uploads', 'temp', `baseline_${Date.now()}`);
+
+    try {
+      await mkdir(tempDir, { recursive: true });
+
+      let projectPath;
+      try {
+        projectPath = this.extractZip(zipSource, tempDir);
+      } catch (error) {
+        const zipError = new Error(`El archivo no es un ZIP válido: ${error.message}`);
+        zipError.statusCode = 400;
+        throw zipError;
+      }
+
+      console.log('   🔄 Consolidando código base...');
+      let consolidationResult;
+      try {
+        consolidationResult = await ConsolidatorService.consolidateProject(
+          projectPath,
+          options.mode || '5',
+          options.customExtensions || null,
+          options.includeTests !== false
+        );
+      } catch (error) {
+        // Sin archivos con las extensiones seleccionadas
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const analysis = this.analyzeConsolidatedContent(consolidationResult.content);
+
+      if (!analysis) {
+        const emptyError = new Error('El código base no tiene archivos de código fuente para comparar');
+        emptyError.statusCode = 400;
+        throw emptyError;
+      }
+
+      return {
+        ...analysis,
+        stats: consolidationResult.stats,
+      };
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Extrae el contenido de todos los archivos del markdown consolidado (cualquier lenguaje)
    * @param {String} consolidatedContent - Contenido consolidado en markdown
    * @returns {Object} - Objeto con {nombreArchivo: contenido}
    */
-  static extractJavaFilesFromContent(consolidatedContent) {
-    const javaFiles = {};
+  static extractSourceFilesFromContent(consolidatedContent) {
+    const sourceFiles = {};
 
-    // Regex para encontrar bloques de código Java
-    // Formato: ### 📄 `path/to/File.java`\n\n**Líneas:** X | **Tipo:** .java\n\n```java\n<contenido>\n```
-    const regex = /### 📄 `([^`]+\.java)`\s+\*\*Líneas:\*\* \d+ \| \*\*Tipo:\*\* \.java\s+```java\s+([\s\S]*?)```/gi;
+    // Formato: ### 📄 `path/to/archivo.ext`\n\n**Líneas:** X | **Tipo:** .ext\n\n```lenguaje\n<contenido>\n```\n\n---
+    // El cierre se busca junto al separador para no cortar archivos que contienen ``` (ej: docstrings o markdown)
+    const regex = /### 📄 `([^`]+)`\s+\*\*Líneas:\*\* \d+ \| \*\*Tipo:\*\* \S*\s+```[\w+#-]*\n([\s\S]*?)\n```\n+---/g;
 
     let match;
-    while ((match = regex.exec(consolidatedContent)) !== null) {
+    while ((match = regex.exec(consolidatedContent || '')) !== null) {
       const fileName = match[1];
-      const content = match[2].trim();
-      javaFiles[fileName] = content;
+      // Solo se recorta el final: las líneas en blanco iniciales mantienen la numeración del archivo original
+      const content = match[2].trimEnd();
+      sourceFiles[fileName] = content;
     }
 
-    return javaFiles;
+    return sourceFiles;
   }
 
   /**
@@ -249,6 +416,10 @@ class BatchConsolidatorService {
         console.log('-'.repeat(70));
 
         const result = await this.processStudentSubmission(studentDir, tempDir, options);
+        // Datos de la carpeta de Moodle (fecha de entrega e ID de participante para identificar al alumno)
+        result.folder_name = rawStudentName;
+        result.moodle_participant_id = this.parseMoodleParticipantId(rawStudentName);
+        result.submitted_at = this.parseSubmissionTimestamp(rawStudentName);
         results.push(result);
 
         // Si fue exitoso, guardar archivo consolidado y preparar ProjectHash
@@ -265,16 +436,23 @@ class BatchConsolidatorService {
           // Preparar ProjectHash para guardar en MongoDB
           if (result.project_hash && result.file_hashes) {
             projectHashesToSave.push({
+              // Resultado del alumno, para devolver el _id del ProjectHash guardado
+              result,
               commission_id: commissionId,
               rubric_id: rubricId,
               student_name: studentName.toLowerCase(),
               project_hash: result.project_hash,
               file_hashes: result.file_hashes,
+              fingerprints: result.fingerprints || [],
+              // El entrega.txt queda guardado para comparar pares de alumnos aunque se borre la carpeta consolidada
+              content_text: result.content,
               stats: {
                 total_files: result.stats?.totalFiles || 0,
-                total_lines: 0, // Se puede agregar si consolidatorService lo provee
-                java_files: Object.keys(result.file_hashes).length,
+                total_lines: result.total_lines || 0,
+                java_files: result.languages?.java || 0,
+                source_files: Object.keys(result.file_hashes).length,
                 other_files: (result.stats?.totalFiles || 0) - Object.keys(result.file_hashes).length,
+                languages: result.languages || {},
               },
               metadata: {
                 project_name: result.stats?.projectName || studentName,
@@ -294,10 +472,12 @@ class BatchConsolidatorService {
       console.log('💾 Guardando hashes en MongoDB...');
 
       const savedProjectHashes = [];
-      for (const projectHashData of projectHashesToSave) {
+      for (const { result, ...projectHashData } of projectHashesToSave) {
         try {
           const projectHash = await ProjectHash.findOrCreate(projectHashData);
           savedProjectHashes.push(projectHash);
+          // Permite vincular el ProjectHash con la Submission que se cree para el alumno
+          result.project_hash_id = projectHash._id;
           console.log(`   ✅ Hash guardado: ${projectHashData.student_name}`);
         } catch (error) {
           console.error(`   ❌ Error guardando hash de ${projectHashData.student_name}:`, error.message);
@@ -308,7 +488,9 @@ class BatchConsolidatorService {
       console.log('\n='.repeat(70));
       console.log('🔍 Analizando similitudes...');
 
-      const similarity = SimilarityDetectorService.detectSimilarities(savedProjectHashes);
+      // El código base de la rúbrica (si se cargó) no cuenta como coincidencia
+      const baseline = await SimilarityBaseline.findForRubric(rubricId);
+      const similarity = SimilarityDetectorService.detectSimilarities(savedProjectHashes, { baseline });
 
       console.log(`   Proyectos 100% idénticos: ${similarity.identicalGroups.length} grupos`);
       console.log(`   Copias parciales detectadas: ${similarity.partialCopies.length} casos`);
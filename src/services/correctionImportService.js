@@ -0,0 +1,424 @@
+/**
+ * Servicio de Importación de Correcciones
+ * Lee una planilla de correcciones (XLSX o CSV) con las mismas columnas que usa la devolución en PDF
+ * y la aplica sobre las entregas de una rúbrica
+ *
+ * Columnas (encabezado, sin importar mayúsculas ni acentos):
+ * alumno | legajo | submission_id | puntaje_total | criterios | fortalezas | recomendaciones
+ * Los criterios usan los marcadores ✅ / ❌ / ⚠️ ("✅ Modularización · Usa funciones"); el puntaje del
+ * criterio es opcional al final del título ("Modularización (3/4)")
+ */
+import ExcelJS from 'exceljs';
+import Student from '../models/Student.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { getRubricCriteria } from '../utils/rubricCriteria.js';
+import { parsearCriterios, parsearFortalezas, parsearRecomendaciones } from './nodeDevolutionService.js';
+import { nameSimilarity, MATCH_THRESHOLDS } from './studentMatchingService.js';
+
+// Nombres de columna aceptados para cada campo
+const CORRECTION_COLUMNS = {
+  student_name: ['alumno', 'student_name', 'student', 'estudiante', 'nombre'],
+  student_id: ['legajo', 'student_id', 'matricula'],
+  submission_id: ['submission_id', 'id_entrega', 'entrega'],
+  grade: ['puntaje_total', 'puntaje total', 'nota', 'grade'],
+  criteria: ['criterios', 'resumen por criterios', 'resumen_por_criterios'],
+  strengths: ['fortalezas', 'strengths'],
+  recommendations: ['recomendaciones', 'recommendations'],
+};
+
+/**
+ * Crea un error controlado (400)
+ * @param {String} message
+ * @returns {Error}
+ */
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Normaliza un texto para comparar encabezados y nombres de criterio
+ * @param {String} value
+ * @returns {String}
+ */
+const normalizeText = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[_\s]+/g, ' ')
+    .trim();
+
+/**
+ * Convierte un valor a número o null (acepta coma decimal)
+ * @param {*} value
+ * @returns {Number|null}
+ */
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Lee la primera hoja de un XLSX como encabezados y registros
+ * @param {Buffer} buffer
+ * @returns {Promise<{headers: Array<String>, records: Array<Object>}>}
+ */
+const readXlsxRecords = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw importError(`No se pudo leer el archivo XLSX: ${error.message}`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw importError('El archivo XLSX no tiene hojas');
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col += 1) {
+      cells.push(row.getCell(col).text ?? '');
+    }
+    rows.push(cells);
+  });
+
+  const [headerRow = [], ...dataRows] = rows;
+  const headers = headerRow.map((h) => String(h).trim());
+  const records = dataRows.map((cells) =>
+    headers.reduce((record, header, index) => {
+      record[header] = String(cells[index] ?? '').trim();
+      return record;
+    }, {})
+  );
+
+  return { headers, records };
+};
+
+/**
+ * Separa el puntaje opcional del título de un criterio ("Modularización (3/4)" → 3 de 4)
+ * @param {String} title
+ * @returns {{name: String, score: Number|null, max_score: Number|null}}
+ */
+const parseCriterionTitle = (title) => {
+  const match = String(title).match(/^(.*?)\s*\(?\s*(\d+(?:[.,]\d+)?)\s*\/\s*(\d+(?:[.,]\d+)?)\s*\)?\s*$/);
+  if (!match || !match[1]) {
+    return { name: String(title).trim(), score: null, max_score: null };
+  }
+  return { name: match[1].trim(), score: toNumberOrNull(match[2]), max_score: toNumberOrNull(match[3]) };
+};
+
+/**
+ * Busca el criterio de la rúbrica que corresponde a un título de la planilla (por id o por nombre)
+ * @param {String} name
+ * @param {Array<Object>} rubricCriteria - Resultado de getRubricCriteria
+ * @returns {Object|null}
+ */
+const findRubricCriterion = (name, rubricCriteria) => {
+  const key = normalizeText(name);
+  return (
+    rubricCriteria.find((c) => normalizeText(c.id) === key || normalizeText(c.name) === key) ||
+    rubricCriteria.find((c) => key.startsWith(`${normalizeText(c.id)} `) || key.includes(normalizeText(c.name))) ||
+    null
+  );
+};
+
+/**
+ * Parsea una planilla de correcciones
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {String} filename - Nombre original (para detectar xlsx o csv)
+ * @param {Object} rubric - Rúbrica (para asociar los criterios por id)
+ * @returns {Promise<{rows: Array<Object>, errors: Array<{row: Number, message: String}>}>}
+ */
+export const parseCorrectionsFile = async (buffer, filename, rubric) => {
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  let parsed;
+
+  if (extension === 'xlsx') {
+    parsed = await readXlsxRecords(buffer);
+  } else if (extension === 'csv') {
+    parsed = parseCsvRecords(buffer.toString('utf-8'));
+  } else {
+    throw importError('Formato no soportado: se aceptan archivos .xlsx o .csv');
+  }
+
+  const columnFor = {};
+  parsed.headers.forEach((header) => {
+    const normalized = normalizeText(header);
+    Object.entries(CORRECTION_COLUMNS).forEach(([field, names]) => {
+      if (!columnFor[field] && names.includes(normalized)) columnFor[field] = header;
+    });
+  });
+
+  if (!columnFor.student_name && !columnFor.student_id && !columnFor.submission_id) {
+    throw importError('La planilla debe tener una columna "alumno", "legajo" o "submission_id"');
+  }
+  if (!columnFor.grade && !columnFor.criteria) {
+    throw importError('La planilla debe tener una columna "puntaje_total" o "criterios"');
+  }
+
+  const rubricCriteria = getRubricCriteria(rubric?.rubric_json);
+  const rows = [];
+  const errors = [];
+
+  parsed.records.forEach((record, index) => {
+    // +2: la fila 1 es el encabezado
+    const rowNumber = index + 2;
+    const value = (field) => (columnFor[field] ? record[columnFor[field]] || '' : '');
+
+    const criteria = parsearCriterios(value('criteria')).map((item) => {
+      const { name, score, max_score: maxScore } = parseCriterionTitle(item.titulo);
+      const rubricCriterion = findRubricCriterion(name, rubricCriteria);
+      return {
+        id: rubricCriterion?.id || null,
+        name: rubricCriterion?.name || name,
+        score,
+        max_score: maxScore ?? rubricCriterion?.max_score ?? null,
+        status: item.estado,
+        feedback: item.descripcion || null,
+      };
+    });
+
+    const row = {
+      row: rowNumber,
+      student_name: value('student_name') || null,
+      student_id: value('student_id') || null,
+      submission_id: value('submission_id').toLowerCase() || null,
+      grade: toNumberOrNull(value('grade')),
+      criteria,
+      strengths_list: parsearFortalezas(value('strengths')),
+      recommendations_list: parsearRecomendaciones(value('recommendations')),
+    };
+
+    if (!row.student_name && !row.student_id && !row.submission_id) {
+      errors.push({ row: rowNumber, message: 'Falta el alumno' });
+      return;
+    }
+    if (value('grade') && row.grade === null) {
+      errors.push({ row: rowNumber, message: `Puntaje inválido: "${value('grade')}"` });
+      return;
+    }
+    if (row.grade === null && criteria.length === 0) {
+      errors.push({ row: rowNumber, message: 'La fila no tiene puntaje_total ni criterios' });
+      return;
+    }
+
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Nombres con los que se puede reconocer una entrega: el de la carpeta y, si está vinculada al padrón,
+ * el del alumno y sus alias
+ * @param {Document} submission - Con student populado (opcional)
+ * @returns {Array<String>}
+ */
+const submissionNames = (submission) => {
+  const student = submission.student?.full_name ? submission.student : null;
+  return [submission.student_name, ...(student ? [student.full_name, ...(student.aliases || [])] : [])];
+};
+
+/**
+ * Busca la entrega de una fila: por submission_id, por legajo, por nombre exacto o por similitud
+ * @param {Object} row
+ * @param {Array<Document>} submissions - Entregas vigentes de la rúbrica (con student populado)
+ * @returns {{submission: Document|null, method: String|null, candidates: Array<String>}}
+ */
+const findSubmissionForRow = (row, submissions) => {
+  if (row.submission_id) {
+    const bySubmissionId = submissions.find((s) => s.submission_id === row.submission_id);
+    if (bySubmissionId) return { submission: bySubmissionId, method: 'submission_id', candidates: [] };
+  }
+
+  if (row.student_id) {
+    const byStudentId = submissions.filter(
+      (s) => (s.student_id || s.student?.student_id) === row.student_id
+    );
+    if (byStudentId.length === 1) return { submission: byStudentId[0], method: 'legajo', candidates: [] };
+  }
+
+  if (!row.student_name) return { submission: null, method: null, candidates: [] };
+
+  const keys = Student.nameKeysFor(row.student_name);
+  const exact = submissions.filter((s) =>
+    submissionNames(s).some((name) => Student.nameKeysFor(name).some((key) => keys.includes(key)))
+  );
+  if (exact.length === 1) return { submission: exact[0], method: 'exact', candidates: [] };
+
+  const ranked = submissions
+    .map((submission) => ({
+      submission,
+      score: Math.max(...submissionNames(submission).map((name) => nameSimilarity(row.student_name, name))),
+    }))
+    .filter(({ score }) => score >= MATCH_THRESHOLDS.REVIEW)
+    .sort((a, b) => b.score - a.score);
+  const [best, second] = ranked;
+
+  if (best && best.score >= MATCH_THRESHOLDS.AUTO && (!second || best.score - second.score >= MATCH_THRESHOLDS.MARGIN)) {
+    return { submission: best.submission, method: 'fuzzy', candidates: [] };
+  }
+
+  return { submission: null, method: null, candidates: ranked.slice(0, 3).map(({ submission }) => submission.student_name) };
+};
+
+/**
+ * Busca en la corrección actual el criterio de una fila (por ID o por nombre)
+ * @param {Array<Object>} criteria - correction.criteria
+ * @param {Object} criterion - Criterio de la fila
+ * @returns {Object|undefined}
+ */
+const findPreviousCriterion = (criteria, criterion) =>
+  (criteria || []).find(
+    (c) => (criterion.id && c.id === criterion.id) || normalizeText(c.name) === normalizeText(criterion.name)
+  );
+
+/**
+ * Diferencias entre la corrección actual de una entrega y la de la planilla
+ * @param {Document} submission
+ * @param {Object} row
+ * @returns {Array<{field: String, before: *, after: *}>} Vacío si no hay cambios
+ */
+const diffCorrection = (submission, row) => {
+  const current = submission.correction || {};
+  const changes = [];
+
+  if (row.grade !== null && row.grade !== (current.grade ?? null)) {
+    changes.push({ field: 'grade', before: current.grade ?? null, after: row.grade });
+  }
+
+  row.criteria.forEach((criterion) => {
+    const previous = findPreviousCriterion(current.criteria, criterion);
+    const label = criterion.id || criterion.name;
+
+    if (!previous) {
+      changes.push({ field: `criteria.${label}`, before: null, after: criterion.status });
+      return;
+    }
+    if (previous.status !== criterion.status) {
+      changes.push({ field: `criteria.${label}.status`, before: previous.status, after: criterion.status });
+    }
+    if (criterion.score !== null && previous.score !== criterion.score) {
+      changes.push({ field: `criteria.${label}.score`, before: previous.score, after: criterion.score });
+    }
+    if (criterion.feedback && previous.feedback !== criterion.feedback) {
+      changes.push({ field: `criteria.${label}.feedback`, before: previous.feedback, after: criterion.feedback });
+    }
+  });
+
+  const strengths = row.strengths_list.join('\n');
+  if (strengths && strengths !== (current.strengths_list || []).join('\n')) {
+    changes.push({ field: 'strengths', before: current.strengths || null, after: strengths });
+  }
+  const recommendations = row.recommendations_list.join('\n');
+  if (recommendations && recommendations !== (current.recommendations_list || []).join('\n')) {
+    changes.push({ field: 'recommendations', before: current.recommendations || null, after: recommendations });
+  }
+
+  return changes;
+};
+
+/**
+ * Relaciona las filas de la planilla con las entregas y arma la vista previa de cambios
+ * @param {Array<Object>} rows - Filas de parseCorrectionsFile
+ * @param {Array<Document>} submissions - Entregas vigentes de la rúbrica
+ * @returns {{matched: Array<Object>, unmatched: Array<Object>, duplicated: Array<Object>}}
+ */
+export const planCorrectionImport = (rows, submissions) => {
+  const matched = [];
+  const unmatched = [];
+  const duplicated = [];
+  const usedBy = new Map();
+
+  rows.forEach((row) => {
+    const { submission, method, candidates } = findSubmissionForRow(row, submissions);
+
+    if (!submission) {
+      unmatched.push({ row: row.row, student_name: row.student_name, student_id: row.student_id, candidates });
+      return;
+    }
+
+    const key = submission._id.toString();
+    if (usedBy.has(key)) {
+      duplicated.push({ row: row.row, student_name: row.student_name, same_as_row: usedBy.get(key) });
+      return;
+    }
+    usedBy.set(key, row.row);
+
+    matched.push({
+      row,
+      submission,
+      method,
+      changes: diffCorrection(submission, row),
+    });
+  });
+
+  return { matched, unmatched, duplicated };
+};
+
+/**
+ * Convierte una fila en los datos de corrección de Submission.addCorrection
+ * La planilla se combina con la corrección actual: lo que no trae (resumen, criterios que no figuran,
+ * fortalezas o recomendaciones vacías) se conserva, así la vista previa muestra todo lo que cambia
+ * Si la planilla no trae el total, se usa el calculado desde los criterios
+ * @param {Object} row
+ * @param {Object} current - Corrección actual de la entrega (submission.correction)
+ * @param {Object} meta - { filename }
+ * @returns {Object}
+ */
+export const rowToCorrection = (row, current = {}, meta = {}) => {
+  const toPlain = (item) => (typeof item?.toObject === 'function' ? item.toObject() : { ...item });
+  const criteria = (current?.criteria || []).map(toPlain);
+
+  row.criteria.forEach((criterion) => {
+    const previous = findPreviousCriterion(criteria, criterion);
+    if (!previous) {
+      criteria.push(criterion);
+      return;
+    }
+    Object.assign(previous, {
+      status: criterion.status,
+      score: criterion.score ?? previous.score ?? null,
+      max_score: criterion.max_score ?? previous.max_score ?? null,
+      feedback: criterion.feedback || previous.feedback || null,
+    });
+  });
+
+  const strengthsList = row.strengths_list.length > 0 ? row.strengths_list : current?.strengths_list || [];
+  const recommendationsList =
+    row.recommendations_list.length > 0 ? row.recommendations_list : current?.recommendations_list || [];
+
+  return {
+    grade: row.grade ?? current?.grade ?? null,
+    summary: current?.summary ?? null,
+    strengths: row.strengths_list.length > 0 ? row.strengths_list.join('\n') : current?.strengths ?? null,
+    recommendations:
+      row.recommendations_list.length > 0 ? row.recommendations_list.join('\n') : current?.recommendations ?? null,
+    criteria,
+    strengths_list: strengthsList,
+    recommendations_list: recommendationsList,
+    general_feedback: current?.general_feedback ?? null,
+    result_json: { source: 'excel', file: meta.filename || null, row: row.row },
+  };
+};
+
+/**
+ * Indica si los criterios de la fila permiten calcular la nota (todos tienen puntaje)
+ * Con solo marcadores ✅/❌/⚠️ la nota es la del puntaje_total de la planilla
+ * @param {Object} row
+ * @returns {Boolean}
+ */
+export const hasScoredCriteria = (row) => row.criteria.length > 0 && row.criteria.every((c) => c.score !== null);
+
+export default {
+  parseCorrectionsFile,
+  planCorrectionImport,
+  rowToCorrection,
+  hasScoredCriteria,
+};
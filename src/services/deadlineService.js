@@ -0,0 +1,181 @@
+/**
+ * Servicio de Fechas Límite
+ * Determina si una entrega es a tiempo o tardía según Rubric.deadline y calcula el descuento
+ *
+ * - Sin due_date: todas las entregas son a tiempo
+ * - Dentro de la ventana de tolerancia (late_window_hours): descuento según late_penalty
+ *   (fixed: una vez; per-day / per-hour: por cada día u hora iniciada de atraso), con tope en late_penalty.max
+ * - Fuera de la ventana: descuento beyond_window_penalty (por defecto 100%)
+ * El descuento se aplica sobre la nota en scoringService.scoreCorrection
+ */
+import { LATE_PENALTY_MODES } from '../models/Rubric.js';
+import { LATE_STATUSES } from '../models/Submission.js';
+
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 24 * MINUTES_PER_HOUR;
+
+// Configuración por defecto (rúbricas sin fecha límite)
+export const DEFAULT_DEADLINE_CONFIG = {
+  due_date: null,
+  late_window_hours: null,
+  late_penalty: {
+    mode: LATE_PENALTY_MODES.NONE,
+    value: 0,
+    max: 100,
+  },
+  beyond_window_penalty: 100,
+};
+
+/**
+ * Obtiene la configuración de fecha límite de una rúbrica completando los valores por defecto
+ * @param {Object} rubric - Documento o objeto de rúbrica
+ * @returns {Object}
+ */
+export const getDeadlineConfig = (rubric) => {
+  const deadline = rubric?.deadline?.toObject ? rubric.deadline.toObject() : rubric?.deadline || {};
+
+  return {
+    due_date: deadline.due_date ? new Date(deadline.due_date) : null,
+    late_window_hours: deadline.late_window_hours ?? null,
+    late_penalty: { ...DEFAULT_DEADLINE_CONFIG.late_penalty, ...(deadline.late_penalty || {}) },
+    beyond_window_penalty: deadline.beyond_window_penalty ?? DEFAULT_DEADLINE_CONFIG.beyond_window_penalty,
+  };
+};
+
+/**
+ * Valida una configuración de fecha límite enviada por el usuario
+ * @param {Object} deadline
+ * @returns {Array<{path: String, message: String}>} Errores (vacío si es válida)
+ */
+export const validateDeadlineConfig = (deadline) => {
+  const errors = [];
+
+  if (!deadline || typeof deadline !== 'object' || Array.isArray(deadline)) {
+    return [{ path: '/deadline', message: 'deadline debe ser un objeto' }];
+  }
+
+  if (deadline.due_date !== undefined && deadline.due_date !== null && Number.isNaN(new Date(deadline.due_date).getTime())) {
+    errors.push({ path: '/deadline/due_date', message: 'Debe ser una fecha válida (ISO 8601)' });
+  }
+  if (
+    deadline.late_window_hours !== undefined &&
+    deadline.late_window_hours !== null &&
+    !(Number(deadline.late_window_hours) >= 0)
+  ) {
+    errors.push({ path: '/deadline/late_window_hours', message: 'Debe ser un número de horas mayor o igual a 0' });
+  }
+
+  const penalty = deadline.late_penalty;
+  if (penalty !== undefined) {
+    if (!penalty || typeof penalty !== 'object' || Array.isArray(penalty)) {
+      errors.push({ path: '/deadline/late_penalty', message: 'Debe ser un objeto { mode, value, max }' });
+    } else {
+      if (penalty.mode !== undefined && !Object.values(LATE_PENALTY_MODES).includes(penalty.mode)) {
+        errors.push({
+          path: '/deadline/late_penalty/mode',
+          message: `Debe ser uno de: ${Object.values(LATE_PENALTY_MODES).join(', ')}`,
+        });
+      }
+      ['value', 'max'].forEach((key) => {
+        if (penalty[key] === undefined) return;
+        const value = Number(penalty[key]);
+        if (!Number.isFinite(value) || value < 0 || value > 100) {
+          errors.push({ path: `/deadline/late_penalty/${key}`, message: 'Debe ser un porcentaje entre 0 y 100' });
+        }
+      });
+    }
+  }
+
+  if (deadline.beyond_window_penalty !== undefined) {
+    const value = Number(deadline.beyond_window_penalty);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      errors.push({ path: '/deadline/beyond_window_penalty', message: 'Debe ser un porcentaje entre 0 y 100' });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Determina si una entrega es a tiempo o tardía
+ * @param {Date|String} submittedAt - Fecha de entrega
+ * @param {Object} rubric - Rúbrica con deadline
+ * @returns {{late_status: String, minutes_late: Number}}
+ */
+export const evaluateLateness = (submittedAt, rubric) => {
+  const config = getDeadlineConfig(rubric);
+  const submitted = submittedAt ? new Date(submittedAt) : null;
+
+  if (!config.due_date || !submitted || Number.isNaN(submitted.getTime())) {
+    return { late_status: LATE_STATUSES.ON_TIME, minutes_late: 0 };
+  }
+
+  const minutesLate = Math.ceil((submitted.getTime() - config.due_date.getTime()) / 60000);
+
+  if (minutesLate <= 0) {
+    return { late_status: LATE_STATUSES.ON_TIME, minutes_late: 0 };
+  }
+
+  const windowMinutes = config.late_window_hours !== null ? Number(config.late_window_hours) * MINUTES_PER_HOUR : null;
+  const beyondWindow = windowMinutes !== null && minutesLate > windowMinutes;
+
+  return {
+    late_status: beyondWindow ? LATE_STATUSES.BEYOND_WINDOW : LATE_STATUSES.LATE,
+    minutes_late: minutesLate,
+  };
+};
+
+/**
+ * Calcula el descuento (%) que corresponde a una entrega según su atraso
+ * @param {Object} lateness - { late_status, minutes_late } (por ejemplo, la submission)
+ * @param {Object} rubric - Rúbrica con deadline
+ * @returns {Number} Porcentaje de la nota a descontar (0-100)
+ */
+export const computeLatePenalty = (lateness, rubric) => {
+  if (!lateness || !lateness.late_status || lateness.late_status === LATE_STATUSES.ON_TIME) return 0;
+
+  const config = getDeadlineConfig(rubric);
+
+  if (lateness.late_status === LATE_STATUSES.BEYOND_WINDOW) {
+    return Math.min(100, Math.max(0, Number(config.beyond_window_penalty) || 0));
+  }
+
+  const { mode, value, max } = config.late_penalty;
+  const minutesLate = Number(lateness.minutes_late) || 0;
+  let penalty = 0;
+
+  if (mode === LATE_PENALTY_MODES.FIXED) {
+    penalty = Number(value) || 0;
+  } else if (mode === LATE_PENALTY_MODES.PER_DAY) {
+    penalty = Math.ceil(minutesLate / MINUTES_PER_DAY) * (Number(value) || 0);
+  } else if (mode === LATE_PENALTY_MODES.PER_HOUR) {
+    penalty = Math.ceil(minutesLate / MINUTES_PER_HOUR) * (Number(value) || 0);
+  }
+
+  return Math.min(penalty, Number(max ?? 100), 100);
+};
+
+/**
+ * Marca una submission como a tiempo o tardía (no guarda el documento)
+ * Usa submitted_at y, si no existe (entregas anteriores), uploaded_at
+ * @param {Document} submission
+ * @param {Object} rubric
+ * @returns {Document} La misma submission
+ */
+export const stampLateness = (submission, rubric) => {
+  const { late_status, minutes_late } = evaluateLateness(submission.submitted_at || submission.uploaded_at, rubric);
+
+  submission.late_status = late_status;
+  submission.minutes_late = minutes_late;
+
+  return submission;
+};
+
+export default {
+  DEFAULT_DEADLINE_CONFIG,
+  getDeadlineConfig,
+  validateDeadlineConfig,
+  evaluateLateness,
+  computeLatePenalty,
+  stampLateness,
+};
@@ -1,14 +1,88 @@
 /**
  * Devolution PDF Service
  * Genera PDFs individuales de devolución para estudiantes con correcciones
+ *
+ * Único generador de devoluciones: recibe una devolución con formato uniforme (ver fromSubmission).
+ * La fuente por defecto es Submission.correction (funciona sin n8n); la planilla de Drive es una
+ * fuente opcional (nodeDevolutionService.fetchSheetDevolutions)
  */
 import PDFDocument from 'pdfkit';
 import Submission from '../models/Submission.js';
 import Commission from '../models/Commission.js';
 import Rubric from '../models/Rubric.js';
 import archiver from 'archiver';
+import { PassThrough } from 'stream';
 
 class DevolutionPdfService {
+  /**
+   * Obtiene los nombres de la comisión y la rúbrica para el encabezado (o sus IDs si no existen)
+   * @param {String} commissionId
+   * @param {String} rubricId
+   * @returns {Promise<{commissionName: String, rubricName: String}>}
+   */
+  static async resolveNames(commissionId, rubricId) {
+    const [commission, rubric] = await Promise.all([
+      Commission.findOne({ commission_id: commissionId }).select('name'),
+      Rubric.findOne({ rubric_id: rubricId }).select('name'),
+    ]);
+
+    return {
+      commissionName: commission?.name || commissionId,
+      rubricName: rubric?.name || rubricId,
+    };
+  }
+
+  /**
+   * Arma la devolución a partir de la corrección guardada en la submission
+   * @param {Object} submission - Documento Submission de MongoDB
+   * @param {Object} meta - { commissionName, rubricName }
+   * @returns {Object} Devolución con formato uniforme
+   */
+  static fromSubmission(submission, meta = {}) {
+    const correction = submission.correction || {};
+
+    return {
+      studentName: submission.student_name,
+      commissionName: meta.commissionName || submission.commission_id,
+      rubricName: meta.rubricName || submission.rubric_id,
+      grade: submission.getEffectiveGrade(),
+      letter: correction.computed?.letter || null,
+      // Nota de la corrección automática (se muestra si un docente ajustó criterios)
+      originalGrade: correction.computed?.has_overrides ? correction.grade : null,
+      latePenalty: correction.computed?.late_penalty || 0,
+      criteria: correction.criteria || [],
+      strengths: correction.strengths_list?.length ? correction.strengths_list : this._splitLines(correction.strengths),
+      recommendations: correction.recommendations_list?.length
+        ? correction.recommendations_list
+        : this._splitLines(correction.recommendations),
+      generalFeedback: correction.general_feedback || correction.summary || '',
+      correctedAt: correction.corrected_at || new Date(),
+    };
+  }
+
+  /**
+   * Genera el PDF de una devolución (de cualquier fuente)
+   * @param {Object} devolution - Devolución con formato uniforme (fromSubmission o sheetRowToDevolution)
+   * @returns {Promise<Buffer>} - Buffer del PDF generado
+   */
+  static async renderPdf(devolution) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      info: {
+        Title: `Devolución - ${devolution.studentName}`,
+        Author: 'Sistema de Corrección Automática',
+        Subject: 'Devolución de Corrección',
+      },
+    });
+
+    const bufferPromise = this._streamToBuffer(doc);
+    this._generateDevolutionContent(doc, devolution);
+    doc.end();
+
+    return await bufferPromise;
+  }
+
   /**
    * Genera un PDF de devolución individual para un estudiante
    * @param {Object} submission - Documento Submission de MongoDB
@@ -23,35 +97,7 @@ class DevolutionPdfService {
         throw new Error('La submission no tiene corrección disponible');
       }
 
-      // Crear documento PDF
-      const doc = new PDFDocument({
-        size: 'A4',
-        margins: { top: 50, bottom: 50, left: 50, right: 50 },
-        info: {
-          Title: `Devolución - ${submission.student_name}`,
-          Author: 'Sistema de Corrección Automática',
-          Subject: 'Devolución de Corrección',
-        },
-      });
-
-      // Generar contenido
-      this._generateDevolutionContent(doc, {
-        studentName: submission.student_name,
-        commissionName: commissionName || submission.commission_id,
-        rubricName: rubricName || submission.rubric_id,
-        grade: submission.correction.grade,
-        criteria: submission.correction.criteria || [],
-        strengths: submission.correction.strengths_list || [],
-        recommendations: submission.correction.recommendations_list || [],
-        generalFeedback: submission.correction.general_feedback || '',
-        correctedAt: submission.correction.corrected_at || new Date(),
-      });
-
-      // Finalizar documento
-      doc.end();
-
-      // Convertir a buffer
-      return await this._streamToBuffer(doc);
+      return await this.renderPdf(this.fromSubmission(submission, { commissionName, rubricName }));
     } catch (error) {
       console.error('Error generando PDF de devolución:', error);
       throw error;
@@ -59,7 +105,34 @@ class DevolutionPdfService {
   }
 
   /**
-   * Genera múltiples PDFs de devolución y los comprime en un ZIP
+   * Genera los PDFs de varias devoluciones y los comprime en un ZIP
+   * @param {Array<Object>} devolutions - Devoluciones con formato uniforme
+   * @returns {Promise<Buffer>} - Buffer del archivo ZIP
+   */
+  static async zipDevolutions(devolutions) {
+    const usedNames = new Set();
+    const files = [];
+
+    for (const devolution of devolutions) {
+      try {
+        const pdfBuffer = await this.renderPdf(devolution);
+        let baseName = this._sanitizeFileName(devolution.studentName) || 'alumno';
+        for (let i = 2; usedNames.has(baseName); i += 1) {
+          baseName = `${this._sanitizeFileName(devolution.studentName) || 'alumno'}_${i}`;
+        }
+        usedNames.add(baseName);
+        files.push({ name: `${baseName}_devolucion.pdf`, buffer: pdfBuffer });
+      } catch (err) {
+        console.error(`❌ Error generando PDF para ${devolution.studentName}:`, err.message);
+      }
+    }
+
+    return await this._zipBuffers(files);
+  }
+
+  /**
+   * Genera múltiples PDFs de devolución desde MongoDB y los comprime en un ZIP
+   * Solo se incluye el intento vigente de cada alumno
    * @param {String} commissionId - ID de la comisión
    * @param {String} rubricId - ID de la rúbrica
    * @returns {Promise<Buffer>} - Buffer del archivo ZIP
@@ -73,58 +146,21 @@ class DevolutionPdfService {
         commission_id: commissionId,
         rubric_id: rubricId,
         status: 'corrected',
+        is_current: { $ne: false },
         deleted: false,
-      });
+      }).sort({ student_name: 1 });
 
       if (submissions.length === 0) {
-        throw new Error('No se encontraron submissions corregidas para esta comisión y rúbrica');
-      }
-
-      // Obtener nombres de comisión y rúbrica
-      let commissionName = commissionId;
-      let rubricName = rubricId;
-
-      try {
-        const commission = await Commission.findOne({ commission_id: commissionId });
-        if (commission) commissionName = commission.commission_name;
-
-        const rubric = await Rubric.findOne({ rubric_id: rubricId });
-        if (rubric) rubricName = rubric.rubric_name;
-      } catch (err) {
-        console.warn('No se pudieron obtener nombres de comisión/rúbrica:', err.message);
+        const error = new Error('No se encontraron submissions corregidas para esta comisión y rúbrica');
+        error.statusCode = 404;
+        throw error;
       }
 
-      // Crear archivo ZIP
-      const archive = archiver('zip', { zlib: { level: 9 } });
-      const chunks = [];
-
-      archive.on('data', (chunk) => chunks.push(chunk));
-      archive.on('error', (err) => {
-        throw err;
-      });
-
-      // Generar PDF para cada submission y agregarlo al ZIP
-      for (const submission of submissions) {
-        try {
-          const pdfBuffer = await this.generateDevolutionPdf(submission, commissionName, rubricName);
-          const fileName = `${this._sanitizeFileName(submission.student_name)}_devolucion.pdf`;
-          archive.append(pdfBuffer, { name: fileName });
-          console.log(`✅ PDF agregado: ${fileName}`);
-        } catch (err) {
-          console.error(`❌ Error generando PDF para ${submission.student_name}:`, err.message);
-        }
-      }
-
-      // Finalizar ZIP
-      await archive.finalize();
-
-      // Esperar a que termine la compresión
-      await new Promise((resolve, reject) => {
-        archive.on('end', resolve);
-        archive.on('error', reject);
-      });
+      const names = await this.resolveNames(commissionId, rubricId);
+      const zipBuffer = await this.zipDevolutions(
+        submissions.map((submission) => this.fromSubmission(submission, names))
+      );
 
-      const zipBuffer = Buffer.concat(chunks);
       console.log(
         `✅ ZIP generado: ${submissions.length} PDFs (${(zipBuffer.length / 1024 / 1024).toFixed(2)} MB)`
       );
@@ -141,7 +177,20 @@ class DevolutionPdfService {
    * @private
    */
   static _generateDevolutionContent(doc, data) {
-    const { studentName, commissionName, rubricName, grade, criteria, strengths, recommendations, generalFeedback, correctedAt } = data;
+    const {
+      studentName,
+      commissionName,
+      rubricName,
+      grade,
+      letter,
+      originalGrade,
+      latePenalty,
+      criteria,
+      strengths,
+      recommendations,
+      generalFeedback,
+      correctedAt,
+    } = data;
 
     // --- PORTADA ---
     doc
@@ -167,8 +216,26 @@ class DevolutionPdfService {
       doc
         .fontSize(18)
         .fillColor('#059669')
-        .text(`Puntaje Total: ${grade}`, { align: 'center' })
-        .moveDown(2);
+        .text(`Puntaje Total: ${grade}${letter ? ` (${letter})` : ''}`, { align: 'center' });
+
+      // Ambos valores cuando hubo ajustes docentes
+      if (originalGrade !== null && originalGrade !== undefined) {
+        doc
+          .moveDown(0.3)
+          .fontSize(10)
+          .fillColor('#6b7280')
+          .text(`Corrección automática: ${originalGrade} · Nota tras revisión docente: ${grade}`, { align: 'center' });
+      }
+
+      if (latePenalty > 0) {
+        doc
+          .moveDown(0.3)
+          .fontSize(10)
+          .fillColor('#b45309')
+          .text(`Incluye un descuento del ${latePenalty}% por entrega tardía`, { align: 'center' });
+      }
+
+      doc.moveDown(2);
     } else {
       doc.moveDown(1);
     }
@@ -183,19 +250,20 @@ class DevolutionPdfService {
 
       criteria.forEach((criterio) => {
         // Determinar color según status
+        // (las fuentes estándar de PDFKit no tienen ✓ ✗ ⚠: se usan los símbolos de generar_pdfs.py)
         let color, symbol;
         switch (criterio.status) {
           case 'ok':
             color = '#059669'; // Verde
-            symbol = '✓';
+            symbol = '[OK]';
             break;
           case 'error':
             color = '#dc2626'; // Rojo
-            symbol = '✗';
+            symbol = '[X]';
             break;
           case 'warning':
             color = '#f59e0b'; // Amarillo
-            symbol = '⚠';
+            symbol = '[!]';
             break;
           default:
             color = '#4b5563';
@@ -205,14 +273,26 @@ class DevolutionPdfService {
         // Nombre del criterio con símbolo
         const criterionTitle = `${symbol} ${criterio.name || 'Criterio'}`;
         const scoreText =
-          criterio.score !== null && criterio.max_score !== null
+          criterio.score !== null && criterio.score !== undefined && criterio.max_score !== null && criterio.max_score !== undefined
             ? ` (${criterio.score}/${criterio.max_score})`
             : '';
+        const originalText =
+          criterio.overridden && criterio.original_score !== null
+            ? ` · corrección automática: ${criterio.original_score}${criterio.max_score !== null ? `/${criterio.max_score}` : ''}`
+            : '';
 
         doc
           .fontSize(11)
           .fillColor(color)
-          .text(criterionTitle + scoreText, { indent: 15 });
+          .text(criterionTitle + scoreText + originalText, { indent: 15 });
+
+        // Motivo del ajuste docente
+        if (criterio.overridden && criterio.override_reason) {
+          doc
+            .fontSize(10)
+            .fillColor('#2563eb')
+            .text(`Ajuste docente: ${criterio.override_reason}`, { indent: 30 });
+        }
 
         // Feedback del criterio (si existe)
         if (criterio.feedback) {
@@ -286,17 +366,29 @@ class DevolutionPdfService {
     doc
       .fontSize(9)
       .fillColor('#9ca3af')
-      .text(`Fecha de corrección: ${correctedAt.toLocaleDateString('es-AR')}`, { align: 'center' })
+      .text(`Fecha de corrección: ${new Date(correctedAt).toLocaleDateString('es-AR')}`, { align: 'center' })
       .moveDown(0.3)
       .text('Sistema de Corrección Automática', { align: 'center' });
   }
 
+  /**
+   * Separa un texto en líneas no vacías (strengths/recommendations de correcciones anteriores)
+   * @private
+   */
+  static _splitLines(text) {
+    if (!text) return [];
+    return String(text)
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+
   /**
    * Sanitiza el nombre del archivo removiendo caracteres especiales
    * @private
    */
   static _sanitizeFileName(name) {
-    return name
+    return String(name || '')
       .toLowerCase()
       .normalize('NFD')
       .replace(/[\u0300-\u036f]/g, '') // Remover acentos
@@ -305,6 +397,27 @@ class DevolutionPdfService {
       .replace(/^_|_$/g, ''); // Remover underscores al inicio/fin
   }
 
+  /**
+   * Comprime archivos en un ZIP en memoria
+   * @private
+   */
+  static _zipBuffers(files) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      const pass = new PassThrough();
+      const chunks = [];
+
+      pass.on('data', (chunk) => chunks.push(chunk));
+      pass.on('end', () => resolve(Buffer.concat(chunks)));
+      pass.on('error', reject);
+      archive.on('error', reject);
+      archive.pipe(pass);
+
+      files.forEach(({ name, buffer }) => archive.append(buffer, { name }));
+      archive.finalize();
+    });
+  }
+
   /**
    * Convierte un stream a buffer
    * @private
@@ -0,0 +1,290 @@
+/**
+ * Servicio de Huellas de Código (winnowing, al estilo MOSS)
+ * Detecta fragmentos copiados aunque se renombren variables, se cambien literales o se reordenen métodos
+ *
+ * Pasos:
+ * 1. Tokenizar el código sin comentarios (SimilarityDetectorService quita los comentarios según el lenguaje)
+ * 2. Normalizar identificadores (V), textos (S) y números (N); las palabras reservadas se conservan
+ * 3. Calcular el hash de cada k-grama de tokens
+ * 4. Winnowing: en cada ventana de W hashes consecutivos se conserva el mínimo
+ * Cualquier fragmento común de al menos K + W - 1 tokens comparte al menos una huella
+ */
+
+export const FINGERPRINT_CONFIG = {
+  // Tokens por k-grama
+  K: 12,
+  // Hashes por ventana de winnowing
+  WINDOW: 6,
+  // Líneas de separación toleradas al unir huellas en una misma región
+  REGION_GAP: 3,
+  // Regiones informadas por par de proyectos
+  MAX_REGIONS: 20,
+};
+
+// Palabras reservadas de los lenguajes habituales: se conservan porque definen la estructura del código
+const KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'async', 'await', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+  'const', 'continue', 'def', 'default', 'del', 'do', 'double', 'elif', 'else', 'enum', 'except', 'export',
+  'extends', 'false', 'final', 'finally', 'float', 'fn', 'for', 'foreach', 'from', 'func', 'function',
+  'global', 'go', 'if', 'implements', 'import', 'in', 'instanceof', 'int', 'interface', 'is', 'lambda', 'let',
+  'long', 'match', 'new', 'nil', 'none', 'None', 'not', 'null', 'or', 'package', 'pass', 'private',
+  'protected', 'public', 'raise', 'return', 'short', 'static', 'struct', 'super', 'switch', 'this', 'throw',
+  'throws', 'true', 'True', 'False', 'try', 'typeof', 'undefined', 'unsigned', 'var', 'void', 'while',
+  'with', 'yield', 'select', 'insert', 'update', 'delete', 'where', 'join', 'table', 'create',
+]);
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[\w$]/;
+const DIGIT = /\d/;
+
+/**
+ * Hash FNV-1a de 32 bits
+ * @param {String} text
+ * @returns {Number}
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Separa un código (sin comentarios) en tokens normalizados con su línea
+ * @param {String} code
+ * @param {Object} options - { quotes: [String] } delimitadores de texto del lenguaje
+ * @returns {Array<{value: String, line: Number}>}
+ */
+export const tokenize = (code, { quotes = ['"', "'"] } = {}) => {
+  const tokens = [];
+  const text = String(code || '').replace(/\r\n?/g, '\n');
+  let line = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\n') {
+      line += 1;
+      i += 1;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    if (quotes.includes(char)) {
+      const startLine = line;
+      let end = i + 1;
+      while (end < text.length && text[end] !== char && !(char !== '`' && text[end] === '\n')) {
+        if (text[end] === '\n') line += 1;
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      tokens.push({ value: 'S', line: startLine });
+      i = end + 1;
+      continue;
+    }
+
+    if (DIGIT.test(char)) {
+      let end = i + 1;
+      while (end < text.length && /[\w.]/.test(text[end])) end += 1;
+      tokens.push({ value: 'N', line });
+      i = end;
+      continue;
+    }
+
+    if (IDENTIFIER_START.test(char)) {
+      let end = i + 1;
+      while (end < text.length && IDENTIFIER_PART.test(text[end])) end += 1;
+      const word = text.slice(i, end);
+      tokens.push({ value: KEYWORDS.has(word) ? word : 'V', line });
+      i = end;
+      continue;
+    }
+
+    tokens.push({ value: char, line });
+    i += 1;
+  }
+
+  return tokens;
+};
+
+/**
+ * Selecciona las huellas por winnowing (mínimo de cada ventana, el de más a la derecha si hay empate)
+ * @param {Array<{hash: Number, start: Number, end: Number}>} grams - Hashes de los k-gramas en orden
+ * @param {Number} window
+ * @returns {Array<{hash: Number, start: Number, end: Number}>}
+ */
+export const winnow = (grams, window = FINGERPRINT_CONFIG.WINDOW) => {
+  if (grams.length <= window) {
+    // Texto corto: una sola ventana
+    if (grams.length === 0) return [];
+    const min = grams.reduce((best, gram, index) => (gram.hash <= grams[best].hash ? index : best), 0);
+    return [grams[min]];
+  }
+
+  const selected = [];
+  let lastIndex = -1;
+
+  for (let start = 0; start + window <= grams.length; start += 1) {
+    let minIndex = start;
+    for (let j = start + 1; j < start + window; j += 1) {
+      if (grams[j].hash <= grams[minIndex].hash) minIndex = j;
+    }
+    if (minIndex !== lastIndex) {
+      selected.push(grams[minIndex]);
+      lastIndex = minIndex;
+    }
+  }
+
+  return selected;
+};
+
+/**
+ * Calcula las huellas de un archivo
+ * @param {String} code - Código sin comentarios (conservando los saltos de línea)
+ * @param {Object} options - { quotes, k, window }
+ * @returns {{token_count: Number, hashes: Array<Number>, start_lines: Array<Number>, end_lines: Array<Number>}}
+ */
+export const fingerprintSource = (code, { quotes, k = FINGERPRINT_CONFIG.K, window = FINGERPRINT_CONFIG.WINDOW } = {}) => {
+  const tokens = tokenize(code, { quotes });
+  const grams = [];
+
+  for (let i = 0; i + k <= tokens.length; i += 1) {
+    const gram = tokens.slice(i, i + k);
+    grams.push({
+      hash: fnv1a(gram.map((token) => token.value).join(' ')),
+      start: gram[0].line,
+      end: gram[k - 1].line,
+    });
+  }
+
+  const selected = winnow(grams, window);
+
+  return {
+    token_count: tokens.length,
+    hashes: selected.map((gram) => gram.hash),
+    start_lines: selected.map((gram) => gram.start),
+    end_lines: selected.map((gram) => gram.end),
+  };
+};
+
+/**
+ * Indexa las huellas de un proyecto por hash
+ * @param {Array<Object>} files - ProjectHash.fingerprints
+ * @param {Set<Number>} ignore - Huellas a descartar (código base de la rúbrica)
+ * @returns {Map<Number, Array<{file: String, start: Number, end: Number}>>}
+ */
+const indexFingerprints = (files, ignore) => {
+  const index = new Map();
+  for (const file of files || []) {
+    (file.hashes || []).forEach((hash, i) => {
+      if (ignore?.has(hash)) return;
+      if (!index.has(hash)) index.set(hash, []);
+      index.get(hash).push({ file: file.file, start: file.start_lines[i], end: file.end_lines[i] });
+    });
+  }
+  return index;
+};
+
+/**
+ * Une las coincidencias cercanas de un mismo par de archivos en regiones
+ * @param {Array<Object>} matches - { file_a, start_a, end_a, file_b, start_b, end_b }
+ * @returns {Array<Object>} - Regiones con la cantidad de huellas que las componen
+ */
+const mergeRegions = (matches) => {
+  const byFiles = new Map();
+  for (const match of matches) {
+    const key = `${match.file_a}\u0000${match.file_b}`;
+    if (!byFiles.has(key)) byFiles.set(key, []);
+    byFiles.get(key).push(match);
+  }
+
+  const regions = [];
+  const gap = FINGERPRINT_CONFIG.REGION_GAP;
+
+  for (const fileMatches of byFiles.values()) {
+    fileMatches.sort((a, b) => a.start_a - b.start_a || a.start_b - b.start_b);
+    let current = null;
+
+    for (const match of fileMatches) {
+      const continues =
+        current &&
+        match.start_a <= current.end_a + gap &&
+        match.start_b <= current.end_b + gap &&
+        match.end_b >= current.start_b - gap;
+
+      if (continues) {
+        current.end_a = Math.max(current.end_a, match.end_a);
+        current.start_b = Math.min(current.start_b, match.start_b);
+        current.end_b = Math.max(current.end_b, match.end_b);
+        current.fingerprints += 1;
+      } else {
+        current = { ...match, fingerprints: 1 };
+        regions.push(current);
+      }
+    }
+  }
+
+  return regions.sort((a, b) => b.fingerprints - a.fingerprints || b.end_a - b.start_a - (a.end_a - a.start_a));
+};
+
+/**
+ * Compara las huellas de dos proyectos
+ * @param {Array<Object>} filesA - ProjectHash.fingerprints del proyecto A
+ * @param {Array<Object>} filesB - ProjectHash.fingerprints del proyecto B
+ * @param {Object} options - { regions: false para calcular solo los porcentajes, ignore: Set de huellas a descartar }
+ * @returns {{shared: Number, total_a: Number, total_b: Number, percentage_a: Number, percentage_b: Number, percentage: Number, regions: Array<Object>}}
+ */
+export const compareFingerprints = (filesA, filesB, { regions = true, ignore = null } = {}) => {
+  const indexA = indexFingerprints(filesA, ignore);
+  const indexB = indexFingerprints(filesB, ignore);
+
+  const sharedHashes = [...indexA.keys()].filter((hash) => indexB.has(hash));
+  const shared = sharedHashes.length;
+  const percentOf = (total) => (total > 0 ? Math.round((shared / total) * 100) : 0);
+
+  const result = {
+    shared,
+    total_a: indexA.size,
+    total_b: indexB.size,
+    percentage_a: percentOf(indexA.size),
+    percentage_b: percentOf(indexB.size),
+    // Porción del proyecto más chico que aparece en el otro (mismo criterio que la comparación por archivos)
+    percentage: percentOf(Math.min(indexA.size, indexB.size)),
+    regions: [],
+  };
+
+  if (!regions || shared === 0) return result;
+
+  const matches = [];
+  for (const hash of sharedHashes) {
+    // Un fragmento repetido dentro del mismo proyecto no multiplica las coincidencias
+    const [occurrenceA] = indexA.get(hash);
+    for (const occurrenceB of indexB.get(hash).slice(0, 3)) {
+      matches.push({
+        file_a: occurrenceA.file,
+        start_a: occurrenceA.start,
+        end_a: occurrenceA.end,
+        file_b: occurrenceB.file,
+        start_b: occurrenceB.start,
+        end_b: occurrenceB.end,
+      });
+    }
+  }
+
+  result.regions = mergeRegions(matches).slice(0, FINGERPRINT_CONFIG.MAX_REGIONS);
+  return result;
+};
+
+export default {
+  FINGERPRINT_CONFIG,
+  tokenize,
+  winnow,
+  fingerprintSource,
+  compareFingerprints,
+};
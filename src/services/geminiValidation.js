@@ -4,12 +4,19 @@
  */
 import { GoogleGenerativeAI } from '@google/generative-ai';
 
+/**
+ * Modelo de Gemini usado por defecto (configurable con GEMINI_MODEL)
+ * @returns {String}
+ */
+export const getDefaultGeminiModel = () => process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
 /**
  * Valida una API key de Gemini haciendo un request de prueba
  * @param {String} apiKey - API key a validar
+ * @param {String} modelName - Modelo contra el que se valida (por defecto getDefaultGeminiModel())
  * @returns {Promise<{valid: Boolean, error?: String}>}
  */
-export async function validateGeminiApiKey(apiKey) {
+export async function validateGeminiApiKey(apiKey, modelName = getDefaultGeminiModel()) {
   // Validar formato básico
   if (!apiKey || typeof apiKey !== 'string') {
     return {
@@ -28,7 +35,7 @@ export async function validateGeminiApiKey(apiKey) {
   try {
     // Inicializar cliente de Gemini con la API key
     const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+    const model = genAI.getGenerativeModel({ model: modelName });
 
     // Hacer un request de prueba simple
     const prompt = 'Di "OK" si recibes este mensaje.';
@@ -58,6 +65,8 @@ export async function validateGeminiApiKey(apiKey) {
         errorMessage = 'API key sin cuota disponible o límite excedido';
       } else if (msg.includes('permission denied')) {
         errorMessage = 'API key sin permisos necesarios';
+      } else if (msg.includes('not found') && msg.includes('model')) {
+        errorMessage = `El modelo ${modelName} no existe o no está disponible para esta API key`;
       } else if (msg.includes('network') || msg.includes('enotfound')) {
         errorMessage = 'Error de conexión. Verifica tu conexión a internet';
       } else {
@@ -85,5 +94,6 @@ export async function getApiKeyUsage(apiKey) {
 
 export default {
   validateGeminiApiKey,
+  getDefaultGeminiModel,
   getApiKeyUsage,
 };
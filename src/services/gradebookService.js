@@ -0,0 +1,425 @@
+/**
+ * Servicio de Planilla de Notas
+ * Arma la matriz alumnos × rúbricas de una comisión y la exporta a XLSX o CSV
+ * (no depende del entregas.xlsx que n8n escribe en Drive)
+ *
+ * Cada celda es la nota vigente (getEffectiveGrade, con el descuento por entrega tardía) del intento
+ * que cuenta según la política de la rúbrica (attempt_policy). Los recuperatorios se combinan con el
+ * parcial del mismo número según la regla de la comisión (gradebook.recuperatorio_rule)
+ */
+import ExcelJS from 'exceljs';
+import Rubric, { RUBRIC_TYPES } from '../models/Rubric.js';
+import Submission, { LATE_STATUSES } from '../models/Submission.js';
+import { RECUPERATORIO_RULES } from '../models/Commission.js';
+import { getEnrolledStudents } from './studentRosterService.js';
+import { getRubricCriteria } from '../utils/rubricCriteria.js';
+import { toCsv } from '../utils/csv.js';
+
+export const GRADEBOOK_FORMATS = {
+  XLSX: 'xlsx',
+  CSV: 'csv',
+};
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+};
+
+// Orden de las columnas por tipo de rúbrica (cada recuperatorio queda junto a su parcial)
+const RUBRIC_TYPE_ORDER = [
+  RUBRIC_TYPES.TP,
+  RUBRIC_TYPES.PARCIAL_1,
+  RUBRIC_TYPES.RECUPERATORIO_1,
+  RUBRIC_TYPES.PARCIAL_2,
+  RUBRIC_TYPES.RECUPERATORIO_2,
+  RUBRIC_TYPES.FINAL,
+  RUBRIC_TYPES.GLOBAL,
+];
+
+// Parcial que recupera cada tipo de recuperatorio
+const RECUPERATORIO_TARGETS = {
+  [RUBRIC_TYPES.RECUPERATORIO_1]: RUBRIC_TYPES.PARCIAL_1,
+  [RUBRIC_TYPES.RECUPERATORIO_2]: RUBRIC_TYPES.PARCIAL_2,
+};
+
+const LATE_LABELS = {
+  [LATE_STATUSES.ON_TIME]: 'a tiempo',
+  [LATE_STATUSES.LATE]: 'tardía',
+  [LATE_STATUSES.BEYOND_WINDOW]: 'fuera de término',
+};
+
+/**
+ * Crea un error controlado (400)
+ * @param {String} message
+ * @returns {Error}
+ */
+const gradebookError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Combina la nota de un parcial con la de su recuperatorio
+ * @param {Number|null} parcialGrade
+ * @param {Number|null} recuperatorioGrade
+ * @param {String} rule - RECUPERATORIO_RULES
+ * @returns {{grade: Number|null, source: String|null}} source: 'parcial' | 'recuperatorio'
+ */
+export const applyRecuperatorioRule = (parcialGrade, recuperatorioGrade, rule) => {
+  const hasParcial = parcialGrade !== null && parcialGrade !== undefined;
+  const hasRecuperatorio = recuperatorioGrade !== null && recuperatorioGrade !== undefined;
+
+  if (rule === RECUPERATORIO_RULES.NONE || !hasRecuperatorio) {
+    return { grade: hasParcial ? parcialGrade : null, source: hasParcial ? 'parcial' : null };
+  }
+  if (rule === RECUPERATORIO_RULES.MAX && hasParcial && parcialGrade >= recuperatorioGrade) {
+    return { grade: parcialGrade, source: 'parcial' };
+  }
+  return { grade: recuperatorioGrade, source: 'recuperatorio' };
+};
+
+/**
+ * Ordena las rúbricas para las columnas de la planilla
+ * @param {Array<Document>} rubrics
+ * @returns {Array<Document>}
+ */
+const sortRubrics = (rubrics) =>
+  [...rubrics].sort(
+    (a, b) =>
+      RUBRIC_TYPE_ORDER.indexOf(a.rubric_type) - RUBRIC_TYPE_ORDER.indexOf(b.rubric_type) ||
+      a.rubric_number - b.rubric_number
+  );
+
+/**
+ * Datos de una entrega para una celda de la planilla
+ * @param {Document} submission - Intento que cuenta
+ * @param {Number} attempts - Cantidad de intentos del alumno
+ * @returns {Object}
+ */
+const toGradeCell = (submission, attempts) => ({
+  submission_id: submission.submission_id,
+  grade: submission.getEffectiveGrade(),
+  status: submission.status,
+  attempt: submission.attempt || 1,
+  attempts,
+  late_status: submission.late_status || LATE_STATUSES.ON_TIME,
+  late_penalty: submission.correction?.computed?.late_penalty || 0,
+  criteria: (submission.correction?.criteria || []).map((criterion) => ({
+    id: criterion.id,
+    name: criterion.name,
+    score: criterion.score,
+    max_score: criterion.max_score,
+  })),
+});
+
+/**
+ * Arma la planilla de notas de una comisión
+ * Las entregas que no se pudieron vincular con el padrón aparecen como filas sin legajo
+ * @param {Document} commission
+ * @param {Object} options - { recuperatorioRule } (por defecto la regla de la comisión)
+ * @returns {Promise<Object>} { commission_id, recuperatorio_rule, rubrics, columns, rows }
+ */
+export const buildGradebook = async (commission, options = {}) => {
+  const rule = options.recuperatorioRule || commission.gradebook?.recuperatorio_rule || RECUPERATORIO_RULES.REPLACE;
+
+  if (!Object.values(RECUPERATORIO_RULES).includes(rule)) {
+    throw gradebookError(
+      `Regla de recuperatorio inválida: ${rule}. Valores permitidos: ${Object.values(RECUPERATORIO_RULES).join(', ')}`
+    );
+  }
+
+  const rubrics = sortRubrics(
+    await Rubric.find({ commission_id: commission.commission_id, course_id: commission.course_id, deleted: false })
+  );
+  const students = await getEnrolledStudents(commission);
+  const submissions = await Submission.find({
+    commission_id: commission.commission_id,
+    course_id: commission.course_id,
+    rubric_id: { $in: rubrics.map((rubric) => rubric.rubric_id) },
+    deleted: false,
+  });
+
+  // Una fila por alumno inscripto (en orden de padrón)
+  const rows = new Map();
+  students.forEach((student) => {
+    rows.set(student._id.toString(), {
+      student_id: student.student_id,
+      full_name: student.full_name,
+      email: student.email,
+      enrolled: true,
+      grades: {},
+      definitive: {},
+    });
+  });
+
+  // Agrupar los intentos de cada alumno por rúbrica (los intentos comparten student_name)
+  const attemptsByKey = new Map();
+  submissions.forEach((submission) => {
+    const key = `${submission.rubric_id}|${submission.student_name}`;
+    if (!attemptsByKey.has(key)) attemptsByKey.set(key, []);
+    attemptsByKey.get(key).push(submission);
+  });
+
+  const rubricById = new Map(rubrics.map((rubric) => [rubric.rubric_id, rubric]));
+
+  attemptsByKey.forEach((attempts) => {
+    const rubric = rubricById.get(attempts[0].rubric_id);
+    const counting = Submission.selectCountingAttempt(attempts, rubric.attempt_policy);
+    if (!counting) return;
+
+    const linked = attempts.find((attempt) => attempt.student) || null;
+    const rowKey = linked ? linked.student.toString() : `name:${counting.student_name}`;
+
+    if (!rows.has(rowKey)) {
+      rows.set(rowKey, {
+        student_id: linked?.student_id || counting.student_id || null,
+        full_name: counting.student_name,
+        email: null,
+        // Entrega sin alumno del padrón o de un alumno dado de baja
+        enrolled: false,
+        grades: {},
+        definitive: {},
+      });
+    }
+
+    rows.get(rowKey).grades[rubric.rubric_id] = toGradeCell(counting, attempts.length);
+  });
+
+  // Nota definitiva de cada parcial que tiene recuperatorio
+  const columns = [];
+  rubrics.forEach((rubric) => {
+    columns.push({ type: 'grade', rubric_id: rubric.rubric_id, label: rubric.name });
+
+    const targetType = RECUPERATORIO_TARGETS[rubric.rubric_type];
+    const parcial = targetType
+      ? rubrics.find((r) => r.rubric_type === targetType && r.rubric_number === rubric.rubric_number)
+      : null;
+    if (!parcial) return;
+
+    columns.push({
+      type: 'definitive',
+      rubric_id: parcial.rubric_id,
+      recuperatorio_id: rubric.rubric_id,
+      label: `${parcial.name} (definitivo)`,
+    });
+
+    rows.forEach((row) => {
+      row.definitive[parcial.rubric_id] = applyRecuperatorioRule(
+        row.grades[parcial.rubric_id]?.grade ?? null,
+        row.grades[rubric.rubric_id]?.grade ?? null,
+        rule
+      );
+    });
+  });
+
+  return {
+    commission_id: commission.commission_id,
+    course_id: commission.course_id,
+    recuperatorio_rule: rule,
+    rubrics: rubrics.map((rubric) => ({
+      rubric_id: rubric.rubric_id,
+      name: rubric.name,
+      rubric_type: rubric.rubric_type,
+      rubric_number: rubric.rubric_number,
+      criteria: getRubricCriteria(rubric.rubric_json),
+    })),
+    columns,
+    rows: [...rows.values()],
+  };
+};
+
+/**
+ * Valor de una columna para una fila
+ * @param {Object} row
+ * @param {Object} column
+ * @returns {Number|null}
+ */
+const columnValue = (row, column) =>
+  column.type === 'definitive'
+    ? row.definitive[column.rubric_id]?.grade ?? null
+    : row.grades[column.rubric_id]?.grade ?? null;
+
+/**
+ * Matriz de la hoja principal (alumnos × rúbricas)
+ * @param {Object} gradebook
+ * @returns {Array<Array<*>>}
+ */
+const gradebookToRows = (gradebook) => [
+  ['Legajo', 'Alumno', 'Email', ...gradebook.columns.map((column) => column.label)],
+  ...gradebook.rows.map((row) => [
+    row.student_id,
+    row.full_name,
+    row.email,
+    ...gradebook.columns.map((column) => columnValue(row, column)),
+  ]),
+];
+
+/**
+ * Matriz de una hoja por criterio de una rúbrica
+ * Las columnas de criterios salen de la rúbrica; si las correcciones traen otros, se agregan al final
+ * @param {Object} gradebook
+ * @param {Object} rubric - Elemento de gradebook.rubrics
+ * @returns {Array<Array<*>>}
+ */
+const criteriaToRows = (gradebook, rubric) => {
+  const criteria = rubric.criteria.map((criterion) => ({ id: criterion.id, name: criterion.name }));
+
+  gradebook.rows.forEach((row) => {
+    (row.grades[rubric.rubric_id]?.criteria || []).forEach((criterion) => {
+      if (!criteria.some((c) => (c.id && c.id === criterion.id) || c.name === criterion.name)) {
+        criteria.push({ id: criterion.id, name: criterion.name });
+      }
+    });
+  });
+
+  const header = [
+    'Legajo',
+    'Alumno',
+    'Intento',
+    'Entrega',
+    'Descuento (%)',
+    ...criteria.map((c) => (c.id ? `${c.id} - ${c.name}` : c.name)),
+    'Nota',
+  ];
+
+  const rows = gradebook.rows
+    .filter((row) => row.grades[rubric.rubric_id])
+    .map((row) => {
+      const cell = row.grades[rubric.rubric_id];
+      return [
+        row.student_id,
+        row.full_name,
+        cell.attempts > 1 ? `${cell.attempt} de ${cell.attempts}` : cell.attempt,
+        LATE_LABELS[cell.late_status] || cell.late_status,
+        cell.late_penalty,
+        ...criteria.map(
+          (c) =>
+            cell.criteria.find((criterion) => (c.id && criterion.id === c.id) || criterion.name === c.name)?.score ??
+            null
+        ),
+        cell.grade,
+      ];
+    });
+
+  return [header, ...rows];
+};
+
+/**
+ * Nombre de hoja válido para Excel (máx. 31 caracteres, sin : \ / ? * [ ] y sin repetir)
+ * @param {String} name
+ * @param {Set<String>} used
+ * @returns {String}
+ */
+const sheetName = (name, used) => {
+  const base = String(name).replace(/[:\\/?*[\]]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 28) || 'Rúbrica';
+  let candidate = base;
+  for (let i = 2; used.has(candidate.toLowerCase()); i += 1) {
+    candidate = `${base} ${i}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+};
+
+/**
+ * Convierte la planilla a XLSX: hoja "Notas" y una hoja por rúbrica con el detalle por criterio
+ * Las notas de entregas tardías quedan resaltadas
+ * @param {Object} gradebook
+ * @returns {Promise<Buffer>}
+ */
+const gradebookToXlsx = async (gradebook) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const used = new Set(['notas']);
+
+  const sheet = workbook.addWorksheet('Notas');
+  sheet.addRows(gradebookToRows(gradebook));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 1 }];
+  sheet.getColumn(1).width = 12;
+  sheet.getColumn(2).width = 35;
+  sheet.getColumn(3).width = 30;
+
+  gradebook.columns.forEach((column, index) => {
+    const sheetColumn = sheet.getColumn(index + 4);
+    sheetColumn.width = Math.max(12, Math.min(column.label.length + 2, 30));
+    if (column.type === 'definitive') {
+      sheetColumn.font = { bold: true };
+    }
+    if (column.type !== 'grade') return;
+
+    gradebook.rows.forEach((row, rowIndex) => {
+      const cell = row.grades[column.rubric_id];
+      if (!cell || cell.late_status === LATE_STATUSES.ON_TIME) return;
+
+      const sheetCell = sheet.getCell(rowIndex + 2, index + 4);
+      sheetCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFCE4D6' } };
+      sheetCell.note = `Entrega ${LATE_LABELS[cell.late_status]} (descuento ${cell.late_penalty}%)`;
+    });
+  });
+
+  gradebook.rubrics.forEach((rubric) => {
+    const criteriaSheet = workbook.addWorksheet(sheetName(rubric.name, used));
+    criteriaSheet.addRows(criteriaToRows(gradebook, rubric));
+    criteriaSheet.getRow(1).font = { bold: true };
+    criteriaSheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 1 }];
+    criteriaSheet.getColumn(2).width = 35;
+  });
+
+  const info = workbook.addWorksheet(sheetName('Info', used));
+  info.addRows([
+    ['comisión', gradebook.commission_id],
+    ['curso', gradebook.course_id],
+    ['regla de recuperatorio', gradebook.recuperatorio_rule],
+    ['generada', new Date().toISOString()],
+  ]);
+  info.getColumn(1).font = { bold: true };
+  info.getColumn(1).width = 25;
+  info.getColumn(2).width = 40;
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Exporta la planilla en el formato indicado
+ * En CSV se exporta la hoja principal o, con rubricId, el detalle por criterio de esa rúbrica
+ * @param {Object} gradebook - Resultado de buildGradebook
+ * @param {String} format - xlsx | csv
+ * @param {Object} options - { rubricId }
+ * @returns {Promise<{content: Buffer|String, contentType: String, extension: String}>}
+ * @throws {Error} statusCode 400 si el formato o la rúbrica no son válidos
+ */
+export const exportGradebook = async (gradebook, format, options = {}) => {
+  let content;
+
+  switch (format) {
+    case GRADEBOOK_FORMATS.XLSX:
+      content = await gradebookToXlsx(gradebook);
+      break;
+    case GRADEBOOK_FORMATS.CSV: {
+      if (options.rubricId) {
+        const rubric = gradebook.rubrics.find((r) => r.rubric_id === options.rubricId);
+        if (!rubric) {
+          throw gradebookError(`La rúbrica ${options.rubricId} no pertenece a la comisión`);
+        }
+        content = toCsv(criteriaToRows(gradebook, rubric), { bom: true });
+      } else {
+        content = toCsv(gradebookToRows(gradebook), { bom: true });
+      }
+      break;
+    }
+    default:
+      throw gradebookError(
+        `Formato no soportado: ${format}. Formatos válidos: ${Object.values(GRADEBOOK_FORMATS).join(', ')}`
+      );
+  }
+
+  return { content, contentType: CONTENT_TYPES[format], extension: format };
+};
+
+export default {
+  GRADEBOOK_FORMATS,
+  applyRecuperatorioRule,
+  buildGradebook,
+  exportGradebook,
+};
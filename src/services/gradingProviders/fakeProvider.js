@@ -0,0 +1,91 @@
+/**
+ * Proveedor de corrección: fake (determinístico, sin red)
+ * Genera una corrección estable a partir del hash de la entrega para pruebas locales y desarrollo offline
+ */
+import crypto from 'crypto';
+import Submission from '../../models/Submission.js';
+import { getRubricCriteria } from '../../utils/rubricCriteria.js';
+import { validateCorrection } from '../../utils/correctionSchema.js';
+
+export const name = 'fake';
+
+/**
+ * Redondea a 2 decimales
+ * @param {Number} value
+ * @returns {Number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * El proveedor fake no necesita credenciales
+ * @returns {Promise<void>}
+ */
+export const ensureCredentials = async () => {};
+
+/**
+ * Corrige una submission sin llamar a ningún servicio externo
+ * La misma entrega con la misma rúbrica siempre obtiene la misma corrección
+ * @param {Object} context - { submission, rubric }
+ * @returns {Promise<Object>} Corrección estructurada (validada contra CORRECTION_SCHEMA)
+ */
+export const grade = async ({ submission, rubric }) => {
+  const content =
+    (await Submission.getContentText(submission._id)) ||
+    submission.file_content_preview ||
+    submission.submission_id;
+
+  const digest = crypto
+    .createHash('sha256')
+    .update(`${rubric.rubric_id}:${content}`)
+    .digest();
+
+  let criteria = getRubricCriteria(rubric.rubric_json);
+  if (criteria.length === 0) {
+    criteria = [{ id: 'general', name: 'Evaluación general', max_score: null }];
+  }
+
+  const defaultMax = round2(10 / criteria.length);
+
+  const gradedCriteria = criteria.map((criterion, index) => {
+    // Proporción entre 0.4 y 1.0 derivada del hash
+    const ratio = 0.4 + (digest[index % digest.length] / 255) * 0.6;
+    const maxScore = criterion.max_score ?? defaultMax;
+    const status = ratio >= 0.8 ? 'ok' : ratio >= 0.6 ? 'warning' : 'error';
+
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      score: round2(maxScore * ratio),
+      max_score: maxScore,
+      status,
+      feedback: `[fake] Criterio evaluado automáticamente (${Math.round(ratio * 100)}% de cumplimiento).`,
+    };
+  });
+
+  const correction = {
+    grade: round2(gradedCriteria.reduce((sum, c) => sum + c.score, 0)),
+    summary: `[fake] Corrección simulada de ${submission.student_name}`,
+    criteria: gradedCriteria,
+    strengths_list: gradedCriteria.filter((c) => c.status === 'ok').map((c) => `Buen desempeño en ${c.name}`),
+    recommendations_list: gradedCriteria
+      .filter((c) => c.status !== 'ok')
+      .map((c) => `Revisar ${c.name}`),
+    general_feedback: '[fake] Corrección generada por el proveedor de pruebas.',
+  };
+
+  const { valid, errors } = validateCorrection(correction);
+  if (!valid) {
+    throw new Error(`Corrección fake inválida: ${errors.map((e) => `${e.path} ${e.message}`).join('; ')}`);
+  }
+
+  return {
+    ...correction,
+    provider: name,
+  };
+};
+
+export default {
+  name,
+  ensureCredentials,
+  grade,
+};
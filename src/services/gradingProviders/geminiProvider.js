@@ -0,0 +1,45 @@
+/**
+ * Proveedor de corrección: Gemini directo
+ * Corrige dentro del backend con la API key de Gemini del usuario, sin pasar por n8n
+ */
+import { getGeminiApiKeyForUser } from '../n8nService.js';
+import { getDefaultGeminiModel } from '../geminiValidation.js';
+import { gradeWithLlm } from './llmGrading.js';
+
+export const name = 'gemini';
+
+/**
+ * Verifica que el usuario tenga las credenciales que usa este proveedor
+ * @param {String} userId
+ * @returns {Promise<void>}
+ * @throws {Error} Si el usuario no tiene API key de Gemini configurada
+ */
+export const ensureCredentials = async (userId) => {
+  await getGeminiApiKeyForUser(userId);
+};
+
+/**
+ * Corrige una submission llamando directamente a Gemini
+ * @param {Object} context - { submission, rubric, userId }
+ * @returns {Promise<Object>} Corrección estructurada (validada contra CORRECTION_SCHEMA)
+ */
+export const grade = async ({ submission, rubric, userId }) => {
+  const apiKey = await getGeminiApiKeyForUser(userId);
+
+  return await gradeWithLlm({
+    submission,
+    rubric,
+    credentials: {
+      provider: 'gemini',
+      apiKey,
+      baseUrl: null,
+      model: process.env.GEMINI_GRADING_MODEL || getDefaultGeminiModel(),
+    },
+  });
+};
+
+export default {
+  name,
+  ensureCredentials,
+  grade,
+};
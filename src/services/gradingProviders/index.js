@@ -0,0 +1,65 @@
+/**
+ * Registro de proveedores de corrección
+ *
+ * Cada proveedor expone la misma interfaz:
+ *   - name: String
+ *   - ensureCredentials(userId): Promise<void> (lanza error si el usuario no puede usar el proveedor)
+ *   - grade({ submission, rubric, userId, jobId }): Promise<Object>
+ *     Devuelve la corrección (formato aceptado por normalizeCorrectionPayload)
+ *     o { accepted: true } si el resultado llegará luego por callback
+ *
+ * La universidad elige su proveedor (University.grading_provider); si no tiene
+ * uno configurado se usa GRADING_PROVIDER del .env (por defecto n8n)
+ */
+import University, { getAvailableGradingProviders } from '../../models/University.js';
+import n8nProvider from './n8nProvider.js';
+import geminiProvider from './geminiProvider.js';
+import llmProvider from './llmProvider.js';
+import fakeProvider from './fakeProvider.js';
+
+const DEFAULT_PROVIDER = 'n8n';
+
+const providers = {
+  [n8nProvider.name]: n8nProvider,
+  [geminiProvider.name]: geminiProvider,
+  [llmProvider.name]: llmProvider,
+  [fakeProvider.name]: fakeProvider,
+};
+
+/**
+ * Obtiene un proveedor por nombre
+ * @param {String} providerName - n8n | gemini | llm | fake
+ * @returns {Object} Proveedor
+ * @throws {Error} Si el proveedor no existe o no está habilitado en este entorno (fake)
+ */
+export const getGradingProvider = (providerName) => {
+  const available = getAvailableGradingProviders();
+  const provider = available.includes(providerName) ? providers[providerName] : null;
+
+  if (!provider) {
+    const error = new Error(
+      `Proveedor de corrección desconocido: ${providerName}. Disponibles: ${available.join(', ')}`
+    );
+    error.retryable = false;
+    throw error;
+  }
+
+  return provider;
+};
+
+/**
+ * Resuelve el proveedor de corrección configurado para una universidad
+ * @param {String} universityId - ID de la universidad
+ * @returns {Promise<Object>} Proveedor
+ */
+export const resolveGradingProvider = async (universityId) => {
+  const university = universityId ? await University.findOne({ university_id: universityId }) : null;
+  const providerName = university?.grading_provider || process.env.GRADING_PROVIDER || DEFAULT_PROVIDER;
+
+  return getGradingProvider(providerName);
+};
+
+export default {
+  getGradingProvider,
+  resolveGradingProvider,
+};
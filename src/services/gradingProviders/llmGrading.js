@@ -0,0 +1,147 @@
+/**
+ * Corrección directa con un LLM (compartida por los proveedores gemini y llm)
+ * Arma el prompt con la rúbrica y el entrega.txt, llama al modelo y valida
+ * la respuesta contra CORRECTION_SCHEMA antes de devolverla
+ */
+import Submission from '../../models/Submission.js';
+import { generateWithLlm } from '../llmProviders/index.js';
+import { getRubricCriteria } from '../../utils/rubricCriteria.js';
+import { normalizeCriterionStatus } from '../../utils/correctionPayload.js';
+import { validateCorrection } from '../../utils/correctionSchema.js';
+
+const DEFAULT_MAX_CHARS = 400000;
+
+/**
+ * Crea un error que el worker de corrección no debe reintentar
+ * @param {String} message
+ * @returns {Error}
+ */
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Arma el prompt de corrección con la rúbrica y la entrega
+ * @param {Object} rubricJson - rubric_json de la rúbrica
+ * @param {String} submissionText - Contenido del entrega.txt
+ * @returns {String}
+ */
+export const buildGradingPrompt = (rubricJson, submissionText) => {
+  const criteria = getRubricCriteria(rubricJson);
+  const criteriaIds = criteria.map((c) => c.id).join(', ');
+
+  return [
+    'Sos un docente universitario corrigiendo una entrega de programación.',
+    'Evaluá la entrega usando EXCLUSIVAMENTE la rúbrica provista.',
+    '',
+    'Respondé SOLO con un objeto JSON con este formato:',
+    '{',
+    '  "grade": número (nota final según la escala de la rúbrica),',
+    '  "summary": "resumen breve de la corrección",',
+    '  "criteria": [',
+    '    { "id": "id del criterio", "name": "nombre", "score": número, "max_score": número o null,',
+    '      "status": "ok" | "warning" | "error", "feedback": "devolución para el alumno" }',
+    '  ],',
+    '  "strengths_list": ["fortaleza", ...],',
+    '  "recommendations_list": ["recomendación", ...],',
+    '  "general_feedback": "comentario general"',
+    '}',
+    '',
+    criteriaIds ? `Incluí un elemento en "criteria" por cada criterio de la rúbrica (${criteriaIds}).` : '',
+    'Usá "ok" si el criterio se cumple, "warning" si se cumple parcialmente y "error" si no se cumple.',
+    '',
+    '=== RÚBRICA (JSON) ===',
+    JSON.stringify(rubricJson, null, 2),
+    '',
+    '=== ENTREGA DEL ALUMNO ===',
+    submissionText,
+  ].join('\n');
+};
+
+/**
+ * Convierte la respuesta de texto del modelo a objeto
+ * Tolera bloques ```json ... ``` alrededor del JSON
+ * @param {String} text
+ * @returns {Object}
+ */
+export const parseModelResponse = (text) => {
+  const cleaned = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/```$/, '')
+    .trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    throw new Error(`El modelo devolvió una respuesta que no es JSON válido: ${error.message}`);
+  }
+};
+
+/**
+ * Ajusta detalles menores de formato antes de validar (estados con emoji, ids numéricos, etc.)
+ * @param {Object} data - Respuesta del modelo
+ * @returns {Object}
+ */
+const coerceModelResponse = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.criteria)) {
+    return data;
+  }
+
+  return {
+    ...data,
+    criteria: data.criteria.map((criterion) => ({
+      ...criterion,
+      id: criterion?.id !== undefined ? String(criterion.id) : criterion?.id,
+      status: normalizeCriterionStatus(criterion?.status),
+      feedback: criterion?.feedback ?? '',
+    })),
+  };
+};
+
+/**
+ * Corrige una submission con el LLM indicado en las credenciales
+ * @param {Object} context - { submission, rubric, credentials: { provider, apiKey, baseUrl, model } }
+ * @returns {Promise<Object>} Corrección estructurada (validada contra CORRECTION_SCHEMA)
+ */
+export const gradeWithLlm = async ({ submission, rubric, credentials }) => {
+  const submissionText = await Submission.getContentText(submission._id);
+
+  if (!submissionText) {
+    throw permanentError(
+      'La entrega no tiene su contenido guardado en el sistema. Vuelva a subirla o use el proveedor n8n.'
+    );
+  }
+
+  const maxChars = parseInt(process.env.LLM_GRADING_MAX_CHARS, 10) || DEFAULT_MAX_CHARS;
+  if (submissionText.length > maxChars) {
+    throw permanentError(`La entrega supera el máximo de ${maxChars} caracteres para corrección directa`);
+  }
+
+  const text = await generateWithLlm(credentials, buildGradingPrompt(rubric.rubric_json, submissionText), {
+    json: true,
+    temperature: 0.2,
+  });
+
+  const correction = coerceModelResponse(parseModelResponse(text));
+  const { valid, errors } = validateCorrection(correction);
+
+  if (!valid) {
+    const details = errors.map((e) => `${e.path} ${e.message}`).join('; ');
+    throw new Error(`La corrección de ${credentials.provider} no cumple el esquema: ${details}`);
+  }
+
+  return {
+    ...correction,
+    provider: credentials.provider,
+    model: credentials.model,
+  };
+};
+
+export default {
+  gradeWithLlm,
+  buildGradingPrompt,
+  parseModelResponse,
+};
@@ -0,0 +1,36 @@
+/**
+ * Proveedor de corrección: LLM configurado por el usuario
+ * Usa el proveedor elegido en el perfil (Gemini, endpoint OpenAI compatible u Ollama),
+ * lo que permite corregir con un servidor propio sin enviar código a terceros
+ */
+import { getLlmCredentialsForUser } from '../llmProviders/index.js';
+import { gradeWithLlm } from './llmGrading.js';
+
+export const name = 'llm';
+
+/**
+ * Verifica que el usuario tenga las credenciales que usa este proveedor
+ * @param {String} userId
+ * @returns {Promise<void>}
+ * @throws {Error} Si el usuario no tiene un proveedor LLM válido configurado
+ */
+export const ensureCredentials = async (userId) => {
+  await getLlmCredentialsForUser(userId);
+};
+
+/**
+ * Corrige una submission con el proveedor LLM del usuario
+ * @param {Object} context - { submission, rubric, userId }
+ * @returns {Promise<Object>} Corrección estructurada (validada contra CORRECTION_SCHEMA)
+ */
+export const grade = async ({ submission, rubric, userId }) => {
+  const credentials = await getLlmCredentialsForUser(userId);
+
+  return await gradeWithLlm({ submission, rubric, credentials });
+};
+
+export default {
+  name,
+  ensureCredentials,
+  grade,
+};
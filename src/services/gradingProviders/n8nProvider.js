@@ -0,0 +1,32 @@
+/**
+ * Proveedor de corrección: webhook de n8n
+ * Delega la corrección al workflow de n8n (puede responder sincrónicamente o por callback)
+ */
+import { requestSubmissionGrading, getGeminiApiKeyForUser } from '../n8nService.js';
+
+export const name = 'n8n';
+
+/**
+ * Verifica que el usuario tenga las credenciales que usa este proveedor
+ * @param {String} userId
+ * @returns {Promise<void>}
+ * @throws {Error} Si el usuario no tiene API key de Gemini configurada
+ */
+export const ensureCredentials = async (userId) => {
+  await getGeminiApiKeyForUser(userId);
+};
+
+/**
+ * Corrige una submission usando el webhook de n8n
+ * @param {Object} context - { submission, rubric, userId, jobId }
+ * @returns {Promise<Object>} Respuesta cruda del webhook (corrección o { accepted: true })
+ */
+export const grade = async ({ submission, rubric, userId, jobId }) => {
+  return await requestSubmissionGrading(submission, rubric, userId, { jobId });
+};
+
+export default {
+  name,
+  ensureCredentials,
+  grade,
+};
@@ -0,0 +1,436 @@
+/**
+ * Grading Queue Service
+ * Worker que procesa la cola persistente de correcciones (GradingJob)
+ * Llama al proveedor de corrección de la universidad con reintentos y backoff exponencial y
+ * mueve Submission.status por pending-correction → corrected / failed
+ * Si n8n acepta la corrección de forma asíncrona, el resultado llega por callback
+ */
+import os from 'os';
+import GradingJob, { GRADING_JOB_STATUSES } from '../models/GradingJob.js';
+import Submission from '../models/Submission.js';
+import Rubric from '../models/Rubric.js';
+import RubricVersion from '../models/RubricVersion.js';
+import { resolveGradingProvider } from './gradingProviders/index.js';
+import { normalizeCorrectionPayload } from '../utils/correctionPayload.js';
+import { scoreCorrection } from './scoringService.js';
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+// Estado del worker (un único worker por proceso)
+let pollTimer = null;
+let activeJobs = 0;
+let ticking = false;
+
+class GradingQueueService {
+  /**
+   * Configuración del worker (leída de variables de entorno)
+   * @returns {Object}
+   */
+  static getConfig() {
+    return {
+      pollIntervalMs: parseInt(process.env.GRADING_WORKER_POLL_MS, 10) || 5000,
+      concurrency: parseInt(process.env.GRADING_WORKER_CONCURRENCY, 10) || 2,
+      maxAttempts: parseInt(process.env.GRADING_MAX_ATTEMPTS, 10) || 3,
+      retryBaseMs: parseInt(process.env.GRADING_RETRY_BASE_MS, 10) || 30000,
+      retryMaxMs: parseInt(process.env.GRADING_RETRY_MAX_MS, 10) || 15 * 60 * 1000,
+      lockTimeoutMs: parseInt(process.env.GRADING_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+      callbackTimeoutMs: parseInt(process.env.GRADING_CALLBACK_TIMEOUT_MS, 10) || 60 * 60 * 1000,
+    };
+  }
+
+  /**
+   * Calcula la demora antes del próximo intento (backoff exponencial con jitter)
+   * @param {Number} attempt - Número de intento que falló (1, 2, 3...)
+   * @returns {Number} Demora en milisegundos
+   */
+  static computeBackoff(attempt) {
+    const { retryBaseMs, retryMaxMs } = this.getConfig();
+    const exponential = retryBaseMs * 2 ** Math.max(0, attempt - 1);
+    const jitter = Math.round(exponential * 0.2 * Math.random());
+    return Math.min(exponential + jitter, retryMaxMs);
+  }
+
+  /**
+   * Determina si un error amerita reintento
+   * Los errores 4xx del webhook (salvo 408 y 429) y los marcados como permanentes no se reintentan
+   * @param {Error} error
+   * @returns {Boolean}
+   */
+  static isRetryable(error) {
+    if (error.retryable === false) {
+      return false;
+    }
+    if (error.statusCode && error.statusCode >= 400 && error.statusCode < 500) {
+      return error.statusCode === 408 || error.statusCode === 429;
+    }
+    return true;
+  }
+
+  /**
+   * Encola la corrección de una submission y la marca como pending-correction
+   * @param {Document} submission - Documento Submission
+   * @param {String|ObjectId} userId - Usuario que solicita la corrección
+   * @returns {Promise<{job: Document, created: Boolean}>}
+   */
+  static async enqueueSubmission(submission, userId) {
+    const { maxAttempts } = this.getConfig();
+    const enqueued = await GradingJob.enqueue(submission, userId, { maxAttempts });
+
+    if (submission.status !== 'pending-correction') {
+      await submission.markPendingCorrection();
+    }
+
+    return enqueued;
+  }
+
+  /**
+   * Indica si la respuesta del webhook es una aceptación asíncrona (la corrección llegará por callback)
+   * @param {Object} rawResult - Respuesta cruda del webhook
+   * @returns {Boolean}
+   */
+  static isAsyncAcceptance(rawResult) {
+    if (!rawResult || typeof rawResult !== 'object' || Array.isArray(rawResult)) {
+      return false;
+    }
+    return rawResult.accepted === true || rawResult.status === 'accepted';
+  }
+
+  /**
+   * Aplica una corrección recibida por callback de n8n
+   * Guarda la corrección en la submission y completa el trabajo que la esperaba
+   * Solo se acepta si el trabajo indicado (grading_job_id) sigue activo: los callbacks tardíos,
+   * duplicados o repetidos no pisan una corrección posterior
+   * @param {Document} submission - Documento Submission
+   * @param {Object} payload - Cuerpo del callback
+   * @returns {Promise<{submission: Document, job: Document}>}
+   * @throws {Error} statusCode 409 si no hay un trabajo activo que coincida con grading_job_id
+   */
+  static async applyCallbackResult(submission, payload) {
+    const job = await GradingJob.findActiveForSubmission(submission._id);
+
+    if (!job || !payload.grading_job_id || String(job._id) !== String(payload.grading_job_id)) {
+      const error = new Error('El callback no corresponde a un trabajo de corrección activo de la submission');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // La submission ya tiene una corrección posterior al trabajo (ej. importada o cargada a mano)
+    const correctedAt = submission.correction?.corrected_at;
+    if (submission.status === 'corrected' && correctedAt && correctedAt > job.createdAt) {
+      const error = new Error('La submission ya fue corregida después de iniciado el trabajo');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // n8n informa que la corrección falló
+    if (payload.status === 'failed' || payload.success === false) {
+      const errorMessage = payload.error || payload.message || 'n8n informó un error en la corrección';
+
+      job.attempts = job.max_attempts;
+      await job.markAttemptFailed(errorMessage, 0);
+      await submission.markCorrectionFailed(errorMessage);
+
+      console.error(`❌ Callback de n8n: corrección fallida para ${submission.submission_id} - ${errorMessage}`);
+      return { submission, job };
+    }
+
+    const correction = normalizeCorrectionPayload(payload);
+    if (!correction) {
+      const error = new Error('El callback no contiene una corrección válida (se requiere grade o criteria)');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const rubric = await Rubric.findOne({ rubric_id: submission.rubric_id });
+
+    // Versión de la rúbrica: la enviada a n8n o, si el trabajo no la registró, la vigente
+    let rubricVersion = job.rubric_version_id
+      ? { version: job.rubric_version, _id: job.rubric_version_id }
+      : null;
+    if (!rubricVersion) {
+      rubricVersion = rubric ? await RubricVersion.ensureCurrentVersion(rubric) : null;
+    }
+
+    const computed = scoreCorrection(correction, rubric, { submission });
+    if (computed?.disagreement) {
+      console.warn(`⚠️ Nota de n8n (${correction.grade}) distinta de la calculada (${computed.grade}) para ${submission.submission_id}`);
+    }
+
+    await submission.addCorrection({
+      ...correction,
+      corrected_by: job.requested_by || submission.uploaded_by,
+      rubric_version: rubricVersion?.version ?? null,
+      rubric_version_id: rubricVersion?._id || null,
+      computed,
+    });
+
+    await job.markCompleted({ grade: correction.grade, source: 'callback' });
+
+    console.log(`✅ Callback de n8n: corrección guardada para ${submission.submission_id} (nota: ${correction.grade})`);
+    return { submission, job };
+  }
+
+  /**
+   * Ejecuta una función sobre una lista de elementos con un límite de concurrencia
+   * @param {Array} items - Elementos a procesar
+   * @param {Number} limit - Máximo de ejecuciones simultáneas
+   * @param {Function} fn - Función async (item) => resultado
+   * @returns {Promise<Array>} Resultados en el mismo orden que items
+   */
+  static async runWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runner = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex;
+        nextIndex += 1;
+        results[index] = await fn(items[index]);
+      }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runner);
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Ejecuta inmediatamente un conjunto de trabajos en cola (sin esperar al worker)
+   * Los trabajos que fallen y tengan reintentos disponibles quedan en cola para el worker
+   * @param {Array<Document>} jobs - Trabajos GradingJob en estado queued
+   * @param {Number} concurrency - Máximo de correcciones simultáneas
+   * @returns {Promise<Array<Document>>} Trabajos actualizados (o el original si otro worker lo tomó)
+   */
+  static async runJobsNow(jobs, concurrency) {
+    return this.runWithConcurrency(jobs, concurrency, async (job) => {
+      const claimed = await GradingJob.claimById(job._id, WORKER_ID);
+      if (!claimed) {
+        // Otro worker lo tomó: devolver el estado actual
+        return (await GradingJob.findById(job._id)) || job;
+      }
+
+      activeJobs += 1;
+      try {
+        return await this.processJob(claimed);
+      } finally {
+        activeJobs -= 1;
+      }
+    });
+  }
+
+  /**
+   * Ejecuta un trabajo de corrección ya bloqueado por este worker
+   * @param {Document} job - Documento GradingJob en estado processing
+   * @returns {Promise<Document>} Trabajo actualizado
+   */
+  static async processJob(job) {
+    let submission = null;
+
+    try {
+      if (!job.started_at) {
+        job.started_at = new Date();
+        await job.save();
+      }
+
+      submission = await Submission.findById(job.submission);
+      if (!submission) {
+        const error = new Error('Submission no encontrada o eliminada');
+        error.retryable = false;
+        throw error;
+      }
+
+      const rubric = await Rubric.findOne({ rubric_id: job.rubric_id });
+      if (!rubric) {
+        const error = new Error('Rúbrica no encontrada o eliminada');
+        error.retryable = false;
+        throw error;
+      }
+
+      // Congelar la versión de la rúbrica usada en esta corrección
+      const rubricVersion = await RubricVersion.ensureCurrentVersion(rubric);
+      job.rubric_version = rubricVersion.version;
+      job.rubric_version_id = rubricVersion._id;
+      await job.save();
+
+      const provider = await resolveGradingProvider(submission.university_id);
+      console.log(
+        `📝 [${WORKER_ID}] Corrigiendo ${job.submission_id} con ${provider.name} (intento ${job.attempts}/${job.max_attempts})`
+      );
+
+      const rawResult = await provider.grade({
+        submission,
+        rubric,
+        userId: job.requested_by,
+        jobId: job._id,
+      });
+
+      if (this.isAsyncAcceptance(rawResult)) {
+        console.log(`📨 [${WORKER_ID}] ${provider.name} aceptó la corrección de ${job.submission_id}, esperando callback`);
+        return await job.markAwaitingCallback();
+      }
+
+      const correction = normalizeCorrectionPayload(rawResult);
+
+      if (!correction) {
+        throw new Error(`El proveedor ${provider.name} no devolvió una corrección válida`);
+      }
+
+      const computed = scoreCorrection(correction, rubric, { submission });
+      if (computed?.disagreement) {
+        console.warn(
+          `⚠️ [${WORKER_ID}] Nota de ${provider.name} (${correction.grade}) distinta de la calculada (${computed.grade}) para ${job.submission_id}`
+        );
+      }
+
+      await submission.addCorrection({
+        ...correction,
+        corrected_by: job.requested_by,
+        rubric_version: job.rubric_version,
+        rubric_version_id: job.rubric_version_id,
+        computed,
+      });
+
+      console.log(`✅ [${WORKER_ID}] Corrección completada: ${job.submission_id} (nota: ${correction.grade})`);
+
+      return await job.markCompleted({ grade: correction.grade, provider: provider.name });
+    } catch (error) {
+      const retryable = this.isRetryable(error);
+      if (!retryable) {
+        job.attempts = job.max_attempts;
+      }
+
+      const delay = this.computeBackoff(job.attempts);
+      await job.markAttemptFailed(error.message, delay);
+
+      if (job.status === GRADING_JOB_STATUSES.FAILED) {
+        console.error(`❌ [${WORKER_ID}] Corrección fallida definitivamente: ${job.submission_id} - ${error.message}`);
+        if (submission) {
+          await submission.markCorrectionFailed(error.message);
+        }
+      } else {
+        console.warn(
+          `⚠️ [${WORKER_ID}] Error corrigiendo ${job.submission_id}, reintento en ${Math.round(delay / 1000)}s: ${error.message}`
+        );
+      }
+
+      return job;
+    }
+  }
+
+  /**
+   * Reprograma (o marca como fallidos) los trabajos cuyo callback de n8n no llegó a tiempo
+   * @returns {Promise<void>}
+   */
+  static async expireAwaitingCallbacks() {
+    const { callbackTimeoutMs } = this.getConfig();
+    const expired = await GradingJob.findExpiredCallbacks(callbackTimeoutMs);
+
+    for (const job of expired) {
+      const delay = this.computeBackoff(job.attempts);
+      await job.markAttemptFailed('Timeout esperando el callback de n8n', delay);
+
+      if (job.status === GRADING_JOB_STATUSES.FAILED) {
+        const submission = await Submission.findById(job.submission);
+        if (submission) {
+          await submission.markCorrectionFailed(job.last_error);
+        }
+      }
+
+      console.warn(`⚠️ [${WORKER_ID}] Callback de n8n vencido para ${job.submission_id} (${job.status})`);
+    }
+  }
+
+  /**
+   * Libera los trabajos bloqueados por un worker caído
+   * El bloqueo vencido cuenta como intento fallido: se reencolan, o se marcan como fallidos si agotaron los intentos
+   * @returns {Promise<Number>} Cantidad de trabajos liberados
+   */
+  static async releaseStaleLocks() {
+    const { lockTimeoutMs } = this.getConfig();
+    const stale = await GradingJob.findStaleLocks(lockTimeoutMs);
+
+    for (const job of stale) {
+      await job.markAttemptFailed('Trabajo liberado por timeout del worker', 0);
+
+      if (job.status === GRADING_JOB_STATUSES.FAILED) {
+        const submission = await Submission.findById(job.submission);
+        if (submission) {
+          await submission.markCorrectionFailed(job.last_error);
+        }
+      }
+    }
+
+    return stale.length;
+  }
+
+  /**
+   * Un ciclo del worker: libera bloqueos vencidos y toma trabajos hasta llenar la concurrencia
+   * @returns {Promise<void>}
+   */
+  static async tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      const { concurrency } = this.getConfig();
+
+      const released = await this.releaseStaleLocks();
+      if (released > 0) {
+        console.warn(`⚠️ [${WORKER_ID}] ${released} trabajo(s) de corrección liberados por timeout`);
+      }
+
+      await this.expireAwaitingCallbacks();
+
+      while (activeJobs < concurrency) {
+        const job = await GradingJob.claimNext(WORKER_ID);
+        if (!job) break;
+
+        activeJobs += 1;
+        this.processJob(job)
+          .catch((error) => {
+            console.error(`❌ [${WORKER_ID}] Error inesperado en trabajo ${job._id}:`, error);
+          })
+          .finally(() => {
+            activeJobs -= 1;
+          });
+      }
+    } catch (error) {
+      console.error(`❌ [${WORKER_ID}] Error en ciclo del worker de corrección:`, error.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /**
+   * Inicia el worker de corrección (polling periódico sobre la colección)
+   */
+  static start() {
+    if (pollTimer) return;
+
+    const { pollIntervalMs, concurrency } = this.getConfig();
+    pollTimer = setInterval(() => this.tick(), pollIntervalMs);
+
+    console.log(`🧵 Worker de corrección iniciado (${WORKER_ID}, concurrencia ${concurrency}, cada ${pollIntervalMs}ms)`);
+  }
+
+  /**
+   * Detiene el worker de corrección
+   */
+  static stop() {
+    if (!pollTimer) return;
+
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('🧵 Worker de corrección detenido');
+  }
+
+  /**
+   * Indica si el worker está activo en este proceso
+   * @returns {Boolean}
+   */
+  static isRunning() {
+    return pollTimer !== null;
+  }
+}
+
+export default GradingQueueService;
@@ -0,0 +1,85 @@
+/**
+ * Proveedor LLM: Google Gemini
+ * Usa @google/generative-ai con la API key del usuario
+ */
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { validateGeminiApiKey, getDefaultGeminiModel } from '../geminiValidation.js';
+import { toLlmError } from './providerError.js';
+
+export const name = 'gemini';
+export const label = 'Google Gemini';
+export const requiresApiKey = true;
+export const requiresBaseUrl = false;
+
+/**
+ * Modelo por defecto
+ * @returns {String}
+ */
+export const getDefaultModel = () => getDefaultGeminiModel();
+
+/**
+ * Valida el formato de la API key sin hacer requests
+ * @param {String} apiKey
+ * @returns {String|null} Mensaje de error o null si el formato es válido
+ */
+export const checkCredentialsFormat = ({ apiKey }) => {
+  if (!apiKey || typeof apiKey !== 'string') {
+    return 'La API key es requerida';
+  }
+  if (!apiKey.startsWith('AIza')) {
+    return 'Formato de API key inválido (debe empezar con "AIza")';
+  }
+  return null;
+};
+
+/**
+ * Valida las credenciales con un request de prueba
+ * @param {Object} credentials - { apiKey, model }
+ * @returns {Promise<{valid: Boolean, error?: String}>}
+ */
+export const validateCredentials = async ({ apiKey, model }) => {
+  return await validateGeminiApiKey(apiKey, model || getDefaultModel());
+};
+
+/**
+ * Genera una respuesta de texto
+ * @param {Object} options - { apiKey, model, prompt, json, temperature }
+ * @returns {Promise<String>}
+ */
+export const generate = async ({ apiKey, model, prompt, json = false, temperature = 0.2 }) => {
+  try {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({
+      model: model || getDefaultModel(),
+      generationConfig: {
+        temperature,
+        ...(json ? { responseMimeType: 'application/json' } : {}),
+      },
+    });
+
+    const result = await generativeModel.generateContent(prompt);
+    return result.response.text();
+  } catch (error) {
+    const msg = (error.message || '').toLowerCase();
+    const mapped = toLlmError(error, label);
+
+    if (msg.includes('api key not valid') || msg.includes('invalid api key') || msg.includes('permission denied')) {
+      mapped.retryable = false;
+    } else if (msg.includes('quota') || msg.includes('limit exceeded')) {
+      mapped.statusCode = 429;
+    }
+
+    throw mapped;
+  }
+};
+
+export default {
+  name,
+  label,
+  requiresApiKey,
+  requiresBaseUrl,
+  getDefaultModel,
+  checkCredentialsFormat,
+  validateCredentials,
+  generate,
+};
@@ -0,0 +1,145 @@
+/**
+ * Registro de proveedores LLM
+ *
+ * Cada proveedor expone la misma interfaz:
+ *   - name, label, requiresApiKey, requiresBaseUrl
+ *   - getDefaultModel(): String
+ *   - checkCredentialsFormat({ apiKey, baseUrl, model }): String|null
+ *   - validateCredentials({ apiKey, baseUrl, model }): Promise<{ valid, error?, models? }>
+ *   - generate({ apiKey, baseUrl, model, prompt, json, temperature }): Promise<String>
+ */
+import User, { LLM_PROVIDERS } from '../../models/User.js';
+import geminiLlm from './geminiLlm.js';
+import openaiCompatibleLlm from './openaiCompatibleLlm.js';
+import ollamaLlm from './ollamaLlm.js';
+
+const providers = {
+  [geminiLlm.name]: geminiLlm,
+  [openaiCompatibleLlm.name]: openaiCompatibleLlm,
+  [ollamaLlm.name]: ollamaLlm,
+};
+
+/**
+ * Obtiene un proveedor LLM por nombre
+ * @param {String} providerName - gemini | openai-compatible | ollama
+ * @returns {Object} Proveedor
+ * @throws {Error} Si el proveedor no existe (statusCode 400)
+ */
+export const getLlmProvider = (providerName) => {
+  const provider = providers[providerName];
+
+  if (!provider) {
+    const error = new Error(`Proveedor LLM desconocido: ${providerName}. Disponibles: ${LLM_PROVIDERS.join(', ')}`);
+    error.statusCode = 400;
+    error.retryable = false;
+    throw error;
+  }
+
+  return provider;
+};
+
+/**
+ * Lista los proveedores disponibles con los datos que necesita el formulario de configuración
+ * @returns {Array<Object>}
+ */
+export const listLlmProviders = () =>
+  Object.values(providers).map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    requires_api_key: provider.requiresApiKey,
+    requires_base_url: provider.requiresBaseUrl,
+    default_model: provider.getDefaultModel(),
+  }));
+
+/**
+ * Valida credenciales de un proveedor (formato + request de prueba)
+ * @param {Object} credentials - { provider, apiKey, baseUrl, model }
+ * @returns {Promise<{valid: Boolean, error?: String, models?: String[]}>}
+ */
+export const validateLlmCredentials = async (credentials) => {
+  const provider = getLlmProvider(credentials.provider);
+
+  if (provider.requiresApiKey && !credentials.apiKey) {
+    return { valid: false, error: 'La API key es requerida' };
+  }
+
+  const formatError = provider.checkCredentialsFormat(credentials);
+  if (formatError) {
+    return { valid: false, error: formatError };
+  }
+
+  return await provider.validateCredentials(credentials);
+};
+
+/**
+ * Obtiene las credenciales del proveedor LLM configurado por el usuario
+ * @param {String} userId - ID del usuario
+ * @returns {Promise<{provider: String, apiKey: String|null, baseUrl: String|null, model: String}>}
+ * @throws {Error} Si el usuario no tiene un proveedor válido configurado
+ */
+export const getLlmCredentialsForUser = async (userId) => {
+  if (!userId) {
+    throw new Error('Se requiere ID de usuario para obtener el proveedor LLM');
+  }
+
+  const user = await User.findById(userId).select('+gemini_api_key_encrypted +llm_api_key_encrypted');
+
+  if (!user) {
+    throw new Error('Usuario no encontrado');
+  }
+
+  if (user.deleted) {
+    throw new Error('Usuario eliminado');
+  }
+
+  if (!user.hasValidLlmProvider()) {
+    const error = new Error(
+      'Debes configurar tu proveedor de IA (API key de Gemini, endpoint OpenAI compatible u Ollama) en tu perfil ' +
+        'antes de poder usar la corrección directa.'
+    );
+    error.retryable = false;
+    throw error;
+  }
+
+  const credentials = user.getLlmCredentials();
+  const provider = getLlmProvider(credentials.provider);
+
+  if (provider.requiresApiKey && !credentials.apiKey) {
+    const error = new Error('Error al obtener la API key. Intenta reconfigurarla en tu perfil.');
+    error.retryable = false;
+    throw error;
+  }
+
+  return {
+    ...credentials,
+    model: credentials.model || provider.getDefaultModel(),
+  };
+};
+
+/**
+ * Genera texto con el proveedor indicado en las credenciales
+ * @param {Object} credentials - { provider, apiKey, baseUrl, model }
+ * @param {String} prompt
+ * @param {Object} options - { json, temperature }
+ * @returns {Promise<String>}
+ */
+export const generateWithLlm = async (credentials, prompt, options = {}) => {
+  const provider = getLlmProvider(credentials.provider);
+
+  return await provider.generate({
+    apiKey: credentials.apiKey,
+    baseUrl: credentials.baseUrl,
+    model: credentials.model || provider.getDefaultModel(),
+    prompt,
+    json: options.json,
+    temperature: options.temperature,
+  });
+};
+
+export default {
+  getLlmProvider,
+  listLlmProviders,
+  validateLlmCredentials,
+  getLlmCredentialsForUser,
+  generateWithLlm,
+};
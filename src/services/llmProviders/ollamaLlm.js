@@ -0,0 +1,129 @@
+/**
+ * Proveedor LLM: servidor Ollama (o compatible con su API)
+ * Pensado para modelos auto-hospedados: el código de los alumnos no sale de la facultad
+ */
+import axios from 'axios';
+import { toLlmError, trimBaseUrl } from './providerError.js';
+
+export const name = 'ollama';
+export const label = 'Ollama (servidor propio)';
+export const requiresApiKey = false;
+export const requiresBaseUrl = false;
+
+/**
+ * URL base por defecto
+ * @returns {String}
+ */
+const getDefaultBaseUrl = () => process.env.OLLAMA_DEFAULT_BASE_URL || 'http://localhost:11434';
+
+/**
+ * Modelo por defecto
+ * @returns {String}
+ */
+export const getDefaultModel = () => process.env.OLLAMA_DEFAULT_MODEL || 'llama3.1';
+
+/**
+ * Timeout de requests (ms); los modelos locales suelen ser más lentos
+ * @returns {Number}
+ */
+const getTimeout = () => parseInt(process.env.LLM_REQUEST_TIMEOUT_MS, 10) || 300000;
+
+/**
+ * Headers (algunos proxies delante de Ollama exigen un token)
+ * @param {String} apiKey
+ * @returns {Object}
+ */
+const buildHeaders = (apiKey) => ({
+  'Content-Type': 'application/json',
+  ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+});
+
+/**
+ * Valida el formato de las credenciales sin hacer requests
+ * @param {Object} credentials - { baseUrl }
+ * @returns {String|null} Mensaje de error o null si el formato es válido
+ */
+export const checkCredentialsFormat = ({ baseUrl }) => {
+  const url = baseUrl || getDefaultBaseUrl();
+  if (!/^https?:\/\//i.test(url)) {
+    return 'La URL base debe empezar con http:// o https://';
+  }
+  return null;
+};
+
+/**
+ * Valida que el servidor responda y tenga el modelo descargado (GET /api/tags)
+ * @param {Object} credentials - { apiKey, baseUrl, model }
+ * @returns {Promise<{valid: Boolean, error?: String, models?: String[]}>}
+ */
+export const validateCredentials = async ({ apiKey, baseUrl, model }) => {
+  try {
+    const response = await axios.get(`${trimBaseUrl(baseUrl || getDefaultBaseUrl())}/api/tags`, {
+      headers: buildHeaders(apiKey),
+      timeout: 15000,
+    });
+
+    const models = (response.data?.models || []).map((m) => m.name).filter(Boolean);
+    const selectedModel = model || getDefaultModel();
+
+    // Ollama acepta "llama3.1" como alias de "llama3.1:latest"
+    const available = models.some((m) => m === selectedModel || m === `${selectedModel}:latest`);
+
+    if (!available) {
+      return {
+        valid: false,
+        error: `El modelo ${selectedModel} no está descargado en el servidor. Modelos: ${models.join(', ') || 'ninguno'}`,
+        models,
+      };
+    }
+
+    return { valid: true, models };
+  } catch (error) {
+    return {
+      valid: false,
+      error: toLlmError(error, label).message,
+    };
+  }
+};
+
+/**
+ * Genera una respuesta de texto (POST /api/generate sin streaming)
+ * @param {Object} options - { apiKey, baseUrl, model, prompt, json, temperature }
+ * @returns {Promise<String>}
+ */
+export const generate = async ({ apiKey, baseUrl, model, prompt, json = false, temperature = 0.2 }) => {
+  try {
+    const response = await axios.post(
+      `${trimBaseUrl(baseUrl || getDefaultBaseUrl())}/api/generate`,
+      {
+        model: model || getDefaultModel(),
+        prompt,
+        stream: false,
+        ...(json ? { format: 'json' } : {}),
+        options: { temperature },
+      },
+      {
+        headers: buildHeaders(apiKey),
+        timeout: getTimeout(),
+      }
+    );
+
+    if (typeof response.data?.response !== 'string') {
+      throw new Error('La respuesta de Ollama no contiene el campo "response"');
+    }
+    return response.data.response;
+  } catch (error) {
+    throw toLlmError(error, label);
+  }
+};
+
+export default {
+  name,
+  label,
+  requiresApiKey,
+  requiresBaseUrl,
+  getDefaultModel,
+  checkCredentialsFormat,
+  validateCredentials,
+  generate,
+};
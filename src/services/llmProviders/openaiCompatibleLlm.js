@@ -0,0 +1,126 @@
+/**
+ * Proveedor LLM: endpoint compatible con la API de OpenAI
+ * Sirve para OpenAI, Azure/OpenRouter y servidores propios (vLLM, LM Studio, LocalAI, etc.)
+ */
+import axios from 'axios';
+import { toLlmError, trimBaseUrl } from './providerError.js';
+
+export const name = 'openai-compatible';
+export const label = 'OpenAI compatible';
+export const requiresApiKey = false;
+export const requiresBaseUrl = true;
+
+/**
+ * Modelo por defecto
+ * @returns {String}
+ */
+export const getDefaultModel = () => process.env.OPENAI_COMPATIBLE_DEFAULT_MODEL || 'gpt-4o-mini';
+
+/**
+ * Timeout de requests (ms)
+ * @returns {Number}
+ */
+const getTimeout = () => parseInt(process.env.LLM_REQUEST_TIMEOUT_MS, 10) || 120000;
+
+/**
+ * Headers de autenticación (la API key es opcional en servidores propios)
+ * @param {String} apiKey
+ * @returns {Object}
+ */
+const buildHeaders = (apiKey) => ({
+  'Content-Type': 'application/json',
+  ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+});
+
+/**
+ * Valida el formato de las credenciales sin hacer requests
+ * @param {Object} credentials - { baseUrl }
+ * @returns {String|null} Mensaje de error o null si el formato es válido
+ */
+export const checkCredentialsFormat = ({ baseUrl }) => {
+  if (!baseUrl) {
+    return 'La URL base del endpoint es requerida (ej: https://mi-servidor/v1)';
+  }
+  if (!/^https?:\/\//i.test(baseUrl)) {
+    return 'La URL base debe empezar con http:// o https://';
+  }
+  return null;
+};
+
+/**
+ * Valida las credenciales listando los modelos disponibles (GET /models)
+ * @param {Object} credentials - { apiKey, baseUrl, model }
+ * @returns {Promise<{valid: Boolean, error?: String, models?: String[]}>}
+ */
+export const validateCredentials = async ({ apiKey, baseUrl, model }) => {
+  try {
+    const response = await axios.get(`${trimBaseUrl(baseUrl)}/models`, {
+      headers: buildHeaders(apiKey),
+      timeout: 15000,
+    });
+
+    const models = (response.data?.data || []).map((m) => m.id).filter(Boolean);
+    const selectedModel = model || getDefaultModel();
+
+    if (models.length > 0 && !models.includes(selectedModel)) {
+      return {
+        valid: false,
+        error: `El modelo ${selectedModel} no está disponible. Modelos: ${models.slice(0, 20).join(', ')}`,
+        models,
+      };
+    }
+
+    return { valid: true, models };
+  } catch (error) {
+    const status = error.response?.status;
+    return {
+      valid: false,
+      error:
+        status === 401 || status === 403
+          ? 'API key inválida o sin permisos para el endpoint'
+          : toLlmError(error, label).message,
+    };
+  }
+};
+
+/**
+ * Genera una respuesta de texto (POST /chat/completions)
+ * @param {Object} options - { apiKey, baseUrl, model, prompt, json, temperature }
+ * @returns {Promise<String>}
+ */
+export const generate = async ({ apiKey, baseUrl, model, prompt, json = false, temperature = 0.2 }) => {
+  try {
+    const response = await axios.post(
+      `${trimBaseUrl(baseUrl)}/chat/completions`,
+      {
+        model: model || getDefaultModel(),
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      },
+      {
+        headers: buildHeaders(apiKey),
+        timeout: getTimeout(),
+      }
+    );
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('La respuesta no contiene choices[0].message.content');
+    }
+    return content;
+  } catch (error) {
+    throw toLlmError(error, label);
+  }
+};
+
+export default {
+  name,
+  label,
+  requiresApiKey,
+  requiresBaseUrl,
+  getDefaultModel,
+  checkCredentialsFormat,
+  validateCredentials,
+  generate,
+};
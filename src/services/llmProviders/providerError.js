@@ -0,0 +1,45 @@
+/**
+ * Conversión de errores de proveedores LLM a errores con semántica de reintento
+ * (statusCode y retryable, usados por el worker de la cola de corrección)
+ */
+
+/**
+ * Convierte un error de axios o de un SDK en un Error uniforme
+ * - 401/403: credenciales inválidas, no se reintenta
+ * - 404: modelo o endpoint inexistente, no se reintenta
+ * - 408/429/5xx y errores de red: se reintenta
+ * @param {Error} error - Error original
+ * @param {String} label - Nombre legible del proveedor
+ * @returns {Error}
+ */
+export const toLlmError = (error, label) => {
+  const status = error.response?.status || error.status || null;
+  const detail =
+    error.response?.data?.error?.message ||
+    error.response?.data?.error ||
+    error.response?.data?.message ||
+    error.message;
+
+  const mapped = new Error(`Error de ${label}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+
+  if (status) {
+    mapped.statusCode = status;
+  }
+  if (status === 401 || status === 403 || status === 404) {
+    mapped.retryable = false;
+  }
+
+  return mapped;
+};
+
+/**
+ * Quita las barras finales de una URL base
+ * @param {String} baseUrl
+ * @returns {String}
+ */
+export const trimBaseUrl = (baseUrl) => String(baseUrl || '').trim().replace(/\/+$/, '');
+
+export default {
+  toLlmError,
+  trimBaseUrl,
+};
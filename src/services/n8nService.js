@@ -29,18 +29,23 @@ export const getGeminiApiKeyForUser = async (userId) => {
   }
 
   // Verificar que tenga API key válida
+  // Sin API key el reintento no sirve: el error es permanente para la cola de corrección
   if (!user.hasValidGeminiApiKey()) {
-    throw new Error(
+    const error = new Error(
       'Debes configurar tu API Key de Gemini en tu perfil antes de poder usar el sistema de corrección. ' +
       'Ve a tu perfil para configurarla.'
     );
+    error.retryable = false;
+    throw error;
   }
 
   // Obtener la API key desencriptada
   const apiKey = user.getGeminiApiKey();
 
   if (!apiKey) {
-    throw new Error('Error al obtener la API key. Intenta reconfigurarla en tu perfil.');
+    const error = new Error('Error al obtener la API key. Intenta reconfigurarla en tu perfil.');
+    error.retryable = false;
+    throw error;
   }
 
   return apiKey;
@@ -146,6 +151,83 @@ export const gradeSubmission = async (rubricPath, submissionPath, userId) => {
   }
 };
 
+/**
+ * Obtiene la URL pública del callback de corrección (si está configurada)
+ * n8n la usa para devolver el resultado cuando corrige de forma asíncrona
+ * @returns {String|null}
+ */
+export const getCorrectionCallbackUrl = () => {
+  const baseUrl = process.env.BACKEND_PUBLIC_URL;
+  if (!baseUrl) return null;
+  return `${baseUrl.replace(/\/+$/, '')}/api/grading/callback`;
+};
+
+/**
+ * Solicitar la corrección de una Submission almacenada usando webhook de n8n
+ * Envía la rúbrica guardada (rubric_json) y la referencia al entrega.txt en Drive
+ * n8n puede responder con la corrección o aceptarla ({ accepted: true }) y enviarla luego al callback
+ * @param {Object} submission - Documento Submission
+ * @param {Object} rubric - Documento Rubric
+ * @param {String} userId - ID del usuario cuya API key se usa (OBLIGATORIO)
+ * @param {Object} options - { jobId } trabajo de corrección asociado
+ * @returns {Promise<Object>} Respuesta cruda del webhook
+ */
+export const requestSubmissionGrading = async (submission, rubric, userId, options = {}) => {
+  try {
+    if (!userId) {
+      throw new Error('Se requiere ID de usuario para realizar correcciones');
+    }
+
+    const webhookUrl = process.env.N8N_GRADING_WEBHOOK_URL;
+
+    if (!webhookUrl) {
+      throw new Error('N8N_GRADING_WEBHOOK_URL no está configurada en .env');
+    }
+
+    const geminiApiKey = await getGeminiApiKeyForUser(userId);
+
+    const payload = {
+      submission_id: submission.submission_id,
+      student_name: submission.student_name,
+      commission_id: submission.commission_id,
+      rubric_id: submission.rubric_id,
+      rubric_name: rubric.name,
+      rubric_json: rubric.rubric_json,
+      drive_file_id: submission.drive_file_id,
+      drive_file_url: submission.drive_file_url,
+      student_folder_id: submission.student_folder_id,
+      spreadsheet_file_id: rubric.spreadsheet_file_id,
+      gemini_api_key: geminiApiKey,
+      grading_job_id: options.jobId ? String(options.jobId) : null,
+      callback_url: getCorrectionCallbackUrl(),
+    };
+
+    const response = await axios.post(webhookUrl, payload, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: parseInt(process.env.N8N_GRADING_TIMEOUT_MS, 10) || 120000,
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error al solicitar corrección de ${submission.submission_id}:`, error.message);
+
+    if (error.response) {
+      const webhookError = new Error(
+        `Error del webhook n8n: ${error.response.data?.message || error.response.statusText}`
+      );
+      webhookError.statusCode = error.response.status;
+      throw webhookError;
+    }
+
+    // Errores permanentes (ej. usuario sin API key) se propagan sin envolver para no reintentarlos
+    if (error.retryable === false) {
+      throw error;
+    }
+
+    throw new Error(`Error al conectar con n8n: ${error.message}`);
+  }
+};
+
 /**
  * Subir resultados a Google Sheets usando webhook de n8n
  * @param {Object} data - Datos a subir
@@ -1,10 +1,9 @@
 /**
- * Generador de PDFs de devolución en Node (basado en generar_pdfs.py de referencia).
+ * Fuente opcional de devoluciones: planilla de Google Sheets (entregas.xlsx) leída vía n8n
+ * Convierte las filas con texto y emojis (parsers basados en generar_pdfs.py) al mismo formato de
+ * devolución que se arma desde Submission.correction, para que DevolutionPdfService genere un único PDF
  */
 import axios from 'axios';
-import PDFDocument from 'pdfkit';
-import archiver from 'archiver';
-import { PassThrough } from 'stream';
 
 const ensureWebhookUrl = (overrideUrl) => {
   const webhook = overrideUrl || process.env.N8N_WEBHOOK_GET_CORRECTIONS || process.env.N8N_WEBHOOK_URL;
@@ -36,7 +35,8 @@ const fetchCorrections = async (webhookUrl, spreadsheetId, sheetId, driveFolderI
 };
 
 // ===== Parsers basados en generar_pdfs.py =====
-const parsearCriterios = (texto) => {
+// También los usa la importación de correcciones desde Excel (correctionImportService)
+export const parsearCriterios = (texto) => {
   if (!texto) return [];
   let t = String(texto);
   t = t.replace(/✅/g, '||OK||')
@@ -60,7 +60,7 @@ const parsearCriterios = (texto) => {
   return items;
 };
 
-const parsearFortalezas = (texto) => {
+export const parsearFortalezas = (texto) => {
   if (!texto) return [];
   return texto
     .replace(/🌟/g, '||STAR||')
@@ -69,7 +69,7 @@ const parsearFortalezas = (texto) => {
     .filter(Boolean);
 };
 
-const parsearRecomendaciones = (texto) => {
+export const parsearRecomendaciones = (texto) => {
   if (!texto) return [];
   const t = String(texto);
   const numeric = t.split(/(\d+)\.\s*/);
@@ -92,241 +92,75 @@ const parsearRecomendaciones = (texto) => {
   return [t.trim()].filter(Boolean);
 };
 
-// ===== PDF helpers =====
-const criteriaColor = (estado) => {
-  switch (estado) {
-    case 'ok':
-      return '#059669';  // Verde (igual que Python)
-    case 'error':
-      return '#dc2626';  // Rojo (igual que Python)
-    case 'warning':
-      return '#f59e0b';  // Naranja/Amarillo (igual que Python)
-    default:
-      return '#34495e';
-  }
-};
-
-const buildPdf = (record, meta) =>
-  new Promise((resolve, reject) => {
-    // Convertir mm a puntos (1mm = 2.834645669 puntos)
-    const mmToPt = (mm) => mm * 2.834645669;
-
-    const doc = new PDFDocument({
-      size: 'A4',
-      margins: {
-        top: mmToPt(15),
-        bottom: mmToPt(15),
-        left: mmToPt(15),
-        right: mmToPt(15)
-      },
-      info: {
-        Title: `Devolucion - ${record.alumno || record.student_name || ''}`,
-        Author: 'Corrección Automática',
-      },
-    });
-
-    const chunks = [];
-    doc.on('data', (chunk) => chunks.push(chunk));
-    doc.on('error', reject);
-    doc.on('end', () => resolve(Buffer.concat(chunks)));
-
-    const alumno =
-      record.alumno ||
-      record.Alumno ||
-      record.student_name ||
-      record.student ||
-      record.ALUMNO ||
-      'Sin_nombre';
-    const nota = record.puntaje_total || record.nota || record.grade || '';
-    const criterios = parsearCriterios(record.criterios || record['Resumen por criterios'] || record.resumen_por_criterios);
-    const fortalezas = parsearFortalezas(record.fortalezas || record.Fortalezas || record.FORTALEZAS);
-    const recomendaciones = parsearRecomendaciones(record.recomendaciones || record.Recomendaciones || record.RECOMENDACIONES);
-
-    // Función auxiliar para agregar espaciado vertical (en mm)
-    const addSpace = (mm) => doc.moveDown(mm / 5); // Aproximación para moveDown
-
-    // Símbolos para criterios
-    const getSymbol = (estado) => {
-      switch (estado) {
-        case 'ok': return '[OK]';
-        case 'error': return '[X]';
-        case 'warning': return '[!]';
-        default: return '•';
-      }
-    };
-
-    // Título principal
-    doc.fontSize(20).fillColor('#1f2937').font('Helvetica-Bold').text('Devolucion de Correccion', {
-      align: 'center',
-    });
-    addSpace(5);
-
-    // Información del alumno
-    doc.fontSize(12).fillColor('#1f2937').font('Helvetica');
-    doc.text(`Alumno: ${alumno}`, { bold: true });
-
-    // Nota/Puntaje destacado
-    if (nota) {
-      addSpace(2);
-      doc.fontSize(14).fillColor('#059669').font('Helvetica-Bold');
-      doc.text(`Puntaje Total: ${nota}`, { align: 'center' });
-    }
+// ===== Adaptador a DevolutionPdfService =====
 
-    addSpace(3);
-
-    // Criterios de Evaluación
-    if (criterios.length) {
-      doc.font('Helvetica-Bold').fontSize(16).fillColor('#374151').text('Criterios de Evaluacion');
-      addSpace(2);
-
-      doc.font('Helvetica').fontSize(11);
-      criterios.forEach((c) => {
-        const simbolo = getSymbol(c.estado);
-        const color = criteriaColor(c.estado);
-
-        // Título del criterio con símbolo
-        doc.fillColor(color).text(`${simbolo} ${c.titulo}`, {
-          indent: 15,
-          continued: false,
-        });
-
-        // Descripción (si existe) con indentación adicional
-        if (c.descripcion) {
-          doc.fillColor('#374151').fontSize(11);
-          doc.text(`   ${c.descripcion}`, {
-            indent: 15,
-            continued: false
-          });
-        }
-
-        addSpace(0.8);
-      });
-
-      addSpace(2);
-    }
-
-    // Fortalezas Detectadas
-    if (fortalezas.length) {
-      doc.font('Helvetica-Bold').fontSize(16).fillColor('#374151').text('Fortalezas Detectadas');
-      addSpace(1);
-
-      doc.font('Helvetica').fontSize(11).fillColor('#374151');
-      fortalezas.forEach((f) => {
-        doc.text(`• ${f}`, {
-          indent: 15,
-          continued: false
-        });
-        addSpace(0.5);
-      });
-
-      addSpace(2);
-    }
-
-    // Recomendaciones
-    if (recomendaciones.length) {
-      doc.font('Helvetica-Bold').fontSize(16).fillColor('#374151').text('Recomendaciones');
-      addSpace(1);
-
-      doc.font('Helvetica').fontSize(11).fillColor('#374151');
-      recomendaciones.forEach((rec, idx) => {
-        doc.text(`${idx + 1}. ${rec}`, {
-          indent: 15,
-          continued: false
-        });
-        addSpace(0.5);
-      });
-    }
-
-    // Pie de página con fecha
-    addSpace(2);
-    const fecha = new Date().toLocaleDateString('es-AR', {
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric'
-    });
-    doc.fontSize(9).fillColor('#6b7280').font('Helvetica').text(fecha, {
-      align: 'center'
-    });
-
-    doc.end();
-  });
-
-const createZipBuffer = (namedBuffers) =>
-  new Promise((resolve, reject) => {
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    const pass = new PassThrough();
-    const chunks = [];
-    pass.on('data', (c) => chunks.push(c));
-    pass.on('end', () => resolve(Buffer.concat(chunks)));
-    pass.on('error', reject);
-
-    archive.on('error', reject);
-    archive.pipe(pass);
+/**
+ * Convierte un valor de la planilla a número (acepta coma decimal) o deja el texto original
+ * @param {*} value
+ * @returns {Number|String|null}
+ */
+const toGrade = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : String(value).trim();
+};
 
-    namedBuffers.forEach(({ name, buffer }) => {
-      archive.append(buffer, { name });
-    });
+/**
+ * Convierte una fila de la planilla al formato de devolución de DevolutionPdfService
+ * @param {Object} record - Fila devuelta por el webhook
+ * @param {Object} meta - { commissionName, rubricName }
+ * @returns {Object}
+ */
+export const sheetRowToDevolution = (record, meta = {}) => ({
+  studentName:
+    record.alumno || record.Alumno || record.student_name || record.student || record.ALUMNO || 'Sin_nombre',
+  commissionName: meta.commissionName || '',
+  rubricName: meta.rubricName || '',
+  grade: toGrade(record.puntaje_total ?? record.nota ?? record.grade),
+  letter: null,
+  originalGrade: null,
+  latePenalty: 0,
+  criteria: parsearCriterios(record.criterios || record['Resumen por criterios'] || record.resumen_por_criterios).map(
+    (c) => ({ name: c.titulo, status: c.estado, feedback: c.descripcion || null, score: null, max_score: null })
+  ),
+  strengths: parsearFortalezas(record.fortalezas || record.Fortalezas || record.FORTALEZAS),
+  recommendations: parsearRecomendaciones(record.recomendaciones || record.Recomendaciones || record.RECOMENDACIONES),
+  generalFeedback: '',
+  correctedAt: new Date(),
+});
 
-    archive.finalize();
-  });
+/**
+ * Obtiene las devoluciones de una rúbrica desde su planilla de Drive
+ * @param {Object} source - { spreadsheetId, sheetId, driveFolderId, studentName?, webhookUrl? }
+ * @param {Object} meta - { commissionName, rubricName }
+ * @returns {Promise<Array<Object>>} Devoluciones en el formato de DevolutionPdfService
+ */
+export const fetchSheetDevolutions = async (source, meta = {}) => {
+  if (!source.spreadsheetId) throw new Error('spreadsheetId es requerido');
+  const webhookUrl = ensureWebhookUrl(source.webhookUrl);
+  const rows = await fetchCorrections(
+    webhookUrl,
+    source.spreadsheetId,
+    source.sheetId,
+    source.driveFolderId,
+    source.studentName || null
+  );
 
-export const generateIndividualPdf = async (
-  commissionId,
-  rubricId,
-  studentName,
-  spreadsheetId,
-  sheetId,
-  driveFolderId,
-  webhookUrlOverride
-) => {
-  if (!spreadsheetId) throw new Error('spreadsheetId es requerido');
-  const webhookUrl = ensureWebhookUrl(webhookUrlOverride);
-  const rows = await fetchCorrections(webhookUrl, spreadsheetId, sheetId, driveFolderId, studentName);
   if (!rows.length) {
-    const err = new Error('No se encontraron datos para el alumno indicado');
+    const err = new Error(
+      source.studentName ? 'No se encontraron datos para el alumno indicado' : 'No se encontraron filas en la planilla'
+    );
     err.statusCode = 404;
     throw err;
   }
-  const meta = { commission_id: commissionId, rubric_id: rubricId, spreadsheet_id: spreadsheetId, sheet_id: sheetId, drive_folder_id: driveFolderId };
-  const buffer = await buildPdf(rows[0], meta);
-  return { buffer };
-};
 
-export const generateBatchPdfs = async (
-  commissionId,
-  rubricId,
-  spreadsheetId,
-  sheetId,
-  driveFolderId,
-  webhookUrlOverride
-) => {
-  if (!spreadsheetId) throw new Error('spreadsheetId es requerido');
-  const webhookUrl = ensureWebhookUrl(webhookUrlOverride);
-  const rows = await fetchCorrections(webhookUrl, spreadsheetId, sheetId, driveFolderId, null);
-  if (!rows.length) {
-    const err = new Error('No se encontraron filas en la planilla');
-    err.statusCode = 404;
-    throw err;
-  }
-  const meta = { commission_id: commissionId, rubric_id: rubricId, spreadsheet_id: spreadsheetId, sheet_id: sheetId, drive_folder_id: driveFolderId };
-  const namedBuffers = [];
-  for (const row of rows) {
-    const alumno =
-      row.alumno ||
-      row.Alumno ||
-      row.student_name ||
-      row.student ||
-      row.ALUMNO ||
-      'alumno';
-    const safe = String(alumno).trim().replace(/[^a-zA-Z0-9-_]+/g, '_') || 'alumno';
-    const buffer = await buildPdf(row, meta);
-    namedBuffers.push({ name: `${safe}_devolucion.pdf`, buffer });
-  }
-  const zipBuffer = await createZipBuffer(namedBuffers);
-  return { buffer: zipBuffer };
+  return rows.map((row) => sheetRowToDevolution(row, meta));
 };
 
 export default {
-  generateIndividualPdf,
-  generateBatchPdfs,
+  parsearCriterios,
+  parsearFortalezas,
+  parsearRecomendaciones,
+  sheetRowToDevolution,
+  fetchSheetDevolutions,
 };
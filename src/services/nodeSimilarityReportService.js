@@ -6,7 +6,10 @@ import fs from 'fs';
 import path from 'path';
 import PDFDocument from 'pdfkit';
 import ProjectHash from '../models/ProjectHash.js';
+import SimilarityBaseline from '../models/SimilarityBaseline.js';
+import Rubric from '../models/Rubric.js';
 import SimilarityDetectorService from './similarityDetectorService.js';
+import { SIMILARITY_SCOPES, resolveScope, findExternalMatches } from './similarityScopeService.js';
 
 const COLORS = {
   primary: '#1a1a1a',
@@ -19,7 +22,7 @@ const COLORS = {
   rowAlt: '#f8f9fa',
 };
 
-const buildReport = (commissionId, rubricId, similarity, total) => {
+const buildReport = (commissionId, rubricId, similarity, total, external = null) => {
   const proyectos_identicos = (similarity.identicalGroups || []).map((group) => ({
     alumnos: group.students || [],
     hash_proyecto: group.project_hash,
@@ -28,11 +31,21 @@ const buildReport = (commissionId, rubricId, similarity, total) => {
 
   const copias_parciales = (similarity.partialCopies || []).map((item) => ({
     alumnos: item.students || [],
+    metodo: item.method || 'file-hash',
     porcentaje_similitud: item.percentage || 0,
+    porcentaje_por_alumno: item.percentage_by_student || [],
     total_archivos_comunes: item.total_common_files || 0,
+    huellas_compartidas: item.shared_fingerprints || 0,
     archivos_copiados: (item.copied_files || []).map((f) => ({
       nombre: f.name || '',
     })),
+    regiones_coincidentes: (item.matched_regions || []).map((region) => ({
+      archivo_a: region.file_a,
+      lineas_a: `${region.start_a}-${region.end_a}`,
+      archivo_b: region.file_b,
+      lineas_b: `${region.start_b}-${region.end_b}`,
+      huellas: region.fingerprints,
+    })),
   }));
 
   const archivos_mas_copiados = (similarity.mostCopiedFiles || []).map((item) => ({
@@ -41,19 +54,50 @@ const buildReport = (commissionId, rubricId, similarity, total) => {
     aparece_en: item.students || [],
   }));
 
+  const coincidencias_externas = (external?.matches || []).map((item) => ({
+    alumno: item.student,
+    alumno_origen: item.source.student_name,
+    comision_origen: item.source.commission_id,
+    nombre_comision_origen: item.source.commission_name,
+    anio_origen: item.source.year,
+    rubrica_origen: item.source.rubric_id,
+    identico: item.identical,
+    metodo: item.method,
+    porcentaje_similitud: item.percentage || 0,
+    porcentaje_por_alumno: item.percentage_by_student || [],
+    regiones_coincidentes: (item.matched_regions || []).map((region) => ({
+      archivo_a: region.file_a,
+      lineas_a: `${region.start_a}-${region.end_a}`,
+      archivo_b: region.file_b,
+      lineas_b: `${region.start_b}-${region.end_b}`,
+      huellas: region.fingerprints,
+    })),
+  }));
+
   return {
     commission_id: commissionId,
     rubric_id: rubricId,
+    alcance: external?.scope || SIMILARITY_SCOPES.COMMISSION,
+    rubricas_externas_consultadas: external?.rubrics_searched || 0,
     generado: new Date().toISOString(),
     total_proyectos_analizados: total,
+    codigo_base_excluido: Boolean(similarity.baselineApplied),
     total_grupos_identicos: proyectos_identicos.length,
     total_copias_parciales: copias_parciales.length,
     proyectos_identicos,
     copias_parciales,
     archivos_mas_copiados,
+    total_coincidencias_externas: coincidencias_externas.length,
+    coincidencias_externas,
   };
 };
 
+const SCOPE_LABELS = {
+  [SIMILARITY_SCOPES.COMMISSION]: 'Solo la comisión',
+  [SIMILARITY_SCOPES.COURSE]: 'Todas las comisiones del curso',
+  [SIMILARITY_SCOPES.HISTORY]: 'Años anteriores',
+};
+
 const addSectionTitle = (doc, text) => {
   doc.moveDown(0.5).fontSize(16).fillColor(COLORS.primary).font('Helvetica-Bold').text(text);
 };
@@ -218,6 +262,8 @@ const generatePdfBuffer = (report) =>
         ['Total de proyectos analizados', String(report.total_proyectos_analizados)],
         ['Grupos con proyectos 100% idénticos', String(report.total_grupos_identicos)],
         ['Casos de copias parciales detectados', String(report.total_copias_parciales)],
+        ['Código base de la cátedra', report.codigo_base_excluido ? 'Excluido' : 'No cargado'],
+        ['Alcance', SCOPE_LABELS[report.alcance] || report.alcance],
         ['Fecha de generación', new Date(report.generado).toLocaleString('es-AR')],
       ],
       [inchToPt(4), inchToPt(2)],
@@ -311,12 +357,26 @@ const generatePdfBuffer = (report) =>
           [`Caso ${idx + 1}`, ''],
           ['Estudiantes', `${copia.alumnos?.[0] || ''} ↔ ${copia.alumnos?.[1] || ''}`],
           ['Similitud', `${copia.porcentaje_similitud}%`],
-          ['Archivos copiados', `${copia.total_archivos_comunes} archivos`],
+          ['Archivos con coincidencias', `${copia.total_archivos_comunes} archivos`],
         ];
 
-        // Agregar archivos (máximo 5)
+        // Agregar regiones coincidentes o, sin huellas, archivos idénticos (máximo 5)
+        const regiones = copia.regiones_coincidentes || [];
         const archivos = copia.archivos_copiados || [];
-        if (archivos.length > 0) {
+        const nombreCorto = (ruta) => ruta?.split(/[/\\]/).pop() || '';
+        if (regiones.length > 0) {
+          casoRows.push(['Fragmentos:', '']);
+          regiones.slice(0, 5).forEach((region) => {
+            casoRows.push([
+              '',
+              `• ${nombreCorto(region.archivo_a)} (l. ${region.lineas_a}) ↔ ${nombreCorto(region.archivo_b)} (l. ${region.lineas_b})`,
+            ]);
+          });
+
+          if (regiones.length > 5) {
+            casoRows.push(['', `... y ${regiones.length - 5} más`]);
+          }
+        } else if (archivos.length > 0) {
           casoRows.push(['Archivos detectados:', '']);
           archivos.slice(0, 5).forEach(archivo => {
             const nombre = archivo.nombre?.split(/[/\\]/).pop() || '';
@@ -351,6 +411,52 @@ const generatePdfBuffer = (report) =>
       doc.moveDown(0.5);
     }
 
+    // Coincidencias con otras comisiones o años
+    if (report.alcance !== SIMILARITY_SCOPES.COMMISSION) {
+      const externas = report.coincidencias_externas || [];
+      doc.fontSize(16).fillColor('#2c3e50').font('Helvetica-Bold');
+      doc.text(`Coincidencias fuera de la comisión (${SCOPE_LABELS[report.alcance] || report.alcance})`);
+      doc.moveDown(0.3);
+
+      if (!externas.length) {
+        doc.fontSize(11).fillColor('#27ae60').font('Helvetica-Bold');
+        doc.text(
+          `No se detectaron coincidencias en ${report.rubricas_externas_consultadas} rúbricas consultadas.`,
+          { indent: 15 }
+        );
+        doc.moveDown(0.5);
+      } else {
+        // La tabla no se parte entre páginas
+        if (doc.y > doc.page.height - 420) {
+          doc.addPage();
+          pageNumber++;
+        }
+
+        const tableRows = [['Alumno', 'Origen (comisión, año)', 'Alumno de origen', 'Similitud']];
+        externas.slice(0, 15).forEach((item) => {
+          tableRows.push([
+            item.alumno,
+            `${item.nombre_comision_origen} (${item.anio_origen})`,
+            item.alumno_origen,
+            item.identico ? '100% (idéntico)' : `${item.porcentaje_similitud}%`,
+          ]);
+        });
+
+        drawTable(doc, tableRows, [inchToPt(1.6), inchToPt(1.9), inchToPt(1.6), inchToPt(0.9)], {
+          header: true,
+          rowBg: ['#ffffff', '#fef5e7'],
+          headerBg: '#e67e22',
+          fontSize: 8,
+          align: ['left', 'left', 'left', 'center'],
+        });
+
+        if (externas.length > 15) {
+          addParagraph(doc, `... y ${externas.length - 15} coincidencias más (ver el análisis en JSON)`, { size: 9 });
+        }
+        doc.moveDown(0.5);
+      }
+    }
+
     // Archivos más copiados
     if (report.archivos_mas_copiados?.length) {
       doc.fontSize(16).fillColor('#2c3e50').font('Helvetica-Bold');
@@ -388,7 +494,15 @@ const generatePdfBuffer = (report) =>
     doc.end();
   });
 
-export const generateReport = async (commissionId, rubricId) => {
+/**
+ * Genera el reporte de similitud de una rúbrica
+ * @param {String} commissionId
+ * @param {String} rubricId
+ * @param {Object} options - { scope: commission | course | history (default: commission) }
+ * @returns {Promise<Object>}
+ */
+export const generateReport = async (commissionId, rubricId, { scope } = {}) => {
+  const resolvedScope = resolveScope(scope);
   const projectHashes = await ProjectHash.findByCommissionAndRubric(commissionId, rubricId);
   if (!projectHashes.length) {
     const err = new Error('No se encontraron proyectos para esta comisión y rúbrica');
@@ -396,13 +510,28 @@ export const generateReport = async (commissionId, rubricId) => {
     throw err;
   }
 
-  const similarity = SimilarityDetectorService.detectSimilarities(projectHashes);
-  const report = buildReport(commissionId, rubricId, similarity, projectHashes.length);
+  // El código base de la rúbrica (si se cargó) no cuenta como coincidencia
+  const baseline = await SimilarityBaseline.findForRubric(rubricId);
+  const similarity = SimilarityDetectorService.detectSimilarities(projectHashes, { baseline });
+
+  // Coincidencias con otras comisiones del curso o con años anteriores
+  let external = null;
+  if (resolvedScope !== SIMILARITY_SCOPES.COMMISSION) {
+    const rubric = await Rubric.findOne({ rubric_id: rubricId });
+    if (!rubric) {
+      const err = new Error('Rúbrica no encontrada');
+      err.statusCode = 404;
+      throw err;
+    }
+    external = await findExternalMatches(rubric, projectHashes, resolvedScope, { baseline });
+  }
+
+  const report = buildReport(commissionId, rubricId, similarity, projectHashes.length, external);
   return report;
 };
 
-export const generateReportPdf = async (commissionId, rubricId) => {
-  const report = await generateReport(commissionId, rubricId);
+export const generateReportPdf = async (commissionId, rubricId, options = {}) => {
+  const report = await generateReport(commissionId, rubricId, options);
   const buffer = await generatePdfBuffer(report);
   return { buffer, report };
 };
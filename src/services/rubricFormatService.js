@@ -0,0 +1,515 @@
+/**
+ * Servicio de Importación/Exportación de Rúbricas
+ * Convierte tablas (CSV/XLSX) y documentos Markdown estructurados a rubric_json, y viceversa
+ *
+ * Tabla (CSV/XLSX): una fila por criterio
+ *   id | criterio | descripcion | peso | puntaje_maximo | niveles
+ *   - niveles: "Excelente (4): descripción | Bueno (3): descripción"
+ *   - también se aceptan columnas de nivel con el puntaje en el encabezado: "Excelente (4)"
+ *
+ * Markdown:
+ *   # Título de la rúbrica
+ *   Descripción opcional
+ *   ## C1 - Modularización (peso: 40, máximo: 4)
+ *   Descripción del criterio
+ *   - Excelente (4): descripción del nivel
+ */
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { getRubricCriteria, getCriterionLevels } from '../utils/rubricCriteria.js';
+
+// Formatos soportados
+export const RUBRIC_FORMATS = {
+  MARKDOWN: 'md',
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json',
+};
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+// Encabezados aceptados (normalizados) para cada columna de la tabla
+const COLUMN_ALIASES = {
+  id: ['id', 'codigo', 'criterion_id', 'criterio_id'],
+  name: ['criterio', 'criterion', 'name', 'nombre'],
+  description: ['descripcion', 'description', 'detalle'],
+  weight: ['peso', 'weight', 'ponderacion', 'porcentaje'],
+  max_score: ['puntaje_maximo', 'max_score', 'maximo', 'puntaje', 'puntos', 'points'],
+  levels: ['niveles', 'levels'],
+};
+
+const TABLE_HEADERS = ['id', 'criterio', 'descripcion', 'peso', 'puntaje_maximo', 'niveles'];
+
+// "Excelente (4)" / "Excelente (4 pts)"
+const LEVEL_LABEL_REGEX = /^(.+?)\s*\(\s*(-?\d+(?:[.,]\d+)?)\s*(?:pts?|puntos)?\s*\)$/i;
+
+/**
+ * Crea un error de formato (400) para que el controlador lo informe al usuario
+ * @param {String} message
+ * @returns {Error}
+ */
+const formatError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Normaliza un encabezado: minúsculas, sin acentos, espacios por guiones bajos
+ * @param {String} header
+ * @returns {String}
+ */
+const normalizeHeader = (header) =>
+  String(header || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+/**
+ * Genera un slug para rubric_id a partir del título
+ * @param {String} title
+ * @returns {String}
+ */
+const slugify = (title) => normalizeHeader(title).replace(/_/g, '-') || 'rubrica';
+
+/**
+ * Convierte un texto a número; si no es numérico devuelve el texto (lo informa la validación del esquema)
+ * @param {String} value
+ * @returns {Number|String|undefined}
+ */
+const parseNumeric = (value) => {
+  const text = String(value ?? '').trim();
+  if (text === '') return undefined;
+  const parsed = Number(text.replace('%', '').replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : text;
+};
+
+/**
+ * Parsea una etiqueta de nivel "Nombre (puntaje)"
+ * @param {String} label
+ * @returns {{name: String, score: Number}|null}
+ */
+const parseLevelLabel = (label) => {
+  const match = String(label || '').trim().match(LEVEL_LABEL_REGEX);
+  if (!match) return null;
+  return { name: match[1].replace(/\*+/g, '').trim(), score: Number(match[2].replace(',', '.')) };
+};
+
+/**
+ * Parsea la celda de niveles: "Excelente (4): desc | Bueno (3): desc" (también separados por salto de línea)
+ * @param {String} text
+ * @returns {Array<{name: String, score: Number, description: String}>}
+ */
+const parseLevelsCell = (text) =>
+  String(text || '')
+    .split(/\s*\|\s*|\r?\n/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .map((chunk) => {
+      const separator = chunk.indexOf(':');
+      const label = separator >= 0 ? chunk.slice(0, separator) : chunk;
+      const description = separator >= 0 ? chunk.slice(separator + 1).trim() : '';
+      const parsed = parseLevelLabel(label);
+      if (!parsed) {
+        throw formatError(`Nivel con formato inválido: "${chunk}" (se espera "Nombre (puntaje): descripción")`);
+      }
+      return { ...parsed, description };
+    });
+
+/**
+ * Completa max_score con el mayor puntaje de los niveles cuando no viene informado
+ * @param {Object} criterion
+ * @returns {Object}
+ */
+const withDefaultMaxScore = (criterion) => {
+  if (criterion.max_score !== undefined || !criterion.levels?.length) {
+    return criterion;
+  }
+  return { ...criterion, max_score: Math.max(...criterion.levels.map((l) => l.score)) };
+};
+
+/**
+ * Arma el rubric_json final
+ * @param {String} title
+ * @param {String} description
+ * @param {Array} criteria
+ * @returns {Object}
+ */
+const buildRubricJson = (title, description, criteria) => {
+  if (criteria.length === 0) {
+    throw formatError('No se encontraron criterios en el archivo');
+  }
+
+  const rubricJson = {
+    rubric_id: slugify(title),
+    title,
+    criteria: criteria.map(withDefaultMaxScore),
+  };
+  if (description) rubricJson.description = description;
+  return rubricJson;
+};
+
+/**
+ * Convierte una tabla (matriz de celdas con encabezado) a rubric_json
+ * @param {Array<Array<String>>} rows
+ * @param {String} title
+ * @returns {Object} rubric_json
+ */
+const tableToRubricJson = (rows, title) => {
+  const [headerRow, ...dataRows] = rows;
+  if (!headerRow) {
+    throw formatError('El archivo está vacío');
+  }
+
+  const columns = {};
+  const levelColumns = [];
+
+  headerRow.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find((key) => COLUMN_ALIASES[key].includes(normalized));
+
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+      return;
+    }
+
+    const level = parseLevelLabel(header);
+    if (level) levelColumns.push({ index, ...level });
+  });
+
+  if (columns.name === undefined) {
+    throw formatError(`Falta la columna del criterio (alguno de: ${COLUMN_ALIASES.name.join(', ')})`);
+  }
+
+  const cell = (row, field) => (columns[field] !== undefined ? String(row[columns[field]] ?? '').trim() : '');
+
+  const criteria = dataRows
+    .filter((row) => cell(row, 'name') !== '')
+    .map((row, index) => {
+      const criterion = {
+        id: cell(row, 'id') || `C${index + 1}`,
+        name: cell(row, 'name'),
+      };
+
+      const description = cell(row, 'description');
+      if (description) criterion.description = description;
+
+      const weight = parseNumeric(cell(row, 'weight'));
+      if (weight !== undefined) criterion.weight = weight;
+
+      const maxScore = parseNumeric(cell(row, 'max_score'));
+      if (maxScore !== undefined) criterion.max_score = maxScore;
+
+      const levels = [
+        ...parseLevelsCell(cell(row, 'levels')),
+        ...levelColumns
+          .filter((level) => String(row[level.index] ?? '').trim() !== '')
+          .map((level) => ({ name: level.name, score: level.score, description: String(row[level.index]).trim() })),
+      ];
+      if (levels.length > 0) criterion.levels = levels;
+
+      return criterion;
+    });
+
+  return buildRubricJson(title, null, criteria);
+};
+
+/**
+ * Parsea un documento Markdown estructurado a rubric_json
+ * @param {String} text
+ * @param {String} fallbackTitle
+ * @returns {Object} rubric_json
+ */
+const markdownToRubricJson = (text, fallbackTitle) => {
+  let title = null;
+  const descriptionLines = [];
+  const criteria = [];
+  let current = null;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    const titleMatch = line.match(/^#\s+(.+)$/);
+    if (titleMatch && !title && !current) {
+      title = titleMatch[1].trim();
+      continue;
+    }
+
+    const criterionMatch = line.match(/^##\s+(.+)$/);
+    if (criterionMatch) {
+      let heading = criterionMatch[1].trim();
+      current = { id: `C${criteria.length + 1}`, descriptionLines: [], levels: [] };
+
+      // Atributos entre paréntesis al final: (peso: 40, máximo: 4)
+      const attrsMatch = heading.match(/\(([^()]*:[^()]*)\)\s*$/);
+      if (attrsMatch) {
+        heading = heading.slice(0, attrsMatch.index).trim();
+        attrsMatch[1].split(/[,;]/).forEach((pair) => {
+          const [key, value] = pair.split(':').map((part) => part?.trim());
+          const field = Object.keys(COLUMN_ALIASES).find((k) => COLUMN_ALIASES[k].includes(normalizeHeader(key)));
+          if (field === 'weight' || field === 'max_score') {
+            current[field] = parseNumeric(value);
+          }
+        });
+      }
+
+      // ID opcional al inicio: "C1 - Nombre", "1. Nombre", "C1: Nombre"
+      const idMatch = heading.match(/^([A-Za-z]{0,3}\d+(?:\.\d+)*)\s*[-–—:.·]\s+(.+)$/);
+      if (idMatch) {
+        current.id = idMatch[1];
+        heading = idMatch[2];
+      }
+
+      current.name = heading;
+      criteria.push(current);
+      continue;
+    }
+
+    const levelMatch = line.match(/^[-*]\s+(.+)$/);
+    if (levelMatch && current) {
+      const [level] = parseLevelsCell(levelMatch[1].replace(/\*\*/g, ''));
+      current.levels.push(level);
+      continue;
+    }
+
+    if (line && !line.startsWith('#')) {
+      (current ? current.descriptionLines : descriptionLines).push(line);
+    }
+  }
+
+  const normalizedCriteria = criteria.map(({ descriptionLines: lines, levels, ...criterion }) => {
+    const result = { ...criterion };
+    if (lines.length > 0) result.description = lines.join(' ');
+    if (levels.length > 0) result.levels = levels;
+    return result;
+  });
+
+  return buildRubricJson(title || fallbackTitle, descriptionLines.join(' ') || null, normalizedCriteria);
+};
+
+/**
+ * Lee la primera hoja (o la hoja "Criterios") de un XLSX como matriz de textos
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<Array<String>>>}
+ */
+const readXlsxRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw formatError(`No se pudo leer el archivo XLSX: ${error.message}`);
+  }
+
+  const sheet = workbook.getWorksheet('Criterios') || workbook.worksheets[0];
+  if (!sheet) {
+    throw formatError('El archivo XLSX no tiene hojas');
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col += 1) {
+      cells.push(row.getCell(col).text ?? '');
+    }
+    rows.push(cells);
+  });
+  return rows;
+};
+
+/**
+ * Detecta el formato de un archivo por su extensión
+ * @param {String} filename
+ * @returns {String|null} Formato de RUBRIC_FORMATS o null si no es soportado
+ */
+export const detectRubricFormat = (filename) => {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  const format = extension === 'markdown' ? 'md' : extension;
+  return Object.values(RUBRIC_FORMATS).includes(format) ? format : null;
+};
+
+/**
+ * Convierte un archivo de rúbrica a rubric_json
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {String} format - md | csv | xlsx | json
+ * @param {Object} options - { title } (título por defecto si el archivo no lo define)
+ * @returns {Promise<Object>} rubric_json (sin validar)
+ * @throws {Error} statusCode 400 si el archivo no tiene el formato esperado
+ */
+export const parseRubricFile = async (buffer, format, options = {}) => {
+  const title = options.title || 'Rúbrica importada';
+
+  switch (format) {
+    case RUBRIC_FORMATS.JSON:
+      try {
+        return JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+      } catch (error) {
+        throw formatError(`JSON inválido: ${error.message}`);
+      }
+    case RUBRIC_FORMATS.CSV:
+      return tableToRubricJson(parseCsv(buffer.toString('utf8')), title);
+    case RUBRIC_FORMATS.XLSX:
+      return tableToRubricJson(await readXlsxRows(buffer), title);
+    case RUBRIC_FORMATS.MARKDOWN:
+      return markdownToRubricJson(buffer.toString('utf8'), title);
+    default:
+      throw formatError(`Formato no soportado: ${format}. Formatos válidos: ${Object.values(RUBRIC_FORMATS).join(', ')}`);
+  }
+};
+
+/**
+ * Formatea un número para exportar (sin decimales innecesarios)
+ * @param {Number|null} value
+ * @returns {String}
+ */
+const formatNumber = (value) => (value === null || value === undefined ? '' : String(Math.round(value * 100) / 100));
+
+/**
+ * Criterios de la rúbrica con sus niveles, listos para exportar
+ * @param {Object} rubricJson
+ * @returns {Array}
+ */
+const getExportCriteria = (rubricJson) => {
+  const rawCriteria = rubricJson?.criteria || rubricJson?.criterios || [];
+  return getRubricCriteria(rubricJson).map((criterion, index) => ({
+    ...criterion,
+    levels: getCriterionLevels(rawCriteria[index]),
+  }));
+};
+
+/**
+ * Texto de la celda de niveles: "Excelente (4): desc | Bueno (3): desc"
+ * @param {Array} levels
+ * @returns {String}
+ */
+const formatLevelsCell = (levels) =>
+  levels
+    .map((level) => `${level.name} (${formatNumber(level.score)})${level.description ? `: ${level.description}` : ''}`)
+    .join(' | ');
+
+/**
+ * Filas de la tabla de criterios (con encabezado)
+ * @param {Object} rubricJson
+ * @returns {Array<Array<String>>}
+ */
+const rubricToTableRows = (rubricJson) => [
+  TABLE_HEADERS,
+  ...getExportCriteria(rubricJson).map((criterion) => [
+    criterion.id,
+    criterion.name,
+    criterion.description || '',
+    formatNumber(criterion.weight),
+    formatNumber(criterion.max_score),
+    formatLevelsCell(criterion.levels),
+  ]),
+];
+
+/**
+ * Convierte una rúbrica a Markdown estructurado (mismo formato que acepta la importación)
+ * @param {Document} rubric
+ * @returns {String}
+ */
+const rubricToMarkdown = (rubric) => {
+  const rubricJson = rubric.rubric_json || {};
+  const lines = [`# ${rubricJson.title || rubricJson.titulo || rubric.name}`, ''];
+
+  const description = rubricJson.description || rubricJson.descripcion;
+  if (description) lines.push(description, '');
+
+  for (const criterion of getExportCriteria(rubricJson)) {
+    const attrs = [];
+    if (criterion.weight !== null) attrs.push(`peso: ${formatNumber(criterion.weight)}`);
+    if (criterion.max_score !== null) attrs.push(`máximo: ${formatNumber(criterion.max_score)}`);
+
+    lines.push(`## ${criterion.id} - ${criterion.name}${attrs.length ? ` (${attrs.join(', ')})` : ''}`, '');
+    if (criterion.description) lines.push(criterion.description, '');
+
+    if (criterion.levels.length > 0) {
+      criterion.levels.forEach((level) => {
+        lines.push(`- ${level.name} (${formatNumber(level.score)})${level.description ? `: ${level.description}` : ''}`);
+      });
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Convierte una rúbrica a XLSX (hoja "Criterios" con la tabla importable y hoja "Rúbrica" con los datos generales)
+ * @param {Document} rubric
+ * @returns {Promise<Buffer>}
+ */
+const rubricToXlsx = async (rubric) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Criterios');
+  sheet.addRows(rubricToTableRows(rubric.rubric_json));
+  sheet.getRow(1).font = { bold: true };
+  sheet.columns = [{ width: 8 }, { width: 30 }, { width: 50 }, { width: 8 }, { width: 15 }, { width: 80 }];
+  sheet.getColumn(3).alignment = { wrapText: true, vertical: 'top' };
+  sheet.getColumn(6).alignment = { wrapText: true, vertical: 'top' };
+
+  const info = workbook.addWorksheet('Rúbrica');
+  info.addRows([
+    ['rubric_id', rubric.rubric_id],
+    ['nombre', rubric.name],
+    ['tipo', rubric.rubric_type],
+    ['número', rubric.rubric_number],
+    ['comisión', rubric.commission_id],
+    ['curso', rubric.course_id],
+    ['año', rubric.year],
+    ['versión', rubric.current_version],
+  ]);
+  info.getColumn(1).font = { bold: true };
+  info.getColumn(1).width = 15;
+  info.getColumn(2).width = 60;
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Exporta una rúbrica en el formato indicado
+ * @param {Document} rubric - Documento Rubric
+ * @param {String} format - md | csv | xlsx | json
+ * @returns {Promise<{content: Buffer|String, contentType: String, extension: String}>}
+ * @throws {Error} statusCode 400 si el formato no es soportado
+ */
+export const exportRubric = async (rubric, format) => {
+  let content;
+
+  switch (format) {
+    case RUBRIC_FORMATS.JSON:
+      content = JSON.stringify(rubric.rubric_json, null, 2);
+      break;
+    case RUBRIC_FORMATS.CSV:
+      content = toCsv(rubricToTableRows(rubric.rubric_json), { bom: true });
+      break;
+    case RUBRIC_FORMATS.XLSX:
+      content = await rubricToXlsx(rubric);
+      break;
+    case RUBRIC_FORMATS.MARKDOWN:
+      content = rubricToMarkdown(rubric);
+      break;
+    default:
+      throw formatError(`Formato no soportado: ${format}. Formatos válidos: ${Object.values(RUBRIC_FORMATS).join(', ')}`);
+  }
+
+  return { content, contentType: CONTENT_TYPES[format], extension: format };
+};
+
+export default {
+  RUBRIC_FORMATS,
+  detectRubricFormat,
+  parseRubricFile,
+  exportRubric,
+};
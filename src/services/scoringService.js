@@ -0,0 +1,407 @@
+/**
+ * Servicio de Puntaje
+ * Recalcula la nota final a partir de los puntajes por criterio y la ponderación de la rúbrica,
+ * en lugar de confiar en el total que informa el proveedor (LLM o n8n)
+ *
+ * - Con pesos en la rúbrica: porcentaje = Σ (puntaje / máximo) × peso normalizado
+ * - Sin pesos: porcentaje = Σ puntajes / Σ máximos
+ * La nota se expresa en la escala configurada (0-10, 0-100 o letra) y se redondea según Rubric.scoring
+ * Si la entrega es tardía, se descuenta el porcentaje que corresponda según Rubric.deadline (ver deadlineService)
+ */
+import { GRADE_SCALES, ROUNDING_MODES } from '../models/Rubric.js';
+import { getRubricCriteria } from '../utils/rubricCriteria.js';
+import { computeLatePenalty } from './deadlineService.js';
+
+// Configuración por defecto (rúbricas sin scoring configurado)
+export const DEFAULT_SCORING_CONFIG = {
+  scale: GRADE_SCALES.TEN,
+  rounding_mode: 'half-up',
+  rounding_step: 0.01,
+  pass_threshold: 60,
+  disagreement_tolerance: 5,
+  letter_grades: [],
+};
+
+// Tabla de letras por defecto (porcentaje mínimo de cada letra)
+export const DEFAULT_LETTER_GRADES = [
+  { letter: 'A', min_percentage: 90 },
+  { letter: 'B', min_percentage: 80 },
+  { letter: 'C', min_percentage: 70 },
+  { letter: 'D', min_percentage: 60 },
+  { letter: 'F', min_percentage: 0 },
+];
+
+// Nota máxima de cada escala numérica (las letras se comparan en 0-10)
+const SCALE_MAX = {
+  [GRADE_SCALES.TEN]: 10,
+  [GRADE_SCALES.HUNDRED]: 100,
+  [GRADE_SCALES.LETTER]: 10,
+};
+
+/**
+ * Normaliza un texto para comparar nombres de criterios
+ * @param {String} value
+ * @returns {String}
+ */
+const normalizeKey = (value) =>
+  String(value ?? '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Cantidad de decimales de un número (para evitar errores de punto flotante al redondear)
+ * @param {Number} value
+ * @returns {Number}
+ */
+const decimalsOf = (value) => {
+  const text = String(value);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+};
+
+/**
+ * Redondea un valor según el modo y el paso configurados
+ * @param {Number} value
+ * @param {String} mode - half-up | floor | ceil | none
+ * @param {Number} step - Paso de redondeo (0.01, 0.5, 1...)
+ * @returns {Number}
+ */
+export const roundGrade = (value, mode = 'half-up', step = 0.01) => {
+  if (mode === 'none' || !step) return value;
+
+  const units = value / step;
+  // Tolerancia para valores como 6.9999999 por errores de punto flotante
+  const epsilon = 1e-9;
+  let rounded;
+  if (mode === 'floor') rounded = Math.floor(units + epsilon);
+  else if (mode === 'ceil') rounded = Math.ceil(units - epsilon);
+  else rounded = Math.floor(units + 0.5 + epsilon);
+
+  return Number((rounded * step).toFixed(decimalsOf(step)));
+};
+
+/**
+ * Obtiene la configuración de puntaje de una rúbrica (con valores por defecto)
+ * @param {Document|Object} rubric
+ * @returns {Object}
+ */
+export const getScoringConfig = (rubric) => {
+  const scoring = rubric?.scoring?.toObject ? rubric.scoring.toObject() : rubric?.scoring || {};
+  const config = { ...DEFAULT_SCORING_CONFIG };
+
+  Object.keys(DEFAULT_SCORING_CONFIG).forEach((key) => {
+    if (scoring[key] !== undefined && scoring[key] !== null) {
+      config[key] = scoring[key];
+    }
+  });
+
+  if (!Array.isArray(config.letter_grades) || config.letter_grades.length === 0) {
+    config.letter_grades = DEFAULT_LETTER_GRADES;
+  }
+
+  return config;
+};
+
+/**
+ * Valida una configuración de puntaje enviada por el usuario
+ * @param {Object} scoring
+ * @returns {Array<{path: String, message: String}>} Errores (vacío si es válida)
+ */
+export const validateScoringConfig = (scoring) => {
+  const errors = [];
+
+  if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) {
+    return [{ path: '/scoring', message: 'scoring debe ser un objeto' }];
+  }
+
+  if (scoring.scale !== undefined && !Object.values(GRADE_SCALES).includes(scoring.scale)) {
+    errors.push({ path: '/scoring/scale', message: `Debe ser una de: ${Object.values(GRADE_SCALES).join(', ')}` });
+  }
+  if (scoring.rounding_mode !== undefined && !ROUNDING_MODES.includes(scoring.rounding_mode)) {
+    errors.push({ path: '/scoring/rounding_mode', message: `Debe ser uno de: ${ROUNDING_MODES.join(', ')}` });
+  }
+  if (scoring.rounding_step !== undefined && !(Number(scoring.rounding_step) >= 0)) {
+    errors.push({ path: '/scoring/rounding_step', message: 'Debe ser un número mayor o igual a 0' });
+  }
+
+  ['pass_threshold', 'disagreement_tolerance'].forEach((key) => {
+    if (scoring[key] === undefined) return;
+    const value = Number(scoring[key]);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      errors.push({ path: `/scoring/${key}`, message: 'Debe ser un porcentaje entre 0 y 100' });
+    }
+  });
+
+  if (scoring.letter_grades !== undefined) {
+    if (!Array.isArray(scoring.letter_grades)) {
+      errors.push({ path: '/scoring/letter_grades', message: 'Debe ser una lista de { letter, min_percentage }' });
+    } else {
+      scoring.letter_grades.forEach((entry, index) => {
+        const min = Number(entry?.min_percentage);
+        if (!entry?.letter || !Number.isFinite(min) || min < 0 || min > 100) {
+          errors.push({
+            path: `/scoring/letter_grades/${index}`,
+            message: 'Cada letra requiere letter y min_percentage entre 0 y 100',
+          });
+        }
+      });
+      if (scoring.letter_grades.length > 0 && !scoring.letter_grades.some((entry) => Number(entry?.min_percentage) === 0)) {
+        errors.push({ path: '/scoring/letter_grades', message: 'Debe haber una letra con min_percentage 0' });
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Busca el resultado de la corrección que corresponde a un criterio de la rúbrica
+ * Primero por id, luego por nombre y por último por posición (si la cantidad coincide)
+ * @param {Object} rubricCriterion
+ * @param {Number} index
+ * @param {Array} correctionCriteria
+ * @param {Set} used - Índices ya asignados
+ * @param {Boolean} sameLength - Si la corrección tiene la misma cantidad de criterios que la rúbrica
+ * @returns {Object|null}
+ */
+const matchCriterion = (rubricCriterion, index, correctionCriteria, used, sameLength) => {
+  const candidates = [
+    (c) => c.id !== null && c.id !== undefined && normalizeKey(c.id) === normalizeKey(rubricCriterion.id),
+    (c) => c.name && normalizeKey(c.name) === normalizeKey(rubricCriterion.name),
+  ];
+
+  for (const predicate of candidates) {
+    const foundIndex = correctionCriteria.findIndex((c, i) => !used.has(i) && predicate(c));
+    if (foundIndex >= 0) {
+      used.add(foundIndex);
+      return correctionCriteria[foundIndex];
+    }
+  }
+
+  if (sameLength && !used.has(index)) {
+    used.add(index);
+    return correctionCriteria[index];
+  }
+
+  return null;
+};
+
+/**
+ * Calcula el porcentaje obtenido (0-100) a partir de los criterios
+ * @param {Array} correctionCriteria - criteria de la corrección [{ id, name, score, max_score }]
+ * @param {Object} rubricJson - rubric_json de la rúbrica
+ * @returns {{percentage: Number|null, method: String|null, breakdown: Array, warnings: Array<String>}}
+ */
+export const computePercentage = (correctionCriteria = [], rubricJson = null) => {
+  const warnings = [];
+  const rubricCriteria = getRubricCriteria(rubricJson);
+
+  // Sin criterios en la rúbrica: usar los máximos informados por la corrección
+  const baseCriteria = rubricCriteria.length > 0
+    ? rubricCriteria
+    : correctionCriteria.map((c, index) => ({
+      id: c.id || `C${index + 1}`,
+      name: c.name,
+      weight: null,
+      max_score: c.max_score ?? null,
+    }));
+
+  if (baseCriteria.length === 0) {
+    return { percentage: null, method: null, breakdown: [], warnings: ['La corrección no tiene criterios'] };
+  }
+
+  const used = new Set();
+  const sameLength = correctionCriteria.length === baseCriteria.length;
+
+  const breakdown = baseCriteria.map((criterion, index) => {
+    const result = matchCriterion(criterion, index, correctionCriteria, used, sameLength);
+    const maxScore = criterion.max_score ?? result?.max_score ?? null;
+    let score = result?.score ?? null;
+
+    if (score === null) {
+      warnings.push(`Sin puntaje para el criterio "${criterion.name}" (se cuenta como 0)`);
+      score = 0;
+    }
+    if (maxScore !== null && score > maxScore) {
+      warnings.push(`El puntaje del criterio "${criterion.name}" (${score}) supera el máximo (${maxScore})`);
+      score = maxScore;
+    }
+    if (score < 0) {
+      warnings.push(`El puntaje del criterio "${criterion.name}" es negativo (se cuenta como 0)`);
+      score = 0;
+    }
+
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      score,
+      max_score: maxScore,
+      weight: criterion.weight,
+      ratio: maxScore ? score / maxScore : null,
+    };
+  });
+
+  const unmatched = correctionCriteria.length - used.size;
+  if (unmatched > 0 && rubricCriteria.length > 0) {
+    warnings.push(`${unmatched} criterio(s) de la corrección no existen en la rúbrica y se ignoraron`);
+  }
+
+  const weighted = breakdown.every((c) => c.weight !== null && c.ratio !== null);
+  if (weighted) {
+    const totalWeight = breakdown.reduce((sum, c) => sum + c.weight, 0);
+    if (totalWeight > 0) {
+      const percentage = breakdown.reduce((sum, c) => sum + c.ratio * (c.weight / totalWeight), 0) * 100;
+      return { percentage, method: 'weighted', breakdown, warnings };
+    }
+  }
+
+  if (breakdown.every((c) => c.max_score !== null)) {
+    const totalMax = breakdown.reduce((sum, c) => sum + c.max_score, 0);
+    if (totalMax > 0) {
+      const percentage = (breakdown.reduce((sum, c) => sum + c.score, 0) / totalMax) * 100;
+      return { percentage, method: 'points', breakdown, warnings };
+    }
+  }
+
+  warnings.push('No se puede calcular la nota: faltan puntajes máximos en los criterios');
+  return { percentage: null, method: null, breakdown, warnings };
+};
+
+/**
+ * Convierte un porcentaje a nota en la escala configurada
+ * @param {Number} percentage - 0 a 100
+ * @param {Object} config - Configuración de puntaje (getScoringConfig)
+ * @returns {{grade: Number, letter: String|null}}
+ */
+export const percentageToGrade = (percentage, config) => {
+  const scaleMax = SCALE_MAX[config.scale] ?? 10;
+  const grade = roundGrade((percentage / 100) * scaleMax, config.rounding_mode, config.rounding_step);
+
+  let letter = null;
+  if (config.scale === GRADE_SCALES.LETTER) {
+    const sorted = [...config.letter_grades].sort((a, b) => b.min_percentage - a.min_percentage);
+    letter = sorted.find((entry) => percentage >= entry.min_percentage)?.letter ?? sorted[sorted.length - 1]?.letter ?? null;
+  }
+
+  return { grade, letter };
+};
+
+/**
+ * Calcula la nota de una corrección con la configuración de la rúbrica
+ * @param {Object} correction - Datos de corrección ({ grade, criteria })
+ * @param {Document} rubric - Rubric (rubric_json, scoring y deadline)
+ * @param {Object} options - { submission } para aplicar el descuento por entrega tardía (late_status, minutes_late)
+ * @returns {Object|null} Datos para Submission.correction.computed (null si no hay rúbrica)
+ */
+export const scoreCorrection = (correction, rubric, options = {}) => {
+  if (!correction || !rubric) return null;
+
+  const config = getScoringConfig(rubric);
+  const { percentage, method, breakdown, warnings } = computePercentage(
+    correction.criteria || [],
+    rubric.rubric_json
+  );
+
+  const rawGrade = correction.grade ?? null;
+  const scaleMax = SCALE_MAX[config.scale] ?? 10;
+
+  // Descuento por entrega tardía (porcentaje de la nota)
+  const latePenalty = computeLatePenalty(options.submission, rubric);
+
+  if (percentage === null) {
+    // Sin puntajes por criterio la nota es la informada; el descuento por entrega tardía se aplica sobre ella
+    if (rawGrade !== null && latePenalty > 0) {
+      const rawPercentage = (rawGrade / scaleMax) * 100;
+      const finalPercentage = rawPercentage * (1 - latePenalty / 100);
+      const { grade, letter } = percentageToGrade(finalPercentage, config);
+      warnings.push(`Entrega tardía: se descontó el ${latePenalty}% de la nota (${rawGrade} → ${grade})`);
+
+      return {
+        grade,
+        letter,
+        percentage: Number(finalPercentage.toFixed(2)),
+        passed: finalPercentage >= config.pass_threshold,
+        scale: config.scale,
+        method: null,
+        raw_grade: rawGrade,
+        difference: null,
+        disagreement: false,
+        late_penalty: latePenalty,
+        grade_before_penalty: rawGrade,
+        warnings,
+        computed_at: new Date(),
+      };
+    }
+
+    return {
+      grade: null,
+      letter: null,
+      percentage: null,
+      passed: null,
+      scale: config.scale,
+      method: null,
+      raw_grade: rawGrade,
+      difference: null,
+      disagreement: false,
+      warnings,
+      computed_at: new Date(),
+    };
+  }
+
+  const finalPercentage = percentage * (1 - latePenalty / 100);
+  const { grade: gradeBeforePenalty } = percentageToGrade(percentage, config);
+  const { grade, letter } = percentageToGrade(finalPercentage, config);
+
+  if (latePenalty > 0) {
+    warnings.push(`Entrega tardía: se descontó el ${latePenalty}% de la nota (${gradeBeforePenalty} → ${grade})`);
+  }
+
+  // Nota que surge de los puntajes del proveedor (sin ajustes docentes), para compararla con su total
+  const criteria = correction.criteria || [];
+  const hasOverrides = criteria.some((c) => c.overridden);
+  let providerGrade = gradeBeforePenalty;
+  if (hasOverrides) {
+    const providerCriteria = criteria.map((c) => (c.overridden ? { ...c, score: c.original_score } : c));
+    const { percentage: providerPercentage } = computePercentage(providerCriteria, rubric.rubric_json);
+    providerGrade = percentageToGrade(providerPercentage, config).grade;
+  }
+
+  // Comparar el total informado por el proveedor con el calculado
+  const difference = rawGrade !== null ? Number((rawGrade - providerGrade).toFixed(4)) : null;
+  const tolerance = (config.disagreement_tolerance / 100) * scaleMax;
+  const disagreement = difference !== null && Math.abs(difference) > tolerance;
+
+  if (disagreement) {
+    warnings.push(`La nota informada (${rawGrade}) difiere de la calculada (${providerGrade}) en ${Math.abs(difference)}`);
+  }
+
+  return {
+    grade,
+    letter,
+    percentage: Number(finalPercentage.toFixed(2)),
+    passed: finalPercentage >= config.pass_threshold,
+    scale: config.scale,
+    method,
+    raw_grade: rawGrade,
+    difference,
+    disagreement,
+    has_overrides: hasOverrides,
+    late_penalty: latePenalty,
+    grade_before_penalty: gradeBeforePenalty,
+    breakdown: breakdown.map(({ ratio, ...rest }) => rest),
+    warnings,
+    computed_at: new Date(),
+  };
+};
+
+export default {
+  DEFAULT_SCORING_CONFIG,
+  DEFAULT_LETTER_GRADES,
+  roundGrade,
+  getScoringConfig,
+  validateScoringConfig,
+  computePercentage,
+  percentageToGrade,
+  scoreCorrection,
+};
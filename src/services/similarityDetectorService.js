@@ -1,27 +1,201 @@
 /**
  * Similarity Detector Service
  * Detecta copias totales y parciales entre proyectos usando hashes SHA256
+ * Los archivos se normalizan según su lenguaje (sin comentarios ni diferencias de espacios) antes de calcular los hashes
+ * Las copias parciales se miden por fragmentos con huellas de winnowing (fingerprintService); los proyectos
+ * procesados antes de incorporar las huellas se comparan por hash de archivo
+ * Si la rúbrica tiene código base (SimilarityBaseline), sus archivos y fragmentos no cuentan como coincidencias
  */
 import crypto from 'crypto';
+import path from 'path';
+import ConsolidatorService from './consolidatorService.js';
+import { fingerprintSource, compareFingerprints } from './fingerprintService.js';
+
+// Sintaxis de comentarios por lenguaje (lenguajes de ConsolidatorService.getLanguageFromExtension)
+const C_STYLE = { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'] };
+const HASH_STYLE = { line: ['#'], block: [], quotes: ['"', "'"] };
+const MARKUP_STYLE = { line: [], block: [['<!--', '-->']], quotes: [] };
+
+const COMMENT_SYNTAX = {
+  java: C_STYLE,
+  javascript: C_STYLE,
+  jsx: C_STYLE,
+  typescript: C_STYLE,
+  tsx: C_STYLE,
+  c: C_STYLE,
+  cpp: C_STYLE,
+  csharp: C_STYLE,
+  go: C_STYLE,
+  rust: C_STYLE,
+  kotlin: C_STYLE,
+  gradle: C_STYLE,
+  scss: C_STYLE,
+  sass: C_STYLE,
+  php: { ...C_STYLE, line: ['//', '#'] },
+  css: { line: [], block: [['/*', '*/']], quotes: ['"', "'"] },
+  python: HASH_STYLE,
+  ruby: HASH_STYLE,
+  bash: HASH_STYLE,
+  sql: { line: ['--'], block: [['/*', '*/']], quotes: ["'", '"'] },
+  html: MARKUP_STYLE,
+  xml: MARKUP_STYLE,
+  vue: MARKUP_STYLE,
+  svelte: MARKUP_STYLE,
+};
+
+// Porcentaje mínimo para informar una copia parcial
+const PARTIAL_COPY_PERCENTAGE = 50;
+// Huellas compartidas mínimas (evita falsos positivos entre proyectos muy chicos)
+const MIN_SHARED_FINGERPRINTS = 5;
+
+// Sin código base: no se ignora nada
+const NO_BASELINE = { project_hash: null, file_hashes: new Set(), fingerprints: new Set() };
+
+// Documentación y configuración: se consolidan pero no se comparan (suelen venir de la plantilla de la cátedra)
+const NON_SOURCE_LANGUAGES = new Set(['text', 'markdown', 'json', 'yaml', 'properties']);
+
+/**
+ * Elimina los comentarios de un código respetando los literales de texto
+ * @param {String} code
+ * @param {Object} syntax - { line: [String], block: [[inicio, fin]], quotes: [String] }
+ * @returns {String}
+ */
+const stripComments = (code, syntax) => {
+  let result = '';
+  let i = 0;
+
+  while (i < code.length) {
+    const quote = syntax.quotes.find((q) => code.startsWith(q, i));
+    if (quote) {
+      // Copiar el literal completo (con escapes) sin buscar comentarios dentro
+      let end = i + 1;
+      while (end < code.length && code[end] !== quote && !(quote !== '`' && code[end] === '\n')) {
+        end += code[end] === '\\' ? 2 : 1;
+      }
+      result += code.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    const lineStart = syntax.line.find((marker) => code.startsWith(marker, i));
+    if (lineStart) {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+      continue;
+    }
+
+    const block = syntax.block.find(([start]) => code.startsWith(start, i));
+    if (block) {
+      const end = code.indexOf(block[1], i + block[0].length);
+      // Conservar los saltos de línea del comentario para no unir líneas de código
+      const comment = end === -1 ? code.slice(i) : code.slice(i, end + block[1].length);
+      result += '\n'.repeat((comment.match(/\n/g) || []).length);
+      i = end === -1 ? code.length : end + block[1].length;
+      continue;
+    }
+
+    result += code[i];
+    i += 1;
+  }
+
+  return result;
+};
+
+/**
+ * Indica si un proyecto tiene huellas de fragmentos (documento de Mongoose u objeto plano)
+ * @param {Object} project - ProjectHash
+ * @returns {Boolean}
+ */
+const hasFingerprints = (project) => (project.fingerprints || []).some((file) => file.hashes?.length > 0);
 
 class SimilarityDetectorService {
+  /**
+   * Obtiene el lenguaje de un archivo a partir de su extensión
+   * @param {String} fileName - Ruta o nombre del archivo
+   * @returns {String} - Lenguaje (ej: 'java', 'python', 'text')
+   */
+  static getFileLanguage(fileName) {
+    return ConsolidatorService.getLanguageFromExtension(path.extname(fileName || ''));
+  }
+
+  /**
+   * Indica si un archivo participa del análisis de similitud (código fuente, no documentación ni configuración)
+   * @param {String} fileName
+   * @returns {Boolean}
+   */
+  static isComparableFile(fileName) {
+    return !NON_SOURCE_LANGUAGES.has(this.getFileLanguage(fileName));
+  }
+
+  /**
+   * Normaliza el contenido de un archivo según su lenguaje
+   * Quita comentarios, espacios al inicio/final de línea, espacios repetidos y líneas vacías
+   * @param {String} content - Contenido del archivo
+   * @param {String} language - Lenguaje (ConsolidatorService.getLanguageFromExtension)
+   * @returns {String}
+   */
+  static normalizeContent(content, language = 'text') {
+    if (!content || typeof content !== 'string') {
+      return '';
+    }
+
+    const syntax = COMMENT_SYNTAX[language];
+    const code = syntax ? stripComments(content.replace(/\r\n?/g, '\n'), syntax) : content;
+
+    return code
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter((line) => line.length > 0)
+      .join('\n');
+  }
+
+  /**
+   * Selecciona los archivos de código fuente de un proyecto y los normaliza según su lenguaje
+   * Descarta documentación, configuración y archivos que quedan vacíos (ej: __init__.py sin código)
+   * @param {Object} filesMap - Objeto con {nombreArchivo: contenido}
+   * @returns {Object} - Objeto con {nombreArchivo: contenidoNormalizado}
+   */
+  static prepareSourceFiles(filesMap) {
+    const sourceFiles = {};
+
+    for (const [fileName, content] of Object.entries(filesMap || {})) {
+      if (!this.isComparableFile(fileName)) continue;
+
+      const normalized = this.normalizeContent(content, this.getFileLanguage(fileName));
+      if (normalized) {
+        sourceFiles[fileName] = normalized;
+      }
+    }
+
+    return sourceFiles;
+  }
+
+  /**
+   * Cuenta los archivos por lenguaje
+   * @param {Object} filesMap - Objeto con {nombreArchivo: contenido}
+   * @returns {Object} - Objeto con {lenguaje: cantidad}
+   */
+  static countFilesByLanguage(filesMap) {
+    const counts = {};
+    for (const fileName of Object.keys(filesMap || {})) {
+      const language = this.getFileLanguage(fileName);
+      counts[language] = (counts[language] || 0) + 1;
+    }
+    return counts;
+  }
+
   /**
    * Calcula el hash SHA256 de un contenido normalizado
    * @param {String} content - Contenido del archivo
+   * @param {String} language - Lenguaje para quitar comentarios (opcional)
    * @returns {String} - Hash SHA256 en hexadecimal
    */
-  static calculateFileHash(content) {
+  static calculateFileHash(content, language = 'text') {
     if (!content || typeof content !== 'string') {
       return null;
     }
 
-    // Normalizar contenido: remover espacios al inicio/final de líneas y líneas vacías
-    const lines = content
-      .split('\n')
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
-
-    const normalized = lines.join('\n');
+    const normalized = this.normalizeContent(content, language);
 
     // Calcular hash SHA256
     return crypto.createHash('sha256').update(normalized, 'utf8').digest('hex');
@@ -41,7 +215,7 @@ class SimilarityDetectorService {
     const sortedFiles = Object.keys(filesMap)
       .sort()
       .map((fileName) => {
-        const content = filesMap[fileName];
+        const content = this.normalizeContent(filesMap[fileName], this.getFileLanguage(fileName));
         return `${fileName}:${content}`;
       })
       .join('');
@@ -50,6 +224,33 @@ class SimilarityDetectorService {
     return crypto.createHash('sha256').update(sortedFiles, 'utf8').digest('hex');
   }
 
+  /**
+   * Calcula las huellas de winnowing de los archivos de código fuente de un proyecto
+   * Se calculan sobre el contenido original sin comentarios para que las líneas coincidan con el archivo entregado
+   * @param {Object} filesMap - Objeto con {nombreArchivo: contenido}
+   * @returns {Array<Object>} - ProjectHash.fingerprints
+   */
+  static calculateFingerprints(filesMap) {
+    const fingerprints = [];
+
+    for (const [fileName, content] of Object.entries(filesMap || {})) {
+      if (!this.isComparableFile(fileName) || !content) continue;
+
+      const language = this.getFileLanguage(fileName);
+      const syntax = COMMENT_SYNTAX[language];
+      const code = content.replace(/\r\n?/g, '\n');
+      const fileFingerprints = fingerprintSource(syntax ? stripComments(code, syntax) : code, {
+        quotes: syntax?.quotes,
+      });
+
+      if (fileFingerprints.hashes.length > 0) {
+        fingerprints.push({ file: fileName, language, ...fileFingerprints });
+      }
+    }
+
+    return fingerprints;
+  }
+
   /**
    * Calcula hashes de múltiples archivos
    * @param {Object} filesMap - Objeto con {nombreArchivo: contenido}
@@ -62,48 +263,64 @@ class SimilarityDetectorService {
 
     const fileHashes = {};
     for (const [fileName, content] of Object.entries(filesMap)) {
-      fileHashes[fileName] = this.calculateFileHash(content);
+      fileHashes[fileName] = this.calculateFileHash(content, this.getFileLanguage(fileName));
     }
 
     return fileHashes;
   }
 
+  /**
+   * Obtiene los hashes y huellas a ignorar por el código base de la rúbrica
+   * @param {Document|null} baseline - SimilarityBaseline
+   * @returns {{project_hash: String|null, file_hashes: Set<String>, fingerprints: Set<Number>}}
+   */
+  static getIgnoredHashes(baseline) {
+    return baseline ? baseline.getIgnoredHashes() : NO_BASELINE;
+  }
+
   /**
    * Detecta similitudes entre múltiples proyectos
    * @param {Array<Object>} projectHashDocs - Array de documentos ProjectHash
+   * @param {Object} options - { baseline: SimilarityBaseline de la rúbrica (opcional) }
    * @returns {Object} - Análisis completo de similitud
    */
-  static detectSimilarities(projectHashDocs) {
+  static detectSimilarities(projectHashDocs, { baseline = null } = {}) {
     if (!Array.isArray(projectHashDocs) || projectHashDocs.length === 0) {
       return {
         identicalGroups: [],
         partialCopies: [],
         mostCopiedFiles: [],
+        baselineApplied: Boolean(baseline),
       };
     }
 
+    const ignored = this.getIgnoredHashes(baseline);
+
     // 1. Encontrar proyectos 100% idénticos
-    const identicalGroups = this.findIdenticalProjects(projectHashDocs);
+    const identicalGroups = this.findIdenticalProjects(projectHashDocs, ignored);
 
     // 2. Encontrar copias parciales (excluyendo proyectos idénticos)
-    const partialCopies = this.findPartialCopies(projectHashDocs);
+    const partialCopies = this.findPartialCopies(projectHashDocs, ignored);
 
     // 3. Encontrar archivos más copiados
-    const mostCopiedFiles = this.findMostCopiedFiles(projectHashDocs);
+    const mostCopiedFiles = this.findMostCopiedFiles(projectHashDocs, ignored);
 
     return {
       identicalGroups,
       partialCopies,
       mostCopiedFiles,
+      baselineApplied: Boolean(baseline),
     };
   }
 
   /**
    * Encuentra proyectos 100% idénticos (mismo hash de proyecto)
+   * Los proyectos iguales al código base (entregaron la plantilla sin cambios) no forman grupo
    * @param {Array<Object>} projectHashDocs - Array de documentos ProjectHash
+   * @param {Object} ignored - Hashes del código base (getIgnoredHashes)
    * @returns {Array<Object>} - Grupos de proyectos idénticos
    */
-  static findIdenticalProjects(projectHashDocs) {
+  static findIdenticalProjects(projectHashDocs, ignored = NO_BASELINE) {
     const hashGroups = {};
 
     // Agrupar por project_hash
@@ -119,7 +336,7 @@ class SimilarityDetectorService {
     const identicalGroups = [];
 
     for (const [projectHash, projects] of Object.entries(hashGroups)) {
-      if (projects.length > 1) {
+      if (projects.length > 1 && projectHash !== ignored.project_hash) {
         // Obtener datos del primer proyecto (todos son iguales)
         const firstProject = projects[0];
 
@@ -138,10 +355,12 @@ class SimilarityDetectorService {
 
   /**
    * Encuentra copias parciales (≥50% similitud pero no 100% idénticos)
+   * Con huellas se mide la proporción de fragmentos compartidos y se informan las regiones coincidentes
    * @param {Array<Object>} projectHashDocs - Array de documentos ProjectHash
+   * @param {Object} ignored - Hashes del código base (getIgnoredHashes)
    * @returns {Array<Object>} - Pares de proyectos con copias parciales
    */
-  static findPartialCopies(projectHashDocs) {
+  static findPartialCopies(projectHashDocs, ignored = NO_BASELINE) {
     const partialCopies = [];
     const processed = new Set(); // Para evitar duplicados A-B y B-A
 
@@ -162,50 +381,15 @@ class SimilarityDetectorService {
         }
         processed.add(pairKey);
 
-        // Obtener hashes de archivos
-        const fileHashesA = projectA.getFileHashesAsObject();
-        const fileHashesB = projectB.getFileHashesAsObject();
-
-        // Crear sets de hashes únicos
-        const hashesA = new Set(Object.values(fileHashesA));
-        const hashesB = new Set(Object.values(fileHashesB));
-
-        // Encontrar hashes comunes
-        const commonHashes = [...hashesA].filter((h) => hashesB.has(h));
-
-        // Si tienen al menos 3 archivos en común
-        if (commonHashes.length >= 3) {
-          // Calcular porcentaje de similitud
-          const totalFilesMin = Math.min(hashesA.size, hashesB.size);
-          const percentage =
-            totalFilesMin > 0 ? Math.round((commonHashes.length / totalFilesMin) * 100) : 0;
-
-          // Solo incluir si ≥50% similitud
-          if (percentage >= 50) {
-            // Construir lista de archivos copiados (un ejemplo por hash)
-            const copiedFiles = [];
-            for (const commonHash of commonHashes.slice(0, 10)) {
-              // Máximo 10
-              // Encontrar un archivo con este hash en projectA
-              for (const [fileName, hash] of Object.entries(fileHashesA)) {
-                if (hash === commonHash) {
-                  copiedFiles.push({
-                    name: fileName,
-                    hash: commonHash.substring(0, 16) + '...',
-                  });
-                  break; // Solo necesitamos un ejemplo
-                }
-              }
-            }
-
-            partialCopies.push({
-              students: [projectA.student_name, projectB.student_name],
-              copied_files: copiedFiles,
-              percentage: percentage,
-              total_common_files: commonHashes.length,
-            });
-          }
+        const comparison = this.compareProjects(projectA, projectB, ignored);
+        if (comparison.percentage < PARTIAL_COPY_PERCENTAGE) {
+          continue;
         }
+
+        partialCopies.push({
+          students: [projectA.student_name, projectB.student_name],
+          ...comparison,
+        });
       }
     }
 
@@ -213,12 +397,136 @@ class SimilarityDetectorService {
     return partialCopies.sort((a, b) => b.percentage - a.percentage);
   }
 
+  /**
+   * Compara dos proyectos por fragmentos (huellas) o, si alguno no tiene huellas, por hash de archivo
+   * @param {Object} projectA - Documento ProjectHash A
+   * @param {Object} projectB - Documento ProjectHash B
+   * @param {Object} ignored - Hashes del código base (getIgnoredHashes)
+   * @returns {Object} - { method, percentage, percentage_by_student, total_common_files, copied_files, shared_fingerprints, matched_regions }
+   */
+  static compareProjects(projectA, projectB, ignored = NO_BASELINE) {
+    if (hasFingerprints(projectA) && hasFingerprints(projectB)) {
+      const comparison = compareFingerprints(projectA.fingerprints, projectB.fingerprints, {
+        ignore: ignored.fingerprints,
+      });
+
+      // Un archivo por región (la de más huellas), en el orden de las regiones
+      const copiedFiles = [];
+      for (const region of comparison.regions) {
+        if (!copiedFiles.some((file) => file.name === region.file_a)) {
+          copiedFiles.push({
+            name: region.file_a,
+            matched_with: region.file_b,
+            lines: `${region.start_a}-${region.end_a}`,
+          });
+        }
+      }
+
+      return {
+        method: 'fingerprint',
+        percentage: comparison.shared >= MIN_SHARED_FINGERPRINTS ? comparison.percentage : 0,
+        percentage_by_student: [comparison.percentage_a, comparison.percentage_b],
+        total_common_files: copiedFiles.length,
+        copied_files: copiedFiles.slice(0, 10),
+        shared_fingerprints: comparison.shared,
+        matched_regions: comparison.regions,
+      };
+    }
+
+    return this.compareFileHashes(projectA, projectB, ignored);
+  }
+
+  /**
+   * Compara dos proyectos por hash de archivos completos (proyectos sin huellas)
+   * Requiere al menos 3 archivos idénticos
+   * @param {Object} projectA - Documento ProjectHash A
+   * @param {Object} projectB - Documento ProjectHash B
+   * @param {Object} ignored - Hashes del código base (getIgnoredHashes)
+   * @returns {Object} - Mismo formato que compareProjects
+   */
+  static compareFileHashes(projectA, projectB, ignored = NO_BASELINE) {
+    // Obtener hashes de archivos
+    const fileHashesA = projectA.file_hashes || {};
+    const fileHashesB = projectB.file_hashes || {};
+
+    // Crear sets de hashes únicos (sin los archivos del código base)
+    const hashesA = new Set(Object.values(fileHashesA).filter((h) => !ignored.file_hashes.has(h)));
+    const hashesB = new Set(Object.values(fileHashesB).filter((h) => !ignored.file_hashes.has(h)));
+
+    // Encontrar hashes comunes
+    const commonHashes = [...hashesA].filter((h) => hashesB.has(h));
+    const percentOf = (total) => (total > 0 ? Math.round((commonHashes.length / total) * 100) : 0);
+
+    // Construir lista de archivos copiados (un ejemplo por hash, máximo 10)
+    const copiedFiles = [];
+    for (const commonHash of commonHashes.slice(0, 10)) {
+      const fileName = Object.keys(fileHashesA).find((name) => fileHashesA[name] === commonHash);
+      copiedFiles.push({
+        name: fileName,
+        hash: commonHash.substring(0, 16) + '...',
+      });
+    }
+
+    return {
+      method: 'file-hash',
+      // Si tienen al menos 3 archivos en común
+      percentage: commonHashes.length >= 3 ? percentOf(Math.min(hashesA.size, hashesB.size)) : 0,
+      percentage_by_student: [percentOf(hashesA.size), percentOf(hashesB.size)],
+      total_common_files: commonHashes.length,
+      copied_files: copiedFiles,
+      shared_fingerprints: 0,
+      matched_regions: [],
+    };
+  }
+
+  /**
+   * Compara los proyectos de una rúbrica con proyectos de otras comisiones o años
+   * @param {Array<Object>} projectHashDocs - ProjectHash de la rúbrica analizada
+   * @param {Array<Object>} externalDocs - ProjectHash de otras rúbricas (documentos u objetos planos)
+   * @param {Object} options - { baseline: SimilarityBaseline de la rúbrica analizada (opcional) }
+   * @returns {Array<Object>} - Coincidencias ≥50% { student, external, identical, ...compareProjects }
+   */
+  static findCrossMatches(projectHashDocs, externalDocs, { baseline = null } = {}) {
+    const ignored = this.getIgnoredHashes(baseline);
+    const matches = [];
+
+    for (const project of projectHashDocs) {
+      for (const external of externalDocs) {
+        // Mismo proyecto que la plantilla: no es una copia
+        if (project.project_hash === external.project_hash && project.project_hash !== ignored.project_hash) {
+          matches.push({
+            student: project.student_name,
+            external,
+            identical: true,
+            method: 'project-hash',
+            percentage: 100,
+            percentage_by_student: [100, 100],
+            total_common_files: Object.keys(project.file_hashes || {}).length,
+            copied_files: [],
+            shared_fingerprints: 0,
+            matched_regions: [],
+          });
+          continue;
+        }
+
+        const comparison = this.compareProjects(project, external, ignored);
+        if (comparison.percentage >= PARTIAL_COPY_PERCENTAGE) {
+          matches.push({ student: project.student_name, external, identical: false, ...comparison });
+        }
+      }
+    }
+
+    return matches.sort((a, b) => b.percentage - a.percentage);
+  }
+
   /**
    * Encuentra los archivos más copiados (que aparecen en 3+ proyectos)
+   * Los archivos idénticos al código base no cuentan
    * @param {Array<Object>} projectHashDocs - Array de documentos ProjectHash
+   * @param {Object} ignored - Hashes del código base (getIgnoredHashes)
    * @returns {Array<Object>} - Top archivos más copiados
    */
-  static findMostCopiedFiles(projectHashDocs) {
+  static findMostCopiedFiles(projectHashDocs, ignored = NO_BASELINE) {
     const fileHashMap = {}; // { hash: { fileName: String, students: Set } }
 
     // Mapear hashes de archivos individuales
@@ -226,6 +534,8 @@ class SimilarityDetectorService {
       const fileHashes = project.getFileHashesAsObject();
 
       for (const [fileName, hash] of Object.entries(fileHashes)) {
+        if (ignored.file_hashes.has(hash)) continue;
+
         if (!fileHashMap[hash]) {
           fileHashMap[hash] = {
             fileName: fileName,
@@ -261,9 +571,10 @@ class SimilarityDetectorService {
    * Analiza similitud entre dos proyectos específicos
    * @param {Object} projectA - Documento ProjectHash A
    * @param {Object} projectB - Documento ProjectHash B
+   * @param {Object} options - { baseline: SimilarityBaseline de la rúbrica (opcional) }
    * @returns {Object} - Análisis de similitud entre ambos
    */
-  static analyzePairSimilarity(projectA, projectB) {
+  static analyzePairSimilarity(projectA, projectB, { baseline = null } = {}) {
     if (!projectA || !projectB) {
       return null;
     }
@@ -278,35 +589,17 @@ class SimilarityDetectorService {
       };
     }
 
-    // Obtener hashes de archivos
-    const fileHashesA = projectA.getFileHashesAsObject();
-    const fileHashesB = projectB.getFileHashesAsObject();
-
-    const hashesA = new Set(Object.values(fileHashesA));
-    const hashesB = new Set(Object.values(fileHashesB));
-
-    const commonHashes = [...hashesA].filter((h) => hashesB.has(h));
-
-    // Calcular porcentaje
-    const totalFilesMin = Math.min(hashesA.size, hashesB.size);
-    const percentage = totalFilesMin > 0 ? Math.round((commonHashes.length / totalFilesMin) * 100) : 0;
-
-    // Encontrar archivos comunes
-    const commonFiles = [];
-    for (const commonHash of commonHashes.slice(0, 10)) {
-      for (const [fileName, hash] of Object.entries(fileHashesA)) {
-        if (hash === commonHash) {
-          commonFiles.push(fileName);
-          break;
-        }
-      }
-    }
+    const comparison = this.compareProjects(projectA, projectB, this.getIgnoredHashes(baseline));
 
     return {
-      percentage,
+      percentage: comparison.percentage,
       identical: false,
-      common_files: commonHashes.length,
-      files: commonFiles,
+      method: comparison.method,
+      percentage_by_student: comparison.percentage_by_student,
+      common_files: comparison.total_common_files,
+      files: comparison.copied_files.map((file) => file.name),
+      shared_fingerprints: comparison.shared_fingerprints,
+      regions: comparison.matched_regions,
     };
   }
 }
@@ -0,0 +1,477 @@
+/**
+ * Servicio de Comparación de Pares
+ * Compara lado a lado las entregas de dos alumnos de una rúbrica para documentar una sospecha de copia
+ * - Carga el entrega.txt consolidado de cada alumno (ProjectHash o, si no lo guardó, la submission vigente)
+ * - Recalcula hashes y huellas sobre ese contenido para que las líneas coincidan con el archivo entregado
+ * - Empareja los archivos idénticos y los fragmentos coincidentes (sin el código base de la rúbrica)
+ * - Genera el diff en JSON, HTML imprimible o PDF (evidencia para instancias disciplinarias)
+ */
+import PDFDocument from 'pdfkit';
+import ProjectHash from '../models/ProjectHash.js';
+import Submission from '../models/Submission.js';
+import Student from '../models/Student.js';
+import SimilarityBaseline from '../models/SimilarityBaseline.js';
+import SimilarityDetectorService from './similarityDetectorService.js';
+import BatchConsolidatorService from './batchConsolidatorService.js';
+
+export const PAIR_FORMATS = ['json', 'html', 'pdf'];
+
+// Líneas de contexto alrededor de cada fragmento en las versiones imprimibles
+const CONTEXT_LINES = 3;
+
+// Colores de resaltado de los fragmentos (se repiten si hay más fragmentos que colores)
+const REGION_COLORS = ['#fde68a', '#bfdbfe', '#bbf7d0', '#fbcfe8', '#ddd6fe', '#fed7aa'];
+
+/**
+ * Error controlado con su código HTTP
+ * @param {String} message
+ * @param {Number} statusCode
+ * @returns {Error}
+ */
+const pairError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Valida el formato pedido (por defecto, JSON)
+ * @param {String} format
+ * @returns {String}
+ * @throws {Error} statusCode 400 si no es un formato válido
+ */
+export const resolveFormat = (format) => {
+  if (!format) return 'json';
+  if (!PAIR_FORMATS.includes(format)) {
+    throw pairError(`format debe ser uno de: ${PAIR_FORMATS.join(', ')}`);
+  }
+  return format;
+};
+
+/**
+ * Indica si un nombre de alumno corresponde a la clave de la ruta (nombre exacto o normalizado)
+ * @param {String} name
+ * @param {String} key
+ * @returns {Boolean}
+ */
+const matchesName = (name, key) => {
+  if (!name) return false;
+  if (name.toLowerCase().trim() === key.toLowerCase().trim()) return true;
+  const keys = Student.nameKeysFor(key);
+  return Student.nameKeysFor(name).some((nameKey) => keys.includes(nameKey));
+};
+
+/**
+ * Carga la entrega consolidada de un alumno de la rúbrica
+ * @param {String} commissionId
+ * @param {String} rubricId
+ * @param {String} key - Nombre del alumno (como figura en el análisis de similitud) o submission_id
+ * @returns {Promise<{student_name: String, submission_id: String|null, content_source: String, content: String}>}
+ * @throws {Error} statusCode 404 si el alumno no tiene entrega o no se guardó su entrega.txt
+ */
+export const loadStudentContent = async (commissionId, rubricId, key) => {
+  const projects = await ProjectHash.find({ commission_id: commissionId, rubric_id: rubricId })
+    .select('student_name submission_id')
+    .lean();
+  const submissions = await Submission.find({ rubric_id: rubricId, is_current: { $ne: false }, deleted: false })
+    .select('submission_id student_name');
+
+  const submission =
+    submissions.find((s) => s.submission_id === key) || submissions.find((s) => matchesName(s.student_name, key));
+  const project =
+    projects.find((p) => p.submission_id === key) ||
+    (submission && projects.find((p) => p.submission_id === submission.submission_id)) ||
+    projects.find((p) => matchesName(p.student_name, key)) ||
+    (submission && projects.find((p) => matchesName(p.student_name, submission.student_name)));
+
+  if (!project && !submission) {
+    throw pairError(`No se encontró la entrega de "${key}" en la rúbrica`, 404);
+  }
+
+  // Primero el entrega.txt guardado con los hashes; si no está, el de la submission vigente
+  const projectContent = project ? (await ProjectHash.findWithContent(project._id))?.content_text : null;
+  const submissionContent = !projectContent && submission ? await Submission.getContentText(submission._id) : null;
+
+  if (!projectContent && !submissionContent) {
+    throw pairError(
+      `La entrega de "${key}" no tiene guardado el entrega.txt consolidado; vuelva a procesar el lote de entregas`,
+      404
+    );
+  }
+
+  return {
+    student_name: project?.student_name || submission.student_name,
+    submission_id: submission?.submission_id || project?.submission_id || null,
+    content_source: projectContent ? 'project-hash' : 'submission',
+    content: projectContent || submissionContent,
+  };
+};
+
+/**
+ * Separa un archivo en líneas numeradas indicando el fragmento al que pertenece cada una
+ * @param {String} content
+ * @param {Array<{id: Number, start: Number, end: Number}>} ranges
+ * @returns {Array<{number: Number, text: String, region: Number|null}>}
+ */
+const numberLines = (content, ranges) =>
+  content.split('\n').map((text, index) => {
+    const number = index + 1;
+    const range = ranges.find((r) => number >= r.start && number <= r.end);
+    return { number, text, region: range ? range.id : null };
+  });
+
+/**
+ * Arma el diff estructurado de dos entregas consolidadas
+ * @param {Object} studentA - loadStudentContent
+ * @param {Object} studentB - loadStudentContent
+ * @param {Object} options - { baseline: SimilarityBaseline de la rúbrica (opcional) }
+ * @returns {Object} - { similarity, files: [{ file_a, file_b, language, identical, regions, lines_a, lines_b }], unmatched_files }
+ */
+export const buildPairDiff = (studentA, studentB, { baseline = null } = {}) => {
+  const filesA = BatchConsolidatorService.extractSourceFilesFromContent(studentA.content);
+  const filesB = BatchConsolidatorService.extractSourceFilesFromContent(studentB.content);
+  const projectA = BatchConsolidatorService.analyzeConsolidatedContent(studentA.content);
+  const projectB = BatchConsolidatorService.analyzeConsolidatedContent(studentB.content);
+
+  if (!projectA || !projectB) {
+    const empty = !projectA ? studentA : studentB;
+    throw pairError(`La entrega de "${empty.student_name}" no tiene archivos de código fuente para comparar`, 422);
+  }
+
+  const ignored = SimilarityDetectorService.getIgnoredHashes(baseline);
+  // Entregar la plantilla sin cambios no es una copia (mismo criterio que findCrossMatches)
+  const identical = projectA.project_hash === projectB.project_hash && projectA.project_hash !== ignored.project_hash;
+  const comparison = SimilarityDetectorService.compareProjects(projectA, projectB, ignored);
+
+  // Pares de archivos: primero los idénticos (archivo completo), después los que comparten fragmentos
+  const pairs = new Map();
+  const pairFor = (fileA, fileB) => {
+    const key = `${fileA}\u0000${fileB}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, { file_a: fileA, file_b: fileB, identical: false, regions: [] });
+    }
+    return pairs.get(key);
+  };
+
+  for (const [fileA, hash] of Object.entries(projectA.file_hashes)) {
+    if (ignored.file_hashes.has(hash)) continue;
+    const fileB = Object.keys(projectB.file_hashes).find((name) => projectB.file_hashes[name] === hash);
+    if (!fileB) continue;
+
+    const pair = pairFor(fileA, fileB);
+    pair.identical = true;
+    pair.regions.push({
+      start_a: 1,
+      end_a: filesA[fileA].split('\n').length,
+      start_b: 1,
+      end_b: filesB[fileB].split('\n').length,
+      fingerprints: null,
+    });
+  }
+
+  for (const region of comparison.matched_regions) {
+    const pair = pairFor(region.file_a, region.file_b);
+    // En un archivo idéntico el archivo completo ya es la coincidencia
+    if (!pair.identical) pair.regions.push({ ...region });
+  }
+
+  let regionId = 0;
+  const files = [...pairs.values()].map((pair) => {
+    const regions = pair.regions
+      .sort((a, b) => a.start_a - b.start_a)
+      .map(({ start_a, end_a, start_b, end_b, fingerprints }) => {
+        regionId += 1;
+        return { id: regionId, start_a, end_a, start_b, end_b, fingerprints };
+      });
+
+    return {
+      file_a: pair.file_a,
+      file_b: pair.file_b,
+      language: SimilarityDetectorService.getFileLanguage(pair.file_a),
+      identical: pair.identical,
+      regions,
+      lines_a: numberLines(filesA[pair.file_a] || '', regions.map((r) => ({ id: r.id, start: r.start_a, end: r.end_a }))),
+      lines_b: numberLines(filesB[pair.file_b] || '', regions.map((r) => ({ id: r.id, start: r.start_b, end: r.end_b }))),
+    };
+  });
+
+  const matchedA = new Set(files.map((file) => file.file_a));
+  const matchedB = new Set(files.map((file) => file.file_b));
+
+  return {
+    similarity: {
+      identical,
+      method: identical ? 'project-hash' : comparison.method,
+      percentage: identical ? 100 : comparison.percentage,
+      percentage_by_student: identical ? [100, 100] : comparison.percentage_by_student,
+      shared_fingerprints: comparison.shared_fingerprints,
+      matched_files: files.length,
+      matched_regions: regionId,
+    },
+    files,
+    unmatched_files: {
+      a: Object.keys(filesA).filter((name) => !matchedA.has(name)),
+      b: Object.keys(filesB).filter((name) => !matchedB.has(name)),
+    },
+  };
+};
+
+/**
+ * Genera la comparación lado a lado de dos alumnos de una rúbrica
+ * @param {Document} rubric - Rúbrica analizada
+ * @param {String} keyA - Nombre o submission_id del alumno A
+ * @param {String} keyB - Nombre o submission_id del alumno B
+ * @returns {Promise<Object>}
+ */
+export const generatePairDiff = async (rubric, keyA, keyB) => {
+  const studentA = await loadStudentContent(rubric.commission_id, rubric.rubric_id, keyA);
+  const studentB = await loadStudentContent(rubric.commission_id, rubric.rubric_id, keyB);
+
+  if (studentA.student_name === studentB.student_name) {
+    throw pairError('Los dos alumnos a comparar deben ser distintos');
+  }
+
+  // El código base de la rúbrica (si se cargó) no cuenta como coincidencia
+  const baseline = await SimilarityBaseline.findForRubric(rubric.rubric_id);
+  const diff = buildPairDiff(studentA, studentB, { baseline });
+  const { content: contentA, ...infoA } = studentA;
+  const { content: contentB, ...infoB } = studentB;
+
+  return {
+    generated_at: new Date().toISOString(),
+    commission_id: rubric.commission_id,
+    rubric: { id: rubric.rubric_id, name: rubric.name },
+    students: [
+      { ...infoA, total_files: Object.keys(BatchConsolidatorService.extractSourceFilesFromContent(contentA)).length },
+      { ...infoB, total_files: Object.keys(BatchConsolidatorService.extractSourceFilesFromContent(contentB)).length },
+    ],
+    baseline_applied: Boolean(baseline),
+    ...diff,
+  };
+};
+
+/**
+ * Fragmentos a imprimir de un par de archivos: las líneas de cada región con su contexto
+ * @param {Object} file - Elemento de files del diff
+ * @returns {Array<{region: Object, lines_a: Array<Object>, lines_b: Array<Object>}>}
+ */
+const printableFragments = (file) => {
+  const slice = (lines, start, end) =>
+    lines.slice(Math.max(0, start - 1 - CONTEXT_LINES), Math.min(lines.length, end + CONTEXT_LINES));
+
+  return file.regions.map((region) => ({
+    region,
+    lines_a: file.identical ? file.lines_a : slice(file.lines_a, region.start_a, region.end_a),
+    lines_b: file.identical ? file.lines_b : slice(file.lines_b, region.start_b, region.end_b),
+  }));
+};
+
+/**
+ * Etiqueta del método de comparación para las versiones imprimibles
+ * @param {String} method
+ * @returns {String}
+ */
+const methodLabel = (method) =>
+  ({
+    'project-hash': 'Proyecto idéntico',
+    fingerprint: 'Fragmentos (huellas de código)',
+    'file-hash': 'Archivos idénticos',
+  })[method] || method;
+
+/**
+ * Escapa un texto para incluirlo en HTML
+ * @param {*} value
+ * @returns {String}
+ */
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Genera la versión HTML imprimible de la comparación
+ * @param {Object} diff - generatePairDiff
+ * @returns {String}
+ */
+export const renderPairHtml = (diff) => {
+  const [studentA, studentB] = diff.students;
+  const color = (id) => REGION_COLORS[(id - 1) % REGION_COLORS.length];
+
+  const renderLines = (lines) =>
+    lines
+      .map(
+        (line) =>
+          `<tr${line.region ? ` style="background:${color(line.region)}"` : ''}>` +
+          `<td class="ln">${line.number}</td><td class="code">${escapeHtml(line.text) || '&nbsp;'}</td></tr>`
+      )
+      .join('\n');
+
+  const renderFile = (file) => {
+    const fragments = printableFragments(file)
+      .map(
+        ({ region, lines_a, lines_b }) => `
+      <div class="fragment">
+        <p class="fragment-title"><span class="badge" style="background:${color(region.id)}">#${region.id}</span>
+          ${escapeHtml(studentA.student_name)}: líneas ${region.start_a}-${region.end_a} ↔
+          ${escapeHtml(studentB.student_name)}: líneas ${region.start_b}-${region.end_b}
+          ${region.fingerprints ? `(${region.fingerprints} huellas)` : ''}</p>
+        <div class="side-by-side">
+          <table>${renderLines(lines_a)}</table>
+          <table>${renderLines(lines_b)}</table>
+        </div>
+      </div>`
+      )
+      .join('\n');
+
+    return `
+    <section class="file">
+      <h3>${escapeHtml(file.file_a)} ↔ ${escapeHtml(file.file_b)}${file.identical ? ' <em>(archivo idéntico)</em>' : ''}</h3>
+      ${fragments}
+    </section>`;
+  };
+
+  const unmatched = (names) => (names.length ? names.map(escapeHtml).join(', ') : '—');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Comparación de entregas - ${escapeHtml(studentA.student_name)} / ${escapeHtml(studentB.student_name)}</title>
+<style>
+  @page { size: A4 landscape; margin: 12mm; }
+  body { font-family: Helvetica, Arial, sans-serif; color: #1a1a1a; font-size: 12px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  h3 { font-size: 13px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  table.summary td { padding: 2px 12px 2px 0; vertical-align: top; }
+  .side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+  .side-by-side table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+  .ln { width: 36px; color: #808080; text-align: right; padding-right: 6px; font-family: Courier, monospace; font-size: 10px; }
+  .code { font-family: Courier, monospace; font-size: 10px; white-space: pre-wrap; word-break: break-all; }
+  .fragment { margin-bottom: 12px; page-break-inside: avoid; }
+  .fragment-title { margin: 6px 0; }
+  .badge { padding: 1px 6px; border-radius: 3px; font-weight: bold; }
+  .file { page-break-before: auto; }
+  .note { color: #555; font-size: 11px; }
+</style>
+</head>
+<body>
+  <h1>Comparación de entregas</h1>
+  <table class="summary">
+    <tr><td><strong>Rúbrica</strong></td><td>${escapeHtml(diff.rubric.name || diff.rubric.id)} (${escapeHtml(diff.commission_id)})</td></tr>
+    <tr><td><strong>Alumno A</strong></td><td>${escapeHtml(studentA.student_name)}${studentA.submission_id ? ` — ${escapeHtml(studentA.submission_id)}` : ''}</td></tr>
+    <tr><td><strong>Alumno B</strong></td><td>${escapeHtml(studentB.student_name)}${studentB.submission_id ? ` — ${escapeHtml(studentB.submission_id)}` : ''}</td></tr>
+    <tr><td><strong>Similitud</strong></td><td>${diff.similarity.percentage}% (A: ${diff.similarity.percentage_by_student[0]}% / B: ${diff.similarity.percentage_by_student[1]}%)</td></tr>
+    <tr><td><strong>Método</strong></td><td>${escapeHtml(methodLabel(diff.similarity.method))}</td></tr>
+    <tr><td><strong>Coincidencias</strong></td><td>${diff.similarity.matched_files} archivos, ${diff.similarity.matched_regions} fragmentos</td></tr>
+    <tr><td><strong>Código base</strong></td><td>${diff.baseline_applied ? 'Excluido del análisis' : 'No cargado'}</td></tr>
+    <tr><td><strong>Solo en A</strong></td><td>${unmatched(diff.unmatched_files.a)}</td></tr>
+    <tr><td><strong>Solo en B</strong></td><td>${unmatched(diff.unmatched_files.b)}</td></tr>
+    <tr><td><strong>Generado</strong></td><td>${escapeHtml(new Date(diff.generated_at).toLocaleString('es-AR'))}</td></tr>
+  </table>
+  <p class="note">Los comentarios no se consideran y los identificadores y literales se normalizan antes de comparar:
+    un fragmento resaltado puede diferir en nombres de variables o textos. Se muestran ${CONTEXT_LINES} líneas de contexto alrededor de cada fragmento.</p>
+  ${diff.files.length ? diff.files.map(renderFile).join('\n') : '<p>No se encontraron fragmentos coincidentes.</p>'}
+</body>
+</html>`;
+};
+
+/**
+ * Genera la versión PDF de la comparación (fragmentos lado a lado)
+ * @param {Object} diff - generatePairDiff
+ * @returns {Promise<Buffer>}
+ */
+export const generatePairPdf = (diff) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+    const [studentA, studentB] = diff.students;
+    const left = doc.page.margins.left;
+    const contentWidth = doc.page.width - left - doc.page.margins.right;
+    const columnWidth = (contentWidth - 12) / 2;
+    const rowHeight = 9;
+    // Courier 7pt: 4.2pt por carácter
+    const maxChars = Math.floor((columnWidth - 24) / 4.2);
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    // Encabezado y resumen
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#1a1a1a').text('Comparación de entregas', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10).fillColor('#2c3e50');
+    [
+      `Rúbrica: ${diff.rubric.name || diff.rubric.id} (${diff.commission_id})`,
+      `Alumno A: ${studentA.student_name}${studentA.submission_id ? ` — ${studentA.submission_id}` : ''}`,
+      `Alumno B: ${studentB.student_name}${studentB.submission_id ? ` — ${studentB.submission_id}` : ''}`,
+      `Similitud: ${diff.similarity.percentage}% (A: ${diff.similarity.percentage_by_student[0]}% / B: ${diff.similarity.percentage_by_student[1]}%) — ${methodLabel(diff.similarity.method)}`,
+      `Coincidencias: ${diff.similarity.matched_files} archivos, ${diff.similarity.matched_regions} fragmentos`,
+      `Código base: ${diff.baseline_applied ? 'excluido del análisis' : 'no cargado'}`,
+      `Solo en A: ${diff.unmatched_files.a.join(', ') || '—'}`,
+      `Solo en B: ${diff.unmatched_files.b.join(', ') || '—'}`,
+      `Generado: ${new Date(diff.generated_at).toLocaleString('es-AR')}`,
+    ].forEach((line) => doc.text(line));
+    doc.moveDown(0.3);
+    doc.fontSize(8).fillColor('#555555').text(
+      'Los comentarios no se consideran y los identificadores y literales se normalizan antes de comparar: ' +
+        'un fragmento resaltado puede diferir en nombres de variables o textos.'
+    );
+
+    if (diff.files.length === 0) {
+      doc.moveDown().fontSize(11).fillColor('#27ae60').text('No se encontraron fragmentos coincidentes.');
+    }
+
+    const drawLine = (line, x, y) => {
+      if (!line) return;
+      if (line.region) {
+        doc.rect(x, y - 1, columnWidth, rowHeight).fill(REGION_COLORS[(line.region - 1) % REGION_COLORS.length]);
+      }
+      const text = line.text.replace(/\t/g, '  ');
+      doc.font('Courier').fontSize(7).fillColor('#808080').text(String(line.number), x, y, { width: 20, align: 'right', lineBreak: false });
+      doc.fillColor('#1a1a1a').text(text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text, x + 24, y, {
+        lineBreak: false,
+      });
+    };
+
+    for (const file of diff.files) {
+      for (const { region, lines_a, lines_b } of printableFragments(file)) {
+        if (doc.y + 40 > bottom()) doc.addPage();
+
+        doc.moveDown(0.8);
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#2c3e50').text(
+          `#${region.id} ${file.file_a} (l. ${region.start_a}-${region.end_a}) ↔ ${file.file_b} (l. ${region.start_b}-${region.end_b})` +
+            `${file.identical ? ' — archivo idéntico' : ''}`,
+          left
+        );
+        doc.moveDown(0.3);
+
+        let y = doc.y;
+        for (let i = 0; i < Math.max(lines_a.length, lines_b.length); i += 1) {
+          if (y + rowHeight > bottom()) {
+            doc.addPage();
+            y = doc.page.margins.top;
+          }
+          drawLine(lines_a[i], left, y);
+          drawLine(lines_b[i], left + columnWidth + 12, y);
+          y += rowHeight;
+        }
+        doc.x = left;
+        doc.y = y;
+      }
+    }
+
+    doc.end();
+  });
+
+export default {
+  PAIR_FORMATS,
+  resolveFormat,
+  loadStudentContent,
+  buildPairDiff,
+  generatePairDiff,
+  renderPairHtml,
+  generatePairPdf,
+};
@@ -4,6 +4,7 @@
  */
 import PDFDocument from 'pdfkit';
 import ProjectHash from '../models/ProjectHash.js';
+import SimilarityBaseline from '../models/SimilarityBaseline.js';
 import SimilarityDetectorService from './similarityDetectorService.js';
 
 class SimilarityReportPdfService {
@@ -22,8 +23,9 @@ class SimilarityReportPdfService {
         throw new Error('No se encontraron proyectos para esta comisión y rúbrica');
       }
 
-      // 2. Analizar similitudes
-      const similarity = SimilarityDetectorService.detectSimilarities(projectHashes);
+      // 2. Analizar similitudes (sin el código base de la rúbrica)
+      const baseline = await SimilarityBaseline.findForRubric(rubricId);
+      const similarity = SimilarityDetectorService.detectSimilarities(projectHashes, { baseline });
 
       // 3. Crear documento PDF
       const doc = new PDFDocument({
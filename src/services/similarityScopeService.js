@@ -0,0 +1,141 @@
+/**
+ * Servicio de Alcance de Similitud
+ * Busca copias fuera de la comisión analizada, en la colección histórica de ProjectHash:
+ * - course: la misma rúbrica (tipo y número) en las demás comisiones del curso en el mismo año
+ * - history: la misma rúbrica (tipo y número) del curso en años anteriores
+ * Solo se traen los proyectos que comparten algún archivo o huella (índices de ProjectHash)
+ */
+import Rubric from '../models/Rubric.js';
+import Commission from '../models/Commission.js';
+import Course from '../models/Course.js';
+import ProjectHash from '../models/ProjectHash.js';
+import SimilarityDetectorService from './similarityDetectorService.js';
+
+export const SIMILARITY_SCOPES = {
+  COMMISSION: 'commission',
+  COURSE: 'course',
+  HISTORY: 'history',
+};
+
+/**
+ * Error de validación (400)
+ * @param {String} message
+ * @returns {Error}
+ */
+const scopeError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Valida el alcance pedido (por defecto, solo la comisión)
+ * @param {String} scope
+ * @returns {String}
+ * @throws {Error} statusCode 400 si no es un alcance válido
+ */
+export const resolveScope = (scope) => {
+  if (!scope) return SIMILARITY_SCOPES.COMMISSION;
+  if (!Object.values(SIMILARITY_SCOPES).includes(scope)) {
+    throw scopeError(`scope debe ser uno de: ${Object.values(SIMILARITY_SCOPES).join(', ')}`);
+  }
+  return scope;
+};
+
+/**
+ * Rúbricas equivalentes a la analizada dentro del alcance
+ * @param {Document} rubric - Rúbrica analizada
+ * @param {String} scope - SIMILARITY_SCOPES
+ * @returns {Promise<Array<Document>>}
+ */
+export const findScopeRubrics = async (rubric, scope) => {
+  if (scope === SIMILARITY_SCOPES.COMMISSION) return [];
+
+  const query = {
+    university_id: rubric.university_id,
+    // El course_id lleva el año como prefijo: en años anteriores se busca el mismo curso con otro prefijo
+    course_id:
+      scope === SIMILARITY_SCOPES.HISTORY ? Course.courseIdAnyYearPattern(rubric.course_id) : rubric.course_id,
+    rubric_type: rubric.rubric_type,
+    rubric_number: rubric.rubric_number,
+    rubric_id: { $ne: rubric.rubric_id },
+    year: scope === SIMILARITY_SCOPES.HISTORY ? { $lt: rubric.year } : rubric.year,
+  };
+
+  return Rubric.find(query)
+    .select('rubric_id name commission_id course_id year rubric_type rubric_number')
+    .sort({ year: -1, commission_id: 1 });
+};
+
+/**
+ * Busca coincidencias de los proyectos de una rúbrica con los de otras comisiones o años
+ * Cada coincidencia indica la comisión y el año de origen
+ * @param {Document} rubric - Rúbrica analizada
+ * @param {Array<Document>} projectHashes - ProjectHash de la rúbrica analizada
+ * @param {String} scope - SIMILARITY_SCOPES
+ * @param {Object} options - { baseline: SimilarityBaseline de la rúbrica analizada (opcional) }
+ * @returns {Promise<{scope: String, rubrics_searched: Number, candidate_projects: Number, matches: Array<Object>}>}
+ */
+export const findExternalMatches = async (rubric, projectHashes, scope, { baseline = null } = {}) => {
+  const rubrics = await findScopeRubrics(rubric, scope);
+  const result = { scope, rubrics_searched: rubrics.length, candidate_projects: 0, matches: [] };
+
+  if (rubrics.length === 0 || projectHashes.length === 0) return result;
+
+  // Hashes a buscar: todos los de la rúbrica analizada menos los del código base
+  const ignored = SimilarityDetectorService.getIgnoredHashes(baseline);
+  const fileHashes = new Set();
+  const fingerprints = new Set();
+  for (const project of projectHashes) {
+    Object.values(project.file_hashes || {}).forEach((hash) => {
+      if (!ignored.file_hashes.has(hash)) fileHashes.add(hash);
+    });
+    (project.fingerprints || []).forEach((file) =>
+      (file.hashes || []).forEach((hash) => {
+        if (!ignored.fingerprints.has(hash)) fingerprints.add(hash);
+      })
+    );
+  }
+
+  // commission_id es único por curso: los nombres se indexan por curso y comisión
+  const commissions = await Commission.find({
+    commission_id: { $in: [...new Set(rubrics.map((r) => r.commission_id))] },
+    course_id: { $in: [...new Set(rubrics.map((r) => r.course_id))] },
+  }).select('commission_id course_id name');
+  const commissionNames = new Map(commissions.map((c) => [`${c.course_id}/${c.commission_id}`, c.name]));
+
+  // Una rúbrica a la vez para no cargar toda la colección histórica en memoria
+  for (const scopeRubric of rubrics) {
+    const candidates = await ProjectHash.findSharingHashes([scopeRubric.rubric_id], {
+      fileHashes: [...fileHashes],
+      fingerprints: [...fingerprints],
+    });
+    result.candidate_projects += candidates.length;
+
+    const matches = SimilarityDetectorService.findCrossMatches(projectHashes, candidates, { baseline });
+    for (const { external, ...comparison } of matches) {
+      result.matches.push({
+        ...comparison,
+        source: {
+          student_name: external.student_name,
+          commission_id: scopeRubric.commission_id,
+          commission_name:
+            commissionNames.get(`${scopeRubric.course_id}/${scopeRubric.commission_id}`) || scopeRubric.commission_id,
+          year: scopeRubric.year,
+          rubric_id: scopeRubric.rubric_id,
+          rubric_name: scopeRubric.name,
+        },
+      });
+    }
+  }
+
+  result.matches.sort((a, b) => b.percentage - a.percentage);
+  return result;
+};
+
+export default {
+  SIMILARITY_SCOPES,
+  resolveScope,
+  findScopeRubrics,
+  findExternalMatches,
+};
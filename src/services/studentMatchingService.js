@@ -0,0 +1,187 @@
+/**
+ * Servicio de Identificación de Alumnos
+ * Relaciona los nombres de carpeta de un lote de Moodle con el padrón de la comisión
+ *
+ * Orden de búsqueda:
+ * 1. ID de participante de Moodle del alumno (Student.moodle_ids: cargado con la lista de clase, confirmado por un
+ *    docente o aprendido en un lote anterior al identificar al alumno con certeza)
+ * 2. Nombre idéntico normalizado (Student.name_keys)
+ * 3. Similitud por palabras sin acentos ni orden ("Pérez Juan" ≈ "Juan Perez")
+ * Solo se vincula automáticamente si el mejor candidato supera el umbral y se distingue del segundo;
+ * el resto queda para revisión docente (POST /api/submissions/:id/student-match)
+ */
+import Student from '../models/Student.js';
+import { STUDENT_MATCH_STATUSES } from '../models/Submission.js';
+
+// Umbrales de similitud (0-1)
+export const MATCH_THRESHOLDS = {
+  // Vinculación automática
+  AUTO: 0.85,
+  // Diferencia mínima con el segundo candidato para vincular automáticamente
+  MARGIN: 0.1,
+  // Por debajo de este valor no se propone como candidato
+  REVIEW: 0.4,
+  // Dos palabras se consideran iguales desde esta similitud (errores de tipeo)
+  TOKEN: 0.8,
+};
+
+const MAX_CANDIDATES = 3;
+
+/**
+ * Separa un nombre en palabras normalizadas (sin acentos, minúsculas, sin números)
+ * @param {String} name
+ * @returns {Array<String>}
+ */
+export const tokenizeName = (name) =>
+  String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !/^\d+$/.test(token));
+
+/**
+ * Distancia de edición entre dos palabras
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similitud entre dos palabras (1 = iguales)
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Similitud entre dos nombres sin importar acentos ni el orden de las palabras
+ * Combina el coeficiente de Dice sobre las palabras con la proporción del nombre más corto contenida
+ * en el más largo (para nombres con segundo nombre o segundo apellido omitido)
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number} 0-1
+ */
+export const nameSimilarity = (a, b) => {
+  const tokensA = tokenizeName(a);
+  const tokensB = tokenizeName(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const available = [...longer];
+  let matched = 0;
+
+  shorter.forEach((token) => {
+    let bestIndex = -1;
+    let bestScore = 0;
+    available.forEach((candidate, index) => {
+      const score = tokenSimilarity(token, candidate);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex >= 0 && bestScore >= MATCH_THRESHOLDS.TOKEN) {
+      matched += bestScore;
+      available.splice(bestIndex, 1);
+    }
+  });
+
+  const dice = (2 * matched) / (tokensA.length + tokensB.length);
+  // Un solo nombre ("Juan") no alcanza para considerar que está contenido
+  const containment = shorter.length >= 2 ? (matched / shorter.length) * 0.9 : 0;
+
+  return Number(Math.max(dice, containment).toFixed(2));
+};
+
+/**
+ * Mejor similitud entre un nombre y cualquiera de los nombres conocidos del alumno
+ * @param {String} name
+ * @param {Document} student
+ * @returns {Number}
+ */
+const studentSimilarity = (name, student) => {
+  const names = [student.full_name, ...(student.aliases || [])];
+  if (student.first_name && student.last_name) names.push(`${student.first_name} ${student.last_name}`);
+  return Math.max(...names.map((candidate) => nameSimilarity(name, candidate)));
+};
+
+/**
+ * Datos de un alumno para la lista de candidatos
+ * @param {Document} student
+ * @param {Number} score
+ * @returns {Object}
+ */
+const toCandidate = (student, score) => ({
+  student: student._id,
+  student_id: student.student_id,
+  full_name: student.full_name,
+  score,
+});
+
+/**
+ * Identifica al alumno de una carpeta de Moodle dentro del padrón
+ * @param {Object} folder - { name (nombre sanitizado), moodle_participant_id }
+ * @param {Array<Document>} students - Alumnos inscriptos en la comisión
+ * @returns {{status: String, method: String|null, score: Number|null, student: Document|null, candidates: Array}}
+ */
+export const matchStudent = (folder, students) => {
+  if (folder.moodle_participant_id) {
+    const byMoodleId = students.filter((s) => (s.moodle_ids || []).includes(String(folder.moodle_participant_id)));
+    if (byMoodleId.length === 1) {
+      return { status: STUDENT_MATCH_STATUSES.MATCHED, method: 'moodle-id', score: 1, student: byMoodleId[0], candidates: [] };
+    }
+  }
+
+  const keys = Student.nameKeysFor(folder.name);
+  const exact = students.filter((s) => (s.name_keys || []).some((key) => keys.includes(key)));
+  if (exact.length === 1) {
+    return { status: STUDENT_MATCH_STATUSES.MATCHED, method: 'exact', score: 1, student: exact[0], candidates: [] };
+  }
+
+  const ranked = students
+    .map((student) => ({ student, score: studentSimilarity(folder.name, student) }))
+    .filter(({ score }) => score >= MATCH_THRESHOLDS.REVIEW)
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = ranked;
+  const candidates = ranked.slice(0, MAX_CANDIDATES).map(({ student, score }) => toCandidate(student, score));
+
+  if (best && best.score >= MATCH_THRESHOLDS.AUTO && (!second || best.score - second.score >= MATCH_THRESHOLDS.MARGIN)) {
+    return { status: STUDENT_MATCH_STATUSES.MATCHED, method: 'fuzzy', score: best.score, student: best.student, candidates };
+  }
+
+  return {
+    status: best ? STUDENT_MATCH_STATUSES.AMBIGUOUS : STUDENT_MATCH_STATUSES.UNMATCHED,
+    method: best ? 'fuzzy' : null,
+    score: best?.score ?? null,
+    student: null,
+    candidates,
+  };
+};
+
+export default {
+  MATCH_THRESHOLDS,
+  tokenizeName,
+  nameSimilarity,
+  matchStudent,
+};
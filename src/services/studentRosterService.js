@@ -0,0 +1,347 @@
+/**
+ * Servicio de Padrón de Alumnos
+ * Importa listas de clase (CSV), vincula entregas con alumnos y arma el reporte de entregas faltantes
+ *
+ * Columnas del CSV (encabezado, sin importar mayúsculas ni acentos):
+ * legajo | apellido | nombre | nombre_completo | email | alias | id_moodle
+ * Se requiere legajo y nombre_completo o apellido + nombre. Los alias se separan con "|"
+ * id_moodle es el ID de participante de Moodle (acepta "Participante 123456", como en la planilla de calificaciones)
+ */
+import Student from '../models/Student.js';
+import Enrollment from '../models/Enrollment.js';
+import Submission, { STUDENT_MATCH_STATUSES } from '../models/Submission.js';
+import { parseCsvRecords } from '../utils/csv.js';
+
+// Nombres de columna aceptados para cada campo
+const ROSTER_COLUMNS = {
+  student_id: ['legajo', 'student_id', 'matricula', 'id', 'numero de id', 'numero de legajo'],
+  last_name: ['apellido', 'apellidos', 'last_name', 'surname'],
+  first_name: ['nombre', 'nombres', 'first_name'],
+  full_name: ['nombre_completo', 'nombre completo', 'alumno', 'full_name', 'estudiante'],
+  email: ['email', 'correo', 'correo electronico', 'direccion de correo'],
+  aliases: ['alias', 'aliases', 'otros nombres'],
+  moodle_id: ['id_moodle', 'id moodle', 'moodle_id', 'id de participante', 'identificador', 'participante'],
+};
+
+/**
+ * Normaliza un encabezado para compararlo con ROSTER_COLUMNS
+ * @param {String} header
+ * @returns {String}
+ */
+const normalizeHeader = (header) =>
+  String(header || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+/**
+ * Parsea una lista de clase en CSV
+ * @param {String} text - Contenido del CSV
+ * @returns {{rows: Array<Object>, errors: Array<{row: Number, message: String}>}}
+ */
+export const parseRosterCsv = (text) => {
+  const { headers, records } = parseCsvRecords(text);
+  const columnFor = {};
+
+  headers.forEach((header) => {
+    const normalized = normalizeHeader(header);
+    Object.entries(ROSTER_COLUMNS).forEach(([field, names]) => {
+      if (!columnFor[field] && names.includes(normalized)) columnFor[field] = header;
+    });
+  });
+
+  if (!columnFor.student_id) {
+    const error = new Error('El CSV debe tener una columna "legajo"');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!columnFor.full_name && !(columnFor.first_name && columnFor.last_name)) {
+    const error = new Error('El CSV debe tener una columna "nombre_completo" o las columnas "apellido" y "nombre"');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    // +2: la fila 1 es el encabezado
+    const rowNumber = index + 2;
+    const value = (field) => (columnFor[field] ? record[columnFor[field]] || '' : '');
+
+    const row = {
+      student_id: value('student_id'),
+      first_name: value('first_name') || null,
+      last_name: value('last_name') || null,
+      full_name: value('full_name') || [value('first_name'), value('last_name')].filter(Boolean).join(' '),
+      email: value('email') || null,
+      aliases: value('aliases')
+        .split('|')
+        .map((alias) => alias.trim())
+        .filter(Boolean),
+      moodle_id: value('moodle_id').match(/\d+/)?.[0] || null,
+    };
+
+    if (!row.student_id) {
+      errors.push({ row: rowNumber, message: 'Falta el legajo' });
+      return;
+    }
+    if (!row.full_name) {
+      errors.push({ row: rowNumber, message: `Falta el nombre del alumno ${row.student_id}` });
+      return;
+    }
+    if (seen.has(row.student_id)) {
+      errors.push({ row: rowNumber, message: `Legajo duplicado: ${row.student_id}` });
+      return;
+    }
+
+    seen.add(row.student_id);
+    rows.push(row);
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Crea o actualiza un alumno de la universidad por legajo
+ * Un alumno dado de baja (soft delete) con el mismo legajo se restaura (el índice único incluye a los eliminados)
+ * @param {Object} data - { student_id, first_name, last_name, full_name, email, aliases, moodle_id }
+ * @param {String} universityId
+ * @returns {Promise<{student: Document, created: Boolean}>}
+ */
+export const upsertStudent = async (data, universityId) => {
+  let student = await Student.findOne({
+    university_id: universityId,
+    student_id: data.student_id,
+    deleted: { $in: [true, false] },
+  });
+  const created = !student;
+
+  if (!student) {
+    student = new Student({ university_id: universityId, student_id: data.student_id });
+  } else if (student.deleted) {
+    student.deleted = false;
+  }
+
+  ['first_name', 'last_name', 'full_name', 'email'].forEach((field) => {
+    if (data[field]) student[field] = data[field];
+  });
+  if (data.aliases?.length) {
+    student.aliases = [...new Set([...(student.aliases || []), ...data.aliases])];
+  }
+  if (data.moodle_id) {
+    student.rememberMatch({ moodleId: data.moodle_id });
+  }
+
+  await student.save();
+  return { student, created };
+};
+
+/**
+ * Importa una lista de clase en una comisión
+ * @param {Document} commission
+ * @param {Array<Object>} rows - Filas de parseRosterCsv
+ * @param {Object} options - { userId, dropMissing } (dropMissing: da de baja a los inscriptos que no figuran en la lista)
+ * @returns {Promise<Object>} Resumen de la importación
+ */
+export const importRoster = async (commission, rows, options = {}) => {
+  const summary = { created: 0, updated: 0, enrolled: 0, reactivated: 0, dropped: 0, errors: [] };
+  const importedIds = new Set();
+
+  for (const row of rows) {
+    try {
+      const { student, created } = await upsertStudent(row, commission.university_id);
+      const { created: enrolled, reactivated } = await Enrollment.enroll(student, commission, {
+        source: 'csv',
+        userId: options.userId,
+      });
+
+      importedIds.add(student._id.toString());
+      if (created) summary.created += 1;
+      else summary.updated += 1;
+      if (enrolled) summary.enrolled += 1;
+      if (reactivated) summary.reactivated += 1;
+    } catch (error) {
+      summary.errors.push({ student_id: row.student_id, message: error.message });
+    }
+  }
+
+  if (options.dropMissing) {
+    const enrollments = await Enrollment.findByCommission(commission);
+    for (const enrollment of enrollments) {
+      const studentId = enrollment.student?._id?.toString() || enrollment.student?.toString();
+      if (!importedIds.has(studentId)) {
+        await enrollment.drop();
+        summary.dropped += 1;
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Arma un índice de los alumnos inscriptos por clave de nombre
+ * Las claves que comparten dos alumnos se descartan (no se puede decidir a quién corresponde)
+ * @param {Array<Document>} students
+ * @returns {Map<String, Document>}
+ */
+const buildNameIndex = (students) => {
+  const index = new Map();
+  const ambiguous = new Set();
+
+  students.forEach((student) => {
+    (student.name_keys?.length ? student.name_keys : student.getNameKeys()).forEach((key) => {
+      if (index.has(key) && !index.get(key)._id.equals(student._id)) ambiguous.add(key);
+      else index.set(key, student);
+    });
+  });
+
+  ambiguous.forEach((key) => index.delete(key));
+  return index;
+};
+
+/**
+ * Busca en un índice de nombres el alumno que corresponde a un student_name de Submission
+ * @param {Map<String, Document>} nameIndex
+ * @param {String} studentName
+ * @returns {Document|null}
+ */
+const matchByName = (nameIndex, studentName) => {
+  for (const key of Student.nameKeysFor(studentName)) {
+    if (nameIndex.has(key)) return nameIndex.get(key);
+  }
+  return null;
+};
+
+/**
+ * Obtiene los alumnos inscriptos (activos) en una comisión
+ * @param {Object} commission - { commission_id, course_id }
+ * @returns {Promise<Array<Document>>}
+ */
+export const getEnrolledStudents = async (commission) => {
+  const enrollments = await Enrollment.findByCommission(commission);
+  return enrollments.map((enrollment) => enrollment.student).filter((student) => student && !student.deleted);
+};
+
+/**
+ * Resuelve el alumno de una entrega nueva: por legajo o por nombre entre los inscriptos de la comisión
+ * @param {Object} data - { commission_id, course_id, university_id, student_id, student_name }
+ * @returns {Promise<Document|null>}
+ */
+export const resolveStudent = async (data) => {
+  if (data.student_id) {
+    const byId = await Student.findOne({ university_id: data.university_id, student_id: data.student_id });
+    if (byId) return byId;
+  }
+
+  const students = await getEnrolledStudents(data);
+  return matchByName(buildNameIndex(students), data.student_name);
+};
+
+/**
+ * Vincula con el padrón las entregas de la comisión que todavía no tienen alumno
+ * @param {Object} commission - { commission_id, course_id }
+ * @returns {Promise<Number>} Cantidad de entregas vinculadas
+ */
+export const linkCommissionSubmissions = async (commission) => {
+  const students = await getEnrolledStudents(commission);
+  if (students.length === 0) return 0;
+
+  const nameIndex = buildNameIndex(students);
+  const byStudentId = new Map(students.map((student) => [student.student_id, student]));
+
+  const submissions = await Submission.find({
+    commission_id: commission.commission_id,
+    course_id: commission.course_id,
+    student: null,
+    // Las descartadas por el docente no se vuelven a vincular
+    'student_match.status': { $ne: STUDENT_MATCH_STATUSES.DISMISSED },
+    deleted: false,
+  });
+
+  let linked = 0;
+  for (const submission of submissions) {
+    const student = byStudentId.get(submission.student_id) || matchByName(nameIndex, submission.student_name);
+    if (!student) continue;
+
+    submission.student = student._id;
+    if (!submission.student_id) submission.student_id = student.student_id;
+    if (submission.student_match?.status) {
+      submission.set('student_match.status', STUDENT_MATCH_STATUSES.MATCHED);
+      submission.set('student_match.method', 'exact');
+      submission.set('student_match.score', 1);
+    }
+    await submission.save();
+    linked += 1;
+  }
+
+  return linked;
+};
+
+/**
+ * Reporte de alumnos inscriptos que no entregaron
+ * @param {Document} commission
+ * @param {Array<Document>} rubrics - Rúbricas de la comisión a evaluar
+ * @returns {Promise<Array<Object>>} Un resultado por rúbrica
+ */
+export const getMissingSubmissionsReport = async (commission, rubrics) => {
+  const students = await getEnrolledStudents(commission);
+  const nameIndex = buildNameIndex(students);
+
+  const report = [];
+  for (const rubric of rubrics) {
+    const submissions = await Submission.find({
+      rubric_id: rubric.rubric_id,
+      is_current: { $ne: false },
+      deleted: false,
+    }).select('submission_id student student_id student_name late_status uploaded_at');
+
+    const submittedIds = new Set();
+    const unmatched = [];
+
+    submissions.forEach((submission) => {
+      const student =
+        (submission.student && students.find((s) => s._id.equals(submission.student))) ||
+        matchByName(nameIndex, submission.student_name);
+
+      if (student) submittedIds.add(student._id.toString());
+      else unmatched.push({ submission_id: submission.submission_id, student_name: submission.student_name });
+    });
+
+    const missing = students
+      .filter((student) => !submittedIds.has(student._id.toString()))
+      .map((student) => ({
+        _id: student._id,
+        student_id: student.student_id,
+        full_name: student.full_name,
+        email: student.email,
+      }));
+
+    report.push({
+      rubric_id: rubric.rubric_id,
+      rubric_name: rubric.name,
+      due_date: rubric.deadline?.due_date || null,
+      enrolled: students.length,
+      submitted: submittedIds.size,
+      missing_count: missing.length,
+      missing,
+      // Entregas que no se pudieron vincular con ningún alumno inscripto
+      unmatched,
+    });
+  }
+
+  return report;
+};
+
+export default {
+  parseRosterCsv,
+  upsertStudent,
+  importRoster,
+  getEnrolledStudents,
+  resolveStudent,
+  linkCommissionSubmissions,
+  getMissingSubmissionsReport,
+};
@@ -0,0 +1,110 @@
+/**
+ * Utilidades para normalizar payloads de corrección
+ * Convierte las respuestas de n8n (u otros proveedores) al formato de Submission.correction
+ */
+
+import { toNumberOrNull } from './rubricCriteria.js';
+
+const VALID_CRITERION_STATUSES = ['ok', 'warning', 'error'];
+
+/**
+ * Convierte un valor a lista de strings no vacíos
+ * @param {*} value - Array o string
+ * @returns {String[]}
+ */
+const toStringList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  return [String(value).trim()].filter(Boolean);
+};
+
+/**
+ * Normaliza el estado de un criterio a ok | warning | error
+ * Un estado vacío o desconocido queda como warning: una respuesta mal formada no cuenta como criterio aprobado
+ * @param {String} status
+ * @returns {String}
+ */
+export const normalizeCriterionStatus = (status) => {
+  if (!status) return 'warning';
+  const value = String(status).trim().toLowerCase();
+
+  if (VALID_CRITERION_STATUSES.includes(value)) return value;
+  if (['✅', 'aprobado', 'cumple', 'success', 'pass'].includes(value)) return 'ok';
+  if (['⚠️', '⚠', 'parcial', 'advertencia', 'warn'].includes(value)) return 'warning';
+  if (['❌', 'desaprobado', 'no cumple', 'fail', 'failed'].includes(value)) return 'error';
+
+  return 'warning';
+};
+
+/**
+ * Normaliza un criterio individual
+ * @param {Object} criterion
+ * @returns {Object}
+ */
+const normalizeCriterion = (criterion) => ({
+  id: criterion.id || criterion.criterion_id || null,
+  name: criterion.name || criterion.nombre || criterion.titulo || null,
+  score: toNumberOrNull(criterion.score ?? criterion.puntaje),
+  max_score: toNumberOrNull(criterion.max_score ?? criterion.puntaje_maximo),
+  status: normalizeCriterionStatus(criterion.status || criterion.estado),
+  feedback: criterion.feedback || criterion.descripcion || criterion.comentario || null,
+});
+
+/**
+ * Extrae los datos de corrección de un payload de n8n
+ * Acepta el objeto directo, envuelto en { data } o como array de un elemento
+ * @param {Object|Array} payload - Respuesta cruda del proveedor
+ * @returns {Object|null} Datos listos para Submission.addCorrection o null si no hay corrección
+ */
+export const normalizeCorrectionPayload = (payload) => {
+  if (!payload) return null;
+
+  let data = payload;
+  if (Array.isArray(data)) data = data[0];
+  if (data && typeof data === 'object' && data.data && typeof data.data === 'object') {
+    data = Array.isArray(data.data) ? data.data[0] : data.data;
+  }
+  if (data && typeof data === 'object' && data.correction && typeof data.correction === 'object') {
+    data = data.correction;
+  }
+
+  if (!data || typeof data !== 'object') return null;
+
+  const grade = toNumberOrNull(data.grade ?? data.nota ?? data.puntaje_total);
+  const rawCriteria = data.criteria || data.criterios;
+  const criteria = Array.isArray(rawCriteria)
+    ? rawCriteria.filter((c) => c && typeof c === 'object').map(normalizeCriterion)
+    : [];
+
+  // Sin nota ni criterios no hay corrección utilizable
+  if (grade === null && criteria.length === 0) {
+    return null;
+  }
+
+  const strengthsList = toStringList(data.strengths_list || data.fortalezas_list || data.fortalezas);
+  const recommendationsList = toStringList(
+    data.recommendations_list || data.recomendaciones_list || data.recomendaciones
+  );
+
+  return {
+    grade,
+    summary: data.summary || data.resumen || null,
+    strengths: typeof data.strengths === 'string' ? data.strengths : strengthsList.join('\n') || null,
+    recommendations:
+      typeof data.recommendations === 'string'
+        ? data.recommendations
+        : recommendationsList.join('\n') || null,
+    criteria,
+    strengths_list: strengthsList,
+    recommendations_list: recommendationsList,
+    general_feedback: data.general_feedback || data.feedback_general || data.comentarios || null,
+    result_json: payload,
+  };
+};
+
+export default {
+  normalizeCorrectionPayload,
+  normalizeCriterionStatus,
+};
@@ -0,0 +1,60 @@
+/**
+ * JSON Schema de una corrección estructurada
+ * Define el formato que deben devolver los proveedores de corrección nativos (Gemini, fake)
+ */
+import Ajv from 'ajv';
+
+export const CORRECTION_SCHEMA = {
+  type: 'object',
+  required: ['grade', 'criteria'],
+  properties: {
+    grade: { type: 'number', minimum: 0 },
+    summary: { type: ['string', 'null'] },
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'score', 'status', 'feedback'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          name: { type: 'string', minLength: 1 },
+          score: { type: 'number', minimum: 0 },
+          max_score: { type: ['number', 'null'], minimum: 0 },
+          status: { type: 'string', enum: ['ok', 'warning', 'error'] },
+          feedback: { type: 'string' },
+        },
+      },
+    },
+    strengths_list: { type: 'array', items: { type: 'string' } },
+    recommendations_list: { type: 'array', items: { type: 'string' } },
+    general_feedback: { type: ['string', 'null'] },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validate = ajv.compile(CORRECTION_SCHEMA);
+
+/**
+ * Valida una corrección contra CORRECTION_SCHEMA
+ * @param {Object} data - Corrección a validar
+ * @returns {{valid: Boolean, errors: Array<{path: String, message: String}>}}
+ */
+export const validateCorrection = (data) => {
+  const valid = validate(data);
+
+  return {
+    valid,
+    errors: valid
+      ? []
+      : validate.errors.map((error) => ({
+          path: error.instancePath || '/',
+          message: error.message,
+        })),
+  };
+};
+
+export default {
+  CORRECTION_SCHEMA,
+  validateCorrection,
+};
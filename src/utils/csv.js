@@ -0,0 +1,124 @@
+/**
+ * Lectura y escritura de CSV (RFC 4180)
+ * Acepta coma o punto y coma como separador (Excel en español exporta con ";")
+ */
+
+/**
+ * Detecta el separador mirando la primera línea (fuera de comillas)
+ * @param {String} text
+ * @returns {String} ',' o ';'
+ */
+const detectDelimiter = (text) => {
+  let commas = 0;
+  let semicolons = 0;
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char === '\n') break;
+    else if (!inQuotes && char === ',') commas += 1;
+    else if (!inQuotes && char === ';') semicolons += 1;
+  }
+
+  return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Parsea un texto CSV a una matriz de celdas
+ * @param {String} text - Contenido del CSV
+ * @param {Object} options - { delimiter } (por defecto se detecta)
+ * @returns {Array<Array<String>>} Filas (se omiten las filas vacías)
+ */
+export const parseCsv = (text, options = {}) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(content);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parsea un CSV con encabezado a una lista de objetos
+ * @param {String} text - Contenido del CSV
+ * @param {Object} options - { delimiter }
+ * @returns {{headers: Array<String>, records: Array<Object>}}
+ */
+export const parseCsvRecords = (text, options = {}) => {
+  const [headerRow = [], ...dataRows] = parseCsv(text, options);
+  const headers = headerRow.map((h) => h.trim());
+
+  const records = dataRows.map((cells) =>
+    headers.reduce((record, header, index) => {
+      record[header] = (cells[index] ?? '').trim();
+      return record;
+    }, {})
+  );
+
+  return { headers, records };
+};
+
+/**
+ * Escapa una celda para CSV
+ * @param {*} value
+ * @param {String} delimiter
+ * @returns {String}
+ */
+const escapeCell = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Genera un CSV a partir de una matriz de celdas
+ * @param {Array<Array<*>>} rows - Filas (la primera suele ser el encabezado)
+ * @param {Object} options - { delimiter, bom } (bom: agrega BOM UTF-8 para que Excel respete los acentos)
+ * @returns {String}
+ */
+export const toCsv = (rows, options = {}) => {
+  const delimiter = options.delimiter || ',';
+  const body = rows.map((row) => row.map((value) => escapeCell(value, delimiter)).join(delimiter)).join('\r\n');
+  return `${options.bom ? '\uFEFF' : ''}${body}\r\n`;
+};
+
+export default {
+  parseCsv,
+  parseCsvRecords,
+  toCsv,
+};
@@ -0,0 +1,110 @@
+/**
+ * Diff estructural entre dos objetos JSON
+ * Se usa para registrar qué cambió entre versiones de una rúbrica
+ */
+
+/**
+ * Indica si un valor es un objeto plano
+ * @param {*} value
+ * @returns {Boolean}
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Une un path con una clave de objeto
+ * @param {String} base
+ * @param {String} key
+ * @returns {String}
+ */
+const joinKey = (base, key) => (base ? `${base}.${key}` : key);
+
+/**
+ * Indica si todos los elementos de un array son objetos con id único (ej: criterios)
+ * En ese caso se comparan por id y no por posición, para que reordenar no parezca un cambio de contenido
+ * @param {Array} items
+ * @returns {Boolean}
+ */
+const isIdentifiedArray = (items) => {
+  if (!items.length || !items.every((item) => isPlainObject(item) && item.id !== undefined && item.id !== null)) {
+    return false;
+  }
+  return new Set(items.map((item) => String(item.id))).size === items.length;
+};
+
+/**
+ * Calcula las diferencias entre dos valores JSON
+ * @param {*} before - Valor anterior
+ * @param {*} after - Valor nuevo
+ * @param {String} basePath - Path base (uso interno en la recursión)
+ * @returns {Array<{path: String, op: String, before: *, after: *}>} op: added | removed | changed
+ */
+export const diffJson = (before, after, basePath = '') => {
+  const changes = [];
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+      const path = joinKey(basePath, key);
+
+      if (!(key in after)) {
+        changes.push({ path, op: 'removed', before: before[key], after: undefined });
+      } else if (!(key in before)) {
+        changes.push({ path, op: 'added', before: undefined, after: after[key] });
+      } else {
+        changes.push(...diffJson(before[key], after[key], path));
+      }
+    }
+
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    if (isIdentifiedArray(before) && isIdentifiedArray(after)) {
+      const beforeById = new Map(before.map((item) => [String(item.id), item]));
+      const afterById = new Map(after.map((item) => [String(item.id), item]));
+
+      for (const [id, item] of beforeById) {
+        const path = `${basePath}[id=${id}]`;
+        if (!afterById.has(id)) {
+          changes.push({ path, op: 'removed', before: item, after: undefined });
+        } else {
+          changes.push(...diffJson(item, afterById.get(id), path));
+        }
+      }
+
+      for (const [id, item] of afterById) {
+        if (!beforeById.has(id)) {
+          changes.push({ path: `${basePath}[id=${id}]`, op: 'added', before: undefined, after: item });
+        }
+      }
+
+      return changes;
+    }
+
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i += 1) {
+      const path = `${basePath}[${i}]`;
+
+      if (i >= after.length) {
+        changes.push({ path, op: 'removed', before: before[i], after: undefined });
+      } else if (i >= before.length) {
+        changes.push({ path, op: 'added', before: undefined, after: after[i] });
+      } else {
+        changes.push(...diffJson(before[i], after[i], path));
+      }
+    }
+
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: basePath || '/', op: 'changed', before, after });
+  }
+
+  return changes;
+};
+
+export default {
+  diffJson,
+};
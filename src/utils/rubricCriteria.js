@@ -0,0 +1,67 @@
+/**
+ * Utilidades para leer los criterios de un rubric_json
+ * Las rúbricas generadas desde PDF (n8n) y las cargadas a mano no usan siempre los mismos nombres de campo
+ */
+
+/**
+ * Convierte un valor a número o null
+ * @param {*} value
+ * @returns {Number|null}
+ */
+export const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Obtiene los criterios de una rúbrica con un formato uniforme
+ * @param {Object} rubricJson - rubric_json de la rúbrica
+ * @returns {Array<{id: String, name: String, description: String|null, weight: Number|null, max_score: Number|null}>}
+ */
+export const getRubricCriteria = (rubricJson) => {
+  const rawCriteria = rubricJson?.criteria || rubricJson?.criterios;
+
+  if (!Array.isArray(rawCriteria)) {
+    return [];
+  }
+
+  return rawCriteria
+    .filter((criterion) => criterion && typeof criterion === 'object')
+    .map((criterion, index) => ({
+      id: String(criterion.id || criterion.criterion_id || `C${index + 1}`),
+      name: criterion.name || criterion.nombre || criterion.title || criterion.titulo || `Criterio ${index + 1}`,
+      description: criterion.description || criterion.descripcion || null,
+      weight: toNumberOrNull(criterion.weight ?? criterion.peso),
+      max_score: toNumberOrNull(criterion.max_score ?? criterion.puntaje_maximo ?? criterion.points),
+    }));
+};
+
+/**
+ * Obtiene los niveles de desempeño de un criterio con un formato uniforme
+ * @param {Object} criterion - Criterio crudo del rubric_json
+ * @returns {Array<{name: String, score: Number|null, description: String|null}>}
+ */
+export const getCriterionLevels = (criterion) => {
+  const rawLevels = criterion?.levels || criterion?.niveles;
+
+  if (!Array.isArray(rawLevels)) {
+    return [];
+  }
+
+  return rawLevels
+    .filter((level) => level && typeof level === 'object')
+    .map((level, index) => ({
+      name: level.name || level.nombre || `Nivel ${index + 1}`,
+      score: toNumberOrNull(level.score ?? level.puntaje),
+      description: level.description || level.descripcion || null,
+    }));
+};
+
+export default {
+  toNumberOrNull,
+  getRubricCriteria,
+  getCriterionLevels,
+};
@@ -0,0 +1,300 @@
+/**
+ * JSON Schema de rubric_json y validaciones de consistencia
+ * Se valida al crear (JSON o PDF), actualizar e importar rúbricas, y desde POST /api/rubrics/validate
+ *
+ * Formato esperado (se aceptan también los alias en castellano: criterios, nombre, peso, puntaje_maximo, niveles):
+ * {
+ *   "rubric_id": "tp-funciones",
+ *   "title": "Trabajo Práctico: Funciones",
+ *   "max_score": 10,
+ *   "criteria": [
+ *     {
+ *       "id": "C1", "name": "Modularización", "weight": 40, "max_score": 4,
+ *       "levels": [{ "name": "Excelente", "score": 4, "description": "..." }]
+ *     }
+ *   ]
+ * }
+ */
+import Ajv from 'ajv';
+import { getRubricCriteria } from './rubricCriteria.js';
+
+// Tolerancia para comparar sumas de puntajes y pesos
+const EPSILON = 0.01;
+
+const numberOrNumericString = {
+  anyOf: [{ type: 'number' }, { type: 'string', pattern: '^\\s*-?\\d+([.,]\\d+)?\\s*$' }],
+};
+
+const levelSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    nombre: { type: 'string', minLength: 1 },
+    score: numberOrNumericString,
+    puntaje: numberOrNumericString,
+    description: { type: 'string' },
+    descripcion: { type: 'string' },
+  },
+  anyOf: [{ required: ['score'] }, { required: ['puntaje'] }],
+};
+
+const criterionSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { anyOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }] },
+    name: { type: 'string', minLength: 1 },
+    nombre: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 },
+    titulo: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    descripcion: { type: 'string' },
+    weight: numberOrNumericString,
+    peso: numberOrNumericString,
+    max_score: numberOrNumericString,
+    puntaje_maximo: numberOrNumericString,
+    levels: { type: 'array', items: levelSchema },
+    niveles: { type: 'array', items: levelSchema },
+  },
+  anyOf: [{ required: ['name'] }, { required: ['nombre'] }, { required: ['title'] }, { required: ['titulo'] }],
+};
+
+export const RUBRIC_SCHEMA = {
+  type: 'object',
+  required: ['rubric_id'],
+  properties: {
+    rubric_id: { type: 'string', minLength: 1 },
+    title: { type: 'string' },
+    titulo: { type: 'string' },
+    max_score: numberOrNumericString,
+    total_score: numberOrNumericString,
+    puntaje_total: numberOrNumericString,
+    criteria: { type: 'array', minItems: 1, items: criterionSchema },
+    criterios: { type: 'array', minItems: 1, items: criterionSchema },
+  },
+  anyOf: [{ required: ['criteria'] }, { required: ['criterios'] }],
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validate = ajv.compile(RUBRIC_SCHEMA);
+
+/**
+ * Convierte un valor a número o null
+ * @param {*} value
+ * @returns {Number|null}
+ */
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Convierte los errores de Ajv a mensajes legibles por path
+ * Los errores de anyOf se resumen en un único mensaje
+ * @param {Array} errors - validate.errors
+ * @returns {Array<{path: String, message: String}>}
+ */
+const formatSchemaErrors = (errors) => {
+  const result = [];
+  const seen = new Set();
+
+  for (const error of errors) {
+    const path = error.instancePath || '/';
+    let message;
+
+    if (error.keyword === 'anyOf') {
+      if (path === '/') {
+        message = 'Debe tener una lista "criteria" (o "criterios")';
+      } else if (/\/(criteria|criterios)\/\d+$/.test(path)) {
+        message = 'El criterio debe tener "name" (o "nombre"/"title"/"titulo")';
+      } else if (/\/(levels|niveles)\/\d+$/.test(path)) {
+        message = 'El nivel debe tener "score" (o "puntaje")';
+      } else {
+        message = 'Debe ser un número';
+      }
+    } else if (error.keyword === 'required') {
+      // Los required dentro de anyOf ya se resumen en el mensaje de anyOf
+      if (error.schemaPath.includes('anyOf')) continue;
+      message = `Falta la propiedad requerida "${error.params.missingProperty}"`;
+    } else if (error.schemaPath.includes('anyOf')) {
+      continue;
+    } else {
+      message = error.message;
+    }
+
+    const key = `${path}|${message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      result.push({ path, message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Validaciones de consistencia que JSON Schema no puede expresar
+ * (ids únicos, pesos, puntajes de niveles y total de la rúbrica)
+ * @param {Object} rubricJson
+ * @returns {{errors: Array, warnings: Array, summary: Object}}
+ */
+const checkConsistency = (rubricJson) => {
+  const errors = [];
+  const warnings = [];
+  const criteriaKey = Array.isArray(rubricJson.criteria) ? 'criteria' : 'criterios';
+  const rawCriteria = rubricJson[criteriaKey];
+  const criteria = getRubricCriteria(rubricJson);
+
+  // IDs únicos
+  const seenIds = new Map();
+  criteria.forEach((criterion, index) => {
+    if (seenIds.has(criterion.id)) {
+      errors.push({
+        path: `/${criteriaKey}/${index}/id`,
+        message: `ID de criterio duplicado "${criterion.id}" (también en /${criteriaKey}/${seenIds.get(criterion.id)})`,
+      });
+    } else {
+      seenIds.set(criterion.id, index);
+    }
+  });
+
+  // Valores no negativos
+  criteria.forEach((criterion, index) => {
+    if (criterion.weight !== null && criterion.weight < 0) {
+      errors.push({ path: `/${criteriaKey}/${index}/weight`, message: 'El peso no puede ser negativo' });
+    }
+    if (criterion.max_score !== null && criterion.max_score <= 0) {
+      errors.push({ path: `/${criteriaKey}/${index}/max_score`, message: 'El puntaje máximo debe ser mayor a 0' });
+    }
+  });
+
+  // Pesos: todos o ninguno, y deben sumar 100 (porcentaje) o 1 (proporción)
+  const withWeight = criteria.filter((c) => c.weight !== null);
+  let weightsSum = null;
+  if (withWeight.length > 0 && withWeight.length < criteria.length) {
+    criteria.forEach((criterion, index) => {
+      if (criterion.weight === null) {
+        errors.push({
+          path: `/${criteriaKey}/${index}`,
+          message: 'Falta "weight" (o "peso"): si un criterio tiene peso, todos deben tenerlo',
+        });
+      }
+    });
+  } else if (withWeight.length === criteria.length && criteria.length > 0) {
+    weightsSum = criteria.reduce((sum, c) => sum + c.weight, 0);
+    if (Math.abs(weightsSum - 100) > EPSILON && Math.abs(weightsSum - 1) > EPSILON) {
+      errors.push({
+        path: `/${criteriaKey}`,
+        message: `Los pesos suman ${Math.round(weightsSum * 100) / 100}; deben sumar 100 (o 1)`,
+      });
+    }
+  }
+
+  // Niveles: puntaje dentro del máximo del criterio
+  rawCriteria.forEach((rawCriterion, index) => {
+    const levelsKey = Array.isArray(rawCriterion?.levels) ? 'levels' : 'niveles';
+    const levels = rawCriterion?.[levelsKey];
+    const maxScore = criteria[index]?.max_score;
+
+    if (!Array.isArray(levels)) return;
+
+    levels.forEach((level, levelIndex) => {
+      const score = toNumberOrNull(level?.score ?? level?.puntaje);
+      if (score === null) return;
+
+      if (score < 0) {
+        errors.push({
+          path: `/${criteriaKey}/${index}/${levelsKey}/${levelIndex}/score`,
+          message: 'El puntaje del nivel no puede ser negativo',
+        });
+      } else if (maxScore !== null && score > maxScore + EPSILON) {
+        errors.push({
+          path: `/${criteriaKey}/${index}/${levelsKey}/${levelIndex}/score`,
+          message: `El puntaje del nivel (${score}) supera el máximo del criterio (${maxScore})`,
+        });
+      }
+    });
+  });
+
+  // Total: si la rúbrica declara un puntaje total, debe coincidir con la suma de los máximos
+  const declaredTotal = toNumberOrNull(rubricJson.max_score ?? rubricJson.total_score ?? rubricJson.puntaje_total);
+  const withMax = criteria.filter((c) => c.max_score !== null);
+  const maxScoreSum = withMax.length === criteria.length && criteria.length > 0
+    ? criteria.reduce((sum, c) => sum + c.max_score, 0)
+    : null;
+
+  if (declaredTotal !== null && maxScoreSum !== null && Math.abs(declaredTotal - maxScoreSum) > EPSILON) {
+    const totalKey = ['max_score', 'total_score', 'puntaje_total'].find((k) => rubricJson[k] !== undefined);
+    errors.push({
+      path: `/${totalKey}`,
+      message: `El puntaje total (${declaredTotal}) no coincide con la suma de los máximos de los criterios (${Math.round(maxScoreSum * 100) / 100})`,
+    });
+  }
+
+  if (withMax.length > 0 && withMax.length < criteria.length) {
+    warnings.push({
+      path: `/${criteriaKey}`,
+      message: 'Algunos criterios no tienen "max_score"; el puntaje total no se puede verificar',
+    });
+  }
+
+  if (withWeight.length === 0 && withMax.length === 0) {
+    warnings.push({
+      path: `/${criteriaKey}`,
+      message: 'Ningún criterio tiene "weight" ni "max_score"; la nota no se podrá recalcular desde los criterios',
+    });
+  }
+
+  return {
+    errors,
+    warnings,
+    summary: {
+      criteria_count: criteria.length,
+      weights_sum: weightsSum,
+      max_score_sum: maxScoreSum,
+      declared_total: declaredTotal,
+    },
+  };
+};
+
+/**
+ * Valida un rubric_json contra RUBRIC_SCHEMA y las reglas de consistencia
+ * @param {Object} rubricJson - rubric_json a validar
+ * @returns {{valid: Boolean, errors: Array<{path: String, message: String}>, warnings: Array, summary: Object|null}}
+ */
+export const validateRubricJson = (rubricJson) => {
+  if (!rubricJson || typeof rubricJson !== 'object' || Array.isArray(rubricJson)) {
+    return {
+      valid: false,
+      errors: [{ path: '/', message: 'rubric_json debe ser un objeto JSON' }],
+      warnings: [],
+      summary: null,
+    };
+  }
+
+  if (!validate(rubricJson)) {
+    return {
+      valid: false,
+      errors: formatSchemaErrors(validate.errors),
+      warnings: [],
+      summary: null,
+    };
+  }
+
+  const { errors, warnings, summary } = checkConsistency(rubricJson);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    summary,
+  };
+};
+
+export default {
+  RUBRIC_SCHEMA,
+  validateRubricJson,
+};